@@ -1,4 +1,16 @@
 import About from "../models/about.js";
+import { resolveImageUrls, resolveImageUrl } from "../utils/imageStorage.js";
+
+// Store the About page images as URLs (base64 from older clients is uploaded here)
+async function resolveAboutImages(aboutData) {
+    aboutData.companyOverview.images = await resolveImageUrls(aboutData.companyOverview.images, "about");
+
+    if (Array.isArray(aboutData.teamMembers)) {
+        for (const member of aboutData.teamMembers) {
+            member.image = await resolveImageUrl(member.image, "about");
+        }
+    }
+}
 
 // Get about information
 export function getAboutInfo(req, res) {
@@ -73,7 +85,8 @@ export function updateAboutInfo(req, res) {
     aboutData.lastUpdated = new Date();
 
     // Find and update or create new about document
-    About.findOne()
+    resolveAboutImages(aboutData)
+        .then(() => About.findOne())
         .then((existingAbout) => {
             if (existingAbout) {
                 // Update existing about
@@ -101,6 +114,14 @@ export function updateAboutInfo(req, res) {
             console.error("Error message:", error.message);
             console.error("Error stack:", error.stack);
             
+            // Invalid image (see utils/imageStorage.js)
+            if (error.status === 400) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+
             // Check if it's a validation error
             if (error.name === 'ValidationError') {
                 return res.status(400).json({
@@ -1,7 +1,7 @@
 // controllers/adminUserController.js
 import User from '../models/user.js';
 import bcrypt from 'bcrypt';
-import jwt from 'jsonwebtoken';
+import { issueAuthTokens } from '../middleware/secureAuth.js';
 
 // Admin audit logging
 function auditAdminAction(req, action) {
@@ -43,14 +43,7 @@ export async function loginAdmin(req, res) {
             });
         }
 
-        const token = jwt.sign({
-            userId: user.userId,
-            firstName: user.firstName,
-            lastName: user.lastName,
-            type: user.type,
-            phonenumber: user.phonenumber,
-            homeaddress: user.homeaddress
-        }, process.env.SECRET, { expiresIn: '24h' });
+        const tokens = await issueAuthTokens(user, req);
 
         auditAdminAction({
             user: {
@@ -64,7 +57,7 @@ export async function loginAdmin(req, res) {
         res.status(200).json({
             success: true,
             message: "Admin login successful",
-            token: token,
+            ...tokens,
             user: {
                 userId: user.userId,
                 firstName: user.firstName,
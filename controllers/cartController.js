@@ -0,0 +1,291 @@
+import Cart from "../models/cart.js";
+import Product from "../models/product.js";
+import { findCart, findCartLine, buildCartView, generateCartId } from "../utils/cartManager.js";
+import { findVariant, hasVariants } from "../utils/productVariants.js";
+import { placeOrder, sendPlaceOrderError } from "./orderController.js";
+
+// Who owns the cart of this request: the logged-in customer, or the guest cart id header
+function getCartOwner(req) {
+    return {
+        userId: req.user && req.user.userId,
+        cartId: req.header("X-Cart-Id")
+    };
+}
+
+// Find the request's cart, creating an empty one if there is none yet
+async function findOrCreateCart(req) {
+    const owner = getCartOwner(req);
+    const cart = await findCart(owner);
+    if (cart) return cart;
+
+    return new Cart({
+        cartId: generateCartId(),
+        userId: owner.userId || undefined,
+        items: []
+    });
+}
+
+// Send the re-priced cart (guests get their cart id back in the X-Cart-Id header)
+async function sendCart(res, cart, message, status = 200) {
+    const view = await buildCartView(cart);
+    if (cart && !cart.userId) {
+        res.set("X-Cart-Id", cart.cartId);
+    }
+
+    res.status(status).json({
+        success: true,
+        ...(message && { message }),
+        cart: view
+    });
+}
+
+function isValidQuantity(quantity) {
+    return typeof quantity === "number" && Number.isInteger(quantity) && quantity > 0;
+}
+
+// Check a product variant can be put in the cart in this quantity.
+// Returns the variant SKU to store (undefined for products without variants) or a problem.
+async function checkProductQuantity(productId, variantSku, quantity) {
+    const product = await Product.findOne({ productId: String(productId) })
+        .select("productId productName pricePerPiece stock availabilityStatus bulkOffers variants");
+
+    if (!product) {
+        return { problem: { status: 404, message: "Product not found" } };
+    }
+
+    let variant;
+    try {
+        variant = findVariant(product, variantSku);
+    } catch (error) {
+        return { problem: { status: error.status || 400, message: error.message } };
+    }
+
+    if (product.availabilityStatus !== "available") {
+        return { problem: { status: 409, message: `${product.productName} is not available at the moment`, available: 0 } };
+    }
+    if (variant.stock < quantity) {
+        return {
+            problem: {
+                status: 409,
+                message: `Only ${Math.max(variant.stock, 0)} of ${product.productName}${variant.label ? ` (${variant.label})` : ""} left in stock`,
+                available: Math.max(variant.stock, 0)
+            }
+        };
+    }
+    return { variantSku: hasVariants(product) ? variant.sku : undefined };
+}
+
+// Send the problem found by checkProductQuantity
+function sendQuantityProblem(res, problem) {
+    return res.status(problem.status).json({
+        success: false,
+        message: problem.message,
+        ...(problem.available !== undefined && { available: problem.available })
+    });
+}
+
+// Get the current cart (guest or customer)
+export async function getCart(req, res) {
+    try {
+        const cart = await findCart(getCartOwner(req));
+        await sendCart(res, cart);
+    } catch (error) {
+        console.error("Error fetching cart:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to fetch cart",
+            error: error.message
+        });
+    }
+}
+
+// Add a product to the cart (adds to the quantity already in the cart).
+// Products with pack sizes need a variantSku.
+export async function addCartItem(req, res) {
+    try {
+        const { productId, variantSku, quantity } = req.body;
+
+        if (!productId || !isValidQuantity(quantity)) {
+            return res.status(400).json({
+                success: false,
+                message: "productId and a positive whole number quantity are required"
+            });
+        }
+
+        const cart = await findOrCreateCart(req);
+
+        // Resolve the variant first, so "no SKU" and the only variant's SKU end up on the same line
+        const check = await checkProductQuantity(productId, variantSku, quantity);
+        if (check.problem) {
+            return sendQuantityProblem(res, check.problem);
+        }
+
+        const existing = findCartLine(cart, String(productId), check.variantSku);
+        if (existing) {
+            const combined = await checkProductQuantity(productId, check.variantSku, existing.quantity + quantity);
+            if (combined.problem) {
+                return sendQuantityProblem(res, combined.problem);
+            }
+            existing.quantity += quantity;
+        } else {
+            cart.items.push({ productId: String(productId), variantSku: check.variantSku, quantity });
+        }
+        cart.lastUpdated = new Date();
+        await cart.save();
+
+        await sendCart(res, cart, "Item added to cart");
+    } catch (error) {
+        console.error("Error adding cart item:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to add item to cart",
+            error: error.message
+        });
+    }
+}
+
+// Change the quantity of a cart line (0 removes it); ?variantSku= picks the pack size
+export async function updateCartItem(req, res) {
+    try {
+        const { productId } = req.params;
+        const { variantSku } = req.query;
+        const { quantity } = req.body;
+
+        if (!(quantity === 0 || isValidQuantity(quantity))) {
+            return res.status(400).json({
+                success: false,
+                message: "quantity must be a whole number (0 removes the item)"
+            });
+        }
+
+        const cart = await findCart(getCartOwner(req));
+        const existing = cart && findCartLine(cart, productId, variantSku);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: "Item not found in cart"
+            });
+        }
+
+        if (quantity === 0) {
+            cart.items.pull(existing._id);
+        } else {
+            const check = await checkProductQuantity(productId, existing.variantSku, quantity);
+            if (check.problem) {
+                return sendQuantityProblem(res, check.problem);
+            }
+            existing.quantity = quantity;
+        }
+        cart.lastUpdated = new Date();
+        await cart.save();
+
+        await sendCart(res, cart, "Cart updated");
+    } catch (error) {
+        console.error("Error updating cart item:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to update cart",
+            error: error.message
+        });
+    }
+}
+
+// Remove a product from the cart; ?variantSku= picks the pack size
+export async function removeCartItem(req, res) {
+    try {
+        const { productId } = req.params;
+        const { variantSku } = req.query;
+
+        const cart = await findCart(getCartOwner(req));
+        const existing = cart && findCartLine(cart, productId, variantSku);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: "Item not found in cart"
+            });
+        }
+
+        cart.items.pull(existing._id);
+        cart.lastUpdated = new Date();
+        await cart.save();
+
+        await sendCart(res, cart, "Item removed from cart");
+    } catch (error) {
+        console.error("Error removing cart item:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to remove item from cart",
+            error: error.message
+        });
+    }
+}
+
+// Empty the cart
+export async function clearCart(req, res) {
+    try {
+        const cart = await findCart(getCartOwner(req));
+        if (cart) {
+            cart.items = [];
+            cart.lastUpdated = new Date();
+            await cart.save();
+        }
+
+        await sendCart(res, cart, "Cart cleared");
+    } catch (error) {
+        console.error("Error clearing cart:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to clear cart",
+            error: error.message
+        });
+    }
+}
+
+// Customer: turn the cart into an order. The body carries the same delivery
+// details as createOrder; the items come from the cart.
+export async function checkoutCart(req, res) {
+    try {
+        const cart = await Cart.findOne({ userId: req.user.userId });
+        if (!cart || cart.items.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Your cart is empty"
+            });
+        }
+
+        const view = await buildCartView(cart);
+        if (!view.canCheckout) {
+            return res.status(409).json({
+                success: false,
+                message: "Some items in your cart can't be ordered. Please review your cart.",
+                cart: view
+            });
+        }
+
+        const orderData = {
+            ...req.body,
+            orderedItems: cart.items.map(item => ({
+                productId: item.productId,
+                variantSku: item.variantSku,
+                quantity: item.quantity
+            }))
+        };
+
+        const newOrder = await placeOrder(req.user, orderData);
+
+        // Only empty the cart once the order is saved
+        await Cart.updateOne(
+            { _id: cart._id },
+            { $set: { items: [], lastUpdated: new Date() } }
+        );
+
+        res.status(201).json({
+            success: true,
+            message: "Order created successfully",
+            orderId: newOrder.orderId,
+            order: newOrder
+        });
+    } catch (error) {
+        sendPlaceOrderError(res, error);
+    }
+}
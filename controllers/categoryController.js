@@ -0,0 +1,242 @@
+import Category from "../models/category.js";
+import Product from "../models/product.js";
+import { findCategory, isDescendantOrSelf } from "../utils/categoryLookup.js";
+import { resolveImageUrl } from "../utils/imageStorage.js";
+
+const CATEGORY_FIELDS = ["slug", "displayName", "description", "image", "sortOrder"];
+
+// Turn a display name into a slug ("Sri Lankan Sweets" -> "sri-lankan-sweets")
+function slugify(value) {
+    return String(value || "")
+        .toLowerCase()
+        .trim()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "");
+}
+
+// Pick and check the category fields sent by the admin
+async function buildCategoryFields(body, categoryId = null) {
+    const fields = {};
+    const errors = [];
+
+    for (const field of CATEGORY_FIELDS) {
+        if (body[field] !== undefined) {
+            fields[field] = body[field];
+        }
+    }
+
+    if (fields.slug !== undefined) {
+        fields.slug = slugify(fields.slug);
+        if (!fields.slug) {
+            errors.push("slug must contain letters or numbers");
+        }
+    }
+    if (fields.displayName !== undefined && !String(fields.displayName).trim()) {
+        errors.push("displayName can't be empty");
+    }
+    if (fields.sortOrder !== undefined && typeof fields.sortOrder !== "number") {
+        errors.push("sortOrder must be a number");
+    }
+    if (fields.image !== undefined) {
+        try {
+            fields.image = await resolveImageUrl(fields.image, "categories");
+        } catch (error) {
+            errors.push(error.message);
+        }
+    }
+
+    // Parent may be given by id or slug; null makes it a top-level category
+    if (body.parent !== undefined) {
+        if (body.parent === null || body.parent === "") {
+            fields.parent = null;
+        } else {
+            const parent = await findCategory(body.parent);
+            if (!parent) {
+                errors.push("Parent category not found");
+            } else if (categoryId && await isDescendantOrSelf(categoryId, parent._id)) {
+                errors.push("A category can't be placed under itself or one of its subcategories");
+            } else {
+                fields.parent = parent._id;
+            }
+        }
+    }
+
+    return { fields, errors };
+}
+
+// Public: categories as a tree (top-level categories with their subcategories), sorted by sortOrder
+export async function getCategoryTree(req, res) {
+    try {
+        const categories = await Category.find().sort({ sortOrder: 1, displayName: 1 }).lean();
+
+        const byId = new Map(categories.map(category => [String(category._id), { ...category, children: [] }]));
+        const roots = [];
+        for (const category of byId.values()) {
+            const parent = category.parent && byId.get(String(category.parent));
+            if (parent) {
+                parent.children.push(category);
+            } else {
+                roots.push(category);
+            }
+        }
+
+        res.json({
+            success: true,
+            categories: roots
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+}
+
+// Public: one category by slug (or id), with its subcategories
+export async function getCategory(req, res) {
+    try {
+        const category = await findCategory(req.params.category);
+        if (!category) {
+            return res.status(404).json({
+                success: false,
+                message: "Category not found"
+            });
+        }
+
+        const children = await Category.find({ parent: category._id }).sort({ sortOrder: 1, displayName: 1 });
+
+        res.json({
+            success: true,
+            category: category,
+            children: children
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+}
+
+// Admin: create a category (slug defaults to the display name)
+export async function createCategory(req, res) {
+    try {
+        const { fields, errors } = await buildCategoryFields({
+            ...req.body,
+            slug: req.body.slug || req.body.displayName
+        });
+        if (!fields.displayName) {
+            errors.push("displayName is required");
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid category",
+                errors: errors
+            });
+        }
+
+        const category = new Category(fields);
+        await category.save();
+
+        res.status(201).json({
+            success: true,
+            message: "Category created",
+            category: category
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: "A category with this slug already exists"
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+}
+
+// Admin: update a category
+export async function updateCategory(req, res) {
+    try {
+        const { categoryId } = req.params;
+
+        const { fields, errors } = await buildCategoryFields(req.body, categoryId);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid category",
+                errors: errors
+            });
+        }
+
+        const category = await Category.findByIdAndUpdate(
+            categoryId,
+            { ...fields, lastUpdated: new Date() },
+            { new: true, runValidators: true }
+        );
+        if (!category) {
+            return res.status(404).json({
+                success: false,
+                message: "Category not found"
+            });
+        }
+
+        res.json({
+            success: true,
+            message: "Category updated",
+            category: category
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: "A category with this slug already exists"
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+}
+
+// Admin: delete a category that has no products and no subcategories
+export async function deleteCategory(req, res) {
+    try {
+        const { categoryId } = req.params;
+
+        const [productCount, childCount] = await Promise.all([
+            Product.countDocuments({ category: categoryId }),
+            Category.countDocuments({ parent: categoryId })
+        ]);
+        if (productCount > 0 || childCount > 0) {
+            return res.status(409).json({
+                success: false,
+                message: "Move this category's products and subcategories to another category before deleting it",
+                productCount: productCount,
+                childCount: childCount
+            });
+        }
+
+        const category = await Category.findByIdAndDelete(categoryId);
+        if (!category) {
+            return res.status(404).json({
+                success: false,
+                message: "Category not found"
+            });
+        }
+
+        res.json({
+            success: true,
+            message: "Category deleted"
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+}
@@ -0,0 +1,345 @@
+import mongoose from "mongoose";
+import Coupon from "../models/coupon.js";
+import CouponRedemption from "../models/couponRedemption.js";
+import { normalizeCouponCode } from "../utils/couponEngine.js";
+import { findCategory } from "../utils/categoryLookup.js";
+
+const COUPON_FIELDS = [
+    "code", "description", "discountType", "discountValue", "maxDiscount", "minimumSpend",
+    "applicableCategories", "applicableProducts", "validFrom", "validUntil",
+    "usageLimit", "perUserLimit", "isActive"
+];
+
+function isNonNegativeNumber(value) {
+    return typeof value === "number" && value >= 0;
+}
+
+// Check the coupon fields sent by the admin (merged over the existing coupon when updating)
+function validateCouponFields(fields) {
+    const errors = [];
+
+    if (!fields.code || !/^[A-Z0-9_-]{3,30}$/.test(fields.code)) {
+        errors.push("code must be 3-30 letters, numbers, '-' or '_'");
+    }
+    if (!["percentage", "fixed"].includes(fields.discountType)) {
+        errors.push("discountType must be 'percentage' or 'fixed'");
+    }
+    if (!isNonNegativeNumber(fields.discountValue) || fields.discountValue === 0) {
+        errors.push("discountValue must be a positive number");
+    } else if (fields.discountType === "percentage" && fields.discountValue > 100) {
+        errors.push("A percentage discount can't be more than 100");
+    }
+    for (const field of ["maxDiscount", "usageLimit", "perUserLimit"]) {
+        if (fields[field] != null && !isNonNegativeNumber(fields[field])) {
+            errors.push(`${field} must be a positive number or null`);
+        }
+    }
+    if (fields.minimumSpend != null && !isNonNegativeNumber(fields.minimumSpend)) {
+        errors.push("minimumSpend must be a positive number");
+    }
+    for (const field of ["applicableCategories", "applicableProducts"]) {
+        if (fields[field] != null && !Array.isArray(fields[field])) {
+            errors.push(`${field} must be an array`);
+        }
+    }
+    for (const field of ["validFrom", "validUntil"]) {
+        if (fields[field] != null && isNaN(new Date(fields[field]).getTime())) {
+            errors.push(`${field} must be a date`);
+        }
+    }
+    if (fields.validFrom && fields.validUntil && new Date(fields.validFrom) >= new Date(fields.validUntil)) {
+        errors.push("validFrom must be before validUntil");
+    }
+
+    return errors;
+}
+
+// Pick the coupon fields out of a request body
+function pickCouponFields(body) {
+    const fields = {};
+    for (const field of COUPON_FIELDS) {
+        if (body[field] !== undefined) {
+            fields[field] = body[field];
+        }
+    }
+    if (fields.code !== undefined) {
+        fields.code = normalizeCouponCode(fields.code);
+    }
+    return fields;
+}
+
+// Turn the category ids or slugs sent by the admin into category ids
+// (returns the entries that don't match a category in `unknown`)
+async function resolveCouponCategories(fields) {
+    if (!Array.isArray(fields.applicableCategories)) return [];
+
+    const ids = [];
+    const unknown = [];
+    for (const entry of fields.applicableCategories) {
+        const category = await findCategory(entry);
+        if (category) {
+            ids.push(String(category._id));
+        } else {
+            unknown.push(entry);
+        }
+    }
+    fields.applicableCategories = ids;
+    return unknown;
+}
+
+// Admin: all coupons (?active=true for the ones customers can use now)
+export async function getCoupons(req, res) {
+    try {
+        const query = {};
+        if (req.query.active === "true") {
+            const now = new Date();
+            query.isActive = true;
+            query.$and = [
+                { $or: [{ validFrom: null }, { validFrom: { $lte: now } }] },
+                { $or: [{ validUntil: null }, { validUntil: { $gte: now } }] }
+            ];
+        }
+
+        const coupons = await Coupon.find(query).sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            coupons: coupons
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+}
+
+// Admin: one coupon
+export async function getCoupon(req, res) {
+    try {
+        const coupon = await Coupon.findById(req.params.couponId);
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                message: "Coupon not found"
+            });
+        }
+
+        res.json({
+            success: true,
+            coupon: coupon
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+}
+
+// Admin: create a coupon
+export async function createCoupon(req, res) {
+    try {
+        const fields = pickCouponFields(req.body);
+        const errors = validateCouponFields(fields);
+        const unknownCategories = await resolveCouponCategories(fields);
+        if (unknownCategories.length > 0) {
+            errors.push(`Unknown categories: ${unknownCategories.join(", ")}`);
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid coupon",
+                errors: errors
+            });
+        }
+
+        const coupon = new Coupon({
+            ...fields,
+            createdBy: req.user.userId
+        });
+        await coupon.save();
+
+        res.status(201).json({
+            success: true,
+            message: "Coupon created",
+            coupon: coupon
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: "A coupon with this code already exists"
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+}
+
+// Admin: update a coupon (the usage counter can't be edited)
+export async function updateCoupon(req, res) {
+    try {
+        const coupon = await Coupon.findById(req.params.couponId);
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                message: "Coupon not found"
+            });
+        }
+
+        const fields = pickCouponFields(req.body);
+        const errors = validateCouponFields({ ...coupon.toObject(), ...fields });
+        const unknownCategories = await resolveCouponCategories(fields);
+        if (unknownCategories.length > 0) {
+            errors.push(`Unknown categories: ${unknownCategories.join(", ")}`);
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid coupon",
+                errors: errors
+            });
+        }
+
+        coupon.set({ ...fields, lastUpdated: new Date() });
+        await coupon.save();
+
+        res.json({
+            success: true,
+            message: "Coupon updated",
+            coupon: coupon
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: "A coupon with this code already exists"
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+}
+
+// Admin: delete a coupon that was never used (used coupons are kept for the reports)
+export async function deleteCoupon(req, res) {
+    try {
+        const redemptions = await CouponRedemption.countDocuments({ couponId: req.params.couponId });
+        if (redemptions > 0) {
+            return res.status(409).json({
+                success: false,
+                message: "This coupon has been used on orders. Deactivate it instead of deleting it."
+            });
+        }
+
+        const coupon = await Coupon.findByIdAndDelete(req.params.couponId);
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                message: "Coupon not found"
+            });
+        }
+
+        res.json({
+            success: true,
+            message: "Coupon deleted"
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+}
+
+// Build a redeemedAt filter from ?from=YYYY-MM-DD&to=YYYY-MM-DD
+function buildDateFilter(query) {
+    const filter = {};
+    if (query.from) {
+        filter.$gte = new Date(`${query.from}T00:00:00`);
+    }
+    if (query.to) {
+        filter.$lte = new Date(`${query.to}T23:59:59.999`);
+    }
+    return Object.keys(filter).length > 0 ? { redeemedAt: filter } : {};
+}
+
+// Admin: redemption summary per coupon (active redemptions only)
+export async function getCouponReport(req, res) {
+    try {
+        const report = await CouponRedemption.aggregate([
+            { $match: { status: "active", ...buildDateFilter(req.query) } },
+            {
+                $group: {
+                    _id: "$couponId",
+                    code: { $first: "$code" },
+                    redemptions: { $sum: 1 },
+                    totalDiscount: { $sum: "$discount" },
+                    totalItemsValue: { $sum: "$itemsTotal" },
+                    customers: { $addToSet: "$userId" },
+                    firstRedeemedAt: { $min: "$redeemedAt" },
+                    lastRedeemedAt: { $max: "$redeemedAt" }
+                }
+            },
+            {
+                $project: {
+                    _id: 0,
+                    couponId: "$_id",
+                    code: 1,
+                    redemptions: 1,
+                    totalDiscount: { $round: ["$totalDiscount", 2] },
+                    totalItemsValue: { $round: ["$totalItemsValue", 2] },
+                    uniqueCustomers: { $size: "$customers" },
+                    firstRedeemedAt: 1,
+                    lastRedeemedAt: 1
+                }
+            },
+            { $sort: { redemptions: -1 } }
+        ]);
+
+        res.json({
+            success: true,
+            report: report
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+}
+
+// Admin: every redemption of one coupon, newest first
+export async function getCouponRedemptions(req, res) {
+    try {
+        const { couponId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(couponId)) {
+            return res.status(404).json({
+                success: false,
+                message: "Coupon not found"
+            });
+        }
+
+        const query = { couponId, ...buildDateFilter(req.query) };
+        if (req.query.status) {
+            query.status = req.query.status;
+        }
+
+        const redemptions = await CouponRedemption.find(query).sort({ redeemedAt: -1 });
+
+        res.json({
+            success: true,
+            redemptions: redemptions
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+}
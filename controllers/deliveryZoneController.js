@@ -0,0 +1,274 @@
+import DeliveryZone from "../models/deliveryZone.js";
+import { normalizeTownKey, resolveDeliveryCharge } from "../utils/deliveryFees.js";
+
+// Turn the request's towns (strings or { name, isServiceable }) into town entries
+function buildTowns(towns) {
+    return towns.map((town) => {
+        const name = typeof town === "string" ? town.trim() : String(town.name || "").trim();
+        return {
+            name: name,
+            key: normalizeTownKey(name),
+            isServiceable: typeof town === "object" && town.isServiceable === false ? false : true
+        };
+    }).filter(town => town.key);
+}
+
+// Make sure no town belongs to two zones
+async function findTownConflicts(towns, excludeZoneId = null) {
+    const keys = towns.map(town => town.key);
+    const query = { "towns.key": { $in: keys } };
+    if (excludeZoneId) {
+        query._id = { $ne: excludeZoneId };
+    }
+
+    const zones = await DeliveryZone.find(query);
+    const conflicts = [];
+    for (const zone of zones) {
+        for (const town of zone.towns) {
+            if (keys.includes(town.key)) {
+                conflicts.push(`${town.name} (already in ${zone.name})`);
+            }
+        }
+    }
+    return conflicts;
+}
+
+// Public: towns we currently deliver to, with fee and lead time
+export async function getServiceableTowns(req, res) {
+    try {
+        const zones = await DeliveryZone.find({ isServiceable: true }).sort({ name: 1 });
+
+        const towns = [];
+        for (const zone of zones) {
+            for (const town of zone.towns) {
+                if (!town.isServiceable) continue;
+                towns.push({
+                    town: town.name,
+                    zone: zone.name,
+                    fee: zone.fee,
+                    minimumOrderValue: zone.minimumOrderValue,
+                    leadTimeDays: zone.leadTimeDays
+                });
+            }
+        }
+        towns.sort((a, b) => a.town.localeCompare(b.town));
+
+        res.json({
+            success: true,
+            towns: towns
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+}
+
+// Public: check delivery to one town for a given order value
+export async function checkTownDelivery(req, res) {
+    try {
+        const itemsTotal = Number(req.query.orderValue) || 0;
+        const delivery = await resolveDeliveryCharge("delivery", req.params.town, itemsTotal);
+
+        res.json({
+            success: true,
+            deliverable: true,
+            ...delivery
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.json({
+                success: true,
+                deliverable: false,
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+}
+
+// Admin: all zones, including unserviceable ones
+export async function getDeliveryZones(req, res) {
+    try {
+        const zones = await DeliveryZone.find().sort({ name: 1 });
+
+        res.json({
+            success: true,
+            zones: zones
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+}
+
+// Admin: create a zone
+export async function createDeliveryZone(req, res) {
+    try {
+        const { name, towns, fee, minimumOrderValue, leadTimeDays, isServiceable } = req.body;
+
+        if (!name || typeof fee !== "number" || !Array.isArray(towns) || towns.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Zone name, fee and at least one town are required"
+            });
+        }
+
+        const zoneTowns = buildTowns(towns);
+        const conflicts = await findTownConflicts(zoneTowns);
+        if (conflicts.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Some towns already belong to another zone",
+                conflicts: conflicts
+            });
+        }
+
+        const zone = new DeliveryZone({
+            name,
+            towns: zoneTowns,
+            fee,
+            minimumOrderValue,
+            leadTimeDays,
+            isServiceable
+        });
+        await zone.save();
+
+        res.status(201).json({
+            success: true,
+            message: "Delivery zone created",
+            zone: zone
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: "A delivery zone with this name already exists"
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+}
+
+// Admin: update a zone (fee, minimum order, lead time, towns, serviceability)
+export async function updateDeliveryZone(req, res) {
+    try {
+        const { zoneId } = req.params;
+        const allowedFields = ["name", "fee", "minimumOrderValue", "leadTimeDays", "isServiceable"];
+
+        const update = { lastUpdated: new Date() };
+        for (const field of allowedFields) {
+            if (req.body[field] !== undefined) {
+                update[field] = req.body[field];
+            }
+        }
+
+        if (req.body.towns !== undefined) {
+            if (!Array.isArray(req.body.towns) || req.body.towns.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: "towns must be a non-empty array"
+                });
+            }
+            update.towns = buildTowns(req.body.towns);
+
+            const conflicts = await findTownConflicts(update.towns, zoneId);
+            if (conflicts.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Some towns already belong to another zone",
+                    conflicts: conflicts
+                });
+            }
+        }
+
+        const zone = await DeliveryZone.findByIdAndUpdate(zoneId, update, { new: true, runValidators: true });
+        if (!zone) {
+            return res.status(404).json({
+                success: false,
+                message: "Delivery zone not found"
+            });
+        }
+
+        res.json({
+            success: true,
+            message: "Delivery zone updated",
+            zone: zone
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+}
+
+// Admin: mark a single town as serviceable or unserviceable
+export async function setTownServiceable(req, res) {
+    try {
+        const { isServiceable } = req.body;
+        if (typeof isServiceable !== "boolean") {
+            return res.status(400).json({
+                success: false,
+                message: "isServiceable must be true or false"
+            });
+        }
+
+        const key = normalizeTownKey(req.params.town);
+        const zone = await DeliveryZone.findOneAndUpdate(
+            { "towns.key": key },
+            { $set: { "towns.$.isServiceable": isServiceable, lastUpdated: new Date() } },
+            { new: true }
+        );
+
+        if (!zone) {
+            return res.status(404).json({
+                success: false,
+                message: "Town not found in any delivery zone"
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `${req.params.town} marked as ${isServiceable ? "serviceable" : "unserviceable"}`,
+            zone: zone
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+}
+
+// Admin: delete a zone (its towns become undeliverable)
+export async function deleteDeliveryZone(req, res) {
+    try {
+        const zone = await DeliveryZone.findByIdAndDelete(req.params.zoneId);
+        if (!zone) {
+            return res.status(404).json({
+                success: false,
+                message: "Delivery zone not found"
+            });
+        }
+
+        res.json({
+            success: true,
+            message: "Delivery zone deleted"
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+}
@@ -0,0 +1,147 @@
+// controllers/identityController.js
+import User from "../models/user.js";
+import { getIdentities, linkIdentity, unlinkIdentity, IDENTITY_PROVIDERS } from "../utils/userIdentities.js";
+import { verifySocialCredential } from "../utils/socialAuth.js";
+import { consumeVerification } from "../utils/phoneVerification.js";
+
+function sendIdentityError(res, error, fallbackMessage) {
+    if (error.status) {
+        return res.status(error.status).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({
+        success: false,
+        message: fallbackMessage,
+        error: error.message
+    });
+}
+
+// What the customer sees of an identity (no provider IDs)
+function formatIdentities(user) {
+    return getIdentities(user).map(identity => ({
+        provider: identity.provider,
+        email: identity.email || null,
+        linkedAt: identity.linkedAt || null
+    }));
+}
+
+// List the ways the logged in customer can sign in
+export async function getIdentitiesOfUser(req, res) {
+    try {
+        const user = await User.findOne({ userId: req.user.userId });
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: "User not found"
+            });
+        }
+
+        res.json({
+            success: true,
+            identities: formatIdentities(user)
+        });
+    } catch (error) {
+        sendIdentityError(res, error, "Failed to get login methods");
+    }
+}
+
+// Connect another login to the logged in customer's account.
+// The access token proves the account; the body proves the new login:
+//   { providerName: "google" | "facebook", credential }
+//   { providerName: "phone", phoneVerificationToken } (the account's own number)
+export async function linkIdentityToUser(req, res) {
+    try {
+        const { providerName, credential, phoneVerificationToken } = req.body;
+
+        if (!IDENTITY_PROVIDERS.includes(providerName)) {
+            return res.status(400).json({
+                success: false,
+                message: `providerName must be one of: ${IDENTITY_PROVIDERS.join(", ")}`
+            });
+        }
+
+        const user = await User.findOne({ userId: req.user.userId });
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: "User not found"
+            });
+        }
+
+        let identity;
+        if (providerName === "phone") {
+            const verified = await consumeVerification(user.phonenumber, phoneVerificationToken);
+            if (!verified) {
+                return res.status(403).json({
+                    success: false,
+                    message: "Please verify your phone number with the code we send by SMS",
+                    phoneVerificationRequired: true
+                });
+            }
+            identity = { provider: "phone", providerId: user.phonenumber };
+        } else {
+            if (!credential) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Credential is required"
+                });
+            }
+            const claims = await verifySocialCredential(providerName, credential);
+            identity = { provider: providerName, providerId: claims.providerId, email: claims.email, emailVerified: claims.emailVerified };
+        }
+
+        let updatedUser = await linkIdentity(user, identity);
+
+        // The provider confirmed the account's own email address
+        if (identity.emailVerified && user.email && identity.email === user.email && !user.emailVerified) {
+            await User.updateOne({ userId: user.userId, email: user.email }, { $set: { emailVerified: true } });
+            updatedUser = await User.findOne({ userId: user.userId });
+        }
+        console.log(`[SECURITY] User ${user.userId} linked a ${providerName} login`);
+
+        res.status(201).json({
+            success: true,
+            message: "Login connected to your account",
+            identities: formatIdentities(updatedUser)
+        });
+    } catch (error) {
+        sendIdentityError(res, error, "Failed to connect login");
+    }
+}
+
+// Remove a login from the logged in customer's account (not the last one)
+export async function unlinkIdentityFromUser(req, res) {
+    try {
+        const { providerName } = req.params;
+
+        if (!IDENTITY_PROVIDERS.includes(providerName)) {
+            return res.status(400).json({
+                success: false,
+                message: `providerName must be one of: ${IDENTITY_PROVIDERS.join(", ")}`
+            });
+        }
+
+        const user = await User.findOne({ userId: req.user.userId });
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: "User not found"
+            });
+        }
+
+        const updatedUser = await unlinkIdentity(user, providerName);
+        console.log(`[SECURITY] User ${user.userId} removed their ${providerName} login`);
+
+        res.json({
+            success: true,
+            message: "Login removed from your account",
+            identities: formatIdentities(updatedUser)
+        });
+    } catch (error) {
+        sendIdentityError(res, error, "Failed to remove login");
+    }
+}
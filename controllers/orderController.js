@@ -1,7 +1,21 @@
 import Order from "../models/order.js";
 import Product from "../models/product.js";
 import User from "../models/user.js";
+import ShopSettings from "../models/shopSettings.js";
 import { sendOrderStatusEmail } from "../utils/emailService.js";
+import { priceOrderItems } from "../utils/pricingEngine.js";
+import { resolveDeliveryCharge } from "../utils/deliveryFees.js";
+import { getSlotCalendar, bookSlot, releaseSlot } from "../utils/slotScheduler.js";
+import { assignInvoiceNumber, getShopDetails, generateInvoicePdf } from "../utils/invoiceGenerator.js";
+import { reserveStock, releaseStock, getHeldItems, runInTransaction } from "../utils/stockManager.js";
+import { validateCoupon, redeemCoupon, releaseCoupon } from "../utils/couponEngine.js";
+import { notifyLowStock } from "../utils/inventoryAlerts.js";
+import {
+  ORDER_STATUSES,
+  CUSTOMER_CANCELLABLE_STATUSES,
+  assertTransition,
+  buildStatusHistoryEntry
+} from "../utils/orderStateMachine.js";
 
 // Helper function to generate unique order ID
 async function generateUniqueOrderId() {
@@ -10,176 +24,229 @@ async function generateUniqueOrderId() {
   return `ORD-${timestamp}-${random}`;
 }
 
-// Updated createOrder function that works with authenticated users
-export function createOrder(req, res) {
-  // Check if user is authenticated (middleware should set req.user)
-  if (!req.user || !req.user.userId) {
-    return res.status(401).json({
-      success: false,
-      message: "User authentication required"
-    });
-  }
-
-  const orderData = req.body;
-  console.log("Received order data:", JSON.stringify(orderData, null, 2));
+// Build an error carrying an HTTP status for the order handlers to return
+function orderError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
 
-  // Validate required fields
+// Validate, price and save a new order for a customer.
+// Used by createOrder and by the cart checkout; errors carry an HTTP status.
+export async function placeOrder(actor, orderData) {
+  // Validate required fields (preferredDay/preferredTime are filled in from the slot when one is booked)
+  const hasSlot = orderData.slotDate && orderData.slotWindow;
   if (!orderData.phone || !orderData.name || !orderData.address ||
     !orderData.deliveryOption || !orderData.whatsappNumber ||
-    !orderData.preferredTime || !orderData.preferredDay) {
-    return res.status(400).json({
-      success: false,
-      message: "Missing required order information"
-    });
+    (!hasSlot && (!orderData.preferredTime || !orderData.preferredDay))) {
+    throw orderError("Missing required order information");
   }
 
   // Validate orderedItems specifically
   if (!orderData.orderedItems || !Array.isArray(orderData.orderedItems) || orderData.orderedItems.length === 0) {
-    return res.status(400).json({
-      success: false,
-      message: "orderedItems is required and must be a non-empty array"
-    });
+    throw orderError("orderedItems is required and must be a non-empty array");
   }
 
-  // Validate each ordered item
+  // Validate each ordered item (prices are computed server-side, not taken from the client)
   for (let i = 0; i < orderData.orderedItems.length; i++) {
     const item = orderData.orderedItems[i];
 
-    if (!item.name) {
-      return res.status(400).json({
-        success: false,
-        message: `orderedItems[${i}].name is required`
-      });
+    if (!item.quantity || typeof item.quantity !== 'number') {
+      throw orderError(`orderedItems[${i}].quantity is required and must be a number`);
     }
 
-    if (!item.price || typeof item.price !== 'number') {
-      return res.status(400).json({
-        success: false,
-        message: `orderedItems[${i}].price is required and must be a number`
-      });
+    if (!item.productId) {
+      throw orderError(`orderedItems[${i}].productId is required`);
     }
+  }
 
-    if (!item.quantity || typeof item.quantity !== 'number') {
-      return res.status(400).json({
-        success: false,
-        message: `orderedItems[${i}].quantity is required and must be a number`
-      });
+  // Generate unique order ID
+  const orderId = await generateUniqueOrderId();
+  console.log("Generated orderId:", orderId);
+
+  // Get user information
+  const user = await User.findOne({ userId: actor.userId });
+  if (!user) {
+    throw orderError("User not found", 404);
+  }
+
+  const { phone, deliveryOption, whatsappNumber, preferredTime, preferredDay, nearestTownOrCity } = orderData;
+
+  // Price every line on the server (bulk offers included)
+  const pricing = await priceOrderItems(orderData.orderedItems);
+  const orderedItems = pricing.items.map(item => ({
+    name: item.name,
+    price: item.price,
+    quantity: item.quantity,
+    unitPrice: item.unitPrice,
+    discount: item.discount,
+    lineTotal: item.lineTotal,
+    image: item.image,
+    productId: item.productId,
+    variantSku: item.variantSku,
+    variantLabel: item.variantLabel
+  }));
+
+  // Coupon is applied after bulk offers and only to the items
+  const couponResult = orderData.couponCode
+    ? await validateCoupon(orderData.couponCode, pricing, user.userId)
+    : null;
+  const couponDiscount = couponResult ? couponResult.discount : 0;
+  const itemsTotal = Math.round((pricing.total - couponDiscount) * 100) / 100;
+
+  // Delivery fee for the customer's town (rejects towns we don't deliver to)
+  const delivery = await resolveDeliveryCharge(deliveryOption, nearestTownOrCity, itemsTotal);
+
+  // Once the shop has a slot calendar, every order must book a slot
+  const slotCalendar = await getSlotCalendar();
+  if (slotCalendar && !hasSlot) {
+    throw orderError("Please choose a pickup/delivery slot (slotDate and slotWindow)");
+  }
+
+  // Create new order with pending status
+  const newOrder = new Order({
+    orderId: orderId,
+    userId: user.userId,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    phonenumber: user.phonenumber,
+    phone: phone,
+    name: orderData.name,
+    address: orderData.address,
+    deliveryOption: deliveryOption,
+    whatsappNumber: whatsappNumber,
+    preferredTime: preferredTime,
+    preferredDay: preferredDay,
+    nearestTownOrCity: nearestTownOrCity,
+    notes: orderData.notes || "",
+    orderedItems: orderedItems,
+    subtotal: pricing.subtotal,
+    discountTotal: pricing.discount,
+    coupon: couponResult ? {
+      couponId: couponResult.coupon._id,
+      code: couponResult.coupon.code,
+      discountType: couponResult.coupon.discountType,
+      discountValue: couponResult.coupon.discountValue
+    } : undefined,
+    couponDiscount: couponDiscount,
+    deliveryFee: delivery.deliveryFee,
+    deliveryZone: delivery.deliveryZone,
+    total: Math.round((itemsTotal + delivery.deliveryFee) * 100) / 100,
+    status: "pending",
+    statusHistory: [buildStatusHistoryEntry(null, "pending", actor, "Order placed")]
+  });
+
+  // Reserve stock, redeem the coupon, book the slot and save the order in one
+  // transaction, so a shortage or a full slot rolls back everything already taken
+  const saveOrderWithStock = () => runInTransaction(async (session) => {
+    await reserveStock(orderedItems, session, { orderId: newOrder.orderId, actor });
+    if (couponResult) {
+      await redeemCoupon(couponResult.coupon, {
+        userId: user.userId,
+        orderId: newOrder.orderId,
+        itemsTotal: pricing.total,
+        discount: couponDiscount
+      }, session);
     }
+    if (slotCalendar) {
+      const slot = await bookSlot(slotCalendar, {
+        date: orderData.slotDate,
+        windowId: orderData.slotWindow,
+        leadTimeDays: delivery.leadTimeDays
+      }, session);
+      newOrder.set(slot);
+    }
+    await newOrder.save({ session });
+  });
 
-    if (!item.productId) {
-      return res.status(400).json({
-        success: false,
-        message: `orderedItems[${i}].productId is required`
-      });
+  // Try to save the order
+  try {
+    await saveOrderWithStock();
+  } catch (saveError) {
+    // If duplicate orderId, try one more time with a new ID
+    if (saveError.code === 11000 && saveError.keyPattern && saveError.keyPattern.orderId) {
+      console.log("Duplicate orderId detected, generating new ID...");
+      newOrder.orderId = await generateUniqueOrderId();
+      await saveOrderWithStock();
+    } else {
+      throw saveError;
     }
   }
 
-  // Async function to create and save the order
-  const createAndSaveOrder = async () => {
-    try {
-      // Generate unique order ID
-      const orderId = await generateUniqueOrderId();
-      console.log("Generated orderId:", orderId);
-
-      // Get user information
-      const user = await User.findOne({ userId: req.user.userId });
-      if (!user) {
-        return res.status(404).json({
-          success: false,
-          message: "User not found"
-        });
-      }
+  // Tell the admin about items this order took below their low-stock level
+  notifyLowStock(orderedItems, newOrder.orderId);
 
-      const { phone, deliveryOption, whatsappNumber, preferredTime, preferredDay, nearestTownOrCity } = orderData;
+  // Send email notification if user has email
+  if (user.email) {
+    console.log(`Sending order confirmation email to: ${user.email}`);
+    sendOrderStatusEmail(user.email, newOrder, "pending").catch(err => {
+      console.error('Failed to send email notification:', err);
+    });
+  }
 
-      // Create new order with pending status
-      const newOrder = new Order({
-        orderId: orderId,
-        userId: user.userId,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        phonenumber: user.phonenumber,
-        phone: phone,
-        name: orderData.name,
-        address: orderData.address,
-        deliveryOption: deliveryOption,
-        whatsappNumber: whatsappNumber,
-        preferredTime: preferredTime,
-        preferredDay: orderData.preferredDay,
-        nearestTownOrCity: orderData.nearestTownOrCity,
-        notes: orderData.notes || "",
-        orderedItems: orderData.orderedItems,
-        status: "pending"
-      });
+  return newOrder;
+}
 
-      // Try to save the order
-      try {
-        await newOrder.save();
-      } catch (saveError) {
-        // If duplicate orderId, try one more time with a new ID
-        if (saveError.code === 11000 && saveError.keyPattern && saveError.keyPattern.orderId) {
-          console.log("Duplicate orderId detected, generating new ID...");
-          newOrder.orderId = await generateUniqueOrderId();
-          await newOrder.save();
-        } else {
-          throw saveError;
-        }
-      }
+// Send the error of a failed placeOrder call
+export function sendPlaceOrderError(res, error) {
+  console.error("Error creating order:", error);
 
-      // Update product quantities and total ordered
-      for (const item of orderData.orderedItems) {
-        await Product.findOneAndUpdate(
-          { productId: item.productId },
-          {
-            $inc: {
-              quantity: -item.quantity,
-              totalOrdered: item.quantity
-            }
-          }
-        );
-      }
+  // Validation, pricing and stock errors carry their own status (and shortage report)
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      ...(error.shortages && { shortages: error.shortages })
+    });
+  }
 
-      // Send email notification if user has email
-      if (user.email) {
-        console.log(`Sending order confirmation email to: ${user.email}`);
-        sendOrderStatusEmail(user.email, newOrder, "pending").catch(err => {
-          console.error('Failed to send email notification:', err);
-        });
-      }
+  // Handle specific error types
+  if (error.code === 11000) {
+    return res.status(500).json({
+      success: false,
+      message: "Duplicate order error. Please try again.",
+      error: error.message
+    });
+  }
 
-      res.status(201).json({
-        success: true,
-        message: "Order created successfully",
-        orderId: newOrder.orderId,
-        order: newOrder
-      });
+  res.status(500).json({
+    success: false,
+    message: "Failed to create order",
+    error: error.message
+  });
+}
 
-    } catch (error) {
-      console.error("Error creating order:", error);
+// Updated createOrder function that works with authenticated users
+export async function createOrder(req, res) {
+  // Check if user is authenticated (middleware should set req.user)
+  if (!req.user || !req.user.userId) {
+    return res.status(401).json({
+      success: false,
+      message: "User authentication required"
+    });
+  }
 
-      // Handle specific error types
-      if (error.code === 11000) {
-        return res.status(500).json({
-          success: false,
-          message: "Duplicate order error. Please try again.",
-          error: error.message
-        });
-      }
+  const orderData = req.body;
+  console.log("Received order data:", JSON.stringify(orderData, null, 2));
 
-      res.status(500).json({
-        success: false,
-        message: "Failed to create order",
-        error: error.message
-      });
-    }
-  };
+  try {
+    const newOrder = await placeOrder(req.user, orderData);
 
-  // Call the async function
-  createAndSaveOrder();
+    res.status(201).json({
+      success: true,
+      message: "Order created successfully",
+      orderId: newOrder.orderId,
+      order: newOrder
+    });
+  } catch (error) {
+    sendPlaceOrderError(res, error);
+  }
 }
 
 export function getOrders(req, res) {
+  // Deposit slip images are fetched one by one (getPaymentProofImage)
   Order.find()
+    .select("-paymentProofs.imageKey -paymentProofs.imageMimeType")
     .sort({ date: -1 })
     .then((orders) => {
       res.json({
@@ -255,7 +322,7 @@ export async function getOrderById(req, res) {
   }
 }
 
-export function getQuote(req, res) {
+export async function getQuote(req, res) {
   try {
     const newOrderData = req.body;
     console.log("Quote request:", newOrderData);
@@ -266,62 +333,102 @@ export function getQuote(req, res) {
       });
     }
 
-    const calculateQuote = async () => {
-      let total = 0;
-      let labelTotal = 0;
-      const newProductArray = [];
+    const pricing = await priceOrderItems(newOrderData.orderedItems);
 
-      for (let i = 0; i < newOrderData.orderedItems.length; i++) {
-        const product = await Product.findOne({
-          productId: newOrderData.orderedItems[i].productId,
-        });
-        if (product == null) {
-          res.json({
-            message:
-              "Product with id " +
-              newOrderData.orderedItems[i].productId +
-              " not found",
-          });
-          return;
-        }
-        total += product.lastPrice * newOrderData.orderedItems[i].qty;
-        labelTotal += product.price * newOrderData.orderedItems[i].qty;
-        newProductArray[i] = {
-          name: product.productName,
-          price: product.lastPrice,
-          labelPrice: product.price,
-          discount: product.price - product.lastPrice,
-          quantity: newOrderData.orderedItems[i].qty,
-          image: product.images[0],
-        };
-      }
+    // Logged-in customers also get their per-customer coupon limit checked
+    const couponResult = newOrderData.couponCode
+      ? await validateCoupon(newOrderData.couponCode, pricing, req.user && req.user.userId)
+      : null;
+    const couponDiscount = couponResult ? couponResult.discount : 0;
+    const itemsTotal = Math.round((pricing.total - couponDiscount) * 100) / 100;
 
-      console.log(newProductArray);
-      res.json({
-        orderedItems: newProductArray,
-        total: total,
-        labelTotal: labelTotal,
-      });
-    };
+    const delivery = await resolveDeliveryCharge(
+      newOrderData.deliveryOption,
+      newOrderData.nearestTownOrCity,
+      itemsTotal
+    );
 
-    calculateQuote();
+    res.json({
+      orderedItems: pricing.items,
+      subtotal: pricing.subtotal,
+      discount: pricing.discount,
+      coupon: couponResult ? {
+        code: couponResult.coupon.code,
+        description: couponResult.coupon.description,
+        discount: couponDiscount
+      } : null,
+      couponDiscount: couponDiscount,
+      deliveryFee: delivery.deliveryFee,
+      deliveryZone: delivery.deliveryZone,
+      leadTimeDays: delivery.leadTimeDays,
+      total: Math.round((itemsTotal + delivery.deliveryFee) * 100) / 100,
+      labelTotal: pricing.subtotal,
+    });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.status || 500).json({
       message: error.message,
     });
   }
 }
 
+// Move an order to a new status, enforcing the state machine.
+// Cancelling puts the stock, the slot and the coupon use back in the same transaction as the update,
+// and every change is appended to the order's statusHistory.
+// conditions are further fields the order must still have for the change to apply.
+async function changeOrderStatus(currentOrder, status, actor, note, extraFields = {}, conditions = {}) {
+  const previousStatus = currentOrder.status;
+  assertTransition(previousStatus, status);
+
+  const updatedOrder = await runInTransaction(async (session) => {
+    // Only update if nobody changed the status in the meantime
+    const order = await Order.findOneAndUpdate(
+      { ...conditions, _id: currentOrder._id, status: previousStatus },
+      {
+        $set: { ...extraFields, status: status },
+        $push: { statusHistory: buildStatusHistoryEntry(previousStatus, status, actor, note) }
+      },
+      { new: true, session }
+    );
+    if (!order) {
+      const error = new Error("Order status was changed by another request. Please refresh and try again.");
+      error.status = 409;
+      throw error;
+    }
+
+    // Read from the updated order, so units a refund already restocked are not released twice
+    if (status === "cancelled") {
+      await releaseStock(getHeldItems(order), session, { orderId: order.orderId, actor, note: "Order cancelled" });
+      await releaseSlot(order, session);
+      await releaseCoupon(order, session);
+    }
+    return order;
+  });
+
+  // When order is marked as delivered, decrease totalOrdered
+  // (units restocked by a refund before delivery were already taken off)
+  if (status === "delivered") {
+    for (let item of getHeldItems(updatedOrder)) {
+      if (item.productId) {
+        await Product.updateOne(
+          { productId: item.productId },
+          { $inc: { totalOrdered: -item.quantity } }
+        );
+      }
+    }
+  }
+
+  return updatedOrder;
+}
+
 export async function updateOrderStatus(req, res) {
   try {
     const { orderId } = req.params;
-    const { status } = req.body;
+    const { status, note } = req.body;
 
     // Validate status
-    const validStatuses = ["pending", "accepted", "preparing", "shipped", "delivered", "cancelled"];
-    if (!validStatuses.includes(status)) {
+    if (!ORDER_STATUSES.includes(status)) {
       return res.status(400).json({
-        message: "Invalid status. Must be one of: " + validStatuses.join(", ")
+        message: "Invalid status. Must be one of: " + ORDER_STATUSES.join(", ")
       });
     }
 
@@ -333,37 +440,7 @@ export async function updateOrderStatus(req, res) {
       });
     }
 
-    const previousStatus = currentOrder.status;
-
-    // Update the order status
-    const updatedOrder = await Order.findByIdAndUpdate(
-      orderId,
-      { status: status },
-      { new: true }
-    );
-
-    // Handle totalOrdered updates based on status changes
-    if (status === "delivered" && previousStatus !== "delivered") {
-      // When order is marked as delivered, decrease totalOrdered
-      for (let item of currentOrder.orderedItems) {
-        if (item.productId) {
-          await Product.updateOne(
-            { productId: item.productId },
-            { $inc: { totalOrdered: -item.quantity } }
-          );
-        }
-      }
-    } else if (previousStatus === "delivered" && status !== "delivered") {
-      // If order was previously delivered but now changed to another status, increase totalOrdered
-      for (let item of currentOrder.orderedItems) {
-        if (item.productId) {
-          await Product.updateOne(
-            { productId: item.productId },
-            { $inc: { totalOrdered: item.quantity } }
-          );
-        }
-      }
-    }
+    const updatedOrder = await changeOrderStatus(currentOrder, status, req.user, note);
 
     // Send email notification if user has email
     const user = await User.findOne({ userId: currentOrder.userId });
@@ -377,8 +454,153 @@ export async function updateOrderStatus(req, res) {
     res.json({
       success: true,
       message: "Order status updated successfully",
+      order: updatedOrder,
+      allowedStatuses: updatedOrder.allowedNextStatuses
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message,
+      ...(error.allowedStatuses && { allowedStatuses: error.allowedStatuses })
+    });
+  }
+}
+
+// Customer cancels their own order while it is still pending or accepted and unpaid
+export async function cancelMyOrder(req, res) {
+  try {
+    if (!req.user || !req.user.userId) {
+      return res.status(401).json({
+        success: false,
+        message: "User authentication required"
+      });
+    }
+
+    const { orderId } = req.params;
+    const reason = typeof req.body.reason === "string" ? req.body.reason.trim() : "";
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: "A reason for cancelling is required"
+      });
+    }
+
+    const currentOrder = await Order.findOne({
+      _id: orderId,
+      userId: req.user.userId
+    });
+
+    if (!currentOrder) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found"
+      });
+    }
+
+    if (!CUSTOMER_CANCELLABLE_STATUSES.includes(currentOrder.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Order is already ${currentOrder.status} and can no longer be cancelled. Please contact the shop.`
+      });
+    }
+
+    // A paid order needs its money back, which only the shop can arrange
+    if (currentOrder.paymentStatus !== "unpaid") {
+      return res.status(400).json({
+        success: false,
+        message: "This order has already been paid. Please contact the shop to cancel it and get a refund."
+      });
+    }
+
+    // Refuse once the admin-configured cancellation window has passed
+    const settings = await ShopSettings.findOne();
+    const windowMinutes = settings ? settings.customerCancellationWindowMinutes : null;
+    if (windowMinutes != null) {
+      const cutoff = new Date(currentOrder.date).getTime() + windowMinutes * 60 * 1000;
+      if (Date.now() > cutoff) {
+        return res.status(400).json({
+          success: false,
+          message: `Orders can only be cancelled within ${windowMinutes} minutes of ordering. Please contact the shop.`
+        });
+      }
+    }
+
+    const updatedOrder = await changeOrderStatus(
+      currentOrder,
+      "cancelled",
+      req.user,
+      reason,
+      { cancellationReason: reason },
+      // A payment confirmed meanwhile stops the cancellation
+      { paymentStatus: "unpaid" }
+    );
+
+    // Send cancellation email if user has email
+    const user = await User.findOne({ userId: req.user.userId });
+    if (user && user.email) {
+      console.log(`Sending cancellation email to: ${user.email}`);
+      sendOrderStatusEmail(user.email, updatedOrder, "cancelled").catch(err => {
+        console.error('Failed to send email notification:', err);
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Order cancelled successfully",
       order: updatedOrder
     });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+// Get order related shop settings (admin)
+export async function getOrderSettings(req, res) {
+  try {
+    const settings = await ShopSettings.findOne();
+
+    res.json({
+      success: true,
+      settings: {
+        customerCancellationWindowMinutes: settings ? settings.customerCancellationWindowMinutes : null
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+// Update order related shop settings (admin)
+export async function updateOrderSettings(req, res) {
+  try {
+    const { customerCancellationWindowMinutes } = req.body;
+
+    if (customerCancellationWindowMinutes !== null &&
+      (typeof customerCancellationWindowMinutes !== 'number' || customerCancellationWindowMinutes < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "customerCancellationWindowMinutes must be a non-negative number, or null for no cutoff"
+      });
+    }
+
+    const settings = await ShopSettings.findOneAndUpdate(
+      {},
+      { customerCancellationWindowMinutes, lastUpdated: new Date() },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      message: "Order settings updated successfully",
+      settings: settings
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -405,16 +627,13 @@ export async function acceptOrder(req, res) {
     if (currentOrder.status !== "pending") {
       return res.status(400).json({
         success: false,
-        message: `Order is already ${currentOrder.status}. Can only accept pending orders.`
+        message: `Order is already ${currentOrder.status}. Can only accept pending orders.`,
+        allowedStatuses: currentOrder.allowedNextStatuses
       });
     }
 
     // Update the order status to accepted
-    const updatedOrder = await Order.findByIdAndUpdate(
-      orderId,
-      { status: "accepted" },
-      { new: true }
-    );
+    const updatedOrder = await changeOrderStatus(currentOrder, "accepted", req.user, req.body?.note);
 
     // Send email notification if user has email
     const user = await User.findOne({ userId: currentOrder.userId });
@@ -428,10 +647,11 @@ export async function acceptOrder(req, res) {
     res.json({
       success: true,
       message: "Order accepted successfully",
-      order: updatedOrder
+      order: updatedOrder,
+      allowedStatuses: updatedOrder.allowedNextStatuses
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: error.message
     });
@@ -450,19 +670,27 @@ export async function deleteOrder(req, res) {
       });
     }
 
-    // If order was not delivered, decrease totalOrdered for each product
-    if (orderToDelete.status !== "delivered") {
-      for (let item of orderToDelete.orderedItems) {
-        if (item.productId) {
-          await Product.updateOne(
-            { productId: item.productId },
-            { $inc: { totalOrdered: -item.quantity } }
-          );
-        }
+    // If the order still holds stock and a slot (not delivered, not already cancelled),
+    // put them back and decrease totalOrdered in the same transaction as the delete
+    const holdsStock = orderToDelete.status !== "delivered" && orderToDelete.status !== "cancelled";
+
+    const deletedOrder = await runInTransaction(async (session) => {
+      const order = await Order.findOneAndDelete(
+        { _id: orderId, status: orderToDelete.status },
+        { session }
+      );
+      if (!order) {
+        const error = new Error("Order status was changed by another request. Please refresh and try again.");
+        error.status = 409;
+        throw error;
       }
-    }
-
-    const deletedOrder = await Order.findByIdAndDelete(orderId);
+      if (holdsStock) {
+        await releaseStock(getHeldItems(order), session, { orderId: order.orderId, actor: req.user, note: "Order deleted" });
+        await releaseSlot(order, session);
+        await releaseCoupon(order, session);
+      }
+      return order;
+    });
 
     res.json({
       success: true,
@@ -470,7 +698,7 @@ export async function deleteOrder(req, res) {
       deletedOrder: deletedOrder
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: error.message
     });
@@ -538,8 +766,10 @@ export async function getOrderForPayment(req, res) {
   try {
     const { orderId } = req.params;
 
-    // Find order by orderId (not MongoDB _id)
-    const order = await Order.findOne({ orderId: orderId });
+    // Find order by orderId (not MongoDB _id). Deposit slips are never
+    // sent on this public route (the legacy base64 image is select: false)
+    const order = await Order.findOne({ orderId: orderId })
+      .select("-paymentProofs.imageKey -paymentProofs.imageMimeType");
 
     if (!order) {
       return res.status(404).json({
@@ -567,4 +797,51 @@ export async function getOrderForPayment(req, res) {
       message: error.message
     });
   }
+}
+
+// Download the PDF invoice for an order (customers: own orders only, admins: any order)
+export async function getOrderInvoice(req, res) {
+  try {
+    if (!req.user || !req.user.userId) {
+      return res.status(401).json({
+        success: false,
+        message: "User authentication required"
+      });
+    }
+
+    const { orderId } = req.params;
+    const query = req.user.type === "admin"
+      ? { _id: orderId }
+      : { _id: orderId, userId: req.user.userId };
+
+    const order = await Order.findOne(query);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found"
+      });
+    }
+
+    // Prices are only final once the shop has accepted the order
+    if (order.status === "pending" || order.status === "cancelled") {
+      return res.status(400).json({
+        success: false,
+        message: `No invoice is available for a ${order.status} order`
+      });
+    }
+
+    const invoicedOrder = await assignInvoiceNumber(order);
+    const pdf = await generateInvoicePdf(invoicedOrder, await getShopDetails());
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${invoicedOrder.invoiceNumber}.pdf"`);
+    res.setHeader("Content-Length", pdf.length);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Error generating invoice:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
 }
\ No newline at end of file
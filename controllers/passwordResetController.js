@@ -0,0 +1,251 @@
+// controllers/passwordResetController.js
+import crypto from "crypto";
+import bcrypt from "bcrypt";
+import User from "../models/user.js";
+import PasswordReset from "../models/passwordReset.js";
+import { validatePassword } from "../utils/passwordValidator.js";
+import { sendPasswordResetEmail } from "../utils/emailService.js";
+import { sendSms, isSmsConfigured } from "../utils/smsService.js";
+import { revokeUserSessions } from "../utils/sessionRevocation.js";
+
+const EMAIL_TOKEN_MINUTES = 30;
+const SMS_CODE_MINUTES = 10;
+// Reset requests per account per hour, and wrong SMS codes per request
+const MAX_REQUESTS_PER_HOUR = 3;
+const MAX_CODE_ATTEMPTS = 5;
+
+const RESET_CHANNELS = ["email", "sms"];
+
+// The same answer whether or not an account matched, so the endpoint
+// can't be used to find out who has an account
+const GENERIC_RESPONSE = "If an account matches, we have sent password reset instructions.";
+
+// Keyed hash of a link token or SMS code (only the hash is stored)
+function hashResetSecret(channel, value) {
+    return crypto
+        .createHmac("sha256", process.env.SECRET)
+        .update(`${channel}:${value}`)
+        .digest("hex");
+}
+
+function hashesMatch(expected, received) {
+    return expected.length === received.length &&
+        crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+}
+
+// Stop every reset of the user that is still open
+function expireOpenResets(userId) {
+    return PasswordReset.updateMany(
+        { userId, usedAt: null, expiresAt: { $gt: new Date() } },
+        { $set: { expiresAt: new Date() } }
+    );
+}
+
+// Request a password reset.
+// Body: { email } for a link by email, or { phonenumber } for a code by SMS
+// (add channel: "email" to get the link for the email on that phone's account)
+export async function requestPasswordReset(req, res) {
+    try {
+        const email = typeof req.body.email === "string" ? req.body.email.trim() : "";
+        const phonenumber = typeof req.body.phonenumber === "string" ? req.body.phonenumber.trim() : "";
+        const channel = req.body.channel || (email ? "email" : "sms");
+
+        if (!email && !phonenumber) {
+            return res.status(400).json({
+                success: false,
+                message: "Email or phone number is required"
+            });
+        }
+        if (!RESET_CHANNELS.includes(channel)) {
+            return res.status(400).json({
+                success: false,
+                message: `channel must be one of: ${RESET_CHANNELS.join(", ")}`
+            });
+        }
+        if (channel === "sms" && !phonenumber) {
+            return res.status(400).json({
+                success: false,
+                message: "Phone number is required for a reset code by SMS"
+            });
+        }
+        if (channel === "sms" && !isSmsConfigured()) {
+            return res.status(503).json({
+                success: false,
+                message: "Password reset by SMS is not available right now. Please use your email."
+            });
+        }
+
+        // Only accounts that log in with a password can reset it
+        const user = await User.findOne({
+            ...(email ? { email } : { phonenumber }),
+            providerName: { $in: ["local", null] }
+        });
+        const expiresInMinutes = channel === "sms" ? SMS_CODE_MINUTES : EMAIL_TOKEN_MINUTES;
+        const genericResponse = {
+            success: true,
+            message: GENERIC_RESPONSE,
+            channel: channel,
+            expiresInMinutes: expiresInMinutes
+        };
+
+        if (!user || (channel === "email" && !user.email)) {
+            return res.json(genericResponse);
+        }
+
+        const recentRequests = await PasswordReset.countDocuments({
+            userId: user.userId,
+            createdAt: { $gt: new Date(Date.now() - 60 * 60 * 1000) }
+        });
+        if (recentRequests >= MAX_REQUESTS_PER_HOUR) {
+            console.warn(`[SECURITY] Password reset limit reached for user ${user.userId}`);
+            return res.json(genericResponse);
+        }
+
+        // A new request replaces any reset the user has not finished
+        await expireOpenResets(user.userId);
+
+        const secret = channel === "sms"
+            ? String(crypto.randomInt(0, 1000000)).padStart(6, "0")
+            : crypto.randomBytes(32).toString("hex");
+
+        await new PasswordReset({
+            userId: user.userId,
+            channel: channel,
+            tokenHash: hashResetSecret(channel, secret),
+            expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000),
+            requestIp: req.ip
+        }).save();
+
+        if (channel === "sms") {
+            await sendSms(
+                user.phonenumber,
+                `Your Udari Online Shop password reset code is ${secret}. It expires in ${SMS_CODE_MINUTES} minutes. Do not share it with anyone.`
+            );
+        } else {
+            const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+            const resetLink = `${frontendUrl}/reset-password?token=${secret}`;
+            sendPasswordResetEmail(user.email, user.firstName, resetLink, EMAIL_TOKEN_MINUTES).catch(err => {
+                console.error("Failed to send password reset email:", err);
+            });
+        }
+
+        res.json(genericResponse);
+    } catch (error) {
+        console.error("Error requesting password reset:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to request a password reset",
+            error: error.message
+        });
+    }
+}
+
+// Set a new password with a reset link token or SMS code.
+// Body: { token, newPassword } or { phonenumber, code, newPassword }
+// Every session of the account is ended afterwards.
+export async function resetPassword(req, res) {
+    try {
+        const { token, code, newPassword } = req.body;
+        const phonenumber = typeof req.body.phonenumber === "string" ? req.body.phonenumber.trim() : "";
+
+        if (!token && !(phonenumber && code)) {
+            return res.status(400).json({
+                success: false,
+                message: "Reset token, or phone number and code, are required"
+            });
+        }
+        if (typeof newPassword !== "string") {
+            return res.status(400).json({
+                success: false,
+                message: "New password is required"
+            });
+        }
+
+        const passwordCheck = validatePassword(newPassword);
+        if (!passwordCheck.isValid) {
+            return res.status(400).json({
+                success: false,
+                message: "Password does not meet requirements",
+                errors: passwordCheck.errors
+            });
+        }
+
+        const invalidResponse = {
+            success: false,
+            message: "This reset link or code is invalid or has expired. Please request a new one."
+        };
+        const now = new Date();
+        let reset;
+
+        if (token) {
+            reset = await PasswordReset.findOne({
+                tokenHash: hashResetSecret("email", String(token)),
+                channel: "email",
+                usedAt: null,
+                expiresAt: { $gt: now }
+            });
+            if (!reset) {
+                return res.status(400).json(invalidResponse);
+            }
+        } else {
+            const user = await User.findOne({ phonenumber }).select("userId");
+            // Count the attempt before checking the code, so parallel guesses are limited too
+            reset = user && await PasswordReset.findOneAndUpdate(
+                {
+                    userId: user.userId,
+                    channel: "sms",
+                    usedAt: null,
+                    expiresAt: { $gt: now },
+                    attempts: { $lt: MAX_CODE_ATTEMPTS }
+                },
+                { $inc: { attempts: 1 } },
+                { new: true, sort: { createdAt: -1 } }
+            );
+            if (!reset) {
+                return res.status(400).json(invalidResponse);
+            }
+
+            if (!hashesMatch(reset.tokenHash, hashResetSecret("sms", String(code).trim()))) {
+                const attemptsLeft = MAX_CODE_ATTEMPTS - reset.attempts;
+                return res.status(400).json({
+                    success: false,
+                    message: attemptsLeft > 0
+                        ? `Incorrect code. ${attemptsLeft} attempt${attemptsLeft === 1 ? "" : "s"} left.`
+                        : "Incorrect code. Please request a new one.",
+                    attemptsLeft: attemptsLeft
+                });
+            }
+        }
+
+        // Use the reset exactly once, even with two requests in parallel
+        const claimed = await PasswordReset.findOneAndUpdate(
+            { _id: reset._id, usedAt: null },
+            { $set: { usedAt: now } }
+        );
+        if (!claimed) {
+            return res.status(400).json(invalidResponse);
+        }
+
+        const hashedPassword = await bcrypt.hash(newPassword, 10);
+        const updated = await User.updateOne({ userId: reset.userId }, { $set: { password: hashedPassword } });
+        if (updated.matchedCount === 0) {
+            return res.status(400).json(invalidResponse);
+        }
+
+        await revokeUserSessions(reset.userId, "password_reset");
+        await expireOpenResets(reset.userId);
+        console.log(`[SECURITY] Password reset for user ${reset.userId} (${reset.channel})`);
+
+        res.json({
+            success: true,
+            message: "Your password has been reset. Please log in with your new password."
+        });
+    } catch (error) {
+        console.error("Error resetting password:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to reset password",
+            error: error.message
+        });
+    }
+}
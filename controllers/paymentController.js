@@ -0,0 +1,965 @@
+import Order from "../models/order.js";
+import User from "../models/user.js";
+import { sendOrderStatusEmail, sendRefundEmail, sendPaymentProofRejectedEmail } from "../utils/emailService.js";
+import { saveBase64PrivateImage, readPrivateImage } from "../utils/imageStorage.js";
+import { releaseStock, returnStock, runInTransaction } from "../utils/stockManager.js";
+import {
+  PAYMENT_CURRENCY,
+  getPaymentProvider,
+  getActivePaymentProvider,
+  getOrderAmountDue,
+  amountsMatch
+} from "../utils/paymentGateway.js";
+import { logSecurityEvent, auditAdminAction } from "../middleware/adminAuth.js";
+import { assignInvoiceNumber, getShopDetails, generateInvoicePdf } from "../utils/invoiceGenerator.js";
+
+// Orders can be paid once accepted and until they are delivered
+const PAYABLE_STATUSES = ["accepted", "preparing", "shipped"];
+
+// Payment statuses that still have money left to refund
+const REFUNDABLE_PAYMENT_STATUSES = ["paid", "partially_refunded"];
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Payment provider name recorded for approved bank deposits
+const BANK_TRANSFER_PROVIDER = "bank_transfer";
+
+// Send the "paid" email with the PDF invoice attached.
+// If the invoice cannot be generated the email is still sent without it.
+async function sendPaidEmailWithInvoice(order) {
+  const user = await User.findOne({ userId: order.userId });
+  if (!user || !user.email) {
+    return;
+  }
+
+  let attachments = [];
+  try {
+    const invoicedOrder = await assignInvoiceNumber(order);
+    const pdf = await generateInvoicePdf(invoicedOrder, await getShopDetails());
+    attachments = [{
+      filename: `${invoicedOrder.invoiceNumber}.pdf`,
+      content: pdf,
+      contentType: "application/pdf"
+    }];
+  } catch (error) {
+    console.error(`Failed to generate invoice for order ${order.orderId}:`, error);
+  }
+
+  console.log(`Sending payment confirmation email to: ${user.email}`);
+  await sendOrderStatusEmail(user.email, order, "paid", attachments);
+}
+
+// Helper function to generate unique payment proof ID
+function generateProofId() {
+  const timestamp = Date.now();
+  const random = Math.floor(Math.random() * 1000);
+  return `PRF-${timestamp}-${random}`;
+}
+
+// What admins see of a deposit slip: the image is fetched separately
+function formatPaymentProof(order, proof) {
+  const { image, imageKey, imageMimeType, ...details } = proof.toObject ? proof.toObject() : proof;
+  return {
+    ...details,
+    imageUrl: `/api/orders/${order._id}/payment-proofs/${details.proofId}/image`
+  };
+}
+
+// Record money received for an order that can't be paid (not accepted yet,
+// cancelled or delivered). It is not taken as payment; the order is flagged
+// so an admin returns it by hand.
+async function flagForManualRefund(order, event, source) {
+  logSecurityEvent('PAYMENT_NEEDS_MANUAL_REFUND', {
+    orderId: order.orderId,
+    orderStatus: order.status,
+    source: source,
+    paymentId: event.paymentId,
+    amount: event.amount
+  });
+  await Order.updateOne(
+    { _id: order._id },
+    {
+      $set: { manualRefundRequired: true },
+      $push: { paymentEvents: { ...event, note: `Not accepted: order is ${order.status}. Refund manually.` } }
+    }
+  );
+}
+
+// Helper function to generate unique refund ID
+function generateRefundId() {
+  const timestamp = Date.now();
+  const random = Math.floor(Math.random() * 1000);
+  return `REF-${timestamp}-${random}`;
+}
+
+// Key of a refundable line: product plus pack size (variant)
+function refundLineKey(productId, variantSku) {
+  return `${productId}|${variantSku || ""}`;
+}
+
+// Work out which items (and how much money) a refund request covers.
+// Quantities of earlier refunds, including ones still in progress, are not refundable again.
+function buildRefundItems(order, requestedItems) {
+  const refunded = new Map();
+  for (const refund of order.refunds) {
+    for (const item of refund.items) {
+      const key = refundLineKey(item.productId, item.variantSku);
+      refunded.set(key, (refunded.get(key) || 0) + item.quantity);
+    }
+  }
+
+  // Group order lines by product and variant (the same one may appear on more than one line)
+  const products = new Map();
+  for (const line of order.orderedItems) {
+    const key = refundLineKey(line.productId, line.variantSku);
+    const entry = products.get(key) || { key, productId: line.productId, variantSku: line.variantSku, name: line.name, quantity: 0, value: 0 };
+    entry.quantity += line.quantity;
+    entry.value += line.price * line.quantity;
+    products.set(key, entry);
+  }
+
+  // A coupon discount is shared across the lines in proportion to their value
+  const itemsValue = [...products.values()].reduce((sum, product) => sum + product.value, 0);
+  const couponShare = itemsValue > 0 && order.couponDiscount > 0
+    ? (itemsValue - order.couponDiscount) / itemsValue
+    : 1;
+
+  const remainingOf = (key) => products.get(key).quantity - (refunded.get(key) || 0);
+  const averagePriceOf = (key) => products.get(key).value * couponShare / products.get(key).quantity;
+  const toRefundItem = (key, quantity) => ({
+    productId: products.get(key).productId,
+    variantSku: products.get(key).variantSku,
+    name: products.get(key).name,
+    quantity,
+    amount: roundAmount(averagePriceOf(key) * quantity)
+  });
+
+  // No items given: everything that has not been refunded yet
+  if (!requestedItems || requestedItems.length === 0) {
+    return [...products.keys()]
+      .filter(key => remainingOf(key) > 0)
+      .map(key => toRefundItem(key, remainingOf(key)));
+  }
+
+  const requested = new Map();
+  requestedItems.forEach((item, index) => {
+    if (!item || !item.productId || !Number.isInteger(item.quantity) || item.quantity <= 0) {
+      const error = new Error(`items[${index}] must have a productId and a positive whole quantity`);
+      error.status = 400;
+      throw error;
+    }
+
+    // The variant may be left out when the order has only one variant of the product
+    let key = refundLineKey(item.productId, item.variantSku);
+    if (!item.variantSku && !products.has(key)) {
+      const matches = [...products.values()].filter(product => product.productId === item.productId);
+      if (matches.length === 1) key = matches[0].key;
+    }
+    if (!products.has(key)) {
+      const error = new Error(`Product ${item.productId}${item.variantSku ? ` (${item.variantSku})` : ""} is not part of this order`);
+      error.status = 400;
+      throw error;
+    }
+    requested.set(key, (requested.get(key) || 0) + item.quantity);
+  });
+
+  return [...requested.entries()].map(([key, quantity]) => {
+    if (quantity > remainingOf(key)) {
+      const error = new Error(`Only ${remainingOf(key)} of ${products.get(key).name} can still be refunded`);
+      error.status = 400;
+      throw error;
+    }
+    return toRefundItem(key, quantity);
+  });
+}
+
+// Start a hosted checkout for the customer's own order (returns the form the browser must POST)
+export async function startCheckout(req, res) {
+  try {
+    if (!req.user || !req.user.userId) {
+      return res.status(401).json({
+        success: false,
+        message: "User authentication required"
+      });
+    }
+
+    const { orderId } = req.params;
+
+    const order = await Order.findOne({ orderId: orderId, userId: req.user.userId });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found"
+      });
+    }
+
+    if (!PAYABLE_STATUSES.includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        message: "This order is not available for payment"
+      });
+    }
+
+    if (order.paymentStatus !== "unpaid") {
+      return res.status(400).json({
+        success: false,
+        message: `This order is already ${order.paymentStatus}`
+      });
+    }
+
+    const user = await User.findOne({ userId: order.userId });
+    const provider = getActivePaymentProvider();
+
+    const checkout = provider.createCheckout({
+      orderId: order.orderId,
+      amount: getOrderAmountDue(order),
+      currency: PAYMENT_CURRENCY,
+      description: `Udari Online Shop order ${order.orderId}`,
+      customer: {
+        firstName: user ? user.firstName : order.name,
+        lastName: user ? (user.lastName || "") : "",
+        email: (user && user.email) || order.email || "",
+        phone: order.phone,
+        address: order.address,
+        city: order.nearestTownOrCity || ""
+      }
+    });
+
+    res.json({
+      success: true,
+      checkout: checkout
+    });
+  } catch (error) {
+    console.error('Error starting checkout:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+// Payment provider notification (server to server, signed by the provider)
+export async function handlePaymentWebhook(req, res) {
+  const provider = getPaymentProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({
+      success: false,
+      message: "Unknown payment provider"
+    });
+  }
+
+  let notification;
+  try {
+    notification = provider.verifyNotification(req.body);
+  } catch (error) {
+    logSecurityEvent('PAYMENT_WEBHOOK_REJECTED', {
+      provider: provider.name,
+      reason: error.message,
+      ipAddress: req.ip
+    });
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  try {
+    const order = await Order.findOne({ orderId: notification.orderId });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found"
+      });
+    }
+
+    const event = {
+      provider: provider.name,
+      paymentId: notification.paymentId,
+      status: notification.status,
+      amount: notification.amount,
+      currency: notification.currency,
+      receivedAt: new Date()
+    };
+
+    // Duplicate callback for a payment we already recorded
+    if (order.paymentStatus !== "unpaid") {
+      const samePayment = order.paymentId === notification.paymentId;
+      if (!samePayment) {
+        logSecurityEvent('PAYMENT_FOR_SETTLED_ORDER', {
+          orderId: order.orderId,
+          paymentStatus: order.paymentStatus,
+          existingPaymentId: order.paymentId,
+          receivedPaymentId: notification.paymentId,
+          status: notification.status
+        });
+        await Order.updateOne(
+          { _id: order._id },
+          { $push: { paymentEvents: { ...event, note: `Ignored: order already ${order.paymentStatus}` } } }
+        );
+      }
+      return res.json({
+        success: true,
+        message: "Notification already processed"
+      });
+    }
+
+    // Only successful payments change the order
+    if (notification.status !== "paid") {
+      await Order.updateOne(
+        { _id: order._id },
+        { $push: { paymentEvents: event } }
+      );
+      return res.json({
+        success: true,
+        message: `Payment ${notification.status} recorded`
+      });
+    }
+
+    if (!PAYABLE_STATUSES.includes(order.status)) {
+      await flagForManualRefund(order, event, provider.name);
+      return res.json({
+        success: true,
+        message: "Order can't be paid; flagged for a manual refund"
+      });
+    }
+
+    // Reject payments that don't match what the server says is due
+    const amountDue = getOrderAmountDue(order);
+    if (notification.currency !== PAYMENT_CURRENCY || !amountsMatch(amountDue, notification.amount)) {
+      logSecurityEvent('PAYMENT_AMOUNT_MISMATCH', {
+        orderId: order.orderId,
+        expectedAmount: amountDue,
+        expectedCurrency: PAYMENT_CURRENCY,
+        receivedAmount: notification.amount,
+        receivedCurrency: notification.currency,
+        paymentId: notification.paymentId
+      });
+      await Order.updateOne(
+        { _id: order._id },
+        { $push: { paymentEvents: { ...event, note: `Rejected: expected ${amountDue} ${PAYMENT_CURRENCY}` } } }
+      );
+      return res.status(400).json({
+        success: false,
+        message: "Payment amount does not match the order total"
+      });
+    }
+
+    // Mark as paid only if it is still unpaid and payable, so concurrent
+    // callbacks are applied once and a cancellation at the same time wins
+    const paidOrder = await Order.findOneAndUpdate(
+      { _id: order._id, paymentStatus: "unpaid", status: { $in: PAYABLE_STATUSES } },
+      {
+        $set: {
+          paymentStatus: "paid",
+          paymentId: notification.paymentId,
+          paymentProvider: provider.name,
+          paidAt: new Date()
+        },
+        $push: { paymentEvents: event }
+      },
+      { new: true }
+    );
+
+    if (!paidOrder) {
+      const current = await Order.findById(order._id);
+      if (current && current.paymentStatus === "unpaid" && !PAYABLE_STATUSES.includes(current.status)) {
+        await flagForManualRefund(current, event, provider.name);
+        return res.json({
+          success: true,
+          message: "Order can't be paid; flagged for a manual refund"
+        });
+      }
+      return res.json({
+        success: true,
+        message: "Notification already processed"
+      });
+    }
+
+    sendPaidEmailWithInvoice(paidOrder).catch(err => {
+      console.error('Failed to send email notification:', err);
+    });
+
+    res.json({
+      success: true,
+      message: "Payment confirmed"
+    });
+  } catch (error) {
+    console.error('Error handling payment webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+// Refund a paid order, in full or for some of its items (admin).
+// Orders paid by bank deposit are refunded by the shop's own transfer;
+// send its reference as manualReference and the refund is only recorded.
+export async function refundOrder(req, res) {
+  try {
+    const { orderId } = req.params;
+    const { items, reason } = req.body;
+    const restock = req.body.restock !== false;
+    const manualReference = typeof req.body.manualReference === "string" ? req.body.manualReference.trim() : "";
+
+    if (!reason || typeof reason !== "string" || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "A reason for the refund is required"
+      });
+    }
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found"
+      });
+    }
+
+    if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: `Only paid orders can be refunded. This order is ${order.paymentStatus}.`
+      });
+    }
+
+    const isManualRefund = order.paymentProvider === BANK_TRANSFER_PROVIDER;
+    const provider = getPaymentProvider(order.paymentProvider);
+    if (isManualRefund && !manualReference) {
+      return res.status(400).json({
+        success: false,
+        message: "This order was paid by bank deposit. Transfer the money back and send the transfer reference as manualReference."
+      });
+    }
+    if (!isManualRefund && (!provider || !provider.refund || !order.paymentId)) {
+      return res.status(400).json({
+        success: false,
+        message: "This payment cannot be refunded automatically. Please refund it manually."
+      });
+    }
+
+    const amountPaid = getOrderAmountDue(order);
+    const alreadyClaimed = order.refunds.reduce((sum, refund) => sum + refund.amount, 0);
+    const remainingAmount = roundAmount(amountPaid - alreadyClaimed);
+
+    if (remainingAmount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: "This order has already been fully refunded"
+      });
+    }
+
+    const refundItems = buildRefundItems(order, items);
+    const isFullRefund = !items || items.length === 0;
+    const amount = isFullRefund
+      ? remainingAmount
+      : Math.min(roundAmount(refundItems.reduce((sum, item) => sum + item.amount, 0)), remainingAmount);
+
+    if (amount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Nothing left to refund"
+      });
+    }
+
+    const refundId = generateRefundId();
+    const trimmedReason = reason.trim();
+
+    // Claim the refund before calling the provider, so two admins can't
+    // refund the same items at the same time
+    const claimedOrder = await Order.findOneAndUpdate(
+      { _id: order._id, [`refunds.${order.refunds.length}`]: { $exists: false } },
+      {
+        $push: {
+          refunds: {
+            refundId,
+            status: "pending",
+            amount,
+            reason: trimmedReason,
+            items: refundItems,
+            refundedBy: req.user.userId,
+            method: isManualRefund ? "manual" : "provider",
+            manualReference: isManualRefund ? manualReference : undefined
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!claimedOrder) {
+      return res.status(409).json({
+        success: false,
+        message: "Another refund for this order is in progress. Please refresh and try again."
+      });
+    }
+
+    let providerRefund = { refundId: undefined };
+    try {
+      if (!isManualRefund) {
+        providerRefund = await provider.refund({
+          paymentId: order.paymentId,
+          amount,
+          currency: PAYMENT_CURRENCY,
+          reason: trimmedReason
+        });
+      }
+    } catch (error) {
+      console.error('Payment provider refund failed:', error);
+      await Order.updateOne({ _id: order._id }, { $pull: { refunds: { refundId } } });
+      return res.status(502).json({
+        success: false,
+        message: `Refund failed at the payment provider: ${error.message}`
+      });
+    }
+
+    let updatedOrder;
+    try {
+      updatedOrder = await runInTransaction(async (session) => {
+        const refundedOrder = await Order.findOneAndUpdate(
+          { _id: order._id, "refunds.refundId": refundId },
+          {
+            $set: {
+              "refunds.$.status": "completed",
+              ...(providerRefund.refundId && { "refunds.$.providerRefundId": providerRefund.refundId })
+            },
+            $inc: { refundedAmount: amount }
+          },
+          { new: true, session }
+        );
+
+        // Stock of a cancelled order was already put back when it was cancelled.
+        // The status is read in this transaction, so a cancellation at the same
+        // time can't put the same units back as well.
+        const shouldRestock = restock && refundedOrder.status !== "cancelled";
+        if (shouldRestock) {
+          if (refundedOrder.status === "delivered") {
+            await returnStock(refundItems, session, { orderId: order.orderId, actor: req.user, note: `Refund ${refundId}` });
+          } else {
+            await releaseStock(refundItems, session, { orderId: order.orderId, actor: req.user, note: `Refund ${refundId}` });
+          }
+        }
+        refundedOrder.refunds.find(entry => entry.refundId === refundId).restocked = shouldRestock;
+
+        refundedOrder.paymentStatus = refundedOrder.refundedAmount >= amountPaid ? "refunded" : "partially_refunded";
+        return refundedOrder.save({ session });
+      });
+    } catch (error) {
+      // The money has already been returned; keep the pending record for manual follow up
+      console.error(`Refund ${refundId} succeeded at the provider but could not be recorded:`, error);
+      return res.status(500).json({
+        success: false,
+        message: `Refund was issued (${providerRefund.refundId || manualReference}) but could not be recorded. Please reconcile refund ${refundId} manually.`
+      });
+    }
+
+    auditAdminAction(req, `REFUND_ORDER ${updatedOrder.orderId} ${amount} ${PAYMENT_CURRENCY}${isManualRefund ? ` manual ${manualReference}` : ""}`, updatedOrder.userId);
+
+    const refund = updatedOrder.refunds.find(entry => entry.refundId === refundId);
+    const user = await User.findOne({ userId: updatedOrder.userId });
+    if (user && user.email) {
+      console.log(`Sending refund email to: ${user.email}`);
+      sendRefundEmail(user.email, updatedOrder, refund).catch(err => {
+        console.error('Failed to send email notification:', err);
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Refund issued successfully",
+      refund: refund,
+      order: updatedOrder
+    });
+  } catch (error) {
+    console.error('Error refunding order:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+// Customer uploads a bank deposit slip for their order
+export async function uploadPaymentProof(req, res) {
+  try {
+    if (!req.user || !req.user.userId) {
+      return res.status(401).json({
+        success: false,
+        message: "User authentication required"
+      });
+    }
+
+    const { orderId } = req.params;
+    const { image, reference, bankName, amount } = req.body;
+
+    if (!image || typeof image !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "A deposit slip image is required"
+      });
+    }
+
+    const order = await Order.findOne({ orderId: orderId, userId: req.user.userId });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found"
+      });
+    }
+
+    if (!PAYABLE_STATUSES.includes(order.status) || order.paymentStatus !== "unpaid") {
+      return res.status(400).json({
+        success: false,
+        message: "This order is not available for payment"
+      });
+    }
+
+    if (order.paymentProofs.some(entry => entry.status === "pending")) {
+      return res.status(409).json({
+        success: false,
+        message: "A deposit slip for this order is already waiting for review"
+      });
+    }
+
+    // Validated, stripped of EXIF data (phone photos often carry GPS
+    // location) and kept in private storage, never in the order document
+    let storedImage;
+    try {
+      storedImage = await saveBase64PrivateImage(image, "payment-proofs");
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          code: 'FILE_VALIDATION_FAILED'
+        });
+      }
+      throw error;
+    }
+
+    const proof = {
+      proofId: generateProofId(),
+      imageKey: storedImage.key,
+      imageMimeType: storedImage.mimeType,
+      reference: reference ? String(reference).trim() : undefined,
+      bankName: bankName ? String(bankName).trim() : undefined,
+      amount: typeof amount === "number" ? amount : undefined,
+      status: "pending",
+      uploadedAt: new Date()
+    };
+
+    // Only one slip can wait for review at a time
+    const updatedOrder = await Order.findOneAndUpdate(
+      { _id: order._id, paymentStatus: "unpaid", "paymentProofs.status": { $ne: "pending" } },
+      { $push: { paymentProofs: proof } },
+      { new: true }
+    );
+
+    if (!updatedOrder) {
+      return res.status(409).json({
+        success: false,
+        message: "A deposit slip for this order is already waiting for review"
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Deposit slip uploaded. We will confirm your payment shortly.",
+      proof: {
+        proofId: proof.proofId,
+        status: proof.status,
+        uploadedAt: proof.uploadedAt
+      }
+    });
+  } catch (error) {
+    console.error('Error uploading payment proof:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+// List deposit slips for admins to review (pending by default)
+export async function getPaymentProofQueue(req, res) {
+  try {
+    const status = req.query.status || "pending";
+    if (!["pending", "approved", "rejected"].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid status. Must be one of: pending, approved, rejected"
+      });
+    }
+
+    const orders = await Order.find({ "paymentProofs.status": status })
+      .select("orderId userId name phone total orderedItems status paymentStatus date " +
+        "paymentProofs.proofId paymentProofs.reference paymentProofs.bankName paymentProofs.amount " +
+        "paymentProofs.status paymentProofs.uploadedAt paymentProofs.reviewedBy paymentProofs.reviewedAt " +
+        "paymentProofs.rejectionReason")
+      .sort({ date: 1 });
+
+    const proofs = [];
+    for (const order of orders) {
+      for (const proof of order.paymentProofs) {
+        if (proof.status !== status) continue;
+        proofs.push({
+          orderId: order.orderId,
+          orderObjectId: order._id,
+          customerName: order.name,
+          phone: order.phone,
+          amountDue: getOrderAmountDue(order),
+          orderStatus: order.status,
+          paymentStatus: order.paymentStatus,
+          proof: formatPaymentProof(order, proof)
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      count: proofs.length,
+      proofs: proofs
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+// Admin views the image of a deposit slip
+export async function getPaymentProofImage(req, res) {
+  try {
+    const { orderId, proofId } = req.params;
+
+    const order = await Order.findOne({ _id: orderId, "paymentProofs.proofId": proofId })
+      .select("+paymentProofs.image");
+    const proof = order && order.paymentProofs.find(entry => entry.proofId === proofId);
+
+    if (!proof) {
+      return res.status(404).json({
+        success: false,
+        message: "Deposit slip not found"
+      });
+    }
+
+    let buffer;
+    let mimeType = proof.imageMimeType;
+    if (proof.imageKey) {
+      buffer = await readPrivateImage(proof.imageKey);
+    } else {
+      // Slips uploaded before private storage are still base64 in the order
+      const match = /^data:([^;]+);base64,(.*)$/s.exec(proof.image || "");
+      if (!match) {
+        return res.status(404).json({
+          success: false,
+          message: "Deposit slip image not found"
+        });
+      }
+      mimeType = match[1];
+      buffer = Buffer.from(match[2], "base64");
+    }
+
+    res.set({
+      "Content-Type": mimeType || "application/octet-stream",
+      "Cache-Control": "private, no-store",
+      "X-Content-Type-Options": "nosniff"
+    });
+    res.send(buffer);
+  } catch (error) {
+    console.error('Error reading payment proof image:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+// Why a slip could not be approved. A deposit for an order that can't be
+// paid any more (e.g. cancelled) is closed and flagged for a manual refund.
+async function sendUnapprovableProof(req, res, orderId, proofId) {
+  const order = await Order.findOne({
+    _id: orderId,
+    paymentStatus: "unpaid",
+    paymentProofs: { $elemMatch: { proofId: proofId, status: "pending" } }
+  });
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: "No pending deposit slip found for this order"
+    });
+  }
+
+  const reviewedAt = new Date();
+  const closed = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      status: { $nin: PAYABLE_STATUSES },
+      paymentProofs: { $elemMatch: { proofId: proofId, status: "pending" } }
+    },
+    {
+      $set: {
+        "paymentProofs.$.status": "rejected",
+        "paymentProofs.$.reviewedBy": req.user.userId,
+        "paymentProofs.$.reviewedAt": reviewedAt,
+        "paymentProofs.$.rejectionReason": `Order is ${order.status}; the deposit will be refunded`
+      }
+    },
+    { new: true }
+  );
+
+  if (!closed) {
+    return res.status(409).json({
+      success: false,
+      message: "The order changed while approving. Please refresh and try again."
+    });
+  }
+
+  const proof = closed.paymentProofs.find(entry => entry.proofId === proofId);
+  await flagForManualRefund(closed, {
+    provider: BANK_TRANSFER_PROVIDER,
+    paymentId: proofId,
+    status: "paid",
+    amount: proof.amount != null ? proof.amount : getOrderAmountDue(closed),
+    currency: PAYMENT_CURRENCY,
+    receivedAt: reviewedAt
+  }, BANK_TRANSFER_PROVIDER);
+  auditAdminAction(req, `FLAG_PAYMENT_PROOF_FOR_REFUND ${closed.orderId} ${proofId}`, closed.userId);
+
+  res.status(409).json({
+    success: false,
+    message: `This order is ${closed.status} and can't be paid. The deposit was not accepted and the order is flagged for a manual refund.`,
+    manualRefundRequired: true
+  });
+}
+
+// Admin approves a deposit slip: the order becomes paid
+export async function approvePaymentProof(req, res) {
+  try {
+    const { orderId, proofId } = req.params;
+
+    const paidAt = new Date();
+    const updatedOrder = await Order.findOneAndUpdate(
+      {
+        _id: orderId,
+        paymentStatus: "unpaid",
+        status: { $in: PAYABLE_STATUSES },
+        paymentProofs: { $elemMatch: { proofId: proofId, status: "pending" } }
+      },
+      {
+        $set: {
+          "paymentProofs.$.status": "approved",
+          "paymentProofs.$.reviewedBy": req.user.userId,
+          "paymentProofs.$.reviewedAt": paidAt,
+          paymentStatus: "paid",
+          paymentId: proofId,
+          paymentProvider: BANK_TRANSFER_PROVIDER,
+          paidAt: paidAt
+        }
+      },
+      { new: true }
+    );
+
+    if (!updatedOrder) {
+      return sendUnapprovableProof(req, res, orderId, proofId);
+    }
+
+    const proof = updatedOrder.paymentProofs.find(entry => entry.proofId === proofId);
+    await Order.updateOne(
+      { _id: updatedOrder._id },
+      {
+        $push: {
+          paymentEvents: {
+            provider: BANK_TRANSFER_PROVIDER,
+            paymentId: proofId,
+            status: "paid",
+            amount: proof.amount != null ? proof.amount : getOrderAmountDue(updatedOrder),
+            currency: PAYMENT_CURRENCY,
+            note: `Deposit slip approved by ${req.user.userId}`,
+            receivedAt: paidAt
+          }
+        }
+      }
+    );
+
+    auditAdminAction(req, `APPROVE_PAYMENT_PROOF ${updatedOrder.orderId} ${proofId}`, updatedOrder.userId);
+
+    sendPaidEmailWithInvoice(updatedOrder).catch(err => {
+      console.error('Failed to send email notification:', err);
+    });
+
+    res.json({
+      success: true,
+      message: "Payment approved",
+      order: updatedOrder
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+// Admin rejects a deposit slip: the customer is asked to upload a new one
+export async function rejectPaymentProof(req, res) {
+  try {
+    const { orderId, proofId } = req.params;
+    const reason = typeof req.body.reason === "string" ? req.body.reason.trim() : "";
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: "A reason for rejecting the deposit slip is required"
+      });
+    }
+
+    const updatedOrder = await Order.findOneAndUpdate(
+      {
+        _id: orderId,
+        paymentProofs: { $elemMatch: { proofId: proofId, status: "pending" } }
+      },
+      {
+        $set: {
+          "paymentProofs.$.status": "rejected",
+          "paymentProofs.$.reviewedBy": req.user.userId,
+          "paymentProofs.$.reviewedAt": new Date(),
+          "paymentProofs.$.rejectionReason": reason
+        }
+      },
+      { new: true }
+    );
+
+    if (!updatedOrder) {
+      return res.status(404).json({
+        success: false,
+        message: "No pending deposit slip found for this order"
+      });
+    }
+
+    auditAdminAction(req, `REJECT_PAYMENT_PROOF ${updatedOrder.orderId} ${proofId}`, updatedOrder.userId);
+
+    const user = await User.findOne({ userId: updatedOrder.userId });
+    if (user && user.email) {
+      console.log(`Sending payment proof rejection email to: ${user.email}`);
+      sendPaymentProofRejectedEmail(user.email, updatedOrder, reason).catch(err => {
+        console.error('Failed to send email notification:', err);
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Deposit slip rejected",
+      order: updatedOrder
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,78 @@
+// controllers/phoneVerificationController.js
+import { isValidPhoneNumber, issueOtp, verifyOtp } from "../utils/phoneVerification.js";
+import { isSmsConfigured } from "../utils/smsService.js";
+
+function sendOtpError(res, error) {
+    if (error.status) {
+        if (error.retryAfter) {
+            res.set("Retry-After", String(error.retryAfter));
+        }
+        return res.status(error.status).json({
+            success: false,
+            message: error.message,
+            ...(error.retryAfter && { retryAfter: error.retryAfter }),
+            ...(error.attemptsLeft !== undefined && { attemptsLeft: error.attemptsLeft })
+        });
+    }
+
+    console.error("Phone verification error:", error);
+    res.status(500).json({
+        success: false,
+        message: "Phone verification failed",
+        error: error.message
+    });
+}
+
+// Send a verification code to a phone number. Body: { phonenumber }
+export async function sendPhoneOtp(req, res) {
+    try {
+        const { phonenumber } = req.body;
+        if (!isValidPhoneNumber(phonenumber)) {
+            return res.status(400).json({
+                success: false,
+                message: "Phone number must be 10 digits"
+            });
+        }
+        if (!isSmsConfigured()) {
+            return res.status(503).json({
+                success: false,
+                message: "Phone verification is not available right now. Please try again later."
+            });
+        }
+
+        const result = await issueOtp(phonenumber.trim());
+
+        res.json({
+            success: true,
+            message: "Verification code sent",
+            ...result
+        });
+    } catch (error) {
+        sendOtpError(res, error);
+    }
+}
+
+// Check a verification code. Body: { phonenumber, code }
+// Returns the phoneVerificationToken to send with registration or login.
+export async function verifyPhoneOtp(req, res) {
+    try {
+        const { phonenumber, code } = req.body;
+        if (!isValidPhoneNumber(phonenumber) || !code) {
+            return res.status(400).json({
+                success: false,
+                message: "Phone number and code are required"
+            });
+        }
+
+        const result = await verifyOtp(phonenumber.trim(), code);
+
+        res.json({
+            success: true,
+            message: "Phone number verified",
+            phoneVerificationToken: result.verificationToken,
+            expiresInSeconds: result.expiresInSeconds
+        });
+    } catch (error) {
+        sendOtpError(res, error);
+    }
+}
@@ -1,5 +1,46 @@
 import Product from "../models/product.js";
+import Category from "../models/category.js";
+import Order from "../models/order.js";
 import { isAdmin } from "./userController.js";
+import { findCategory, getCategoryTreeIds } from "../utils/categoryLookup.js";
+import { hasVariants, getVariants, normalizeVariants, DEFAULT_VARIANT_SKU } from "../utils/productVariants.js";
+import { resolveImageUrls } from "../utils/imageStorage.js";
+import { attachImageSets } from "../utils/imageVariants.js";
+import { syncAvailability } from "../utils/inventoryAlerts.js";
+import { diffVariantStock } from "../utils/stockLedger.js";
+import { recordStockEdit, runInTransaction } from "../utils/stockManager.js";
+
+// Normalise the variants of a product form and fill in the product-level
+// price (lowest variant price) and stock (total of the variants). Returns the errors.
+function applyVariants(productData) {
+    if (productData.variants === undefined) return [];
+
+    const { variants, pricePerPiece, stock, errors } = normalizeVariants(productData.variants);
+    productData.variants = variants;
+    if (variants.length > 0) {
+        productData.pricePerPiece = pricePerPiece;
+        productData.stock = stock;
+    }
+    return errors;
+}
+
+// Check the admin's low-stock threshold and keep the automatic
+// availability flag out of the admin's hands. Returns an error message or null.
+function applyInventorySettings(productData) {
+    delete productData.autoUnavailable;
+    // Setting availability by hand overrides the automatic switch
+    if (productData.availabilityStatus !== undefined) {
+        productData.autoUnavailable = false;
+    }
+
+    if (productData.lowStockThreshold === undefined) return null;
+    const threshold = Number(productData.lowStockThreshold);
+    if (!Number.isInteger(threshold) || threshold < 0) {
+        return "lowStockThreshold must be a whole number of 0 or more";
+    }
+    productData.lowStockThreshold = threshold;
+    return null;
+}
 
 export function createProduct(req, res) {
     /*if (!isAdmin(req)){
@@ -13,47 +54,194 @@ export function createProduct(req, res) {
     if (!newProductData.productId) {
         newProductData.productId = 'P' + Date.now() + Math.random().toString(36).substr(2, 5);
     }
-    if (newProductData.category) {
-        const validCategories = ['sweets', 'savory', 'beverages', 'spices', 'curries'];
-        if (!validCategories.includes(newProductData.category.toLowerCase())) {
-            return res.status(400).json({
-                message: "Invalid category. Valid categories are: " + validCategories.join(', ')
-            });
-        }
-        newProductData.category = newProductData.category.toLowerCase();
+    const variantErrors = applyVariants(newProductData)
+    if (variantErrors.length > 0) {
+        return res.status(400).json({
+            message: "Invalid variants",
+            errors: variantErrors
+        })
     }
-    const product = new Product(newProductData)
-    product.save().then(() => {
-        res.json({
-            message: "product created"
+    const inventoryError = applyInventorySettings(newProductData)
+    if (inventoryError) {
+        return res.status(400).json({
+            message: inventoryError
+        })
+    }
+    // Category may be given by id or slug
+    findCategory(newProductData.category).then(async (category) => {
+        if (!category) {
+            res.status(400).json({
+                message: "Invalid category. Use the id or slug of an existing category"
+            })
+            return
+        }
+        newProductData.category = category._id
+        // Images are stored as URLs (base64 from older clients is uploaded here)
+        newProductData.images = await resolveImageUrls(newProductData.images, "products")
+        const product = new Product(newProductData)
+        // Opening stock is the first movement on the stock ledger
+        return runInTransaction(async (session) => {
+            await product.save({ session })
+            await recordStockEdit(product.productId, diffVariantStock({ stock: 0 }, product), {
+                reason: "initial",
+                actor: req.user,
+                note: "Product created"
+            }, session)
+            await syncAvailability([product.productId], session)
+        }).then(() => {
+            res.json({
+                message: "product created"
+            })
         })
     }).catch((error) => {
-        res.status(403).json({
-            message: error
+        res.status(error.status || 403).json({
+            message: error.status ? error.message : error
         })
     })
 }
 
 export function getProducts(req, res) {
-    Product.find({}).then((products) => {
+    Product.find({}).then((products) => attachImageSets(products)).then((products) => {
         res.json(products)
+    }).catch((error) => {
+        res.status(500).json({
+            message: "Error fetching products",
+            error: error.message
+        })
     })
 }
 
+const SEARCH_SORTS = {
+    relevance: null, // text score when searching, otherwise newest
+    price_asc: { pricePerPiece: 1, _id: 1 },
+    price_desc: { pricePerPiece: -1, _id: 1 },
+    popular: { totalOrdered: -1, _id: 1 },
+    newest: { _id: -1 }
+};
+const SEARCH_MAX_LIMIT = 50;
+
+// Search products with filters, sorting and pagination.
+// Query: q, category, minPrice, maxPrice, availability (available | not available | in_stock),
+// sort (relevance | price_asc | price_desc | popular | newest), page, limit.
+// Only the first image (the card image, with its resized versions) is listed;
+// base64 images that were not migrated to storage yet are left out.
+export async function searchProducts(req, res) {
+    try {
+        const { q, category, minPrice, maxPrice, availability } = req.query;
+        const sortKey = req.query.sort || "relevance";
+        const page = parseInt(req.query.page, 10) || 1;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 20, SEARCH_MAX_LIMIT);
+
+        if (!Object.prototype.hasOwnProperty.call(SEARCH_SORTS, sortKey)) {
+            return res.status(400).json({
+                message: "Invalid sort. Valid options are: " + Object.keys(SEARCH_SORTS).join(', ')
+            });
+        }
+        if (page < 1 || limit < 1) {
+            return res.status(400).json({
+                message: "page and limit must be positive numbers"
+            });
+        }
+
+        const filter = {};
+        const searchText = typeof q === "string" ? q.trim() : "";
+        if (searchText) {
+            filter.$text = { $search: searchText };
+        }
+
+        if (category) {
+            const matchedCategory = await findCategory(category);
+            if (!matchedCategory) {
+                return res.status(404).json({
+                    message: `Category not found: ${category}`
+                });
+            }
+            filter.category = { $in: await getCategoryTreeIds(matchedCategory._id) };
+        }
+
+        if (minPrice !== undefined || maxPrice !== undefined) {
+            const min = minPrice !== undefined ? Number(minPrice) : null;
+            const max = maxPrice !== undefined ? Number(maxPrice) : null;
+            if ((min !== null && isNaN(min)) || (max !== null && isNaN(max)) || (min !== null && max !== null && min > max)) {
+                return res.status(400).json({
+                    message: "minPrice and maxPrice must be numbers with minPrice not above maxPrice"
+                });
+            }
+            filter.pricePerPiece = {};
+            if (min !== null) filter.pricePerPiece.$gte = min;
+            if (max !== null) filter.pricePerPiece.$lte = max;
+        }
+
+        if (availability === "in_stock") {
+            filter.availabilityStatus = "available";
+            filter.stock = { $gt: 0 };
+        } else if (availability === "available" || availability === "not available") {
+            filter.availabilityStatus = availability;
+        } else if (availability) {
+            return res.status(400).json({
+                message: "Invalid availability. Valid options are: available, not available, in_stock"
+            });
+        }
+
+        const projection = { images: { $slice: 1 } };
+        let sort = SEARCH_SORTS[sortKey];
+        if (sortKey === "relevance") {
+            if (searchText) {
+                projection.score = { $meta: "textScore" };
+                sort = { score: { $meta: "textScore" }, _id: 1 };
+            } else {
+                sort = SEARCH_SORTS.newest;
+            }
+        }
+
+        const [foundProducts, total] = await Promise.all([
+            Product.find(filter, projection)
+                .sort(sort)
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            Product.countDocuments(filter)
+        ]);
+
+        for (const product of foundProducts) {
+            product.images = (product.images || []).filter(image => !image.startsWith("data:"));
+        }
+        const products = await attachImageSets(foundProducts);
+
+        res.json({
+            query: searchText,
+            count: products.length,
+            total: total,
+            page: page,
+            limit: limit,
+            totalPages: Math.ceil(total / limit),
+            hasNextPage: page * limit < total,
+            products: products
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            message: "Error searching products",
+            error: error.message
+        });
+    }
+}
+
 // New function to get products by category
 export async function getProductsByCategory(req, res) {
     try {
         const category = req.params.category;
 
-        // Validate category against enum values
-        const validCategories = ['sweets', 'savory', 'beverages', 'spices', 'curries'];
-        if (!validCategories.includes(category.toLowerCase())) {
-            return res.status(400).json({
-                message: "Invalid category. Valid categories are: " + validCategories.join(', ')
+        const matchedCategory = await findCategory(category);
+        if (!matchedCategory) {
+            return res.status(404).json({
+                message: `Category not found: ${category}`
             });
         }
 
-        const products = await Product.find({ category: category.toLowerCase() });
+        // Products of the category and of its subcategories
+        const categoryIds = await getCategoryTreeIds(matchedCategory._id);
+        const products = await Product.find({ category: { $in: categoryIds } });
 
         if (products.length === 0) {
             return res.json({
@@ -64,8 +252,9 @@ export async function getProductsByCategory(req, res) {
 
         res.json({
             category: category,
+            categoryDetails: matchedCategory,
             count: products.length,
-            products: products
+            products: await attachImageSets(products)
         });
 
     } catch (error) {
@@ -76,21 +265,27 @@ export async function getProductsByCategory(req, res) {
     }
 }
 
-// New function to get all available categories with product counts
+// Get all categories (admin-managed) with product counts
 export async function getCategories(req, res) {
     try {
-        const categories = await Product.aggregate([
-            {
-                $group: {
-                    _id: "$category",
-                    count: { $sum: 1 }
+        const [allCategories, counts] = await Promise.all([
+            Category.find().sort({ sortOrder: 1, displayName: 1 }).lean(),
+            Product.aggregate([
+                {
+                    $group: {
+                        _id: "$category",
+                        count: { $sum: 1 }
+                    }
                 }
-            },
-            {
-                $sort: { _id: 1 }
-            }
+            ])
         ]);
 
+        const countMap = new Map(counts.map(entry => [String(entry._id), entry.count]));
+        const categories = allCategories.map(category => ({
+            ...category,
+            count: countMap.get(String(category._id)) || 0
+        }));
+
         res.json({
             message: "Available categories",
             categories: categories
@@ -104,6 +299,105 @@ export async function getCategories(req, res) {
     }
 }
 
+// Orders whose goods have not left the shop yet
+const OPEN_ORDER_STATUSES = ["pending", "accepted", "preparing"];
+
+const INVENTORY_FILTERS = ["attention", "low", "out", "demand", "all"];
+
+// Admin inventory: one row per product (or per variant) with its stock,
+// low-stock threshold and the quantity still to be packed for open orders.
+// Stock is already taken when an order is placed, so "demand above stock"
+// means the open orders alone would use up more than is left on the shelf again.
+// ?filter=attention (default: any flag), low, out, demand or all
+export async function getInventoryReport(req, res) {
+    try {
+        const filter = req.query.filter || "attention";
+        if (!INVENTORY_FILTERS.includes(filter)) {
+            return res.status(400).json({
+                message: `filter must be one of: ${INVENTORY_FILTERS.join(", ")}`
+            });
+        }
+
+        const [products, demand] = await Promise.all([
+            Product.find()
+                .select("productId productName category stock lowStockThreshold availabilityStatus autoUnavailable variants")
+                .populate("category", "slug displayName")
+                .sort({ productName: 1 }),
+            Order.aggregate([
+                { $match: { status: { $in: OPEN_ORDER_STATUSES } } },
+                { $unwind: "$orderedItems" },
+                {
+                    $group: {
+                        _id: {
+                            productId: "$orderedItems.productId",
+                            variantSku: { $ifNull: ["$orderedItems.variantSku", DEFAULT_VARIANT_SKU] }
+                        },
+                        quantity: { $sum: "$orderedItems.quantity" },
+                        orders: { $sum: 1 }
+                    }
+                }
+            ])
+        ]);
+
+        const demandMap = new Map(demand.map(entry => [`${entry._id.productId}|${entry._id.variantSku}`, entry]));
+
+        const rows = [];
+        for (const product of products) {
+            const threshold = product.lowStockThreshold != null ? product.lowStockThreshold : 0;
+
+            for (const variant of getVariants(product)) {
+                const open = demandMap.get(`${product.productId}|${variant.sku}`);
+                const openOrderQuantity = open ? open.quantity : 0;
+
+                rows.push({
+                    productId: product.productId,
+                    productName: product.productName,
+                    variantSku: hasVariants(product) ? variant.sku : undefined,
+                    variantLabel: hasVariants(product) ? variant.label : undefined,
+                    category: product.category,
+                    availabilityStatus: product.availabilityStatus,
+                    autoUnavailable: product.autoUnavailable,
+                    stock: variant.stock,
+                    lowStockThreshold: threshold,
+                    openOrderQuantity: openOrderQuantity,
+                    openOrders: open ? open.orders : 0,
+                    outOfStock: variant.stock <= 0,
+                    lowStock: variant.stock > 0 && variant.stock < threshold,
+                    demandExceedsStock: openOrderQuantity > variant.stock
+                });
+            }
+        }
+
+        const matchesFilter = {
+            attention: row => row.outOfStock || row.lowStock || row.demandExceedsStock,
+            low: row => row.lowStock,
+            out: row => row.outOfStock,
+            demand: row => row.demandExceedsStock,
+            all: () => true
+        }[filter];
+
+        const items = rows.filter(matchesFilter);
+
+        res.json({
+            message: "Inventory report",
+            filter: filter,
+            summary: {
+                lowStock: rows.filter(row => row.lowStock).length,
+                outOfStock: rows.filter(row => row.outOfStock).length,
+                demandExceedsStock: rows.filter(row => row.demandExceedsStock).length
+            },
+            count: items.length,
+            items: items
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            message: "Error fetching inventory report",
+            error: error.message
+        });
+    }
+}
+
 export function deleteProduct(req, res) {
     if (!isAdmin(req)) {
         res.json({
@@ -136,15 +430,77 @@ export function updateProduct(req, res) {
     const productId = req.params.productId;
     const newProductData = req.body;
 
-    Product.updateOne({ productId: productId }, newProductData)
+    const variantErrors = applyVariants(newProductData);
+    if (variantErrors.length > 0) {
+        return res.status(400).json({
+            message: "Invalid variants",
+            errors: variantErrors
+        });
+    }
+    const inventoryError = applyInventorySettings(newProductData);
+    if (inventoryError) {
+        return res.status(400).json({
+            message: inventoryError
+        });
+    }
+
+    // Category may be given by id or slug
+    const categoryLookup = newProductData.category !== undefined
+        ? findCategory(newProductData.category)
+        : Promise.resolve(null);
+
+    categoryLookup
+        .then(async (category) => {
+            if (newProductData.images !== undefined) {
+                newProductData.images = await resolveImageUrls(newProductData.images, "products");
+            }
+            if (newProductData.category !== undefined) {
+                if (!category) {
+                    const error = new Error("Invalid category. Use the id or slug of an existing category");
+                    error.status = 400;
+                    throw error;
+                }
+                newProductData.category = category._id;
+            }
+
+            // Price and stock of a product with variants are set per variant.
+            // Stock edits are written to the stock ledger with the update.
+            return runInTransaction(async (session) => {
+                const before = await Product.findOne({ productId: productId })
+                    .select("productId stock variants")
+                    .session(session);
+                if (before && hasVariants(before) && newProductData.variants === undefined &&
+                    (newProductData.stock !== undefined || newProductData.pricePerPiece !== undefined)) {
+                    const error = new Error("This product has variants. Update the price and stock of its variants instead");
+                    error.status = 400;
+                    throw error;
+                }
+
+                await Product.updateOne({ productId: productId }, newProductData, { session });
+                if (!before) return;
+
+                if (newProductData.stock !== undefined || newProductData.variants !== undefined) {
+                    const after = await Product.findOne({ productId: productId })
+                        .select("productId stock variants")
+                        .session(session);
+                    await recordStockEdit(productId, diffVariantStock(before, after), {
+                        reason: "manual_correction",
+                        actor: req.user,
+                        note: "Edited in product form"
+                    }, session);
+                }
+                // Stock set to zero (or restocked) switches availability
+                await syncAvailability([productId], session);
+            });
+        })
         .then(() => {
             res.json({
                 message: "Product updated",
             });
         })
         .catch((error) => {
-            res.status(403).json({
-                message: error,
+            res.status(error.status || 403).json({
+                message: error.status ? error.message : error,
             });
         });
 }
@@ -160,7 +516,7 @@ export async function getProductById(req, res) {
             });
         }
 
-        res.json(product)
+        res.json(await attachImageSets(product))
     } catch (error) {
         res.status(500).json({
             message: "Error fetching product",
@@ -172,18 +528,17 @@ export async function getProductByIdInCategory(req, res) {
     try {
         const { category, productId } = req.params;
         
-        // Validate category against enum values
-        const validCategories = ['sweets', 'savory', 'beverages', 'spices', 'curries'];
-        if (!validCategories.includes(category.toLowerCase())) {
-            return res.status(400).json({
-                message: "Invalid category. Valid categories are: " + validCategories.join(', ')
+        const matchedCategory = await findCategory(category);
+        if (!matchedCategory) {
+            return res.status(404).json({
+                message: `Category not found: ${category}`
             });
         }
         
-        // Find product by both productId and category
+        // Find product by both productId and category (subcategories included)
         const product = await Product.findOne({ 
             productId: productId, 
-            category: category.toLowerCase() 
+            category: { $in: await getCategoryTreeIds(matchedCategory._id) }
         });
         
         if (!product) {
@@ -194,7 +549,7 @@ export async function getProductByIdInCategory(req, res) {
         
         res.json({
             category: category,
-            product: product
+            product: await attachImageSets(product)
         });
         
     } catch (error) {
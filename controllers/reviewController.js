@@ -2,6 +2,8 @@ import Review from "../models/review.js";
 import Order from "../models/order.js";
 import Product from "../models/product.js";
 import User from "../models/user.js";
+import { resolveImageUrls } from "../utils/imageStorage.js";
+import { attachImageSets } from "../utils/imageVariants.js";
 
 // Helper function to generate unique review ID
 async function generateUniqueReviewId() {
@@ -97,6 +99,17 @@ export async function createReview(req, res) {
             });
         }
 
+        // Images are stored as URLs (base64 from older clients is uploaded here)
+        let imageUrls;
+        try {
+            imageUrls = await resolveImageUrls(images || [], 'reviews');
+        } catch (error) {
+            return res.status(error.status || 500).json({
+                success: false,
+                message: error.message
+            });
+        }
+
         // Create new review with customer details
         const newReview = new Review({
             reviewId: reviewId,
@@ -107,7 +120,7 @@ export async function createReview(req, res) {
             orderId: orderId,
             rating: rating,
             comment: comment,
-            images: images || [],
+            images: imageUrls,
             isVerifiedPurchase: true
         });
 
@@ -169,7 +182,7 @@ export async function getProductReviews(req, res) {
         }).sort(sortCriteria);
 
         // Reviews already contain customer name and phone
-        const reviewsWithUserDetails = reviews.map(review => review.toObject());
+        const reviewsWithUserDetails = await attachImageSets(reviews);
 
         // Calculate review statistics
         const totalReviews = reviews.length;
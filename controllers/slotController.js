@@ -0,0 +1,309 @@
+import SlotCalendar from "../models/slotCalendar.js";
+import Order from "../models/order.js";
+import {
+    getSlotCalendar,
+    getOpenSlots,
+    getWindowsForDate,
+    getDayName,
+    isValidDateString,
+    isValidTimeString
+} from "../utils/slotScheduler.js";
+
+// Check and normalise the weekly schedule sent by the admin
+function buildWeeklySchedule(weeklySchedule) {
+    const errors = [];
+    const schedule = [];
+
+    weeklySchedule.forEach((day, dayIndex) => {
+        if (!Number.isInteger(day.dayOfWeek) || day.dayOfWeek < 0 || day.dayOfWeek > 6) {
+            errors.push(`weeklySchedule[${dayIndex}].dayOfWeek must be 0 (Sunday) to 6 (Saturday)`);
+            return;
+        }
+        if (schedule.some(entry => entry.dayOfWeek === day.dayOfWeek)) {
+            errors.push(`weeklySchedule has more than one entry for dayOfWeek ${day.dayOfWeek}`);
+            return;
+        }
+
+        const windows = [];
+        (day.windows || []).forEach((window, windowIndex) => {
+            const label = `weeklySchedule[${dayIndex}].windows[${windowIndex}]`;
+            if (!isValidTimeString(window.startTime) || !isValidTimeString(window.endTime) || window.startTime >= window.endTime) {
+                errors.push(`${label} needs startTime before endTime in HH:mm format`);
+                return;
+            }
+            if (!Number.isInteger(window.capacity) || window.capacity < 0) {
+                errors.push(`${label}.capacity must be a whole number of orders`);
+                return;
+            }
+            windows.push({
+                windowId: `${window.startTime}-${window.endTime}`,
+                startTime: window.startTime,
+                endTime: window.endTime,
+                capacity: window.capacity
+            });
+        });
+
+        schedule.push({ dayOfWeek: day.dayOfWeek, windows });
+    });
+
+    return { schedule, errors };
+}
+
+// Public: open slots customers can book
+export async function getAvailableSlots(req, res) {
+    try {
+        const calendar = await getSlotCalendar();
+        if (!calendar) {
+            return res.json({
+                success: true,
+                slotsEnabled: false,
+                days: []
+            });
+        }
+
+        // Delivery orders can't be booked before the zone's lead time (see /api/orders/quote)
+        const leadTimeDays = parseInt(req.query.leadTimeDays, 10) || 0;
+        const days = await getOpenSlots(calendar, leadTimeDays);
+
+        res.json({
+            success: true,
+            slotsEnabled: true,
+            days: days
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+}
+
+// Admin: view the slot calendar
+export async function getCalendar(req, res) {
+    try {
+        const calendar = await getSlotCalendar();
+
+        res.json({
+            success: true,
+            calendar: calendar
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+}
+
+// Admin: replace the weekly schedule / booking horizon
+export async function updateCalendar(req, res) {
+    try {
+        const { weeklySchedule, bookingHorizonDays } = req.body;
+
+        if (!Array.isArray(weeklySchedule)) {
+            return res.status(400).json({
+                success: false,
+                message: "weeklySchedule must be an array of { dayOfWeek, windows: [{ startTime, endTime, capacity }] }"
+            });
+        }
+
+        const { schedule, errors } = buildWeeklySchedule(weeklySchedule);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid slot calendar",
+                errors: errors
+            });
+        }
+
+        const update = { weeklySchedule: schedule, lastUpdated: new Date() };
+        if (bookingHorizonDays !== undefined) {
+            update.bookingHorizonDays = bookingHorizonDays;
+        }
+
+        const calendar = await SlotCalendar.findOneAndUpdate({}, update, {
+            new: true,
+            upsert: true,
+            runValidators: true
+        });
+
+        res.json({
+            success: true,
+            message: "Slot calendar updated",
+            calendar: calendar
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+}
+
+// Admin: close the shop on a date
+export async function addHoliday(req, res) {
+    try {
+        const { date, reason } = req.body;
+
+        if (!isValidDateString(date)) {
+            return res.status(400).json({
+                success: false,
+                message: "date must be in YYYY-MM-DD format"
+            });
+        }
+
+        const calendar = await SlotCalendar.findOneAndUpdate(
+            { "holidays.date": { $ne: date } },
+            { $push: { holidays: { date, reason: reason || "" } }, lastUpdated: new Date() },
+            { new: true }
+        );
+
+        if (!calendar) {
+            const existing = await getSlotCalendar();
+            return res.status(existing ? 400 : 404).json({
+                success: false,
+                message: existing ? "This date is already a holiday" : "Set up the slot calendar first"
+            });
+        }
+
+        // Orders already booked on that day need to be rescheduled by the shop
+        const affectedOrders = await Order.countDocuments({
+            slotDate: date,
+            status: { $nin: ["cancelled", "delivered"] }
+        });
+
+        res.json({
+            success: true,
+            message: "Holiday added",
+            affectedOrders: affectedOrders,
+            calendar: calendar
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+}
+
+// Admin: reopen a date
+export async function removeHoliday(req, res) {
+    try {
+        const calendar = await SlotCalendar.findOneAndUpdate(
+            {},
+            { $pull: { holidays: { date: req.params.date } }, lastUpdated: new Date() },
+            { new: true }
+        );
+
+        if (!calendar) {
+            return res.status(404).json({
+                success: false,
+                message: "Slot calendar not found"
+            });
+        }
+
+        res.json({
+            success: true,
+            message: "Holiday removed",
+            calendar: calendar
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+}
+
+// Admin: orders per slot for one day, with the items to prepare
+export async function getDaySheet(req, res) {
+    try {
+        const { date } = req.params;
+
+        if (!isValidDateString(date)) {
+            return res.status(400).json({
+                success: false,
+                message: "date must be in YYYY-MM-DD format"
+            });
+        }
+
+        const calendar = await getSlotCalendar();
+        const orders = await Order.find({
+            slotDate: date,
+            status: { $ne: "cancelled" }
+        })
+            .select("orderId name phone whatsappNumber deliveryOption nearestTownOrCity address notes orderedItems status paymentStatus slotWindow preferredTime")
+            .sort({ date: 1 });
+
+        // Start with every configured window so empty slots show too
+        const slots = new Map();
+        if (calendar) {
+            for (const window of getWindowsForDate(calendar, date)) {
+                slots.set(window.windowId, {
+                    windowId: window.windowId,
+                    capacity: window.capacity,
+                    orders: [],
+                    itemsToPrepare: {}
+                });
+            }
+        }
+
+        for (const order of orders) {
+            if (!slots.has(order.slotWindow)) {
+                slots.set(order.slotWindow, {
+                    windowId: order.slotWindow,
+                    capacity: null,
+                    orders: [],
+                    itemsToPrepare: {}
+                });
+            }
+            const slot = slots.get(order.slotWindow);
+
+            slot.orders.push({
+                _id: order._id,
+                orderId: order.orderId,
+                name: order.name,
+                phone: order.phone,
+                whatsappNumber: order.whatsappNumber,
+                deliveryOption: order.deliveryOption,
+                nearestTownOrCity: order.nearestTownOrCity,
+                address: order.address,
+                notes: order.notes,
+                status: order.status,
+                paymentStatus: order.paymentStatus,
+                items: order.orderedItems.map(item => ({
+                    productId: item.productId,
+                    name: item.name,
+                    quantity: item.quantity
+                }))
+            });
+
+            for (const item of order.orderedItems) {
+                const entry = slot.itemsToPrepare[item.productId] || { productId: item.productId, name: item.name, quantity: 0 };
+                entry.quantity += item.quantity;
+                slot.itemsToPrepare[item.productId] = entry;
+            }
+        }
+
+        const sheet = [...slots.values()]
+            .sort((a, b) => String(a.windowId).localeCompare(String(b.windowId)))
+            .map(slot => ({
+                ...slot,
+                bookedOrders: slot.orders.length,
+                itemsToPrepare: Object.values(slot.itemsToPrepare)
+            }));
+
+        res.json({
+            success: true,
+            date: date,
+            day: getDayName(date),
+            totalOrders: orders.length,
+            slots: sheet
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+}
@@ -0,0 +1,175 @@
+import Product from "../models/product.js";
+import StockMovement from "../models/stockMovement.js";
+import { adjustStock, reconcileStock, runInTransaction } from "../utils/stockManager.js";
+import { ADJUSTMENT_REASONS, STOCK_MOVEMENT_REASONS } from "../utils/stockLedger.js";
+import { DEFAULT_VARIANT_SKU } from "../utils/productVariants.js";
+
+// SKUs are stored upper case (see normalizeVariants); "default" stays as is
+function normalizeSku(variantSku) {
+    if (!variantSku || String(variantSku).toLowerCase() === DEFAULT_VARIANT_SKU) {
+        return DEFAULT_VARIANT_SKU;
+    }
+    return String(variantSku).trim().toUpperCase();
+}
+
+// Add or take stock of a product (or one of its variants) with a reason.
+// Body: { delta, reason: restock | wastage | manual_correction, variantSku?, note? }
+export async function adjustProductStock(req, res) {
+    try {
+        const { productId } = req.params;
+        const { reason, note } = req.body;
+        const delta = Number(req.body.delta);
+
+        if (!Number.isInteger(delta) || delta === 0) {
+            return res.status(400).json({
+                success: false,
+                message: "delta must be a whole number other than 0 (negative takes stock)"
+            });
+        }
+        if (!ADJUSTMENT_REASONS.includes(reason)) {
+            return res.status(400).json({
+                success: false,
+                message: `reason must be one of: ${ADJUSTMENT_REASONS.join(", ")}`
+            });
+        }
+        if (reason === "restock" && delta < 0) {
+            return res.status(400).json({
+                success: false,
+                message: "A restock must add stock"
+            });
+        }
+        if (reason === "wastage" && delta > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Wastage must take stock"
+            });
+        }
+
+        const item = { productId, variantSku: normalizeSku(req.body.variantSku) };
+        const movement = await runInTransaction((session) => adjustStock(item, delta, {
+            reason,
+            actor: req.user,
+            note: note ? String(note).trim() : ""
+        }, session));
+
+        const product = await Product.findOne({ productId }).select("productId productName stock availabilityStatus variants");
+
+        res.json({
+            success: true,
+            message: "Stock adjusted",
+            movement: movement,
+            product: product
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.message
+        });
+    }
+}
+
+// Movement history of a product, newest first
+// ?variantSku=&reason=&from=&to=&page=&limit=
+export async function getStockMovements(req, res) {
+    try {
+        const { productId } = req.params;
+        const product = await Product.findOne({ productId }).select("productId productName stock variants");
+        if (!product) {
+            const hasHistory = await StockMovement.exists({ productId });
+            if (!hasHistory) {
+                return res.status(404).json({
+                    success: false,
+                    message: "Product not found"
+                });
+            }
+        }
+
+        const query = { productId };
+        if (req.query.variantSku) {
+            query.variantSku = normalizeSku(req.query.variantSku);
+        }
+        if (req.query.reason) {
+            if (!STOCK_MOVEMENT_REASONS.includes(req.query.reason)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `reason must be one of: ${STOCK_MOVEMENT_REASONS.join(", ")}`
+                });
+            }
+            query.reason = req.query.reason;
+        }
+        if (req.query.from || req.query.to) {
+            query.createdAt = {};
+            if (req.query.from) query.createdAt.$gte = new Date(req.query.from);
+            if (req.query.to) query.createdAt.$lte = new Date(req.query.to);
+        }
+
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+        const [movements, total] = await Promise.all([
+            StockMovement.find(query)
+                .sort({ createdAt: -1, _id: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            StockMovement.countDocuments(query)
+        ]);
+
+        res.json({
+            success: true,
+            product: product,
+            page: page,
+            limit: limit,
+            total: total,
+            totalPages: Math.ceil(total / limit),
+            movements: movements
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+}
+
+// Check that a product's stock equals the sum of its ledger movements
+export async function reconcileProductStock(req, res) {
+    try {
+        const [result] = await reconcileStock({ productId: req.params.productId });
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                message: "Product not found"
+            });
+        }
+
+        res.json({
+            success: true,
+            reconciliation: result
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+}
+
+// Reconcile every product; only the ones that don't add up unless ?all=true
+export async function reconcileAllStock(req, res) {
+    try {
+        const results = await reconcileStock();
+        const unbalanced = results.filter(result => !result.balanced);
+
+        res.json({
+            success: true,
+            checked: results.length,
+            unbalancedCount: unbalanced.length,
+            products: req.query.all === "true" ? results : unbalanced
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+}
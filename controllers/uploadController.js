@@ -0,0 +1,83 @@
+import { saveBase64Image, IMAGE_FOLDERS, isImageUrl } from "../utils/imageStorage.js";
+import { RESIZED_FOLDERS, attachImageSets } from "../utils/imageVariants.js";
+
+// Folders customers may upload to (the rest are for admins)
+const CUSTOMER_FOLDERS = ["reviews"];
+
+// Upload one image (base64 data URI) and get back the URL to save on the
+// product, review, category or About page
+export async function uploadImage(req, res) {
+    try {
+        const { image, folder } = req.body;
+
+        if (!image || typeof image !== "string") {
+            return res.status(400).json({
+                success: false,
+                message: "image is required as a base64 data URI"
+            });
+        }
+
+        if (!IMAGE_FOLDERS.includes(folder)) {
+            return res.status(400).json({
+                success: false,
+                message: `folder must be one of: ${IMAGE_FOLDERS.join(", ")}`
+            });
+        }
+
+        if (req.user.type !== "admin" && !CUSTOMER_FOLDERS.includes(folder)) {
+            return res.status(403).json({
+                success: false,
+                message: "Access denied. Admin privileges required."
+            });
+        }
+
+        const stored = await saveBase64Image(image, folder);
+
+        res.status(201).json({
+            success: true,
+            message: "Image uploaded",
+            url: stored.url,
+            mimeType: stored.mimeType,
+            size: stored.size,
+            // Resized versions are made in the background; poll GET /api/uploads/images/sets
+            variantsStatus: RESIZED_FOLDERS.includes(folder) ? "pending" : "none"
+        });
+    } catch (error) {
+        console.error("Error uploading image:", error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : "Failed to upload image",
+            ...(error.status && { code: "FILE_VALIDATION_FAILED" })
+        });
+    }
+}
+
+// Image sets (resized versions and srcset strings) for ?urls=url1,url2
+export async function getImageSets(req, res) {
+    try {
+        const urls = String(req.query.urls || "")
+            .split(",")
+            .map(url => url.trim())
+            .filter(isImageUrl)
+            .slice(0, 50);
+
+        if (urls.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: "urls is required (comma separated image URLs)"
+            });
+        }
+
+        const { imageSets } = await attachImageSets({ images: urls });
+
+        res.json({
+            success: true,
+            imageSets: imageSets
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+}
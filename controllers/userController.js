@@ -2,9 +2,28 @@ import User from "../models/user.js";
 import bcrypt from "bcrypt";
 import jwt from "jsonwebtoken";
 import dotenv from "dotenv";
+import { mergeGuestCart } from "../utils/cartManager.js";
+import { consumeVerification } from "../utils/phoneVerification.js";
+import { SOCIAL_PROVIDERS, verifySocialCredential } from "../utils/socialAuth.js";
+import { hasIdentity, ownsIdentity, identityFilter, linkIdentity } from "../utils/userIdentities.js";
+import { issueAuthTokens, generateAccessToken, ACCESS_TOKEN_EXPIRES_IN } from "../middleware/secureAuth.js";
 
 dotenv.config();
 
+// Sent when registration or phone login is tried without a verified code
+// (POST /api/users/otp/send, then /api/users/otp/verify)
+const PHONE_NOT_VERIFIED_RESPONSE = {
+    success: false,
+    message: "Please verify your phone number with the code we send by SMS",
+    phoneVerificationRequired: true
+};
+
+// Sent when phone login is tried on an account whose phone login was removed
+const PHONE_LOGIN_REMOVED_RESPONSE = {
+    success: false,
+    message: "Phone login is turned off for this account. Please sign in with Google or Facebook."
+};
+
 function debugModules() {
     console.log('Required modules check:');
     console.log('User model available:', !!User);
@@ -13,91 +32,11 @@ function debugModules() {
     console.log('SECRET available:', !!process.env.SECRET);
 }
 
-// NEW: Google Login for existing users with email
-export function googleLogin(req, res) {
-    console.log("googleLogin called with:", req.body);
-
-    const { email, googleId, displayName } = req.body;
-
-    // Validate required fields
-    if (!email || !googleId) {
-        return res.status(400).json({
-            success: false,
-            message: "Email and Google ID are required"
-        });
-    }
-
-    // Find user by email
-    User.findOne({ email: email.trim() }).then(
-        (user) => {
-            if (!user) {
-                return res.status(404).json({
-                    success: false,
-                    message: "No account found with this email. Please register first or use traditional login."
-                });
-            }
-
-            // Check if user has an email (required for Google login)
-            if (!user.email || user.email.trim() === '') {
-                return res.status(400).json({
-                    success: false,
-                    message: "This account doesn't have an email. Please use traditional login with name and phone number."
-                });
-            }
-
-            // If user exists with email, allow Google login
-            // Update Google ID if not already set
-            if (!user.googleId) {
-                user.googleId = googleId;
-                user.authProvider = 'google';
-                user.save().catch(err => console.error("Error updating Google ID:", err));
-            }
-
-            // Generate JWT token
-            const token = jwt.sign({
-                userId: user.userId,
-                firstName: user.firstName,
-                lastName: user.lastName,
-                type: user.type,
-                phonenumber: user.phonenumber,
-                homeaddress: user.homeaddress,
-                email: user.email
-            }, process.env.SECRET, {
-                expiresIn: '24h'  // ADD THIS LINE
-            });
-
-            res.status(200).json({
-                success: true,
-                message: "Google login successful",
-                token: token,
-                user: {
-                    userId: user.userId,
-                    firstName: user.firstName,
-                    lastName: user.lastName,
-                    type: user.type,
-                    phonenumber: user.phonenumber,
-                    homeaddress: user.homeaddress,
-                    email: user.email
-                }
-            });
-        }
-    ).catch((error) => {
-        console.error("Error during Google login:", error);
-        res.status(500).json({
-            success: false,
-            message: "Google login failed",
-            error: error.message
-        });
-    });
-}
-
-
-
 export function createUser(req, res) {
     debugModules();
     console.log("createUser called with:", req.body);
 
-    const { firstName, lastName, phonenumber, homeaddress, email } = req.body;
+    const { firstName, lastName, phonenumber, homeaddress, email, phoneVerificationToken } = req.body;
 
     // Validate required fields
     if (!firstName || !phonenumber || !homeaddress) {
@@ -127,6 +66,10 @@ export function createUser(req, res) {
         }
     }
 
+    if (!phoneVerificationToken) {
+        return res.status(403).json(PHONE_NOT_VERIFIED_RESPONSE);
+    }
+
     // Check if user already exists with this phone number
     User.findOne({ phonenumber: phonenumber.trim() }).then(
         (existingUser) => {
@@ -140,78 +83,76 @@ export function createUser(req, res) {
 
             }
 
-            // Hash the phone number to use as password
-            const hashedPassword = bcrypt.hashSync(phonenumber.trim(), 10);
-
-            // Generate a unique userId in the format USRxxxx
-            User.countDocuments({ type: "customer" }).then((count) => {
-                const userNumber = (count + 1).toString().padStart(4, '0');
-                const newUserId = `USR${userNumber}`;
-
-                const newUser = new User({
-                    userId: newUserId,
-                    firstName: firstName.trim(),
-                    lastName: lastName?.trim() || "",
-                    email: email?.trim() || null,
-                    phonenumber: phonenumber.trim(),
-                    password: hashedPassword,
-                    homeaddress: homeaddress.trim(),
-                    type: "customer"
-                });
+            // The customer must have proved they own the number (see utils/phoneVerification.js)
+            return consumeVerification(phonenumber.trim(), phoneVerificationToken).then((verified) => {
+                if (!verified) {
+                    return res.status(403).json(PHONE_NOT_VERIFIED_RESPONSE);
+                }
 
-                newUser.save()
-                    .then((savedUser) => {
-                        console.log("User created successfully:", savedUser.firstName);
+                // Hash the phone number to use as password
+                const hashedPassword = bcrypt.hashSync(phonenumber.trim(), 10);
+
+                // Generate a unique userId in the format USRxxxx
+                User.countDocuments({ type: "customer" }).then((count) => {
+                    const userNumber = (count + 1).toString().padStart(4, '0');
+                    const newUserId = `USR${userNumber}`;
+
+                    const newUser = new User({
+                        userId: newUserId,
+                        firstName: firstName.trim(),
+                        lastName: lastName?.trim() || "",
+                        email: email?.trim() || null,
+                        phonenumber: phonenumber.trim(),
+                        password: hashedPassword,
+                        homeaddress: homeaddress.trim(),
+                        type: "customer",
+                        phoneVerified: true,
+                        identities: [{ provider: "phone", providerId: phonenumber.trim() }]
+                    });
 
-                        // Generate JWT token
-                        const token = jwt.sign({
-                            userId: savedUser.userId,
-                            firstName: savedUser.firstName,
-                            lastName: savedUser.lastName,
-                            type: savedUser.type,
-                            phonenumber: savedUser.phonenumber,
-                            homeaddress: savedUser.homeaddress,
-                            email: savedUser.email
-                        }, process.env.SECRET, {
-                            expiresIn: '24h'  // ADD THIS LINE
-                        });
+                    newUser.save()
+                        .then((savedUser) => {
+                            console.log("User created successfully:", savedUser.firstName);
 
-                        res.status(201).json({
-                            success: true,
-                            message: "User registered successfully",
-                            token: token,
-                            user: {
-                                userId: savedUser.userId,
-                                firstName: savedUser.firstName,
-                                lastName: savedUser.lastName,
-                                type: savedUser.type,
-                                phonenumber: savedUser.phonenumber,
-                                homeaddress: savedUser.homeaddress,
-                                email: savedUser.email
+                            return issueAuthTokens(savedUser, req).then((tokens) => {
+                                res.status(201).json({
+                                    success: true,
+                                    message: "User registered successfully",
+                                    ...tokens,
+                                    user: {
+                                        userId: savedUser.userId,
+                                        firstName: savedUser.firstName,
+                                        lastName: savedUser.lastName,
+                                        type: savedUser.type,
+                                        phonenumber: savedUser.phonenumber,
+                                        homeaddress: savedUser.homeaddress,
+                                        email: savedUser.email
+                                    }
+                                });
+                            });
+                        })
+                        .catch((error) => {
+                            console.error("Error creating user:", error);
+                            if (error.code === 11000) {
+                                res.status(409).json({
+                                    success: false,
+                                    message: "User already exists with this phone number"
+                                });
+                            } else {
+                                res.status(500).json({
+                                    success: false,
+                                    message: "Failed to create user",
+                                    error: error.message
+                                });
                             }
                         });
-                    })
-                    .catch((error) => {
-                        console.error("Error creating user:", error);
-                        if (error.code === 11000) {
-                            res.status(409).json({
-                                success: false,
-                                message: "User already exists with this phone number"
-                            });
-                        } else {
-                            res.status(500).json({
-                                success: false,
-                                message: "Failed to create user",
-                                error: error.message
-                            });
-                        }
+                }).catch((error) => {
+                    console.error("Error counting users:", error);
+                    res.status(500).json({
+                        success: false,
+                        message: "Failed to generate user ID",
+                        error: error.message
                     });
-            }).catch((error) => {
-                console.error("Error counting users:", error);
-                res.status(500).json({
-                    success: false,
-                    message: "Failed to generate user ID",
-                    error: error.message
                 });
             });
         }
@@ -262,11 +203,17 @@ export function checkAccountExists(req, res) {
     });
 }
 
-// Login function - uses firstName as username and phoneNumber as password
+// Login with first name and phone number. The phone number is not a secret,
+// so it needs a verified code too (phoneVerificationToken from /otp/verify).
+// Customers who set a password with a password reset can use it instead.
 export function loginUser(req, res) {
-    console.log("loginUser called with:", req.body);
+    console.log("loginUser called with:", {
+        ...req.body,
+        password: req.body.password ? "[REDACTED]" : undefined,
+        phoneVerificationToken: req.body.phoneVerificationToken ? "[REDACTED]" : undefined
+    });
 
-    const { firstName, phonenumber } = req.body;
+    const { firstName, phonenumber, password, phoneVerificationToken } = req.body;
 
     // Validate required fields
     if (!firstName || !phonenumber) {
@@ -276,8 +223,14 @@ export function loginUser(req, res) {
         });
     }
 
-    // Find user by first name
-    User.findOne({ firstName: firstName.trim() }).then(
+    // A "password" equal to the phone number is phone login as well
+    const usesPassword = typeof password === "string" && password !== "" && password !== phonenumber.trim();
+    if (!usesPassword && !phoneVerificationToken) {
+        return res.status(403).json(PHONE_NOT_VERIFIED_RESPONSE);
+    }
+
+    // Find user by phone number and first name
+    User.findOne({ phonenumber: phonenumber.trim(), firstName: firstName.trim() }).then(
         (user) => {
             if (!user) {
                 return res.status(404).json({
@@ -286,43 +239,53 @@ export function loginUser(req, res) {
                 });
             }
 
-            // Check if phone number matches (compare with hashed password)
-            const isPhoneCorrect = bcrypt.compareSync(phonenumber.trim(), user.password);
-
-            if (isPhoneCorrect) {
-                // Generate JWT token
-                const token = jwt.sign({
-                    userId: user.userId,
-                    firstName: user.firstName,
-                    lastName: user.lastName,
-                    type: user.type,
-                    phonenumber: user.phonenumber,
-                    homeaddress: user.homeaddress,
-                    email: user.email
-                }, process.env.SECRET, {
-                    expiresIn: '24h'  // ADD THIS LINE
-                });
-
-                res.status(200).json({
-                    success: true,
-                    message: "Login successful",
-                    token: token,
-                    user: {
-                        userId: user.userId,
-                        firstName: user.firstName,
-                        lastName: user.lastName,
-                        type: user.type,
-                        phonenumber: user.phonenumber,
-                        homeaddress: user.homeaddress,
-                        email: user.email
+            let checkLogin;
+            if (usesPassword) {
+                checkLogin = bcrypt.compare(password, user.password).then((isPasswordCorrect) => {
+                    if (!isPasswordCorrect) {
+                        res.status(401).json({
+                            success: false,
+                            message: "Invalid password for this account"
+                        });
                     }
+                    return isPasswordCorrect;
                 });
+            } else if (!hasIdentity(user, "phone")) {
+                return res.status(403).json(PHONE_LOGIN_REMOVED_RESPONSE);
             } else {
-                res.status(401).json({
-                    success: false,
-                    message: "Invalid phone number for this account"
+                checkLogin = consumeVerification(user.phonenumber, phoneVerificationToken).then((verified) => {
+                    if (!verified) {
+                        res.status(403).json(PHONE_NOT_VERIFIED_RESPONSE);
+                    }
+                    return verified;
                 });
             }
+
+            return checkLogin.then((loggedIn) => {
+                if (!loggedIn) return;
+
+                // Bring the items of the guest's cart into their account
+                return mergeGuestCart(req.header("X-Cart-Id"), user.userId)
+                    .catch(err => console.error("Error merging guest cart:", err))
+                    .then(() => {
+                        return issueAuthTokens(user, req).then((tokens) => {
+                            res.status(200).json({
+                                success: true,
+                                message: "Login successful",
+                                ...tokens,
+                                user: {
+                                    userId: user.userId,
+                                    firstName: user.firstName,
+                                    lastName: user.lastName,
+                                    type: user.type,
+                                    phonenumber: user.phonenumber,
+                                    homeaddress: user.homeaddress,
+                                    email: user.email
+                                }
+                            });
+                        });
+                    });
+            });
         }
     ).catch((error) => {
         console.error("Error during login:", error);
@@ -394,23 +357,17 @@ export function updateCustomerProfile(req, res) {
             user.firstName = firstName.trim();
             user.lastName = lastName && lastName.trim() ? lastName.trim() : "";
             user.homeaddress = homeaddress.trim();
-            user.email = email && email.trim() ? email.trim() : null;
+            const newEmail = email && email.trim() ? email.trim() : null;
+            if (newEmail !== user.email) {
+                user.emailVerified = false;
+            }
+            user.email = newEmail;
 
             return user.save();
         })
         .then((updatedUser) => {
-            // Generate new token with updated information
-            const token = jwt.sign({
-                userId: updatedUser.userId,
-                firstName: updatedUser.firstName,
-                lastName: updatedUser.lastName,
-                type: updatedUser.type,
-                phonenumber: updatedUser.phonenumber,
-                homeaddress: updatedUser.homeaddress,
-                email: updatedUser.email
-            }, process.env.SECRET, {
-                expiresIn: '24h'  // ADD THIS LINE
-            });
+            // New access token with the updated details (the refresh token stays valid)
+            const token = generateAccessToken(updatedUser, req);
 
             console.log("Profile updated successfully for user:", updatedUser.userId);
 
@@ -418,6 +375,7 @@ export function updateCustomerProfile(req, res) {
                 success: true,
                 message: "Profile updated successfully",
                 token: token,
+                expiresIn: ACCESS_TOKEN_EXPIRES_IN,
                 user: {
                     userId: updatedUser.userId,
                     firstName: updatedUser.firstName,
@@ -439,172 +397,6 @@ export function updateCustomerProfile(req, res) {
         });
 }
 
-// Google registration function - creates user after Google auth
-export function googleRegister(req, res) {
-    console.log("googleRegister called with:", req.body);
-
-    const { firstName, lastName, phonenumber, homeaddress, email, googleId, authProvider } = req.body;
-
-    // Validate required fields
-    if (!firstName || !phonenumber || !homeaddress || !email || !googleId) {
-        return res.status(400).json({
-            success: false,
-            message: "First name, phone number, home address, email, and Google ID are required"
-        });
-    }
-
-    // Phone number validation
-    const phoneRegex = /^\d{10}$/;
-    if (!phoneRegex.test(phonenumber.trim())) {
-        return res.status(400).json({
-            success: false,
-            message: "Phone number must be 10 digits"
-        });
-    }
-
-    // Email validation
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email.trim())) {
-        return res.status(400).json({
-            success: false,
-            message: "Invalid email address"
-        });
-    }
-
-    // Check if user already exists with this Google ID or email
-    User.findOne({
-        $or: [
-            { email: email.trim() },
-            { googleId: googleId }
-        ]
-    }).then((existingUser) => {
-        if (existingUser) {
-            // User already exists - log them in instead
-            console.log("User already exists with Google account");
-
-            // Check if phone number matches (for security)
-            const isPhoneCorrect = bcrypt.compareSync(phonenumber.trim(), existingUser.password);
-
-            if (isPhoneCorrect || existingUser.googleId === googleId) {
-                // Generate JWT token
-                const token = jwt.sign({
-                    userId: existingUser.userId,
-                    firstName: existingUser.firstName,
-                    lastName: existingUser.lastName,
-                    type: existingUser.type,
-                    phonenumber: existingUser.phonenumber,
-                    homeaddress: existingUser.homeaddress,
-                    email: existingUser.email
-                }, process.env.SECRET, {
-                    expiresIn: '24h'  // ADD THIS LINE
-                });
-
-                return res.status(200).json({
-                    success: true,
-                    message: "User already exists. Logged in successfully.",
-                    token: token,
-                    isExistingUser: true,
-                    user: {
-                        userId: existingUser.userId,
-                        firstName: existingUser.firstName,
-                        lastName: existingUser.lastName,
-                        type: existingUser.type,
-                        phonenumber: existingUser.phonenumber,
-                        homeaddress: existingUser.homeaddress,
-                        email: existingUser.email
-                    }
-                });
-            } else {
-                return res.status(409).json({
-                    success: false,
-                    message: "An account with this email already exists with different credentials"
-                });
-            }
-        } else {
-            // Create new user with Google authentication
-            console.log("Creating new user with Google authentication");
-
-            // Hash the phone number to use as password
-            const hashedPassword = bcrypt.hashSync(phonenumber.trim(), 10);
-
-            // Generate a unique userId in the format USRxxxx
-            User.countDocuments({ type: "customer" }).then((count) => {
-                const userNumber = (count + 1).toString().padStart(4, '0');
-                const newUserId = `USR${userNumber}`;
-
-                const newUser = new User({
-                    userId: newUserId,
-                    firstName: firstName.trim(),
-                    lastName: lastName?.trim() || "",
-                    email: email.trim(),
-                    phonenumber: phonenumber.trim(),
-                    password: hashedPassword,
-                    homeaddress: homeaddress.trim(),
-                    type: "customer",
-                    googleId: googleId,
-                    authProvider: authProvider || 'google'
-                });
-
-                newUser.save()
-                    .then((savedUser) => {
-                        console.log("User created successfully:", savedUser.firstName);
-
-                        // Generate JWT token
-                        const token = jwt.sign({
-                            userId: savedUser.userId,
-                            firstName: savedUser.firstName,
-                            lastName: savedUser.lastName,
-                            type: savedUser.type,
-                            phonenumber: savedUser.phonenumber,
-                            homeaddress: savedUser.homeaddress,
-                            email: savedUser.email
-                        }, process.env.SECRET, {
-                            expiresIn: '24h'  // ADD THIS LINE
-                        });
-
-                        res.status(201).json({
-                            success: true,
-                            message: "User registered successfully with Google",
-                            token: token,
-                            isNewUser: true,
-                            user: {
-                                userId: savedUser.userId,
-                                firstName: savedUser.firstName,
-                                lastName: savedUser.lastName,
-                                type: savedUser.type,
-                                phonenumber: savedUser.phonenumber,
-                                homeaddress: savedUser.homeaddress,
-                                email: savedUser.email
-                            }
-                        });
-                    })
-                    .catch((error) => {
-                        console.error("Error creating user:", error);
-                        res.status(500).json({
-                            success: false,
-                            message: "Failed to create user",
-                            error: error.message
-                        });
-                    });
-            }).catch((error) => {
-                console.error("Error counting users:", error);
-                res.status(500).json({
-                    success: false,
-                    message: "Failed to generate user ID",
-                    error: error.message
-                });
-            });
-        }
-    }).catch((error) => {
-        console.error("Error during Google registration:", error);
-        res.status(500).json({
-            success: false,
-            message: "Google registration failed",
-            error: error.message
-        });
-    });
-}
-
 export function checkUserByPhone(req, res) {
     console.log("checkUserByPhone called with:", req.body);
 
@@ -662,31 +454,66 @@ export function checkUserByPhone(req, res) {
 // SOCIAL LOGIN (Google & Facebook)
 // ============================================
 
+// Send the error of a failed social credential check (see utils/socialAuth.js)
+function sendSocialAuthError(res, error, fallbackMessage) {
+    if (error.status) {
+        return res.status(error.status).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({
+        success: false,
+        message: fallbackMessage,
+        error: error.message
+    });
+}
+
+function capitalize(value) {
+    return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
 // Social Login for existing users (Google or Facebook)
+// Body: { providerName, credential } - a Google ID token or a Facebook access token
 export function socialLogin(req, res) {
-    console.log("socialLogin called with:", req.body);
-
-    const { email, providerId, providerName, displayName } = req.body;
+    const { providerName, credential } = req.body;
+    console.log("socialLogin called with provider:", providerName);
 
     // Validate required fields
-    if (!email || !providerId || !providerName) {
+    if (!providerName || !credential) {
         return res.status(400).json({
             success: false,
-            message: "Email, provider ID, and provider name are required"
+            message: "Provider name and credential are required"
         });
     }
 
     // Validate provider name
-    if (!['google', 'facebook'].includes(providerName)) {
+    if (!SOCIAL_PROVIDERS.includes(providerName)) {
         return res.status(400).json({
             success: false,
             message: "Invalid provider name. Must be 'google' or 'facebook'"
         });
     }
 
-    // Find user by email
-    User.findOne({ email: email.trim() }).then(
-        (user) => {
+    let claims;
+
+    verifySocialCredential(providerName, credential)
+        .then((verified) => {
+            claims = verified;
+
+            // The account this identity is linked to, otherwise the account
+            // with the same email address - only if both the provider and our
+            // own records have it verified (typed in emails are not)
+            return User.findOne(identityFilter(providerName, claims.providerId)).then((user) => {
+                if (user || !claims.email || !claims.emailVerified) {
+                    return user;
+                }
+                return User.findOne({ email: claims.email, emailVerified: true });
+            });
+        })
+        .then((user) => {
             if (!user) {
                 return res.status(404).json({
                     success: false,
@@ -694,76 +521,58 @@ export function socialLogin(req, res) {
                 });
             }
 
-            // Check if user has an email (required for social login)
-            if (!user.email || user.email.trim() === '') {
-                return res.status(400).json({
-                    success: false,
-                    message: "This account doesn't have an email. Please use traditional login with name and phone number."
+            // First login with this provider to an account found by its verified
+            // email: link the identity (fails if the account has another one of
+            // the provider). Other accounts connect logins from their profile.
+            const saveIdentity = ownsIdentity(user, providerName, claims.providerId)
+                ? Promise.resolve()
+                : linkIdentity(user, { provider: providerName, providerId: claims.providerId, email: claims.email });
+
+            return saveIdentity
+                // Bring the items of the guest's cart into their account
+                .then(() => mergeGuestCart(req.header("X-Cart-Id"), user.userId)
+                    .catch(err => console.error("Error merging guest cart:", err)))
+                .then(() => {
+                    return issueAuthTokens(user, req).then((tokens) => {
+                        res.status(200).json({
+                            success: true,
+                            message: `${capitalize(providerName)} login successful`,
+                            ...tokens,
+                            user: {
+                                userId: user.userId,
+                                firstName: user.firstName,
+                                lastName: user.lastName,
+                                type: user.type,
+                                phonenumber: user.phonenumber,
+                                homeaddress: user.homeaddress,
+                                email: user.email
+                            }
+                        });
+                    });
                 });
-            }
-
-            // If user exists with email, allow social login
-            // Update provider info if not already set
-            if (!user.providerId) {
-                user.providerId = providerId;
-                user.providerName = providerName;
-                user.save().catch(err => console.error("Error updating provider info:", err));
-            }
-
-            // Generate JWT token
-            const token = jwt.sign({
-                userId: user.userId,
-                firstName: user.firstName,
-                lastName: user.lastName,
-                type: user.type,
-                phonenumber: user.phonenumber,
-                homeaddress: user.homeaddress,
-                email: user.email
-            }, process.env.SECRET, {
-                expiresIn: '24h'
-            });
-
-            res.status(200).json({
-                success: true,
-                message: `${providerName.charAt(0).toUpperCase() + providerName.slice(1)} login successful`,
-                token: token,
-                user: {
-                    userId: user.userId,
-                    firstName: user.firstName,
-                    lastName: user.lastName,
-                    type: user.type,
-                    phonenumber: user.phonenumber,
-                    homeaddress: user.homeaddress,
-                    email: user.email
-                }
-            });
-        }
-    ).catch((error) => {
-        console.error("Error during social login:", error);
-        res.status(500).json({
-            success: false,
-            message: "Social login failed",
-            error: error.message
-        });
-    });
+        })
+        .catch((error) => sendSocialAuthError(res, error, "Social login failed"));
 }
 
 // Social registration function - creates user after social auth (Google or Facebook)
+// Body: { providerName, credential, phonenumber, homeaddress, phoneVerificationToken,
+//         firstName?, lastName? }
+// Email and provider ID come from the verified credential; the names default to it.
+// The phone number must be verified with a code like any other registration.
 export function socialRegister(req, res) {
-    console.log("socialRegister called with:", req.body);
-
-    const { firstName, lastName, phonenumber, homeaddress, email, providerId, providerName } = req.body;
+    const { firstName, lastName, phonenumber, homeaddress, providerName, credential, phoneVerificationToken } = req.body;
+    console.log("socialRegister called with provider:", providerName);
 
     // Validate required fields
-    if (!firstName || !phonenumber || !homeaddress || !email || !providerId || !providerName) {
+    if (!phonenumber || !homeaddress || !providerName || !credential) {
         return res.status(400).json({
             success: false,
-            message: "First name, phone number, home address, email, provider ID, and provider name are required"
+            message: "Phone number, home address, provider name and credential are required"
         });
     }
 
     // Validate provider name
-    if (!['google', 'facebook'].includes(providerName)) {
+    if (!SOCIAL_PROVIDERS.includes(providerName)) {
         return res.status(400).json({
             success: false,
             message: "Invalid provider name. Must be 'google' or 'facebook'"
@@ -779,136 +588,125 @@ export function socialRegister(req, res) {
         });
     }
 
-    // Email validation
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email.trim())) {
-        return res.status(400).json({
-            success: false,
-            message: "Please enter a valid email address"
-        });
-    }
+    let claims;
 
-    // Check if user with this email already exists
-    User.findOne({ email: email.trim() }).then((existingUser) => {
-        if (existingUser) {
-            // User with email already exists
-            if (existingUser.providerId === providerId) {
-                // Same provider ID - user already registered, just login
-                const token = jwt.sign({
-                    userId: existingUser.userId,
-                    firstName: existingUser.firstName,
-                    lastName: existingUser.lastName,
-                    type: existingUser.type,
-                    phonenumber: existingUser.phonenumber,
-                    homeaddress: existingUser.homeaddress,
-                    email: existingUser.email
-                }, process.env.SECRET, {
-                    expiresIn: '24h'
-                });
+    verifySocialCredential(providerName, credential).then((verified) => {
+        claims = verified;
 
-                return res.status(200).json({
-                    success: true,
-                    message: "Logged in successfully.",
-                    token: token,
-                    isExistingUser: true,
-                    user: {
-                        userId: existingUser.userId,
-                        firstName: existingUser.firstName,
-                        lastName: existingUser.lastName,
-                        type: existingUser.type,
-                        phonenumber: existingUser.phonenumber,
-                        homeaddress: existingUser.homeaddress,
-                        email: existingUser.email
-                    }
-                });
-            } else {
+        if (!claims.email || !claims.emailVerified) {
+            return res.status(400).json({
+                success: false,
+                message: `Your ${capitalize(providerName)} account has no verified email address. Please register with your phone number instead.`
+            });
+        }
+
+        const userFirstName = (firstName || claims.firstName || "").trim();
+        if (!userFirstName) {
+            return res.status(400).json({
+                success: false,
+                message: "First name is required"
+            });
+        }
+
+        // Check if this identity or the email is already registered
+        return User.findOne(identityFilter(providerName, claims.providerId)).then((identityUser) => {
+            return identityUser || User.findOne({ email: claims.email });
+        }).then((existingUser) => {
+            if (existingUser) {
+                if (ownsIdentity(existingUser, providerName, claims.providerId)) {
+                    // Same provider ID - user already registered, just login
+                    return issueAuthTokens(existingUser, req).then((tokens) => {
+                        res.status(200).json({
+                            success: true,
+                            message: "Logged in successfully.",
+                            ...tokens,
+                            isExistingUser: true,
+                            user: {
+                                userId: existingUser.userId,
+                                firstName: existingUser.firstName,
+                                lastName: existingUser.lastName,
+                                type: existingUser.type,
+                                phonenumber: existingUser.phonenumber,
+                                homeaddress: existingUser.homeaddress,
+                                email: existingUser.email
+                            }
+                        });
+                    });
+                }
                 return res.status(409).json({
                     success: false,
                     message: "An account with this email already exists with different credentials"
                 });
             }
-        } else {
-            // Create new user with social authentication
-            console.log(`Creating new user with ${providerName} authentication`);
-
-            // Hash the phone number to use as password
-            const hashedPassword = bcrypt.hashSync(phonenumber.trim(), 10);
-
-            // Generate a unique userId in the format USRxxxx
-            User.countDocuments({ type: "customer" }).then((count) => {
-                const userNumber = (count + 1).toString().padStart(4, '0');
-                const newUserId = `USR${userNumber}`;
-
-                const newUser = new User({
-                    userId: newUserId,
-                    firstName: firstName.trim(),
-                    lastName: lastName?.trim() || "",
-                    email: email.trim(),
-                    phonenumber: phonenumber.trim(),
-                    password: hashedPassword,
-                    homeaddress: homeaddress.trim(),
-                    type: "customer",
-                    providerId: providerId,
-                    providerName: providerName
-                });
 
-                newUser.save()
-                    .then((savedUser) => {
-                        console.log("User created successfully:", savedUser.firstName);
+            return consumeVerification(phonenumber.trim(), phoneVerificationToken).then((verified) => {
+                if (!verified) {
+                    return res.status(403).json(PHONE_NOT_VERIFIED_RESPONSE);
+                }
 
-                        // Generate JWT token
-                        const token = jwt.sign({
-                            userId: savedUser.userId,
-                            firstName: savedUser.firstName,
-                            lastName: savedUser.lastName,
-                            type: savedUser.type,
-                            phonenumber: savedUser.phonenumber,
-                            homeaddress: savedUser.homeaddress,
-                            email: savedUser.email
-                        }, process.env.SECRET, {
-                            expiresIn: '24h'
-                        });
+                // Create new user with social authentication
+                console.log(`Creating new user with ${providerName} authentication`);
+
+                // Hash the phone number to use as password
+                const hashedPassword = bcrypt.hashSync(phonenumber.trim(), 10);
+
+                // Generate a unique userId in the format USRxxxx
+                return User.countDocuments({ type: "customer" }).then((count) => {
+                    const userNumber = (count + 1).toString().padStart(4, '0');
+                    const newUserId = `USR${userNumber}`;
+
+                    const newUser = new User({
+                        userId: newUserId,
+                        firstName: userFirstName,
+                        lastName: (lastName || claims.lastName || "").trim(),
+                        email: claims.email,
+                        emailVerified: true,
+                        phonenumber: phonenumber.trim(),
+                        phoneVerified: true,
+                        password: hashedPassword,
+                        homeaddress: homeaddress.trim(),
+                        type: "customer",
+                        providerId: claims.providerId,
+                        providerName: providerName,
+                        // The phone identity is proved by the code consumed above
+                        identities: [
+                            { provider: "phone", providerId: phonenumber.trim() },
+                            { provider: providerName, providerId: claims.providerId, email: claims.email }
+                        ]
+                    });
 
-                        res.status(201).json({
-                            success: true,
-                            message: `User registered successfully with ${providerName}`,
-                            token: token,
-                            isNewUser: true,
-                            user: {
-                                userId: savedUser.userId,
-                                firstName: savedUser.firstName,
-                                lastName: savedUser.lastName,
-                                type: savedUser.type,
-                                phonenumber: savedUser.phonenumber,
-                                homeaddress: savedUser.homeaddress,
-                                email: savedUser.email
-                            }
-                        });
-                    })
-                    .catch((error) => {
-                        console.error("Error creating user:", error);
-                        res.status(500).json({
-                            success: false,
-                            message: "Failed to create user",
-                            error: error.message
+                    return newUser.save().then((savedUser) => {
+                        console.log("User created successfully:", savedUser.firstName);
+
+                        return issueAuthTokens(savedUser, req).then((tokens) => {
+                            res.status(201).json({
+                                success: true,
+                                message: `User registered successfully with ${providerName}`,
+                                ...tokens,
+                                isNewUser: true,
+                                user: {
+                                    userId: savedUser.userId,
+                                    firstName: savedUser.firstName,
+                                    lastName: savedUser.lastName,
+                                    type: savedUser.type,
+                                    phonenumber: savedUser.phonenumber,
+                                    homeaddress: savedUser.homeaddress,
+                                    email: savedUser.email
+                                }
+                            });
                         });
                     });
-            }).catch((error) => {
-                console.error("Error counting users:", error);
-                res.status(500).json({
-                    success: false,
-                    message: "Failed to generate user ID",
-                    error: error.message
                 });
             });
-        }
-    }).catch((error) => {
-        console.error("Error checking existing user:", error);
-        res.status(500).json({
-            success: false,
-            message: "Failed to check existing user",
-            error: error.message
         });
+    }).catch((error) => {
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: "An account with this phone number or email already exists"
+            });
+        }
+        sendSocialAuthError(res, error, "Social registration failed");
     });
 }
 
@@ -919,7 +717,7 @@ export function socialRegister(req, res) {
 export function loginOrRegister(req, res) {
     console.log("loginOrRegister called with:", req.body);
 
-    const { firstName, lastName, phonenumber, homeaddress, email } = req.body;
+    const { firstName, lastName, phonenumber, homeaddress, email, phoneVerificationToken } = req.body;
 
     // Validate required fields
     if (!firstName || !phonenumber) {
@@ -949,38 +747,43 @@ export function loginOrRegister(req, res) {
         }
     }
 
+    // Logging in and registering both need the number proved with a code
+    if (!phoneVerificationToken) {
+        return res.status(403).json(PHONE_NOT_VERIFIED_RESPONSE);
+    }
+
     // Check if user exists by phone number
     User.findOne({ phonenumber: phonenumber.trim() })
         .then((user) => {
             if (user) {
-                // User exists - login
+                // User exists - login (only with a verified code for this number)
                 console.log("User found, logging in:", user.firstName);
 
-                const token = jwt.sign({
-                    userId: user.userId,
-                    firstName: user.firstName,
-                    lastName: user.lastName,
-                    type: user.type,
-                    phonenumber: user.phonenumber,
-                    homeaddress: user.homeaddress,
-                    email: user.email
-                }, process.env.SECRET, {
-                    expiresIn: '24h'
-                });
+                if (!hasIdentity(user, "phone")) {
+                    return res.status(403).json(PHONE_LOGIN_REMOVED_RESPONSE);
+                }
 
-                res.status(200).json({
-                    success: true,
-                    message: "Login successful",
-                    token: token,
-                    user: {
-                        userId: user.userId,
-                        firstName: user.firstName,
-                        lastName: user.lastName,
-                        type: user.type,
-                        phonenumber: user.phonenumber,
-                        homeaddress: user.homeaddress,
-                        email: user.email
+                return consumeVerification(phonenumber.trim(), phoneVerificationToken).then((verified) => {
+                    if (!verified) {
+                        return res.status(403).json(PHONE_NOT_VERIFIED_RESPONSE);
                     }
+
+                    return issueAuthTokens(user, req).then((tokens) => {
+                        res.status(200).json({
+                            success: true,
+                            message: "Login successful",
+                            ...tokens,
+                            user: {
+                                userId: user.userId,
+                                firstName: user.firstName,
+                                lastName: user.lastName,
+                                type: user.type,
+                                phonenumber: user.phonenumber,
+                                homeaddress: user.homeaddress,
+                                email: user.email
+                            }
+                        });
+                    });
                 });
             } else {
                 // User doesn't exist - check for email conflict before creating
@@ -1013,69 +816,74 @@ export function loginOrRegister(req, res) {
                 function createNewUser() {
                     console.log("User not found, registering new user");
 
-                    const hashedPassword = bcrypt.hashSync(phonenumber.trim(), 10);
-
-                    User.countDocuments({ type: "customer" }).then((count) => {
-                        const userNumber = (count + 1).toString().padStart(4, '0');
-                        const newUserId = `USR${userNumber}`;
-
-                        const newUser = new User({
-                            userId: newUserId,
-                            firstName: firstName.trim(),
-                            lastName: lastName?.trim() || "",
-                            email: email?.trim() || null,
-                            phonenumber: phonenumber.trim(),
-                            password: hashedPassword,
-                            homeaddress: homeaddress.trim(),
-                            type: "customer",
-                            providerName: "local",
-                            providerId: null
-                        });
+                    consumeVerification(phonenumber.trim(), phoneVerificationToken).then((verified) => {
+                        if (!verified) {
+                            return res.status(403).json(PHONE_NOT_VERIFIED_RESPONSE);
+                        }
 
-                        newUser.save()
-                            .then((savedUser) => {
-                                console.log("User created successfully:", savedUser.firstName);
+                        const hashedPassword = bcrypt.hashSync(phonenumber.trim(), 10);
+
+                        User.countDocuments({ type: "customer" }).then((count) => {
+                            const userNumber = (count + 1).toString().padStart(4, '0');
+                            const newUserId = `USR${userNumber}`;
+
+                            const newUser = new User({
+                                userId: newUserId,
+                                firstName: firstName.trim(),
+                                lastName: lastName?.trim() || "",
+                                email: email?.trim() || null,
+                                phonenumber: phonenumber.trim(),
+                                password: hashedPassword,
+                                homeaddress: homeaddress.trim(),
+                                type: "customer",
+                                providerName: "local",
+                                providerId: null,
+                                phoneVerified: true,
+                                identities: [{ provider: "phone", providerId: phonenumber.trim() }]
+                            });
 
-                                const token = jwt.sign({
-                                    userId: savedUser.userId,
-                                    firstName: savedUser.firstName,
-                                    lastName: savedUser.lastName,
-                                    type: savedUser.type,
-                                    phonenumber: savedUser.phonenumber,
-                                    homeaddress: savedUser.homeaddress,
-                                    email: savedUser.email
-                                }, process.env.SECRET, {
-                                    expiresIn: '24h'
-                                });
-
-                                res.status(201).json({
-                                    success: true,
-                                    message: "User registered successfully",
-                                    token: token,
-                                    user: {
-                                        userId: savedUser.userId,
-                                        firstName: savedUser.firstName,
-                                        lastName: savedUser.lastName,
-                                        type: savedUser.type,
-                                        phonenumber: savedUser.phonenumber,
-                                        homeaddress: savedUser.homeaddress,
-                                        email: savedUser.email
-                                    }
-                                });
-                            })
-                            .catch((error) => {
-                                console.error("Error creating user:", error);
-                                res.status(500).json({
-                                    success: false,
-                                    message: "Failed to create user",
-                                    error: error.message
+                            newUser.save()
+                                .then((savedUser) => {
+                                    console.log("User created successfully:", savedUser.firstName);
+
+                                    return issueAuthTokens(savedUser, req).then((tokens) => {
+                                        res.status(201).json({
+                                            success: true,
+                                            message: "User registered successfully",
+                                            ...tokens,
+                                            user: {
+                                                userId: savedUser.userId,
+                                                firstName: savedUser.firstName,
+                                                lastName: savedUser.lastName,
+                                                type: savedUser.type,
+                                                phonenumber: savedUser.phonenumber,
+                                                homeaddress: savedUser.homeaddress,
+                                                email: savedUser.email
+                                            }
+                                        });
+                                    });
+                                })
+                                .catch((error) => {
+                                    console.error("Error creating user:", error);
+                                    res.status(500).json({
+                                        success: false,
+                                        message: "Failed to create user",
+                                        error: error.message
+                                    });
                                 });
+                        }).catch((error) => {
+                            console.error("Error counting users:", error);
+                            res.status(500).json({
+                                success: false,
+                                message: "Failed to generate user ID",
+                                error: error.message
                             });
+                        });
                     }).catch((error) => {
-                        console.error("Error counting users:", error);
+                        console.error("Error checking phone verification:", error);
                         res.status(500).json({
                             success: false,
-                            message: "Failed to generate user ID",
+                            message: "Failed to verify phone number",
                             error: error.message
                         });
                     });
@@ -0,0 +1,171 @@
+import Wishlist from "../models/wishlist.js";
+import Product from "../models/product.js";
+import { hasVariants } from "../utils/productVariants.js";
+import { isInStock } from "../utils/backInStockNotifier.js";
+
+const MAX_WISHLIST_ITEMS = 100;
+
+// Saved products with their current price and availability, newest first.
+// Products that were deleted are dropped from the wishlist.
+async function buildWishlistView(wishlist) {
+    if (!wishlist || wishlist.items.length === 0) {
+        return { count: 0, items: [] };
+    }
+
+    const products = await Product.find({ productId: { $in: wishlist.items.map(item => item.productId) } })
+        .select("productId productName images pricePerPiece stock availabilityStatus category variants");
+    const productsById = new Map(products.map(product => [product.productId, product]));
+
+    const removedIds = wishlist.items
+        .filter(item => !productsById.has(item.productId))
+        .map(item => item.productId);
+    if (removedIds.length > 0) {
+        await Wishlist.updateOne(
+            { _id: wishlist._id },
+            { $pull: { items: { productId: { $in: removedIds } } } }
+        );
+    }
+
+    const items = wishlist.items
+        .filter(item => productsById.has(item.productId))
+        .sort((a, b) => b.addedAt - a.addedAt)
+        .map(item => {
+            const product = productsById.get(item.productId);
+            return {
+                productId: product.productId,
+                productName: product.productName,
+                image: product.images && product.images.length > 0 ? product.images[0] : null,
+                category: product.category,
+                // Lowest variant price for products with pack sizes
+                pricePerPiece: product.pricePerPiece,
+                hasVariants: hasVariants(product),
+                availabilityStatus: product.availabilityStatus,
+                inStock: isInStock(product),
+                addedAt: item.addedAt
+            };
+        });
+
+    return { count: items.length, items };
+}
+
+// Get the logged-in customer's wishlist
+export async function getWishlist(req, res) {
+    try {
+        const wishlist = await Wishlist.findOne({ userId: req.user.userId });
+
+        res.json({
+            success: true,
+            wishlist: await buildWishlistView(wishlist)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+}
+
+// Save a product for later. Body: { productId }
+export async function addToWishlist(req, res) {
+    try {
+        const { productId } = req.body;
+        if (!productId) {
+            return res.status(400).json({
+                success: false,
+                message: "productId is required"
+            });
+        }
+
+        const product = await Product.findOne({ productId: String(productId) })
+            .select("productId stock availabilityStatus");
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: "Product not found"
+            });
+        }
+
+        const userId = req.user.userId;
+        const existing = await Wishlist.findOne({ userId });
+        if (existing && existing.items.some(item => item.productId === product.productId)) {
+            return res.json({
+                success: true,
+                message: "Product is already in your wishlist",
+                wishlist: await buildWishlistView(existing)
+            });
+        }
+        if (existing && existing.items.length >= MAX_WISHLIST_ITEMS) {
+            return res.status(400).json({
+                success: false,
+                message: `Your wishlist can hold up to ${MAX_WISHLIST_ITEMS} products. Please remove some first.`
+            });
+        }
+
+        try {
+            // The filter skips a product that is already saved; for a new
+            // customer the upsert creates the wishlist
+            await Wishlist.updateOne(
+                { userId, "items.productId": { $ne: product.productId } },
+                {
+                    $push: {
+                        items: {
+                            productId: product.productId,
+                            addedAt: new Date(),
+                            // Out of stock now: email the customer when it comes back
+                            waitingForStock: !isInStock(product)
+                        }
+                    },
+                    $set: { lastUpdated: new Date() }
+                },
+                { upsert: true }
+            );
+        } catch (error) {
+            // Saved by a parallel request in the meantime
+            if (error.code !== 11000) throw error;
+        }
+
+        const wishlist = await Wishlist.findOne({ userId });
+        res.status(201).json({
+            success: true,
+            message: "Product added to your wishlist",
+            wishlist: await buildWishlistView(wishlist)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+}
+
+// Remove a product from the wishlist
+export async function removeFromWishlist(req, res) {
+    try {
+        const wishlist = await Wishlist.findOneAndUpdate(
+            { userId: req.user.userId, "items.productId": req.params.productId },
+            {
+                $pull: { items: { productId: req.params.productId } },
+                $set: { lastUpdated: new Date() }
+            },
+            { new: true }
+        );
+
+        if (!wishlist) {
+            return res.status(404).json({
+                success: false,
+                message: "Product is not in your wishlist"
+            });
+        }
+
+        res.json({
+            success: true,
+            message: "Product removed from your wishlist",
+            wishlist: await buildWishlistView(wishlist)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+}
@@ -11,6 +11,20 @@ import adminRouter from './routes/adminRouter.js';
 import contactRouter from './routes/contactRouter.js';
 import aboutRouter from './routes/aboutRouter.js';
 import reviewRouter from './routes/reviewRouter.js';
+import deliveryZoneRouter from './routes/deliveryZoneRouter.js';
+import slotRouter from './routes/slotRouter.js';
+import cartRouter from './routes/cartRouter.js';
+import couponRouter from './routes/couponRouter.js';
+import categoryRouter from './routes/categoryRouter.js';
+import uploadRouter from './routes/uploadRouter.js';
+import { LOCAL_UPLOAD_DIR } from './utils/storageProviders/localStorage.js';
+import { startImageWorker } from './utils/imageVariants.js';
+import { startBackInStockNotifier } from './utils/backInStockNotifier.js';
+import { isTokenRevoked } from './utils/sessionRevocation.js';
+import { isTokenBlacklisted } from './middleware/secureAuth.js';
+import { checkPaymentConfig } from './utils/paymentGateway.js';
+import { checkSmsConfig } from './utils/smsService.js';
+import User from './models/user.js';
 import { 
     securityHeaders, 
     rateLimiter,
@@ -28,6 +42,22 @@ console.log('SECRET:', process.env.SECRET ? 'Available' : 'Missing');
 console.log('MONGO_DB_URI:', process.env.MONGO_DB_URI ? 'Available' : 'Missing');
 console.log('NODE_ENV:', process.env.NODE_ENV || 'development');
 
+// Refuse to start with an unsafe payment setup (e.g. mock payments without a secret)
+try {
+  checkPaymentConfig();
+} catch (error) {
+  console.error("✗ Payment configuration error:", error.message);
+  process.exit(1);
+}
+
+// Phone registration, login and password reset send one-time codes by SMS
+try {
+  checkSmsConfig();
+} catch (error) {
+  console.error("✗ SMS configuration error:", error.message);
+  process.exit(1);
+}
+
 const app = express();
 
 const mongoUrl = process.env.MONGO_DB_URI
@@ -50,8 +80,8 @@ const corsOptions = {
   ],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
-  exposedHeaders: ['Content-Length', 'X-Request-Id'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Cart-Id'],
+  exposedHeaders: ['Content-Length', 'X-Request-Id', 'X-Cart-Id'],
   maxAge: 86400 // 24 hours
 };
 
@@ -60,6 +90,15 @@ app.use(cors(corsOptions));
 // Handle preflight requests
 app.options('*', cors(corsOptions));
 
+// Uploaded images (local image storage). Served before the rate limiter so a
+// product listing with many images doesn't use up the visitor's request budget.
+app.use('/uploads', express.static(LOCAL_UPLOAD_DIR, {
+  index: false,
+  dotfiles: 'deny',
+  maxAge: '30d',
+  immutable: true
+}));
+
 // 3. SQL Injection Protection
 app.use(sqlInjectionProtection);
 
@@ -92,6 +131,12 @@ const connection = mongoose.connection;
 
 connection.once("open", () => {
   console.log("✓ MongoDB connection established");
+
+  // Background job that makes the resized product and review images
+  startImageWorker();
+
+  // Periodic check that emails customers when wishlisted products are back in stock
+  startBackInStockNotifier();
 });
 
 connection.on("error", (error) => {
@@ -102,24 +147,31 @@ connection.on("error", (error) => {
 // BODY PARSING MIDDLEWARE
 // ============================================
 
-// Increase payload limit for Base64 images
-app.use(bodyParser.json({ limit: '50mb' }))
-app.use(bodyParser.urlencoded({ limit: '50mb', extended: true }))
+// Images are uploaded one at a time as base64 (max 5MB of image data), so
+// only the image upload and deposit slip routes need a bigger body
+app.use(['/api/uploads', /^\/api\/orders\/payment\/[^/]+\/proof$/], bodyParser.json({ limit: '8mb' }))
+app.use(bodyParser.json({ limit: '1mb' }))
+app.use(bodyParser.urlencoded({ limit: '1mb', extended: true }))
 
 // ============================================
 // JWT AUTHENTICATION MIDDLEWARE
 // ============================================
 
 app.use(
-  (req, res, next) => {
+  async (req, res, next) => {
     const token = req.header("Authorization")?.replace("Bearer ", "")
     
-    if (token != null) {
-      jwt.verify(token, process.env.SECRET, (error, decoded) => {
-        if (!error) {
-          req.user = decoded        
+    if (token != null && !isTokenBlacklisted(token)) {
+      try {
+        const decoded = jwt.verify(token, process.env.SECRET)
+        // Tokens issued before a password reset or "log out all devices" are ignored
+        const user = await User.findOne({ userId: decoded.userId }).select("sessionsRevokedAt sessionVersion").lean()
+        if (!isTokenRevoked(decoded, user)) {
+          req.user = decoded
         }
-      })
+      } catch (error) {
+        // Invalid or expired token: continue as a guest
+      }
     }
     next()
   }
@@ -141,6 +193,11 @@ app.use((req, res, next) => {
         if (sanitizedBody.password) sanitizedBody.password = '[REDACTED]';
         if (sanitizedBody.token) sanitizedBody.token = '[REDACTED]';
         if (sanitizedBody.googleId) sanitizedBody.googleId = '[REDACTED]';
+        if (sanitizedBody.newPassword) sanitizedBody.newPassword = '[REDACTED]';
+        if (sanitizedBody.code) sanitizedBody.code = '[REDACTED]';
+        if (sanitizedBody.phoneVerificationToken) sanitizedBody.phoneVerificationToken = '[REDACTED]';
+        if (sanitizedBody.refreshToken) sanitizedBody.refreshToken = '[REDACTED]';
+        if (sanitizedBody.credential) sanitizedBody.credential = '[REDACTED]';
         
         console.log('Request body:', JSON.stringify(sanitizedBody, null, 2));
     }
@@ -155,6 +212,12 @@ app.use((req, res, next) => {
 app.use("/api/users/login", authRateLimiter);
 app.use("/api/users/register", authRateLimiter);
 app.use("/api/admin/login", authRateLimiter);
+app.use("/api/users/forgot-password", authRateLimiter);
+app.use("/api/users/reset-password", authRateLimiter);
+app.use("/api/users/otp", authRateLimiter);
+app.use("/api/users/login-or-register", authRateLimiter);
+app.use("/api/users/refresh", authRateLimiter);
+app.use("/api/users/logout", authRateLimiter);
 
 // Main route handlers
 app.use("/api/products", productRouter);
@@ -164,6 +227,12 @@ app.use("/api/admin", adminRouter);
 app.use("/api/contact", contactRouter);
 app.use("/api/about", aboutRouter);
 app.use("/api/reviews", reviewRouter);
+app.use("/api/delivery-zones", deliveryZoneRouter);
+app.use("/api/slots", slotRouter);
+app.use("/api/cart", cartRouter);
+app.use("/api/coupons", couponRouter);
+app.use("/api/categories", categoryRouter);
+app.use("/api/uploads", uploadRouter);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -193,6 +262,14 @@ app.use((error, req, res, next) => {
     console.error('✗ Unhandled error:', error);
     console.error('Error stack:', error.stack);
     
+    // Body over the size limit (usually a base64 image sent inline)
+    if (error.type === 'entity.too.large') {
+        return res.status(413).json({
+            success: false,
+            message: 'Request is too large. Upload images to /api/uploads/images and send their URLs instead.'
+        });
+    }
+
     // Don't expose error details in production
     const isDevelopment = process.env.NODE_ENV === 'development';
     
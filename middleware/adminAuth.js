@@ -1,6 +1,8 @@
 // middleware/adminAuth.js
 import jwt from 'jsonwebtoken';
 import User from '../models/user.js';
+import { isTokenRevoked } from '../utils/sessionRevocation.js';
+import { isTokenBlacklisted } from './secureAuth.js';
 
 // Store failed login attempts (in production, use Redis or database)
 const failedLoginAttempts = new Map();
@@ -21,6 +23,14 @@ export async function adminAuth(req, res, next) {
             });
         }
 
+        // Logged out
+        if (isTokenBlacklisted(token)) {
+            return res.status(401).json({
+                success: false,
+                message: "Session has ended. Please log in again."
+            });
+        }
+
         // Verify token
         const decoded = jwt.verify(token, process.env.SECRET);
         
@@ -33,6 +43,14 @@ export async function adminAuth(req, res, next) {
             });
         }
 
+        // Tokens issued before a password reset or "log out all devices" are no longer valid
+        if (isTokenRevoked(decoded, user)) {
+            return res.status(401).json({
+                success: false,
+                message: "Session has ended. Please log in again."
+            });
+        }
+
         // Check if user has admin role
         if (user.type !== "admin") {
             logSecurityEvent('UNAUTHORIZED_ADMIN_ACCESS_ATTEMPT', {
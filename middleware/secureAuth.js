@@ -8,11 +8,17 @@
  * 3. Device fingerprinting
  * 4. Account lockout after failed attempts
  * 5. Secure token storage recommendations
+ *
+ * Logins get a short-lived access token (JWT) and a refresh token. Refresh
+ * tokens are kept in MongoDB and rotate on every use (see
+ * utils/refreshTokenStore.js).
  */
 
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 import User from '../models/user.js';
+import { issueRefreshToken, rotateRefreshToken, revokeRefreshToken, revokeFamily } from '../utils/refreshTokenStore.js';
+import { revokeUserSessions, getSessionVersion, isTokenRevoked } from '../utils/sessionRevocation.js';
 
 // Token blacklist (in production, use Redis)
 const tokenBlacklist = new Set();
@@ -21,8 +27,7 @@ const failedLoginAttempts = new Map(); // Track failed login attempts
 // Configuration
 const MAX_LOGIN_ATTEMPTS = 5;
 const LOCKOUT_DURATION = 15 * 60 * 1000; // 15 minutes
-const ACCESS_TOKEN_EXPIRY = '1h'; // 1 hour
-const REFRESH_TOKEN_EXPIRY = '7d'; // 7 days
+export const ACCESS_TOKEN_EXPIRES_IN = 15 * 60; // 15 minutes, in seconds
 
 /**
  * Generate device fingerprint from request
@@ -41,6 +46,26 @@ function generateDeviceFingerprint(req) {
         .digest('hex');
 }
 
+function getDeviceInfo(req) {
+    return {
+        deviceFingerprint: generateDeviceFingerprint(req),
+        userAgent: req.headers['user-agent'],
+        ipAddress: req.ip
+    };
+}
+
+function getBearerToken(req) {
+    const authHeader = req.headers['authorization'];
+    return authHeader && authHeader.split(' ')[1];
+}
+
+/**
+ * True if the access token was blacklisted by a logout
+ */
+export function isTokenBlacklisted(token) {
+    return tokenBlacklist.has(token);
+}
+
 /**
  * Check if account is locked due to failed login attempts
  */
@@ -114,11 +139,12 @@ export function generateAccessToken(user, req) {
             homeaddress: user.homeaddress,
             email: user.email,
             deviceFingerprint, // Add device fingerprint
+            sv: getSessionVersion(user), // Session version, see utils/sessionRevocation.js
             tokenType: 'access'
         },
         process.env.SECRET,
         { 
-            expiresIn: ACCESS_TOKEN_EXPIRY,
+            expiresIn: ACCESS_TOKEN_EXPIRES_IN,
             issuer: 'udari-online-shop',
             audience: user.type === 'admin' ? 'admin' : 'customer'
         }
@@ -126,22 +152,18 @@ export function generateAccessToken(user, req) {
 }
 
 /**
- * Generate refresh token (long-lived)
+ * Start a session: access token plus a new refresh token family
+ *
+ * @returns {Promise<{token: string, refreshToken: string, expiresIn: number}>}
  */
-export function generateRefreshToken(user) {
-    return jwt.sign(
-        {
-            userId: user.userId,
-            type: user.type,
-            tokenType: 'refresh'
-        },
-        process.env.SECRET,
-        { 
-            expiresIn: REFRESH_TOKEN_EXPIRY,
-            issuer: 'udari-online-shop',
-            audience: user.type === 'admin' ? 'admin' : 'customer'
-        }
-    );
+export async function issueAuthTokens(user, req) {
+    const refreshToken = await issueRefreshToken(user.userId, getDeviceInfo(req));
+
+    return {
+        token: generateAccessToken(user, req),
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    };
 }
 
 /**
@@ -202,6 +224,15 @@ export async function authenticateToken(req, res, next) {
             });
         }
 
+        // Tokens issued before "log out all devices" or a password reset
+        if (isTokenRevoked(decoded, user)) {
+            return res.status(401).json({
+                success: false,
+                message: "Session has ended. Please login again.",
+                code: 'TOKEN_REVOKED'
+            });
+        }
+
         // Attach user info to request
         req.user = {
             userId: decoded.userId,
@@ -242,12 +273,12 @@ export async function authenticateToken(req, res, next) {
 }
 
 /**
- * Logout and blacklist token
+ * Logout: blacklist the access token and revoke the refresh token's family
+ * Body: { refreshToken }. Works with an expired access token too.
  */
-export function logout(req, res) {
+export async function logout(req, res) {
     try {
-        const authHeader = req.headers['authorization'];
-        const token = authHeader && authHeader.split(' ')[1];
+        const token = getBearerToken(req);
         
         if (token) {
             // Add token to blacklist
@@ -256,10 +287,11 @@ export function logout(req, res) {
             // Auto-remove from blacklist after token would have expired anyway
             setTimeout(() => {
                 tokenBlacklist.delete(token);
-            }, 60 * 60 * 1000); // 1 hour (ACCESS_TOKEN_EXPIRY)
-            
-            console.log(`[AUTH] User logged out, token blacklisted`);
+            }, ACCESS_TOKEN_EXPIRES_IN * 1000).unref();
         }
+
+        const userId = await revokeRefreshToken(req.body.refreshToken, 'logout');
+        console.log(`[AUTH] User ${userId || 'unknown'} logged out`);
         
         res.json({
             success: true,
@@ -276,63 +308,66 @@ export function logout(req, res) {
 }
 
 /**
- * Refresh access token using refresh token
+ * Log out all devices: ends every access and refresh token of the user
+ * (use after authenticateToken)
  */
-export async function refreshAccessToken(req, res) {
+export async function logoutAllDevices(req, res) {
     try {
-        const { refreshToken } = req.body;
-        
-        if (!refreshToken) {
-            return res.status(400).json({
-                success: false,
-                message: "Refresh token required"
-            });
-        }
+        await revokeUserSessions(req.user.userId, 'logout_all');
+        console.log(`[AUTH] User ${req.user.userId} logged out of all devices`);
 
-        // Verify refresh token
-        const decoded = jwt.verify(refreshToken, process.env.SECRET, {
-            issuer: 'udari-online-shop'
+        res.json({
+            success: true,
+            message: "Logged out of all devices"
         });
+    } catch (error) {
+        console.error('Logout all devices error:', error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to log out of all devices",
+            error: error.message
+        });
+    }
+}
 
-        // Verify token type
-        if (decoded.tokenType !== 'refresh') {
-            return res.status(401).json({
-                success: false,
-                message: "Invalid token type"
-            });
-        }
+/**
+ * Swap a refresh token for a new access token and refresh token
+ * Body: { refreshToken }. A refresh token works once; presenting a used
+ * one again ends the whole session (REFRESH_TOKEN_REUSED).
+ */
+export async function refreshAccessToken(req, res) {
+    try {
+        const rotated = await rotateRefreshToken(req.body.refreshToken, getDeviceInfo(req));
 
-        // Get user
-        const user = await User.findOne({ userId: decoded.userId });
+        const user = await User.findOne({ userId: rotated.userId });
         if (!user) {
-            return res.status(404).json({
+            await revokeFamily(rotated.familyId, 'logout');
+            return res.status(401).json({
                 success: false,
-                message: "User not found"
+                message: "User not found",
+                code: 'USER_NOT_FOUND'
             });
         }
 
-        // Generate new access token
-        const newAccessToken = generateAccessToken(user, req);
-
         res.json({
             success: true,
-            accessToken: newAccessToken,
-            expiresIn: ACCESS_TOKEN_EXPIRY
+            token: generateAccessToken(user, req),
+            refreshToken: rotated.refreshToken,
+            expiresIn: ACCESS_TOKEN_EXPIRES_IN
         });
     } catch (error) {
-        console.error('Token refresh error:', error);
-        
-        if (error.name === 'TokenExpiredError') {
-            return res.status(401).json({
+        if (error.status) {
+            return res.status(error.status).json({
                 success: false,
-                message: "Refresh token expired. Please login again.",
-                code: 'REFRESH_TOKEN_EXPIRED'
+                message: error.message,
+                code: error.code
             });
         }
-        
-        res.status(401).json({
+
+        console.error('Token refresh error:', error);
+        res.status(500).json({
             success: false,
-            message: "Invalid refresh token",
+            message: "Failed to refresh token",
             error: error.message
         });
     }
@@ -356,13 +391,15 @@ setInterval(() => {
     if (cleanedAttempts > 0) {
         console.log(`[AUTH] Cleaned ${cleanedAttempts} expired login attempt records`);
     }
-}, 600000); // Every 10 minutes
+}, 600000).unref(); // Every 10 minutes
 
 export default {
     authenticateToken,
     generateAccessToken,
-    generateRefreshToken,
+    issueAuthTokens,
+    isTokenBlacklisted,
     logout,
+    logoutAllDevices,
     refreshAccessToken,
     isAccountLocked,
     recordFailedLogin,
@@ -12,6 +12,7 @@ const aboutSchema = mongoose.Schema({
             required: true,
             default: "We are a leading spice retailer providing high-quality authentic spices."
         },
+        // Image URLs (see utils/imageStorage.js)
         images: [{
             type: String
         }]
@@ -41,6 +42,7 @@ const aboutSchema = mongoose.Schema({
             type: String,
             required: true
         },
+        // Image URL (see utils/imageStorage.js)
         image: {
             type: String,
             required: false
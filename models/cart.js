@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+
+// Shopping cart. Guest carts are found by cartId (sent in the X-Cart-Id
+// header); once the customer logs in the cart belongs to their userId.
+// Only product ids and quantities are stored - prices are always worked out
+// again from the product when the cart is read.
+const cartSchema = mongoose.Schema({
+    cartId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    userId: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
+    items: [{
+        productId: {
+            type: String,
+            required: true
+        },
+        // Pack size / weight (not set for products without variants)
+        variantSku: {
+            type: String
+        },
+        quantity: {
+            type: Number,
+            required: true,
+            min: 1
+        },
+        addedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    lastUpdated: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const Cart = mongoose.model("carts", cartSchema);
+export default Cart;
@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+
+// Product category managed by admins. A category with a parent is a
+// subcategory; listing a category also lists its subcategories' products.
+const categorySchema = mongoose.Schema({
+    // URL name, e.g. "sweets" in /api/products/category/sweets
+    slug: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true
+    },
+    displayName: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        default: ""
+    },
+    // Image URL (see utils/imageStorage.js)
+    image: {
+        type: String
+    },
+    sortOrder: {
+        type: Number,
+        default: 0
+    },
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "categories",
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastUpdated: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+categorySchema.index({ parent: 1, sortOrder: 1 });
+
+const Category = mongoose.model("categories", categorySchema);
+export default Category;
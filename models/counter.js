@@ -0,0 +1,17 @@
+import mongoose from "mongoose";
+
+// Named sequences (e.g. invoice numbers), incremented atomically
+const counterSchema = mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    seq: {
+        type: Number,
+        default: 0
+    }
+});
+
+const Counter = mongoose.model("counters", counterSchema);
+export default Counter;
@@ -0,0 +1,89 @@
+import mongoose from "mongoose";
+
+// Promotion code (e.g. AVURUDU25). Applied after bulk-offer pricing by
+// utils/couponEngine.js; each use is recorded as a couponRedemption.
+const couponSchema = mongoose.Schema({
+    // Stored upper-case; customers may type it in any case
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        default: ""
+    },
+    discountType: {
+        type: String,
+        required: true,
+        enum: ["percentage", "fixed"]
+    },
+    // Percent (1-100) for "percentage", rupees for "fixed"
+    discountValue: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Upper limit of a percentage discount in rupees (null = no limit)
+    maxDiscount: {
+        type: Number,
+        min: 0,
+        default: null
+    },
+    // Items total (after bulk offers) the order must reach
+    minimumSpend: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // When either list is set, only matching lines are discounted
+    // (categories are stored as category ids, products as productIds)
+    applicableCategories: [{
+        type: String
+    }],
+    applicableProducts: [{
+        type: String
+    }],
+    validFrom: {
+        type: Date
+    },
+    validUntil: {
+        type: Date
+    },
+    // Total uses across all customers (null = unlimited)
+    usageLimit: {
+        type: Number,
+        min: 0,
+        default: null
+    },
+    // Uses per customer (null = unlimited)
+    perUserLimit: {
+        type: Number,
+        min: 0,
+        default: 1
+    },
+    timesUsed: {
+        type: Number,
+        default: 0
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: String
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastUpdated: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const Coupon = mongoose.model("coupons", couponSchema);
+export default Coupon;
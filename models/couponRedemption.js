@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+
+// One use of a coupon on an order. Released (and the coupon's use given
+// back) when the order is cancelled or deleted before delivery.
+const couponRedemptionSchema = mongoose.Schema({
+    couponId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: "coupons"
+    },
+    code: {
+        type: String,
+        required: true
+    },
+    userId: {
+        type: String,
+        required: true
+    },
+    orderId: {
+        type: String,
+        required: true
+    },
+    itemsTotal: {
+        type: Number,
+        required: true
+    },
+    discount: {
+        type: Number,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ["active", "released"],
+        default: "active"
+    },
+    redeemedAt: {
+        type: Date,
+        default: Date.now
+    },
+    releasedAt: {
+        type: Date
+    }
+});
+
+couponRedemptionSchema.index({ couponId: 1, userId: 1, status: 1 });
+couponRedemptionSchema.index({ orderId: 1 });
+
+const CouponRedemption = mongoose.model("couponRedemptions", couponRedemptionSchema);
+export default CouponRedemption;
@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+// A delivery zone groups towns that share the same fee, minimum order and lead time
+const deliveryZoneSchema = mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    towns: [{
+        name: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        // Lower-cased name used for matching Order.nearestTownOrCity
+        key: {
+            type: String,
+            required: true
+        },
+        isServiceable: {
+            type: Boolean,
+            default: true
+        }
+    }],
+    fee: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    minimumOrderValue: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    leadTimeDays: {
+        type: Number,
+        default: 1,
+        min: 0
+    },
+    // Switch off delivery to the whole zone
+    isServiceable: {
+        type: Boolean,
+        default: true
+    },
+    lastUpdated: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+deliveryZoneSchema.index({ "towns.key": 1 });
+
+const DeliveryZone = mongoose.model("deliveryZones", deliveryZoneSchema);
+export default DeliveryZone;
@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+// Resized versions of an uploaded image. Each document is also the
+// background job that creates them (see utils/imageVariants.js).
+const imageAssetSchema = mongoose.Schema({
+    // URL of the uploaded original
+    url: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    folder: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ["pending", "processing", "ready", "failed"],
+        default: "pending"
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    lastError: {
+        type: String
+    },
+    // Set while a worker is processing the job (stale locks are picked up again)
+    lockedAt: {
+        type: Date
+    },
+    sizes: [{
+        name: String, // thumbnail | card | full
+        width: Number,
+        height: Number,
+        url: String, // same format as the original
+        webpUrl: String
+    }],
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    processedAt: {
+        type: Date
+    }
+});
+
+imageAssetSchema.index({ status: 1, createdAt: 1 });
+
+const ImageAsset = mongoose.model("imageAssets", imageAssetSchema);
+export default ImageAsset;
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { ORDER_STATUSES, getAllowedTransitions } from "../utils/orderStateMachine.js";
 
 const orderScheme = new mongoose.Schema({
     orderId: {
@@ -22,6 +23,7 @@ const orderScheme = new mongoose.Schema({
             type: String,
             required: true
         },
+        // Effective price per piece (after any bulk offer), computed server-side
         price: {
             type: Number,
             required: true
@@ -30,6 +32,16 @@ const orderScheme = new mongoose.Schema({
             type: Number,
             required: true
         },
+        unitPrice: {
+            type: Number
+        },
+        discount: {
+            type: Number,
+            default: 0
+        },
+        lineTotal: {
+            type: Number
+        },
         image: {
             type: String,
             required: false
@@ -37,28 +49,214 @@ const orderScheme = new mongoose.Schema({
         productId: {
             type: String,
             required: true  // This is essential for tracking totalOrdered
+        },
+        // Pack size / weight ordered (not set for products without variants)
+        variantSku: {
+            type: String
+        },
+        variantLabel: {
+            type: String
         }
     }],
+    // Totals computed by utils/pricingEngine.js
+    subtotal: {
+        type: Number,
+        default: 0
+    },
+    discountTotal: {
+        type: Number,
+        default: 0
+    },
+    // Promotion code applied after bulk offers (see utils/couponEngine.js)
+    coupon: {
+        couponId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'coupons'
+        },
+        code: String,
+        discountType: String,
+        discountValue: Number
+    },
+    couponDiscount: {
+        type: Number,
+        default: 0
+    },
+    deliveryFee: {
+        type: Number,
+        default: 0
+    },
+    deliveryZone: {
+        type: String
+    },
+    // Grand total: items after bulk and coupon discounts plus delivery fee
+    total: {
+        type: Number,
+        default: 0
+    },
     date: {
         type: Date,
         default: Date.now
     },
+    // Sequential invoice number, assigned the first time an invoice is issued
+    invoiceNumber: {
+        type: String
+    },
+    invoiceIssuedAt: {
+        type: Date
+    },
     paymentId: {
         type: String,  
     },
+    paymentProvider: {
+        type: String
+    },
+    paidAt: {
+        type: Date
+    },
+    // Bank deposit slips uploaded by the customer, reviewed by an admin
+    paymentProofs: [{
+        proofId: {
+            type: String,
+            required: true
+        },
+        // Key of the slip in private storage (see utils/imageStorage.js)
+        imageKey: String,
+        imageMimeType: String,
+        // Base64 slip of uploads made before private storage, never sent out
+        image: {
+            type: String,
+            select: false
+        },
+        reference: String,
+        bankName: String,
+        amount: Number,
+        status: {
+            type: String,
+            enum: ["pending", "approved", "rejected"],
+            default: "pending"
+        },
+        uploadedAt: {
+            type: Date,
+            default: Date.now
+        },
+        reviewedBy: String,
+        reviewedAt: Date,
+        rejectionReason: String
+    }],
+    // Every payment notification received for this order (audit trail)
+    paymentEvents: [{
+        provider: String,
+        paymentId: String,
+        status: String,
+        amount: Number,
+        currency: String,
+        note: String,
+        receivedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
     status: {
         type: String,
-        enum: ["pending", "accepted", "preparing", "shipped", "delivered", "cancelled"],
+        enum: ORDER_STATUSES,
         default: "pending"
     },
+    // Every status change, oldest first (see utils/orderStateMachine.js)
+    statusHistory: [{
+        from: {
+            type: String,
+            default: null
+        },
+        status: {
+            type: String,
+            enum: ORDER_STATUSES,
+            required: true
+        },
+        changedBy: {
+            type: String,
+            default: null
+        },
+        actorType: {
+            type: String,
+            enum: ["customer", "admin", "system"],
+            default: "system"
+        },
+        note: {
+            type: String,
+            default: ""
+        },
+        changedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
     paymentStatus: {
         type: String,
-        enum: ["unpaid", "paid", "refunded"],
+        enum: ["unpaid", "paid", "partially_refunded", "refunded"],
         default: "unpaid"
     },
+    refundedAmount: {
+        type: Number,
+        default: 0
+    },
+    // Money arrived while the order could not be paid (e.g. cancelled):
+    // it was not taken as payment and has to be returned by hand
+    manualRefundRequired: {
+        type: Boolean,
+        default: false
+    },
+    refunds: [{
+        refundId: {
+            type: String,
+            required: true
+        },
+        // "pending" while the payment provider is being called
+        status: {
+            type: String,
+            enum: ["pending", "completed"],
+            default: "pending"
+        },
+        amount: {
+            type: Number,
+            required: true
+        },
+        reason: {
+            type: String,
+            required: true
+        },
+        items: [{
+            productId: String,
+            variantSku: String,
+            name: String,
+            quantity: Number,
+            amount: Number
+        }],
+        restocked: {
+            type: Boolean,
+            default: false
+        },
+        refundedBy: String,
+        // "provider": refunded through the payment provider's API,
+        // "manual": paid back by the shop (bank deposits) and only recorded here
+        method: {
+            type: String,
+            enum: ["provider", "manual"],
+            default: "provider"
+        },
+        providerRefundId: String,
+        // Reference of the shop's own transfer for manual refunds
+        manualReference: String,
+        createdAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
     notes: {
         type: String,  
     },
+    cancellationReason: {
+        type: String
+    },
     name: {
         type: String,
         required: true
@@ -86,6 +284,13 @@ const orderScheme = new mongoose.Schema({
         type: String,
         required: true
     },
+    // Booked pickup/delivery slot (see utils/slotScheduler.js)
+    slotDate: {
+        type: String
+    },
+    slotWindow: {
+        type: String
+    },
     nearestTownOrCity: {
         type: String,
         required: function() {
@@ -98,5 +303,17 @@ const orderScheme = new mongoose.Schema({
     }
 });
 
+// Next statuses the order can move to, so clients don't hard-code the rules
+orderScheme.virtual("allowedNextStatuses").get(function() {
+    return getAllowedTransitions(this.status);
+});
+
+orderScheme.index({ "paymentProofs.status": 1 });
+orderScheme.index({ manualRefundRequired: 1 }, { partialFilterExpression: { manualRefundRequired: true } });
+orderScheme.index({ slotDate: 1, slotWindow: 1 });
+orderScheme.index({ invoiceNumber: 1 }, { unique: true, sparse: true });
+
+orderScheme.set("toJSON", { virtuals: true });
+
 const Order = mongoose.model("orders", orderScheme);
 export default Order;
\ No newline at end of file
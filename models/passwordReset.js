@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+
+// A password reset request. Only a keyed hash of the link token or SMS
+// code is stored; a reset can be used once and expires on its own
+// (see controllers/passwordResetController.js).
+const passwordResetSchema = mongoose.Schema({
+    userId: {
+        type: String,
+        required: true
+    },
+    channel: {
+        type: String,
+        enum: ["email", "sms"],
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true
+    },
+    // Wrong SMS codes entered; the reset is dropped after too many
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    },
+    requestIp: {
+        type: String
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+passwordResetSchema.index({ tokenHash: 1 });
+passwordResetSchema.index({ userId: 1, createdAt: -1 });
+// Expired requests are removed a day later (kept meanwhile for the per-account limit)
+passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const PasswordReset = mongoose.model("passwordResets", passwordResetSchema);
+export default PasswordReset;
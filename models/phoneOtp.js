@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+
+// The current one-time code for a phone number, and the verification it
+// turns into once the right code is entered (see utils/phoneVerification.js).
+// Only keyed hashes of the code and the verification token are stored.
+const phoneOtpSchema = mongoose.Schema({
+    phonenumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    codeHash: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    // Wrong codes entered for the current code
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    sentAt: {
+        type: Date,
+        required: true
+    },
+    // Codes sent since sendWindowStartedAt (limits sends per hour)
+    sendCount: {
+        type: Number,
+        default: 0
+    },
+    sendWindowStartedAt: {
+        type: Date
+    },
+    verifiedAt: {
+        type: Date,
+        default: null
+    },
+    // Proof of the verification, used once to register or log in
+    verificationTokenHash: {
+        type: String,
+        default: null
+    },
+    verificationExpiresAt: {
+        type: Date,
+        default: null
+    },
+    consumedAt: {
+        type: Date,
+        default: null
+    }
+});
+
+// Numbers nobody verified are forgotten after a day
+phoneOtpSchema.index({ sentAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const PhoneOtp = mongoose.model("phoneOtps", phoneOtpSchema);
+export default PhoneOtp;
@@ -10,6 +10,7 @@ const productSchema = mongoose.Schema({
         type: String,
         required: true
     },
+    // Image URLs (see utils/imageStorage.js)
     images: [{
         type: String
     }],
@@ -24,17 +25,29 @@ const productSchema = mongoose.Schema({
         type: Number,
         required: true
     },
+    // Admin-managed category (see models/category.js)
     category: {
-        type: String,
-        required: true,
-        enum: ['sweets', 'savory', 'beverages', 'spices', 'curries'],
-        default: 'sweets'
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'categories',
+        required: true
     },
     availabilityStatus: {
         type: String,
         enum: ['available', 'not available'],
         default: 'available'
     },
+    // Set when availability was switched off because stock ran out, so it is
+    // switched back on when stock returns (see utils/inventoryAlerts.js)
+    autoUnavailable: {
+        type: Boolean,
+        default: false
+    },
+    // Admin gets a low-stock email when an order takes stock below this
+    lowStockThreshold: {
+        type: Number,
+        min: 0,
+        default: 5
+    },
     totalOrdered: {
         type: Number,
         default: 0
@@ -48,9 +61,48 @@ const productSchema = mongoose.Schema({
             type: Number,
             required: true
         }
+    }],
+    // Pack sizes / weights (see utils/productVariants.js). When set, stock is
+    // the total of the variants and pricePerPiece the lowest variant price.
+    variants: [{
+        sku: {
+            type: String,
+            required: true
+        },
+        label: {
+            type: String,
+            required: true
+        },
+        price: {
+            type: Number,
+            required: true
+        },
+        stock: {
+            type: Number,
+            required: true
+        },
+        bulkOffers: [{
+            pieces: {
+                type: Number,
+                required: true
+            },
+            offerPrice: {
+                type: Number,
+                required: true
+            }
+        }]
     }]
 })
 
+// Used by the product search (text relevance weighs the name above the description)
+productSchema.index(
+    { productName: "text", description: "text" },
+    { weights: { productName: 10, description: 2 }, name: "product_text_search" }
+);
+productSchema.index({ category: 1, pricePerPiece: 1 });
+productSchema.index({ totalOrdered: -1 });
+productSchema.index({ "variants.sku": 1 });
+
 const Product = mongoose.model("products", productSchema);
 
 export default Product;
\ No newline at end of file
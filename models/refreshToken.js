@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+// A refresh token, stored as a hash (see utils/refreshTokenStore.js).
+// Every login starts a family; each refresh uses the token up and issues
+// the next one in the same family.
+const refreshTokenSchema = mongoose.Schema({
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    userId: {
+        type: String,
+        required: true
+    },
+    familyId: {
+        type: String,
+        required: true
+    },
+    // Set when the token was exchanged for a new one
+    usedAt: {
+        type: Date,
+        default: null
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        enum: ["logout", "logout_all", "reuse_detected", "password_reset", null],
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    deviceFingerprint: {
+        type: String
+    },
+    userAgent: {
+        type: String
+    },
+    ipAddress: {
+        type: String
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+refreshTokenSchema.index({ familyId: 1 });
+refreshTokenSchema.index({ userId: 1, revokedAt: 1 });
+// Expired tokens are removed a day later (kept meanwhile to spot reuse)
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const RefreshToken = mongoose.model("refreshTokens", refreshTokenSchema);
+export default RefreshToken;
@@ -42,7 +42,7 @@ const reviewSchema = mongoose.Schema({
         trim: true
     },
     images: [{
-        type: String // Base64 encoded images stored in MongoDB
+        type: String // Image URLs (see utils/imageStorage.js)
     }],
     helpfulCount: {
         type: Number,
@@ -0,0 +1,19 @@
+import mongoose from "mongoose";
+
+// Single document holding shop-wide settings that admins can change
+const shopSettingsSchema = mongoose.Schema({
+    // How long (in minutes after the order was placed) customers may cancel
+    // their own order. null means no cutoff.
+    customerCancellationWindowMinutes: {
+        type: Number,
+        min: 0,
+        default: null
+    },
+    lastUpdated: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const ShopSettings = mongoose.model("shopSettings", shopSettingsSchema);
+export default ShopSettings;
@@ -0,0 +1,23 @@
+import mongoose from "mongoose";
+
+// Number of orders booked into one slot (date + time window)
+const slotBookingSchema = mongoose.Schema({
+    date: {
+        type: String,
+        required: true
+    },
+    windowId: {
+        type: String,
+        required: true
+    },
+    booked: {
+        type: Number,
+        default: 0,
+        min: 0
+    }
+});
+
+slotBookingSchema.index({ date: 1, windowId: 1 }, { unique: true });
+
+const SlotBooking = mongoose.model("slotBookings", slotBookingSchema);
+export default SlotBooking;
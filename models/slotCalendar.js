@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+// Single document describing when orders can be picked up or delivered
+const slotCalendarSchema = mongoose.Schema({
+    // One entry per open weekday (0 = Sunday ... 6 = Saturday)
+    weeklySchedule: [{
+        dayOfWeek: {
+            type: Number,
+            required: true,
+            min: 0,
+            max: 6
+        },
+        windows: [{
+            // "HH:mm-HH:mm", derived from the start and end time
+            windowId: {
+                type: String,
+                required: true
+            },
+            startTime: {
+                type: String,
+                required: true
+            },
+            endTime: {
+                type: String,
+                required: true
+            },
+            // Maximum number of orders in this window
+            capacity: {
+                type: Number,
+                required: true,
+                min: 0
+            }
+        }]
+    }],
+    // Closed dates ("YYYY-MM-DD" in the shop's timezone)
+    holidays: [{
+        date: {
+            type: String,
+            required: true
+        },
+        reason: {
+            type: String,
+            default: ""
+        }
+    }],
+    // How many days ahead customers can book
+    bookingHorizonDays: {
+        type: Number,
+        default: 14,
+        min: 1
+    },
+    lastUpdated: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const SlotCalendar = mongoose.model("slotCalendar", slotCalendarSchema);
+export default SlotCalendar;
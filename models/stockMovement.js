@@ -0,0 +1,64 @@
+import mongoose from "mongoose";
+import { STOCK_MOVEMENT_REASONS } from "../utils/stockLedger.js";
+
+// One change to a product's (or variant's) stock. The ledger is append-only:
+// the sum of a variant's deltas is its current stock (see utils/stockLedger.js).
+const stockMovementSchema = mongoose.Schema({
+    productId: {
+        type: String,
+        required: true
+    },
+    // "default" for products without variants
+    variantSku: {
+        type: String,
+        default: "default"
+    },
+    // Positive adds stock, negative takes it
+    delta: {
+        type: Number,
+        required: true
+    },
+    reason: {
+        type: String,
+        enum: STOCK_MOVEMENT_REASONS,
+        required: true
+    },
+    // Stock of the variant right after this movement
+    stockAfter: {
+        type: Number
+    },
+    orderId: {
+        type: String
+    },
+    changedBy: {
+        type: String,
+        default: null
+    },
+    actorType: {
+        type: String,
+        enum: ["customer", "admin", "system"],
+        default: "system"
+    },
+    note: {
+        type: String,
+        default: ""
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+stockMovementSchema.index({ productId: 1, variantSku: 1, createdAt: -1 });
+stockMovementSchema.index({ orderId: 1 });
+
+// Movements are never edited or removed; corrections are new movements
+function rejectChange(next) {
+    next(new Error("Stock movements are append-only"));
+}
+for (const operation of ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "deleteOne", "deleteMany", "findOneAndDelete", "findOneAndReplace"]) {
+    stockMovementSchema.pre(operation, rejectChange);
+}
+
+const StockMovement = mongoose.model("stockMovements", stockMovementSchema);
+export default StockMovement;
@@ -38,6 +38,17 @@ const userSchema = mongoose.Schema({
         sparse: true,
         default: null
     },
+    // Set when a provider (Google/Facebook) confirmed this address to us;
+    // only then may a social login be matched to the account by email
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
+    // Set once the customer entered a code sent to phonenumber (see utils/phoneVerification.js)
+    phoneVerified: {
+        type: Boolean,
+        default: false
+    },
     // 👇 unified authentication fields
     providerName: {
         type: String,
@@ -48,12 +59,50 @@ const userSchema = mongoose.Schema({
         type: String,
         sparse: true,
         default: null
+    },
+    // Ways to sign in to this account (see utils/userIdentities.js).
+    // providerName/providerId above are the provider used to register.
+    identities: [{
+        provider: {
+            type: String,
+            enum: ["phone", "google", "facebook"],
+            required: true
+        },
+        providerId: {
+            type: String,
+            required: true
+        },
+        email: {
+            type: String,
+            default: null
+        },
+        linkedAt: {
+            type: Date,
+            default: Date.now
+        },
+        _id: false
+    }],
+    // Tokens issued before this time are no longer accepted (password reset)
+    sessionsRevokedAt: {
+        type: Date,
+        default: null
+    },
+    // Raised on every revocation; access tokens carry the version they were
+    // issued with (see utils/sessionRevocation.js)
+    sessionVersion: {
+        type: Number,
+        default: 0
     }
 });
 
 // Create sparse unique indexes manually
 userSchema.index({ email: 1 }, { unique: true, sparse: true });
 userSchema.index({ providerId: 1 }, { unique: true, sparse: true });
+// An identity can belong to one account only
+userSchema.index(
+    { "identities.provider": 1, "identities.providerId": 1 },
+    { unique: true, partialFilterExpression: { "identities.provider": { $exists: true } } }
+);
 
 const User = mongoose.model("user", userSchema);
 export default User;
\ No newline at end of file
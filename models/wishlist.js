@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+// A customer's saved products. Prices and availability are always read
+// from the product; waitingForStock marks items the customer should get a
+// back-in-stock email for (see utils/backInStockNotifier.js).
+const wishlistSchema = mongoose.Schema({
+    userId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    items: [{
+        productId: {
+            type: String,
+            required: true
+        },
+        addedAt: {
+            type: Date,
+            default: Date.now
+        },
+        // Set while the product is out of stock or not available
+        waitingForStock: {
+            type: Boolean,
+            default: false
+        },
+        notifiedAt: {
+            type: Date
+        }
+    }],
+    lastUpdated: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+wishlistSchema.index({ "items.productId": 1 });
+
+const Wishlist = mongoose.model("wishlists", wishlistSchema);
+export default Wishlist;
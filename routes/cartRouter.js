@@ -0,0 +1,24 @@
+import express from "express";
+import {
+    getCart,
+    addCartItem,
+    updateCartItem,
+    removeCartItem,
+    clearCart,
+    checkoutCart
+} from "../controllers/cartController.js";
+import { authenticateToken } from "../middleware/secureAuth.js";
+
+const cartRouter = express.Router();
+
+// GUEST OR CUSTOMER ROUTES (guests send their cart id in the X-Cart-Id header)
+cartRouter.get("/", getCart);
+cartRouter.post("/items", addCartItem);
+cartRouter.put("/items/:productId", updateCartItem);
+cartRouter.delete("/items/:productId", removeCartItem);
+cartRouter.delete("/", clearCart);
+
+// CUSTOMER ROUTES
+cartRouter.post("/checkout", authenticateToken, checkoutCart);
+
+export default cartRouter;
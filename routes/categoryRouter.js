@@ -0,0 +1,22 @@
+import express from "express";
+import {
+    getCategoryTree,
+    getCategory,
+    createCategory,
+    updateCategory,
+    deleteCategory
+} from "../controllers/categoryController.js";
+import { adminAuth } from "../middleware/adminAuth.js";
+
+const categoryRouter = express.Router();
+
+// PUBLIC ROUTES
+categoryRouter.get("/", getCategoryTree);
+categoryRouter.get("/:category", getCategory);
+
+// ADMIN ONLY ROUTES
+categoryRouter.post("/", adminAuth, createCategory);
+categoryRouter.put("/:categoryId", adminAuth, updateCategory);
+categoryRouter.delete("/:categoryId", adminAuth, deleteCategory);
+
+export default categoryRouter;
@@ -0,0 +1,24 @@
+import express from "express";
+import {
+    getCoupons,
+    getCoupon,
+    createCoupon,
+    updateCoupon,
+    deleteCoupon,
+    getCouponReport,
+    getCouponRedemptions
+} from "../controllers/couponController.js";
+import { adminAuth } from "../middleware/adminAuth.js";
+
+const couponRouter = express.Router();
+
+// ADMIN ONLY ROUTES (customers apply codes through the order quote and checkout)
+couponRouter.get("/", adminAuth, getCoupons);
+couponRouter.post("/", adminAuth, createCoupon);
+couponRouter.get("/reports", adminAuth, getCouponReport);
+couponRouter.get("/:couponId", adminAuth, getCoupon);
+couponRouter.put("/:couponId", adminAuth, updateCoupon);
+couponRouter.delete("/:couponId", adminAuth, deleteCoupon);
+couponRouter.get("/:couponId/redemptions", adminAuth, getCouponRedemptions);
+
+export default couponRouter;
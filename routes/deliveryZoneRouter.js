@@ -0,0 +1,26 @@
+import express from "express";
+import {
+    getServiceableTowns,
+    checkTownDelivery,
+    getDeliveryZones,
+    createDeliveryZone,
+    updateDeliveryZone,
+    setTownServiceable,
+    deleteDeliveryZone
+} from "../controllers/deliveryZoneController.js";
+import { adminAuth } from "../middleware/adminAuth.js";
+
+const deliveryZoneRouter = express.Router();
+
+// PUBLIC ROUTES
+deliveryZoneRouter.get("/towns", getServiceableTowns);
+deliveryZoneRouter.get("/towns/:town", checkTownDelivery);
+
+// ADMIN ONLY ROUTES
+deliveryZoneRouter.get("/", adminAuth, getDeliveryZones);
+deliveryZoneRouter.post("/", adminAuth, createDeliveryZone);
+deliveryZoneRouter.put("/towns/:town/serviceable", adminAuth, setTownServiceable);
+deliveryZoneRouter.put("/:zoneId", adminAuth, updateDeliveryZone);
+deliveryZoneRouter.delete("/:zoneId", adminAuth, deleteDeliveryZone);
+
+export default deliveryZoneRouter;
@@ -10,27 +10,54 @@ import {
     getProductOrderStats,
     getMyOrders,
     getOrderById,
-    getOrderForPayment  // ⭐ ADD THIS IMPORT
+    getOrderForPayment,  // ⭐ ADD THIS IMPORT
+    cancelMyOrder,
+    getOrderSettings,
+    updateOrderSettings,
+    getOrderInvoice
 } from '../controllers/orderController.js';
-import { authenticateToken } from '../middleware/auth.js';
+import {
+    startCheckout,
+    handlePaymentWebhook,
+    refundOrder,
+    uploadPaymentProof,
+    getPaymentProofQueue,
+    getPaymentProofImage,
+    approvePaymentProof,
+    rejectPaymentProof
+} from '../controllers/paymentController.js';
+import { authenticateToken } from '../middleware/secureAuth.js';
 import { adminAuth } from '../middleware/adminAuth.js';
+import { secureFileUpload } from '../middleware/fileUploadSecurity.js';
 
 const orderRouter = express.Router();
 
 // PUBLIC ROUTES (no authentication required)
 orderRouter.post("/quote", getQuote);
 orderRouter.get("/payment/:orderId", getOrderForPayment); // ⭐ ADD THIS LINE - Payment page route
+orderRouter.post("/payment/webhook/:provider", handlePaymentWebhook); // Signed by the payment provider
 
 // CUSTOMER ROUTES (require user authentication)
 // Order matters - more specific routes first to avoid conflicts!
 orderRouter.get("/my-orders", authenticateToken, getMyOrders);
 orderRouter.post("/", authenticateToken, createOrder);
+orderRouter.post("/:orderId/cancel", authenticateToken, cancelMyOrder);
+orderRouter.post("/payment/:orderId/checkout", authenticateToken, startCheckout); // Own orders only
+orderRouter.get("/:orderId/invoice", authenticateToken, getOrderInvoice); // Customers: own orders, admins: any
+orderRouter.post("/payment/:orderId/proof", authenticateToken, secureFileUpload, uploadPaymentProof); // Bank deposit slip
 
 // ADMIN ONLY ROUTES (require admin authentication)
 orderRouter.get("/product-stats", adminAuth, getProductOrderStats);
+orderRouter.get("/settings", adminAuth, getOrderSettings);
+orderRouter.put("/settings", adminAuth, updateOrderSettings);
+orderRouter.get("/payment-proofs", adminAuth, getPaymentProofQueue);
 orderRouter.get("/", adminAuth, getOrders); // View all orders (admin only)
 orderRouter.put("/:orderId/status", adminAuth, updateOrderStatus);
 orderRouter.put("/:orderId/accept", adminAuth, acceptOrder);
+orderRouter.post("/:orderId/refund", adminAuth, refundOrder);
+orderRouter.get("/:orderId/payment-proofs/:proofId/image", adminAuth, getPaymentProofImage); // Private slip image
+orderRouter.put("/:orderId/payment-proofs/:proofId/approve", adminAuth, approvePaymentProof);
+orderRouter.put("/:orderId/payment-proofs/:proofId/reject", adminAuth, rejectPaymentProof);
 orderRouter.delete("/:orderId", adminAuth, deleteOrder);
 
 // CUSTOMER ROUTE (with parameter - should be after specific routes)
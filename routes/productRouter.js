@@ -4,12 +4,20 @@ import {
     createProduct, 
     deleteProduct, 
     getCategories, 
+    getInventoryReport,
     getProductById, 
     getProductByIdInCategory, 
     getProducts, 
     getProductsByCategory, 
+    searchProducts,
     updateProduct 
 } from '../controllers/productController.js';
+import {
+    adjustProductStock,
+    getStockMovements,
+    reconcileAllStock,
+    reconcileProductStock
+} from '../controllers/stockController.js';
 import { adminAuth } from '../middleware/adminAuth.js';
 
 const productRouter = express.Router();
@@ -17,12 +25,18 @@ const productRouter = express.Router();
 // PUBLIC ROUTES (no authentication required)
 // Move specific routes first to avoid route conflicts
 productRouter.get("/categories", getCategories);
+productRouter.get("/search", searchProducts);
 productRouter.get("/category/:category", getProductsByCategory);
 productRouter.get("/category/:category/:productId", getProductByIdInCategory);
 productRouter.get("/", getProducts);
 productRouter.get("/:productId", getProductById); // This should be last among GET routes
 
 // ADMIN ONLY ROUTES (require admin authentication)
+productRouter.get("/admin/inventory", adminAuth, getInventoryReport);
+productRouter.get("/admin/inventory/reconcile", adminAuth, reconcileAllStock);
+productRouter.post("/:productId/stock/adjust", adminAuth, adjustProductStock);
+productRouter.get("/:productId/stock/movements", adminAuth, getStockMovements);
+productRouter.get("/:productId/stock/reconcile", adminAuth, reconcileProductStock);
 productRouter.post("/", adminAuth, createProduct);
 productRouter.put("/:productId", adminAuth, updateProduct);
 productRouter.delete("/:productId", adminAuth, deleteProduct);
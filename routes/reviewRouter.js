@@ -10,7 +10,7 @@ import {
     getAllReviews,
     getUserReviews
 } from '../controllers/reviewController.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken } from '../middleware/secureAuth.js';
 import { adminAuth } from '../middleware/adminAuth.js';
 
 const reviewRouter = express.Router();
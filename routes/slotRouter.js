@@ -0,0 +1,24 @@
+import express from "express";
+import {
+    getAvailableSlots,
+    getCalendar,
+    updateCalendar,
+    addHoliday,
+    removeHoliday,
+    getDaySheet
+} from "../controllers/slotController.js";
+import { adminAuth } from "../middleware/adminAuth.js";
+
+const slotRouter = express.Router();
+
+// PUBLIC ROUTES
+slotRouter.get("/", getAvailableSlots);
+
+// ADMIN ONLY ROUTES
+slotRouter.get("/calendar", adminAuth, getCalendar);
+slotRouter.put("/calendar", adminAuth, updateCalendar);
+slotRouter.post("/holidays", adminAuth, addHoliday);
+slotRouter.delete("/holidays/:date", adminAuth, removeHoliday);
+slotRouter.get("/day-sheet/:date", adminAuth, getDaySheet);
+
+export default slotRouter;
@@ -0,0 +1,13 @@
+import express from "express";
+import { uploadImage, getImageSets } from "../controllers/uploadController.js";
+import { authenticateToken } from "../middleware/secureAuth.js";
+
+const uploadRouter = express.Router();
+
+// PUBLIC ROUTES
+uploadRouter.get("/images/sets", getImageSets);
+
+// CUSTOMER / ADMIN ROUTES (customers may only upload review images)
+uploadRouter.post("/images", authenticateToken, uploadImage);
+
+export default uploadRouter;
@@ -10,7 +10,11 @@ import {
     socialLogin      // New unified social login
 } from "../controllers/userController.js";
 import { getMyOrders, getOrderById } from "../controllers/orderController.js";
-import { authenticateToken } from "../middleware/auth.js";
+import { getWishlist, addToWishlist, removeFromWishlist } from "../controllers/wishlistController.js";
+import { requestPasswordReset, resetPassword } from "../controllers/passwordResetController.js";
+import { sendPhoneOtp, verifyPhoneOtp } from "../controllers/phoneVerificationController.js";
+import { getIdentitiesOfUser, linkIdentityToUser, unlinkIdentityFromUser } from "../controllers/identityController.js";
+import { authenticateToken, refreshAccessToken, logout, logoutAllDevices } from "../middleware/secureAuth.js";
 import { checkUserByPhone } from '../controllers/userController.js';
 
 import dotenv from "dotenv";
@@ -19,6 +23,11 @@ dotenv.config();
 
 const userRouter = express.Router();
 
+// Phone verification routes (public, rate limited in index.js).
+// Registration and phone login need the token returned by /otp/verify.
+userRouter.post("/otp/send", sendPhoneOtp);
+userRouter.post("/otp/verify", verifyPhoneOtp);
+
 // User authentication routes (public)
 userRouter.post("/", createUser);
 userRouter.post("/login", loginUser);
@@ -30,6 +39,17 @@ userRouter.post("/social-register", socialRegister);  // Replaces google-registe
 userRouter.post("/social-login", socialLogin);        // Replaces google-login
 userRouter.post('/check-user-by-phone', checkUserByPhone);
 
+// Session routes (public, rate limited in index.js). Logins return a
+// 15-minute access token and a refresh token; /refresh swaps the refresh
+// token for a new pair, /logout ends the session of this device.
+userRouter.post("/refresh", refreshAccessToken);
+userRouter.post("/logout", logout);
+userRouter.post("/logout-all", authenticateToken, logoutAllDevices);
+
+// Password reset routes (public, rate limited in index.js)
+userRouter.post("/forgot-password", requestPasswordReset);
+userRouter.post("/reset-password", resetPassword);
+
 // Profile management routes (protected - require authentication)
 userRouter.put("/profile", authenticateToken, updateCustomerProfile);
 
@@ -37,4 +57,15 @@ userRouter.put("/profile", authenticateToken, updateCustomerProfile);
 userRouter.get("/my-orders", authenticateToken, getMyOrders);
 userRouter.get("/my-orders/:orderId", authenticateToken, getOrderById);
 
+// Wishlist routes (protected - require authentication)
+userRouter.get("/wishlist", authenticateToken, getWishlist);
+userRouter.post("/wishlist", authenticateToken, addToWishlist);
+userRouter.delete("/wishlist/:productId", authenticateToken, removeFromWishlist);
+
+// Linked login routes (protected - require authentication)
+// Linking needs proof of the new login too (provider credential or phone code)
+userRouter.get("/identities", authenticateToken, getIdentitiesOfUser);
+userRouter.post("/identities", authenticateToken, linkIdentityToUser);
+userRouter.delete("/identities/:providerName", authenticateToken, unlinkIdentityFromUser);
+
 export default userRouter;
\ No newline at end of file
@@ -0,0 +1,221 @@
+// scripts/migrateImagesToStorage.js
+/**
+ * CLI Script to move base64 images out of MongoDB into the image storage
+ * Usage: node scripts/migrateImagesToStorage.js
+ *
+ * Every base64 image on products, reviews, categories, the About page and
+ * order lines is validated, stripped of EXIF data, saved through the
+ * configured storage (IMAGE_STORAGE, see utils/imageStorage.js) and replaced
+ * by its URL. The same image found twice (e.g. a product image copied onto
+ * orders) is stored once. Bank deposit slips on orders go to private
+ * storage instead and are only kept as a key.
+ *
+ * Safe to run more than once: values that are already URLs are left alone.
+ * Images that fail validation are reported and kept as they are.
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Product from '../models/product.js';
+import Review from '../models/review.js';
+import About from '../models/about.js';
+import Category from '../models/category.js';
+import Order from '../models/order.js';
+import { saveBase64Image, saveBase64PrivateImage } from '../utils/imageStorage.js';
+
+dotenv.config();
+
+const stats = { stored: 0, reused: 0, failed: 0, documents: 0 };
+const storedByHash = new Map();
+
+function isBase64Image(value) {
+    return typeof value === 'string' && value.startsWith('data:image');
+}
+
+// Store one image (or reuse the URL of an identical one) and return its URL
+async function migrateImage(value, folder, label) {
+    if (!isBase64Image(value)) return value;
+
+    const hash = crypto.createHash('sha256').update(value).digest('hex');
+    if (storedByHash.has(hash)) {
+        stats.reused++;
+        return storedByHash.get(hash);
+    }
+
+    try {
+        const { url } = await saveBase64Image(value, folder);
+        storedByHash.set(hash, url);
+        stats.stored++;
+        return url;
+    } catch (error) {
+        stats.failed++;
+        console.log(`⚠ ${label}: ${error.message} (kept as base64)`);
+        return value;
+    }
+}
+
+async function migrateImageList(values, folder, label) {
+    const urls = [];
+    for (const [index, value] of (values || []).entries()) {
+        urls.push(await migrateImage(value, folder, `${label} image ${index + 1}`));
+    }
+    return urls;
+}
+
+function changed(before, after) {
+    return JSON.stringify(before) !== JSON.stringify(after);
+}
+
+async function migrateProducts() {
+    const products = await Product.find({ images: /^data:image/ }).select('productId images').lean();
+    for (const product of products) {
+        const images = await migrateImageList(product.images, 'products', `Product ${product.productId}`);
+        if (changed(product.images, images)) {
+            await Product.updateOne({ _id: product._id }, { $set: { images } });
+            stats.documents++;
+        }
+    }
+    console.log(`✓ Products checked: ${products.length}`);
+}
+
+async function migrateReviews() {
+    const reviews = await Review.find({ images: /^data:image/ }).select('reviewId images').lean();
+    for (const review of reviews) {
+        const images = await migrateImageList(review.images, 'reviews', `Review ${review.reviewId}`);
+        if (changed(review.images, images)) {
+            await Review.updateOne({ _id: review._id }, { $set: { images } });
+            stats.documents++;
+        }
+    }
+    console.log(`✓ Reviews checked: ${reviews.length}`);
+}
+
+async function migrateCategories() {
+    const categories = await Category.find({ image: /^data:image/ }).select('slug image').lean();
+    for (const category of categories) {
+        const image = await migrateImage(category.image, 'categories', `Category ${category.slug}`);
+        if (image !== category.image) {
+            await Category.updateOne({ _id: category._id }, { $set: { image } });
+            stats.documents++;
+        }
+    }
+    console.log(`✓ Categories checked: ${categories.length}`);
+}
+
+async function migrateAbout() {
+    const about = await About.findOne().lean();
+    if (!about) {
+        console.log('✓ No About page saved yet');
+        return;
+    }
+
+    const images = await migrateImageList(about.companyOverview?.images, 'about', 'About overview');
+    const teamMembers = [];
+    for (const member of about.teamMembers || []) {
+        teamMembers.push({
+            ...member,
+            image: await migrateImage(member.image, 'about', `Team member ${member.name}`)
+        });
+    }
+
+    if (changed(about.companyOverview?.images || [], images) || changed(about.teamMembers || [], teamMembers)) {
+        await About.updateOne(
+            { _id: about._id },
+            { $set: { 'companyOverview.images': images, teamMembers } }
+        );
+        stats.documents++;
+    }
+    console.log('✓ About page checked');
+}
+
+// Order lines carry a copy of the product image at the time of ordering
+async function migrateOrders() {
+    const cursor = Order.find({ 'orderedItems.image': /^data:image/ }).select('orderId orderedItems').lean().cursor();
+    let checked = 0;
+
+    for await (const order of cursor) {
+        checked++;
+        const update = {};
+        for (const [index, item] of order.orderedItems.entries()) {
+            const image = await migrateImage(item.image, 'products', `Order ${order.orderId} line ${index + 1}`);
+            if (image !== item.image) {
+                update[`orderedItems.${index}.image`] = image;
+            }
+        }
+        if (Object.keys(update).length > 0) {
+            await Order.updateOne({ _id: order._id }, { $set: update });
+            stats.documents++;
+        }
+    }
+    console.log(`✓ Orders checked: ${checked}`);
+}
+
+// Deposit slips are private: stored by key, never as a public URL
+async function migratePaymentProofs() {
+    const cursor = Order.find({ 'paymentProofs.image': /^data:image/ })
+        .select('orderId +paymentProofs.image')
+        .lean()
+        .cursor();
+    let checked = 0;
+
+    for await (const order of cursor) {
+        checked++;
+        for (const proof of order.paymentProofs) {
+            if (!isBase64Image(proof.image)) continue;
+
+            try {
+                const { key, mimeType } = await saveBase64PrivateImage(proof.image, 'payment-proofs');
+                await Order.updateOne(
+                    { _id: order._id, 'paymentProofs.proofId': proof.proofId },
+                    {
+                        $set: { 'paymentProofs.$.imageKey': key, 'paymentProofs.$.imageMimeType': mimeType },
+                        $unset: { 'paymentProofs.$.image': '' }
+                    }
+                );
+                stats.stored++;
+                stats.documents++;
+            } catch (error) {
+                stats.failed++;
+                console.log(`⚠ Order ${order.orderId} slip ${proof.proofId}: ${error.message} (kept as base64)`);
+            }
+        }
+    }
+    console.log(`✓ Deposit slips checked on ${checked} orders`);
+}
+
+async function migrateImagesToStorage() {
+    try {
+        console.log('\n===========================================');
+        console.log('  MIGRATE IMAGES TO STORAGE');
+        console.log('===========================================\n');
+
+        console.log('Connecting to database...');
+        await mongoose.connect(process.env.MONGO_DB_URI);
+        console.log('✓ Connected to database');
+        console.log(`Storage: ${process.env.IMAGE_STORAGE || 'local'}\n`);
+
+        await migrateProducts();
+        await migrateReviews();
+        await migrateCategories();
+        await migrateAbout();
+        await migrateOrders();
+        await migratePaymentProofs();
+
+        console.log('\n--- Summary ---');
+        console.log(`Images stored: ${stats.stored}`);
+        console.log(`Duplicates reused: ${stats.reused}`);
+        console.log(`Images that failed validation: ${stats.failed}`);
+        console.log(`Documents updated: ${stats.documents}\n`);
+
+        await mongoose.disconnect();
+        process.exit(stats.failed > 0 ? 1 : 0);
+
+    } catch (error) {
+        console.error('\n❌ Error migrating images:', error.message);
+        process.exit(1);
+    }
+}
+
+// Run the script
+migrateImagesToStorage();
@@ -0,0 +1,114 @@
+// scripts/migrateProductCategories.js
+/**
+ * CLI Script to move products from the old category enum to Category documents
+ * Usage: node scripts/migrateProductCategories.js
+ *
+ * Creates a Category for every category name still stored on a product
+ * (the old enum: sweets, savory, beverages, spices, curries, plus any other
+ * value found) and replaces the name with the new category's id. Coupon
+ * category restrictions are converted the same way.
+ *
+ * Safe to run more than once: existing categories are reused and products
+ * that already reference a category id are left alone.
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Category from '../models/category.js';
+import Product from '../models/product.js';
+import Coupon from '../models/coupon.js';
+
+dotenv.config();
+
+// Display names and order for the categories of the old enum
+const LEGACY_CATEGORIES = [
+    { slug: 'sweets', displayName: 'Sweets' },
+    { slug: 'savory', displayName: 'Savory' },
+    { slug: 'beverages', displayName: 'Beverages' },
+    { slug: 'spices', displayName: 'Spices' },
+    { slug: 'curries', displayName: 'Curries' }
+];
+
+function toDisplayName(slug) {
+    return slug
+        .split(/[-_\s]+/)
+        .filter(Boolean)
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+async function migrateProductCategories() {
+    try {
+        console.log('\n===========================================');
+        console.log('  MIGRATE PRODUCT CATEGORIES');
+        console.log('===========================================\n');
+
+        console.log('Connecting to database...');
+        await mongoose.connect(process.env.MONGO_DB_URI);
+        console.log('✓ Connected to database\n');
+
+        // The schema now expects ids, so read the old string values from the raw collection
+        const storedNames = await Product.collection.distinct('category', { category: { $type: 'string' } });
+        const slugs = [...new Set([
+            ...LEGACY_CATEGORIES.map(category => category.slug),
+            ...storedNames.map(name => name.trim().toLowerCase()).filter(Boolean)
+        ])];
+
+        const slugToId = new Map();
+        for (const [index, slug] of slugs.entries()) {
+            const legacy = LEGACY_CATEGORIES.find(category => category.slug === slug);
+            const category = await Category.findOneAndUpdate(
+                { slug },
+                {
+                    $setOnInsert: {
+                        slug,
+                        displayName: legacy ? legacy.displayName : toDisplayName(slug),
+                        sortOrder: index
+                    }
+                },
+                { new: true, upsert: true }
+            );
+            slugToId.set(slug, category._id);
+            console.log(`✓ Category "${category.displayName}" (${slug}) -> ${category._id}`);
+        }
+
+        let productsUpdated = 0;
+        for (const name of storedNames) {
+            const categoryId = slugToId.get(name.trim().toLowerCase());
+            const result = await Product.collection.updateMany(
+                { category: name },
+                { $set: { category: categoryId } }
+            );
+            productsUpdated += result.modifiedCount;
+            console.log(`✓ ${result.modifiedCount} product(s) moved from "${name}"`);
+        }
+
+        let couponsUpdated = 0;
+        const coupons = await Coupon.find({ 'applicableCategories.0': { $exists: true } });
+        for (const coupon of coupons) {
+            const converted = coupon.applicableCategories.map(entry =>
+                slugToId.has(entry) ? String(slugToId.get(entry)) : entry
+            );
+            if (converted.some((entry, index) => entry !== coupon.applicableCategories[index])) {
+                coupon.applicableCategories = converted;
+                await coupon.save();
+                couponsUpdated++;
+            }
+        }
+
+        console.log('\n--- Summary ---');
+        console.log(`Categories: ${slugs.length}`);
+        console.log(`Products updated: ${productsUpdated}`);
+        console.log(`Coupons updated: ${couponsUpdated}\n`);
+
+        await mongoose.disconnect();
+        process.exit(0);
+
+    } catch (error) {
+        console.error('\n❌ Error migrating categories:', error.message);
+        process.exit(1);
+    }
+}
+
+// Run the script
+migrateProductCategories();
@@ -0,0 +1,78 @@
+// scripts/seedStockLedger.js
+/**
+ * CLI Script to give existing products an opening balance on the stock ledger
+ * Usage: node scripts/seedStockLedger.js
+ *
+ * Products created before the ledger existed have stock but no movements,
+ * so they can't be reconciled. This writes one "initial" movement per
+ * variant (or per product without variants) equal to its current stock.
+ *
+ * Safe to run more than once: products that already have movements are
+ * left alone (the ones that don't add up are listed at the end).
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Product from '../models/product.js';
+import StockMovement from '../models/stockMovement.js';
+import { buildMovement } from '../utils/stockLedger.js';
+import { getVariants } from '../utils/productVariants.js';
+import { reconcileStock } from '../utils/stockManager.js';
+
+dotenv.config();
+
+async function seedStockLedger() {
+    try {
+        console.log('\n===========================================');
+        console.log('  SEED STOCK LEDGER');
+        console.log('===========================================\n');
+
+        console.log('Connecting to database...');
+        await mongoose.connect(process.env.MONGO_DB_URI);
+        console.log('✓ Connected to database\n');
+
+        const withMovements = new Set(await StockMovement.distinct('productId'));
+        const products = await Product.find().select('productId productName stock variants');
+
+        let productsSeeded = 0;
+        for (const product of products) {
+            if (withMovements.has(product.productId)) continue;
+
+            const movements = getVariants(product)
+                .filter(variant => variant.stock !== 0)
+                .map(variant => buildMovement(
+                    { productId: product.productId, variantSku: variant.sku },
+                    variant.stock,
+                    variant.stock,
+                    { reason: 'initial', note: 'Opening balance' }
+                ));
+
+            if (movements.length > 0) {
+                await StockMovement.insertMany(movements);
+            }
+            productsSeeded++;
+            console.log(`✓ ${product.productName} (${product.productId}): ${movements.length} opening movement(s)`);
+        }
+
+        const unbalanced = (await reconcileStock()).filter(result => !result.balanced);
+
+        console.log('\n--- Summary ---');
+        console.log(`Products: ${products.length}`);
+        console.log(`Products seeded: ${productsSeeded}`);
+        console.log(`Products that don't reconcile: ${unbalanced.length}`);
+        for (const result of unbalanced) {
+            console.log(`  - ${result.productName} (${result.productId}): stock ${result.stock}, ledger ${result.ledgerStock}`);
+        }
+        console.log('');
+
+        await mongoose.disconnect();
+        process.exit(0);
+
+    } catch (error) {
+        console.error('\n❌ Error seeding stock ledger:', error.message);
+        process.exit(1);
+    }
+}
+
+// Run the script
+seedStockLedger();
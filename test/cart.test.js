@@ -0,0 +1,102 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Cart from '../models/cart.js';
+import Product from '../models/product.js';
+import { findCart, mergeGuestCart } from '../utils/cartManager.js';
+import { addCartItem } from '../controllers/cartController.js';
+import { useMemoryCollection } from './helpers/memoryDb.js';
+import { callController } from './helpers/http.js';
+
+describe('cart', () => {
+    let carts;
+    let products;
+
+    beforeEach(() => {
+        carts = useMemoryCollection(Cart, { unique: ['cartId', 'userId'] });
+        products = useMemoryCollection(Product);
+        products.insert({ productId: 'P1', productName: 'Kavili', pricePerPiece: 100, stock: 5, availabilityStatus: 'available' });
+        products.insert({ productId: 'P2', productName: 'Kokis', pricePerPiece: 50, stock: 10, availabilityStatus: 'available' });
+    });
+
+    afterEach(() => {
+        carts.restore();
+        products.restore();
+    });
+
+    function addCart(fields) {
+        return carts.insert({ items: [], lastUpdated: new Date(), ...fields });
+    }
+
+    const quantities = (cart) => Object.fromEntries(cart.items.map(item => [item.productId, item.quantity]));
+
+    describe('merging the guest cart at login', () => {
+        it('gives the guest cart to a customer who has none', async () => {
+            addCart({ cartId: 'CART-guest', items: [{ productId: 'P1', quantity: 2 }] });
+
+            await mergeGuestCart('CART-guest', 'USR0001');
+
+            assert.equal(carts.docs.length, 1);
+            assert.equal(carts.docs[0].userId, 'USR0001');
+            assert.deepEqual(quantities(carts.docs[0]), { P1: 2 });
+        });
+
+        it('adds the guest lines to the customer\'s cart, up to the stock left', async () => {
+            addCart({ cartId: 'CART-user', userId: 'USR0001', items: [{ productId: 'P1', quantity: 4 }] });
+            addCart({ cartId: 'CART-guest', items: [{ productId: 'P1', quantity: 3 }, { productId: 'P2', quantity: 1 }] });
+
+            await mergeGuestCart('CART-guest', 'USR0001');
+
+            assert.deepEqual(carts.docs.map(cart => cart.cartId), ['CART-user']);
+            assert.deepEqual(quantities(carts.docs[0]), { P1: 5, P2: 1 });
+        });
+
+        it('does not merge another customer\'s cart', async () => {
+            addCart({ cartId: 'CART-other', userId: 'USR0002', items: [{ productId: 'P1', quantity: 1 }] });
+
+            assert.equal(await mergeGuestCart('CART-other', 'USR0001'), null);
+            assert.equal(carts.docs[0].userId, 'USR0002');
+        });
+    });
+
+    it('never opens a customer\'s cart by its cart id', async () => {
+        addCart({ cartId: 'CART-user', userId: 'USR0001' });
+
+        assert.equal(await findCart({ cartId: 'CART-user' }), null);
+        assert.equal((await findCart({ userId: 'USR0001', cartId: 'CART-guest' })).cartId, 'CART-user');
+    });
+
+    describe('adding items', () => {
+        const add = (body, headers = {}) => callController(addCartItem, { body, headers });
+
+        it('starts a guest cart and returns its id', async () => {
+            const res = await add({ productId: 'P1', quantity: 2 });
+
+            assert.equal(res.statusCode, 200);
+            assert.match(res.headers['X-Cart-Id'], /^CART-/);
+            assert.equal(res.body.cart.itemCount, 2);
+            assert.equal(res.body.cart.total, 200);
+        });
+
+        it('adds to the line already in the cart, but not beyond the stock', async () => {
+            const first = await add({ productId: 'P1', quantity: 3 });
+            const headers = { 'X-Cart-Id': first.headers['X-Cart-Id'] };
+
+            const tooMany = await add({ productId: 'P1', quantity: 3 }, headers);
+            assert.equal(tooMany.statusCode, 409);
+            assert.equal(tooMany.body.available, 5);
+
+            const res = await add({ productId: 'P1', quantity: 2 }, headers);
+            assert.equal(res.statusCode, 200);
+            assert.deepEqual(quantities(carts.docs[0]), { P1: 5 });
+        });
+
+        it('refuses products that are not available', async () => {
+            products.docs[1].availabilityStatus = 'not available';
+
+            const res = await add({ productId: 'P2', quantity: 1 });
+
+            assert.equal(res.statusCode, 409);
+            assert.equal(carts.docs.length, 0);
+        });
+    });
+});
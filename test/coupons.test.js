@@ -0,0 +1,141 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Coupon from '../models/coupon.js';
+import CouponRedemption from '../models/couponRedemption.js';
+import { calculateCouponDiscount, validateCoupon, redeemCoupon, releaseCoupon } from '../utils/couponEngine.js';
+import { useMemoryCollection } from './helpers/memoryDb.js';
+
+const PRICING = {
+    items: [
+        { productId: 'P1', category: 'CAT-SWEETS', lineTotal: 800 },
+        { productId: 'P2', category: 'CAT-SPICES', lineTotal: 400 }
+    ],
+    total: 1200
+};
+
+describe('coupons', () => {
+    let coupons;
+    let redemptions;
+
+    beforeEach(() => {
+        coupons = useMemoryCollection(Coupon, { unique: ['code'] });
+        redemptions = useMemoryCollection(CouponRedemption);
+    });
+
+    afterEach(() => {
+        coupons.restore();
+        redemptions.restore();
+    });
+
+    function addCoupon(fields = {}) {
+        return coupons.insert({
+            code: 'AVURUDU25',
+            discountType: 'percentage',
+            discountValue: 25,
+            maxDiscount: null,
+            minimumSpend: 0,
+            applicableCategories: [],
+            applicableProducts: [],
+            usageLimit: null,
+            perUserLimit: 1,
+            timesUsed: 0,
+            isActive: true,
+            ...fields
+        });
+    }
+
+    const loadCoupon = () => Coupon.findOne({ code: 'AVURUDU25' });
+
+    function redeem(coupon, userId, orderId) {
+        return redeemCoupon(coupon, { userId, orderId, itemsTotal: 1200, discount: 300 });
+    }
+
+    describe('discount', () => {
+        it('discounts only the lines the coupon is restricted to', () => {
+            assert.equal(calculateCouponDiscount({ discountType: 'percentage', discountValue: 10, applicableCategories: ['CAT-SPICES'] }, PRICING.items), 40);
+            assert.equal(calculateCouponDiscount({ discountType: 'percentage', discountValue: 10, applicableProducts: ['P1'] }, PRICING.items), 80);
+        });
+
+        it('caps a percentage discount and never discounts more than the items cost', () => {
+            assert.equal(calculateCouponDiscount({ discountType: 'percentage', discountValue: 50, maxDiscount: 250 }, PRICING.items), 250);
+            assert.equal(calculateCouponDiscount({ discountType: 'fixed', discountValue: 5000 }, PRICING.items), 1200);
+        });
+    });
+
+    describe('validation', () => {
+        it('accepts a code in any case', async () => {
+            addCoupon();
+
+            const { discount } = await validateCoupon(' avurudu25 ', PRICING, 'USR0001');
+
+            assert.equal(discount, 300);
+        });
+
+        it('explains why a coupon can\'t be used', async () => {
+            addCoupon({ minimumSpend: 1500 });
+            await assert.rejects(validateCoupon('AVURUDU25', PRICING), /minimum spend of Rs\. 1500\.00/);
+
+            coupons.docs[0].minimumSpend = 0;
+            coupons.docs[0].validUntil = new Date(Date.now() - 1000);
+            await assert.rejects(validateCoupon('AVURUDU25', PRICING), /has expired/);
+
+            coupons.docs[0].validUntil = null;
+            coupons.docs[0].applicableProducts = ['P9'];
+            await assert.rejects(validateCoupon('AVURUDU25', PRICING), /does not apply/);
+
+            coupons.docs[0].isActive = false;
+            await assert.rejects(validateCoupon('AVURUDU25', PRICING), { status: 404 });
+        });
+
+        it('refuses a coupon the customer already used', async () => {
+            addCoupon();
+            await redeem(await loadCoupon(), 'USR0001', 'ORD-1');
+
+            await assert.rejects(validateCoupon('AVURUDU25', PRICING, 'USR0001'), /already used/);
+            await validateCoupon('AVURUDU25', PRICING, 'USR0002');
+        });
+    });
+
+    describe('redemption', () => {
+        it('stops at the usage limit even when orders come in together', async () => {
+            addCoupon({ usageLimit: 2, perUserLimit: null });
+            const coupon = await loadCoupon();
+
+            const results = await Promise.allSettled([
+                redeem(coupon, 'USR0001', 'ORD-1'),
+                redeem(coupon, 'USR0002', 'ORD-2'),
+                redeem(coupon, 'USR0003', 'ORD-3')
+            ]);
+
+            assert.equal(results.filter(result => result.status === 'fulfilled').length, 2);
+            assert.equal(results.find(result => result.status === 'rejected').reason.status, 409);
+            assert.equal(coupons.docs[0].timesUsed, 2);
+            assert.equal(redemptions.docs.length, 2);
+        });
+
+        it('keeps the per-customer limit at checkout', async () => {
+            addCoupon({ perUserLimit: 1 });
+            const coupon = await loadCoupon();
+            await redeem(coupon, 'USR0001', 'ORD-1');
+
+            await assert.rejects(redeem(coupon, 'USR0001', 'ORD-2'), { status: 409 });
+            assert.equal(coupons.docs[0].timesUsed, 1);
+        });
+
+        it('gives the use back once when the order is cancelled', async () => {
+            addCoupon({ usageLimit: 1 });
+            const coupon = await loadCoupon();
+            await redeem(coupon, 'USR0001', 'ORD-1');
+            const order = { orderId: 'ORD-1', coupon: { couponId: coupon._id } };
+
+            await releaseCoupon(order);
+            await releaseCoupon(order);
+
+            assert.equal(coupons.docs[0].timesUsed, 0);
+            assert.equal(redemptions.docs[0].status, 'released');
+            // The customer can use it again, and so can the next order
+            await redeem(coupon, 'USR0001', 'ORD-2');
+            assert.equal(coupons.docs[0].timesUsed, 1);
+        });
+    });
+});
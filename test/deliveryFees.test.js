@@ -0,0 +1,95 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import DeliveryZone from '../models/deliveryZone.js';
+import { normalizeTownKey, resolveDeliveryCharge } from '../utils/deliveryFees.js';
+import { createDeliveryZone } from '../controllers/deliveryZoneController.js';
+import { useMemoryCollection } from './helpers/memoryDb.js';
+import { callController } from './helpers/http.js';
+
+const ADMIN = { userId: 'ADM0001', type: 'admin' };
+
+describe('delivery fees', () => {
+    let zones;
+
+    beforeEach(() => {
+        zones = useMemoryCollection(DeliveryZone, { unique: ['name'] });
+    });
+
+    afterEach(() => {
+        zones.restore();
+    });
+
+    function addZone(fields = {}) {
+        return zones.insert({
+            name: 'Gampaha district',
+            towns: [
+                { name: 'Gampaha', key: 'gampaha', isServiceable: true },
+                { name: 'Ja-Ela', key: 'ja-ela', isServiceable: false }
+            ],
+            fee: 350,
+            minimumOrderValue: 1000,
+            leadTimeDays: 2,
+            isServiceable: true,
+            ...fields
+        });
+    }
+
+    it('matches towns however they were typed', () => {
+        assert.equal(normalizeTownKey('  Gampaha   Town '), 'gampaha town');
+        assert.equal(normalizeTownKey(undefined), '');
+    });
+
+    it('never charges pickup orders', async () => {
+        addZone();
+        assert.deepEqual(await resolveDeliveryCharge('pickup', 'Kandy', 10), { deliveryFee: 0, deliveryZone: null, leadTimeDays: 0 });
+    });
+
+    it('delivers without a fee until a zone is set up', async () => {
+        assert.deepEqual(await resolveDeliveryCharge('delivery', 'Kandy', 10), { deliveryFee: 0, deliveryZone: null, leadTimeDays: 0 });
+    });
+
+    it('charges the fee of the town\'s zone', async () => {
+        addZone();
+
+        assert.deepEqual(await resolveDeliveryCharge('delivery', ' gampaha ', 1500), {
+            deliveryFee: 350,
+            deliveryZone: 'Gampaha district',
+            leadTimeDays: 2
+        });
+    });
+
+    it('refuses towns outside the zones once zones exist', async () => {
+        addZone();
+        await assert.rejects(resolveDeliveryCharge('delivery', 'Kandy', 1500), { status: 400, message: /do not deliver to Kandy/ });
+    });
+
+    it('refuses towns and zones that are switched off', async () => {
+        addZone();
+        await assert.rejects(resolveDeliveryCharge('delivery', 'Ja-Ela', 1500), { status: 400 });
+
+        zones.docs[0].isServiceable = false;
+        await assert.rejects(resolveDeliveryCharge('delivery', 'Gampaha', 1500), { status: 400 });
+    });
+
+    it('needs the zone\'s minimum order value', async () => {
+        addZone();
+        await assert.rejects(resolveDeliveryCharge('delivery', 'Gampaha', 999), /minimum order for delivery to Gampaha is Rs\. 1000\.00/);
+    });
+
+    it('needs a town for delivery', async () => {
+        await assert.rejects(resolveDeliveryCharge('delivery', '  ', 1500), { status: 400 });
+    });
+
+    it('keeps a town in one zone only', async () => {
+        addZone();
+
+        const res = await callController(createDeliveryZone, {
+            user: ADMIN,
+            body: { name: 'Western', fee: 400, towns: ['Negombo', 'GAMPAHA'] }
+        });
+
+        assert.equal(res.statusCode, 400);
+        assert.deepEqual(res.body.conflicts, ['Gampaha (already in Gampaha district)']);
+        assert.equal(zones.docs.length, 1);
+    });
+});
@@ -0,0 +1,67 @@
+// test/helpers/http.js
+/**
+ * Minimal Express request/response stand-ins for calling controllers
+ */
+
+/**
+ * Build a request
+ */
+export function createRequest({ body = {}, params = {}, query = {}, user, headers = {} } = {}) {
+    const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    return {
+        body,
+        params,
+        query,
+        user,
+        ip: '127.0.0.1',
+        headers: lowerHeaders,
+        header: (name) => lowerHeaders[name.toLowerCase()],
+        get: (name) => lowerHeaders[name.toLowerCase()]
+    };
+}
+
+/**
+ * Build a response that records what the controller sent.
+ * await res.done resolves once json() or send() was called.
+ */
+export function createResponse() {
+    let finish;
+    const res = {
+        statusCode: 200,
+        body: undefined,
+        headers: {},
+        done: new Promise(resolve => { finish = resolve; }),
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        set(name, value) {
+            if (typeof name === 'object') Object.assign(res.headers, name);
+            else res.headers[name] = value;
+            return res;
+        },
+        setHeader(name, value) {
+            res.headers[name] = value;
+        },
+        json(body) {
+            res.body = body;
+            finish(res);
+            return res;
+        },
+        send(body) {
+            res.body = body;
+            finish(res);
+            return res;
+        }
+    };
+    return res;
+}
+
+/**
+ * Call a controller and wait for its response
+ */
+export async function callController(controller, request) {
+    const res = createResponse();
+    await controller(createRequest(request), res);
+    return res.done;
+}
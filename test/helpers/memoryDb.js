@@ -0,0 +1,247 @@
+// test/helpers/memoryDb.js
+/**
+ * In-memory MongoDB collections for tests
+ *
+ * useMemoryCollection(Model) replaces the driver calls of a model's
+ * collection (find, findOne, findOneAndUpdate, updateOne, ...) with an array
+ * of plain documents. Mongoose still casts queries, applies defaults and
+ * builds documents, so the code under test runs unchanged; the filters and
+ * update operators are evaluated with mingo.
+ *
+ * useFakeTransactions() makes mongoose.startSession return a session whose
+ * withTransaction just runs the work (enough for runInTransaction callers).
+ */
+
+import mongoose from 'mongoose';
+import { Query } from 'mingo';
+import { update as applyUpdate } from 'mingo/updater';
+
+const COLLECTION_METHODS = [
+    'find', 'findOne', 'findOneAndUpdate', 'insertOne', 'insertMany',
+    'updateOne', 'updateMany', 'deleteOne', 'deleteMany', 'countDocuments'
+];
+
+// Deep copy that keeps ObjectIds and Dates (structuredClone would not)
+function clone(value) {
+    if (value instanceof mongoose.Types.ObjectId) return new mongoose.Types.ObjectId(value.toHexString());
+    if (value instanceof Date) return new Date(value.getTime());
+    if (Buffer.isBuffer(value)) return Buffer.from(value);
+    // Mongoose arrays and subdocuments in casted updates
+    if (value && typeof value.toBSON === 'function') return clone(value.toBSON());
+    if (Array.isArray(value)) return Array.prototype.map.call([...value], clone);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, clone(entry)]));
+    }
+    return value;
+}
+
+function duplicateKeyError(key) {
+    const error = new Error(`E11000 duplicate key error (${key})`);
+    error.code = 11000;
+    return error;
+}
+
+// Equality conditions of a filter become the fields of an upserted document
+function fieldsFromFilter(filter) {
+    const fields = {};
+    for (const [key, value] of Object.entries(filter || {})) {
+        if (key.startsWith('$')) continue;
+        const isOperator = value && typeof value === 'object' && !(value instanceof Date) &&
+            !(value instanceof mongoose.Types.ObjectId) && Object.keys(value).some(name => name.startsWith('$'));
+        if (!isOperator && !key.includes('.')) {
+            fields[key] = value;
+        }
+    }
+    return fields;
+}
+
+// Index of the first array element the filter's conditions on that array match
+function matchedIndex(doc, filter, field) {
+    const conditions = Object.entries(filter || {}).filter(([key]) => key === field || key.startsWith(`${field}.`));
+    return (doc[field] || []).findIndex(element => conditions.every(([key, condition]) => {
+        if (key === field) {
+            return new Query(condition.$elemMatch || condition).test(element);
+        }
+        return new Query({ [key.slice(field.length + 1)]: condition }).test(element);
+    }));
+}
+
+// Replace "field.$" in update paths by the index of the element the filter matched
+function resolvePositional(doc, filter, operators) {
+    return Object.fromEntries(Object.entries(operators).map(([operator, fields]) => [
+        operator,
+        Object.fromEntries(Object.entries(fields).map(([path, value]) => {
+            const [field] = path.split('.$');
+            return [path.includes('.$.') ? path.replace(`${field}.$.`, `${field}.${matchedIndex(doc, filter, field)}.`) : path, value];
+        }))
+    ]));
+}
+
+/**
+ * Back a model with an in-memory collection
+ *
+ * @param {mongoose.Model} Model
+ * @param {{unique?: Array<string|string[]>}} [options] - fields with a unique index
+ *   (an array of fields for a compound index)
+ * @returns {{docs: object[], insert: Function, find: Function, restore: Function}}
+ */
+export function useMemoryCollection(Model, { unique = [] } = {}) {
+    const collection = Model.collection;
+    const docs = [];
+
+    const matching = (filter) => {
+        const query = new Query(filter || {});
+        return docs.filter(doc => query.test(doc));
+    };
+
+    const project = (found, options = {}) => {
+        let cursor = new Query({}).find(found, options.projection && Object.keys(options.projection).length > 0
+            ? options.projection
+            : undefined);
+        if (options.sort) cursor = cursor.sort(options.sort);
+        if (options.skip) cursor = cursor.skip(options.skip);
+        if (options.limit) cursor = cursor.limit(options.limit);
+        return cursor.all().map(clone);
+    };
+
+    const checkUnique = (doc, ignore) => {
+        for (const index of unique) {
+            const keys = [].concat(index);
+            if (keys.some(key => doc[key] == null)) continue;
+            if (docs.some(other => other !== ignore && keys.every(key => other[key] === doc[key]))) {
+                throw duplicateKeyError(keys.join(', '));
+            }
+        }
+    };
+
+    const insert = (doc) => {
+        const stored = clone({ _id: new mongoose.Types.ObjectId(), ...doc });
+        checkUnique(stored);
+        docs.push(stored);
+        return stored;
+    };
+
+    const upsert = (filter, update) => {
+        const doc = { _id: new mongoose.Types.ObjectId(), ...clone(fieldsFromFilter(filter)) };
+        const { $setOnInsert, ...operators } = clone(update);
+        if ($setOnInsert) applyUpdate(doc, { $set: $setOnInsert });
+        if (Object.keys(operators).length > 0) applyUpdate(doc, operators);
+        return insert(doc);
+    };
+
+    const updateDoc = (doc, filter, update) => {
+        const before = clone(doc);
+        // Pushed subdocuments are stored as plain objects, like the driver would
+        const { $setOnInsert, ...operators } = clone(update);
+        let changed;
+        try {
+            changed = applyUpdate(doc, operators, [], filter);
+        } catch (error) {
+            if (!/would create a conflict/.test(error.message)) throw error;
+            // mingo refuses two positional paths into the same array
+            // ("refunds.$.status" and "refunds.$.providerRefundId"); MongoDB
+            // does not, so point them at the matched element's index instead
+            changed = applyUpdate(doc, resolvePositional(doc, filter, operators));
+        }
+        try {
+            checkUnique(doc, doc);
+        } catch (error) {
+            Object.keys(doc).forEach(key => delete doc[key]);
+            Object.assign(doc, before);
+            throw error;
+        }
+        return changed.length > 0;
+    };
+
+    const methods = {
+        find: async (filter, options) => ({
+            toArray: async () => project(matching(filter), options)
+        }),
+        findOne: async (filter, options) => project(matching(filter), { ...options, limit: 1 })[0] || null,
+        findOneAndUpdate: async (filter, update, options = {}) => {
+            const [doc] = options.sort ? project(matching(filter), options) : matching(filter);
+            const target = doc && docs.find(entry => entry._id.equals(doc._id));
+            if (!target) {
+                if (!options.upsert) return null;
+                const created = upsert(filter, update);
+                return options.returnDocument === 'after' ? clone(created) : null;
+            }
+            const before = clone(target);
+            updateDoc(target, filter, update);
+            return options.returnDocument === 'after' ? clone(target) : before;
+        },
+        insertOne: async (doc) => {
+            const stored = insert(doc);
+            return { acknowledged: true, insertedId: stored._id };
+        },
+        insertMany: async (newDocs) => {
+            const stored = newDocs.map(insert);
+            return { acknowledged: true, insertedCount: stored.length, insertedIds: stored.map(doc => doc._id) };
+        },
+        updateOne: async (filter, update, options = {}) => {
+            const [target] = matching(filter);
+            if (!target) {
+                if (options.upsert) {
+                    const created = upsert(filter, update);
+                    return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: created._id };
+                }
+                return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+            }
+            const modified = updateDoc(target, filter, update);
+            return { acknowledged: true, matchedCount: 1, modifiedCount: modified ? 1 : 0, upsertedCount: 0 };
+        },
+        updateMany: async (filter, update) => {
+            const targets = matching(filter);
+            let modifiedCount = 0;
+            for (const target of targets) {
+                if (updateDoc(target, filter, update)) modifiedCount++;
+            }
+            return { acknowledged: true, matchedCount: targets.length, modifiedCount, upsertedCount: 0 };
+        },
+        deleteOne: async (filter) => {
+            const [target] = matching(filter);
+            if (target) docs.splice(docs.indexOf(target), 1);
+            return { acknowledged: true, deletedCount: target ? 1 : 0 };
+        },
+        deleteMany: async (filter) => {
+            const targets = matching(filter);
+            targets.forEach(target => docs.splice(docs.indexOf(target), 1));
+            return { acknowledged: true, deletedCount: targets.length };
+        },
+        countDocuments: async (filter) => matching(filter).length
+    };
+
+    for (const name of COLLECTION_METHODS) {
+        collection[name] = methods[name];
+    }
+
+    return {
+        docs,
+        insert,
+        // Stored documents matching a filter (copies)
+        find: (filter) => matching(filter).map(clone),
+        restore() {
+            for (const name of COLLECTION_METHODS) {
+                delete collection[name];
+            }
+        }
+    };
+}
+
+/**
+ * Run transactions in tests without a replica set
+ *
+ * @returns {Function} restore
+ */
+export function useFakeTransactions() {
+    const original = mongoose.startSession;
+    mongoose.startSession = async () => ({
+        withTransaction: async (work) => work(),
+        endSession: async () => {},
+        inTransaction: () => false,
+        transaction: null
+    });
+    return () => {
+        mongoose.startSession = original;
+    };
+}
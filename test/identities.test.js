@@ -0,0 +1,197 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../models/user.js';
+import RefreshToken from '../models/refreshToken.js';
+import PhoneOtp from '../models/phoneOtp.js';
+import { setSocialVerifier, resetSocialVerifiers } from '../utils/socialAuth.js';
+import { issueOtp, verifyOtp } from '../utils/phoneVerification.js';
+import { getSentMessages, clearSentMessages } from '../utils/smsProviders/consoleSms.js';
+import { socialLogin } from '../controllers/userController.js';
+import { linkIdentityToUser, unlinkIdentityFromUser } from '../controllers/identityController.js';
+import { useMemoryCollection } from './helpers/memoryDb.js';
+import { callController } from './helpers/http.js';
+
+describe('linked logins', () => {
+    const claimsByCredential = {
+        'token-verified': { providerId: 'google-1', email: 'nimal@example.com', emailVerified: true, firstName: 'Nimal', lastName: 'Perera' },
+        'token-unverified': { providerId: 'google-2', email: 'nimal@example.com', emailVerified: false, firstName: 'Nimal', lastName: '' },
+        'token-other': { providerId: 'google-9', email: 'nimal.p@example.com', emailVerified: true, firstName: 'Nimal', lastName: 'Perera' }
+    };
+    let users;
+    let refreshTokens;
+    let otps;
+
+    before(() => {
+        process.env.SECRET = process.env.SECRET || 'test-secret';
+        setSocialVerifier('google', {
+            name: 'google',
+            verify: async (credential) => {
+                const claims = claimsByCredential[credential];
+                if (!claims) throw Object.assign(new Error('Invalid Google ID token'), { status: 401 });
+                return claims;
+            }
+        });
+    });
+
+    after(() => {
+        resetSocialVerifiers();
+    });
+
+    beforeEach(() => {
+        users = useMemoryCollection(User, { unique: ['userId', 'phonenumber'] });
+        refreshTokens = useMemoryCollection(RefreshToken);
+        otps = useMemoryCollection(PhoneOtp, { unique: ['phonenumber'] });
+        clearSentMessages();
+    });
+
+    afterEach(() => {
+        users.restore();
+        refreshTokens.restore();
+        otps.restore();
+    });
+
+    function addCustomer(fields = {}) {
+        return users.insert({
+            userId: 'USR0001',
+            firstName: 'Nimal',
+            type: 'customer',
+            phonenumber: '0771234567',
+            password: 'hash',
+            homeaddress: 'Colombo',
+            email: 'nimal@example.com',
+            emailVerified: false,
+            providerName: 'local',
+            providerId: null,
+            identities: [],
+            ...fields
+        });
+    }
+
+    const storedUser = (userId = 'USR0001') => users.find({ userId })[0];
+    const providersOf = (user) => user.identities.map(identity => identity.provider).sort();
+
+    function link(body, userId = 'USR0001') {
+        return callController(linkIdentityToUser, { user: { userId }, body });
+    }
+
+    function unlink(providerName, userId = 'USR0001') {
+        return callController(unlinkIdentityFromUser, { user: { userId }, params: { providerName } });
+    }
+
+    describe('on social login', () => {
+        it('links a login to the account whose email is verified on both sides', async () => {
+            addCustomer({ emailVerified: true });
+
+            const res = await callController(socialLogin, { body: { providerName: 'google', credential: 'token-verified' } });
+
+            assert.equal(res.statusCode, 200);
+            const identities = storedUser().identities.map(identity => `${identity.provider}:${identity.providerId}`);
+            assert.deepEqual(identities.sort(), ['google:google-1', 'phone:0771234567']);
+        });
+
+        it('does not link to an account whose email was only typed in', async () => {
+            addCustomer({ emailVerified: false });
+
+            const res = await callController(socialLogin, { body: { providerName: 'google', credential: 'token-verified' } });
+
+            assert.equal(res.statusCode, 404);
+            assert.equal(storedUser().identities.length, 0);
+        });
+
+        it('does not link when the provider has not verified the email', async () => {
+            addCustomer({ emailVerified: true });
+
+            const res = await callController(socialLogin, { body: { providerName: 'google', credential: 'token-unverified' } });
+
+            assert.equal(res.statusCode, 404);
+            assert.equal(storedUser().identities.length, 0);
+        });
+    });
+
+    describe('link and unlink', () => {
+        it('lets a logged in customer connect a login', async () => {
+            addCustomer();
+
+            const res = await link({ providerName: 'google', credential: 'token-verified' });
+
+            assert.equal(res.statusCode, 201);
+            assert.ok(storedUser().identities.some(identity => identity.provider === 'google' && identity.providerId === 'google-1'));
+            // Google confirmed the account's own address
+            assert.equal(storedUser().emailVerified, true);
+        });
+
+        it('refuses to connect a login that belongs to another account', async () => {
+            addCustomer({ userId: 'USR0001', phonenumber: '0771234567', identities: [{ provider: 'google', providerId: 'google-1' }] });
+            addCustomer({ userId: 'USR0002', phonenumber: '0777654321', email: null });
+
+            const res = await link({ providerName: 'google', credential: 'token-verified' }, 'USR0002');
+
+            assert.equal(res.statusCode, 409);
+            assert.equal(storedUser('USR0002').identities.length, 0);
+        });
+
+        it('connects the phone login only with a verified code', async () => {
+            addCustomer({ identities: [{ provider: 'google', providerId: 'google-1' }] });
+
+            const res = await link({ providerName: 'phone', phoneVerificationToken: 'made-up' });
+
+            assert.equal(res.statusCode, 403);
+            assert.ok(!storedUser().identities.some(identity => identity.provider === 'phone'));
+        });
+
+        it('connects the phone login with a code for the account\'s own number', async () => {
+            addCustomer({ identities: [{ provider: 'google', providerId: 'google-1' }] });
+            await issueOtp('0771234567');
+            const messages = getSentMessages('0771234567');
+            const code = /\b(\d{6})\b/.exec(messages[messages.length - 1].message)[1];
+            const { verificationToken } = await verifyOtp('0771234567', code);
+
+            const res = await link({ providerName: 'phone', phoneVerificationToken: verificationToken });
+
+            assert.equal(res.statusCode, 201);
+            assert.deepEqual(providersOf(storedUser()), ['google', 'phone']);
+        });
+
+        it('keeps one login per provider', async () => {
+            addCustomer({ identities: [{ provider: 'phone', providerId: '0771234567' }, { provider: 'google', providerId: 'google-1' }] });
+
+            const res = await link({ providerName: 'google', credential: 'token-other' });
+
+            assert.equal(res.statusCode, 409);
+            assert.equal(storedUser().identities.length, 2);
+        });
+
+        it('removes a login and stores the list of an older account first', async () => {
+            addCustomer({ providerName: 'google', providerId: 'google-1' });
+
+            const res = await unlink('google');
+
+            assert.equal(res.statusCode, 200);
+            const user = storedUser();
+            assert.deepEqual(providersOf(user), ['phone']);
+            // The legacy fields must not keep the removed login working
+            assert.equal(user.providerName, 'local');
+            assert.equal(user.providerId, null);
+
+            const login = await callController(socialLogin, { body: { providerName: 'google', credential: 'token-verified' } });
+            assert.equal(login.statusCode, 404);
+        });
+
+        it('never removes the last way to sign in', async () => {
+            addCustomer({ identities: [{ provider: 'phone', providerId: '0771234567' }, { provider: 'google', providerId: 'google-1' }] });
+
+            const results = await Promise.all([unlink('phone'), unlink('google')]);
+
+            assert.deepEqual(results.map(res => res.statusCode).sort(), [200, 400]);
+            assert.equal(storedUser().identities.length, 1);
+        });
+
+        it('reports a login the account does not have', async () => {
+            addCustomer({ identities: [{ provider: 'phone', providerId: '0771234567' }] });
+
+            const res = await unlink('facebook');
+
+            assert.equal(res.statusCode, 404);
+        });
+    });
+});
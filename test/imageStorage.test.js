@@ -0,0 +1,115 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Order from '../models/order.js';
+import Review from '../models/review.js';
+import User from '../models/user.js';
+import { isImageUrl, resolveImageUrls } from '../utils/imageStorage.js';
+import { createReview } from '../controllers/reviewController.js';
+import { useMemoryCollection } from './helpers/memoryDb.js';
+import { callController } from './helpers/http.js';
+
+const S3_ENV = {
+    S3_ENDPOINT: 'https://s3.example.lk',
+    S3_BUCKET: 'kavili-images',
+    S3_ACCESS_KEY_ID: 'test-key',
+    S3_SECRET_ACCESS_KEY: 'test-secret'
+};
+
+describe('image URLs', () => {
+    afterEach(() => {
+        delete process.env.UPLOAD_PUBLIC_URL;
+        for (const name of Object.keys(S3_ENV)) delete process.env[name];
+    });
+
+    describe('own storage only', () => {
+        it('keeps URLs of images in local storage', async () => {
+            const url = '/uploads/reviews/1700000000000_abc.jpg';
+
+            assert.equal(isImageUrl(url), true);
+            assert.deepEqual(await resolveImageUrls([url], 'reviews'), [url]);
+        });
+
+        it('uses UPLOAD_PUBLIC_URL as the local base when it is set', () => {
+            process.env.UPLOAD_PUBLIC_URL = 'https://api.kavili.lk/uploads/';
+
+            assert.equal(isImageUrl('https://api.kavili.lk/uploads/products/1_a.png'), true);
+            assert.equal(isImageUrl('https://api.kavili.lk/other/products/1_a.png'), false);
+        });
+
+        it('keeps URLs under the S3 bucket once S3 is configured', () => {
+            const url = 'https://s3.example.lk/kavili-images/products/1_a.webp';
+            assert.equal(isImageUrl(url), false);
+
+            Object.assign(process.env, S3_ENV);
+            assert.equal(isImageUrl(url), true);
+            assert.equal(isImageUrl('https://s3.example.lk/other-bucket/products/1_a.webp'), false);
+        });
+
+        it('rejects other sites and paths that climb out of the upload folder', async () => {
+            for (const url of [
+                'https://evil.example.com/tracker.png',
+                'http://localhost:5000/uploads/products/1_a.png',
+                '//evil.example.com/uploads/a.png',
+                '/uploads/../private_uploads/payment-proofs/1_a.png',
+                '/uploadsx/a.png'
+            ]) {
+                assert.equal(isImageUrl(url), false, url);
+                await assert.rejects(resolveImageUrls([url], 'reviews'), { status: 400 });
+            }
+        });
+    });
+
+    describe('reviews', () => {
+        let orders;
+        let reviews;
+        let users;
+
+        beforeEach(() => {
+            orders = useMemoryCollection(Order);
+            reviews = useMemoryCollection(Review);
+            users = useMemoryCollection(User);
+            users.insert({ userId: 'USR0001', firstName: 'Nimal', lastName: 'Perera', phonenumber: '0771234567', type: 'customer' });
+            orders.insert({
+                orderId: 'ORD-1',
+                userId: 'USR0001',
+                name: 'Nimal',
+                phone: '0771234567',
+                whatsappNumber: '0771234567',
+                address: 'Colombo',
+                deliveryOption: 'pickup',
+                preferredDay: 'Monday',
+                preferredTime: 'Morning',
+                orderedItems: [{ productId: 'P1', name: 'Kavili', price: 100, quantity: 1 }],
+                total: 100,
+                status: 'delivered',
+                paymentStatus: 'paid',
+                date: new Date()
+            });
+        });
+
+        afterEach(() => {
+            orders.restore();
+            reviews.restore();
+            users.restore();
+        });
+
+        const review = (images) => callController(createReview, {
+            user: { userId: 'USR0001', type: 'customer' },
+            body: { productId: 'P1', orderId: 'ORD-1', rating: 5, comment: 'Crispy', images }
+        });
+
+        it('refuses a review that links an image from another site', async () => {
+            const res = await review(['https://evil.example.com/tracker.png']);
+
+            assert.equal(res.statusCode, 400);
+            assert.equal(reviews.docs.length, 0);
+        });
+
+        it('saves a review with an uploaded image', async () => {
+            const res = await review(['/uploads/reviews/1700000000000_abc.jpg']);
+
+            assert.equal(res.statusCode, 201);
+            assert.deepEqual(reviews.docs[0].images, ['/uploads/reviews/1700000000000_abc.jpg']);
+        });
+    });
+});
@@ -0,0 +1,109 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Order from '../models/order.js';
+import Counter from '../models/counter.js';
+import Contact from '../models/contact.js';
+import { assignInvoiceNumber } from '../utils/invoiceGenerator.js';
+import { getOrderInvoice } from '../controllers/orderController.js';
+import { useMemoryCollection, useFakeTransactions } from './helpers/memoryDb.js';
+import { callController } from './helpers/http.js';
+
+describe('invoice numbers', () => {
+    let orders;
+    let counters;
+    let contacts;
+    let restoreTransactions;
+
+    before(() => {
+        restoreTransactions = useFakeTransactions();
+    });
+
+    after(() => {
+        restoreTransactions();
+    });
+
+    beforeEach(() => {
+        orders = useMemoryCollection(Order);
+        counters = useMemoryCollection(Counter, { unique: ['name'] });
+        contacts = useMemoryCollection(Contact);
+        for (const [index, status] of ['accepted', 'accepted', 'pending'].entries()) {
+            orders.insert({
+                orderId: `ORD-${index + 1}`,
+                userId: 'USR0001',
+                name: 'Nimal',
+                phone: '0771234567',
+                address: 'Colombo',
+                status,
+                paymentStatus: 'unpaid',
+                orderedItems: [{ productId: 'P1', name: 'Kavili', price: 100, quantity: 2 }],
+                total: 200,
+                date: new Date('2026-01-01T08:00:00Z')
+            });
+        }
+    });
+
+    afterEach(() => {
+        orders.restore();
+        counters.restore();
+        contacts.restore();
+    });
+
+    const loadOrder = (orderId) => Order.findOne({ orderId });
+
+    it('numbers orders one after another without gaps', async () => {
+        const first = await assignInvoiceNumber(await loadOrder('ORD-1'));
+        const second = await assignInvoiceNumber(await loadOrder('ORD-2'));
+
+        assert.equal(first.invoiceNumber, 'INV-000001');
+        assert.equal(second.invoiceNumber, 'INV-000002');
+        assert.ok(first.invoiceIssuedAt instanceof Date);
+    });
+
+    it('keeps the number of an order that already has one', async () => {
+        const order = await loadOrder('ORD-1');
+        await assignInvoiceNumber(order);
+
+        // A stale copy of the order, read before it was numbered
+        const again = await assignInvoiceNumber(order);
+
+        assert.equal(again.invoiceNumber, 'INV-000001');
+        assert.equal(counters.docs[0].seq, 1);
+    });
+
+    it('gives parallel orders different numbers', async () => {
+        const results = await Promise.all([
+            assignInvoiceNumber(await loadOrder('ORD-1')),
+            assignInvoiceNumber(await loadOrder('ORD-2'))
+        ]);
+
+        assert.deepEqual(results.map(result => result.invoiceNumber).sort(), ['INV-000001', 'INV-000002']);
+    });
+
+    it('downloads the invoice PDF of an accepted order', async () => {
+        const order = orders.docs[0];
+
+        const res = await callController(getOrderInvoice, {
+            user: { userId: 'USR0001', type: 'customer' },
+            params: { orderId: order._id.toString() }
+        });
+
+        assert.equal(res.headers['Content-Type'], 'application/pdf');
+        assert.match(res.headers['Content-Disposition'], /INV-000001\.pdf/);
+        assert.equal(res.body.subarray(0, 4).toString(), '%PDF');
+    });
+
+    it('has no invoice for a pending order or for another customer', async () => {
+        const pending = await callController(getOrderInvoice, {
+            user: { userId: 'USR0001', type: 'customer' },
+            params: { orderId: orders.docs[2]._id.toString() }
+        });
+        assert.equal(pending.statusCode, 400);
+
+        const otherCustomer = await callController(getOrderInvoice, {
+            user: { userId: 'USR0002', type: 'customer' },
+            params: { orderId: orders.docs[0]._id.toString() }
+        });
+        assert.equal(otherCustomer.statusCode, 404);
+        assert.equal(counters.docs.length, 0);
+    });
+});
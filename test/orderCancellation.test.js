@@ -0,0 +1,146 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Product from '../models/product.js';
+import StockMovement from '../models/stockMovement.js';
+import Order from '../models/order.js';
+import User from '../models/user.js';
+import ShopSettings from '../models/shopSettings.js';
+import { cancelMyOrder } from '../controllers/orderController.js';
+import { handlePaymentWebhook } from '../controllers/paymentController.js';
+import { buildMockNotification } from '../utils/paymentProviders/mockProvider.js';
+import { useMemoryCollection, useFakeTransactions } from './helpers/memoryDb.js';
+import { callController } from './helpers/http.js';
+
+const CUSTOMER = { userId: 'USR0001', type: 'customer', firstName: 'Nimal' };
+
+describe('customer cancellation', () => {
+    let products;
+    let movements;
+    let orders;
+    let users;
+    let settings;
+    let restoreTransactions;
+
+    const storedOrder = () => orders.docs[0];
+    const stockOf = (productId) => products.find({ productId })[0].stock;
+
+    before(() => {
+        process.env.MOCK_PAYMENTS_ENABLED = 'true';
+        process.env.MOCK_PAYMENT_SECRET = 'test-mock-secret';
+        restoreTransactions = useFakeTransactions();
+    });
+
+    after(() => {
+        delete process.env.MOCK_PAYMENTS_ENABLED;
+        delete process.env.MOCK_PAYMENT_SECRET;
+        restoreTransactions();
+    });
+
+    beforeEach(() => {
+        products = useMemoryCollection(Product);
+        movements = useMemoryCollection(StockMovement);
+        orders = useMemoryCollection(Order);
+        users = useMemoryCollection(User);
+        settings = useMemoryCollection(ShopSettings);
+        products.insert({ productId: 'P1', productName: 'Kavili', pricePerPiece: 100, stock: 2, totalOrdered: 3, availabilityStatus: 'available' });
+        orders.insert({
+            orderId: 'ORD-1',
+            userId: 'USR0001',
+            name: 'Nimal',
+            phone: '0771234567',
+            whatsappNumber: '0771234567',
+            address: 'Colombo',
+            deliveryOption: 'pickup',
+            preferredDay: 'Monday',
+            preferredTime: 'Morning',
+            orderedItems: [{ productId: 'P1', name: 'Kavili', price: 100, quantity: 3 }],
+            total: 300,
+            status: 'accepted',
+            paymentStatus: 'unpaid',
+            date: new Date(),
+            refunds: [],
+            paymentEvents: [],
+            statusHistory: []
+        });
+    });
+
+    afterEach(() => {
+        products.restore();
+        movements.restore();
+        orders.restore();
+        users.restore();
+        settings.restore();
+    });
+
+    function cancel(user = CUSTOMER) {
+        return callController(cancelMyOrder, {
+            user,
+            params: { orderId: storedOrder()._id.toString() },
+            body: { reason: 'Ordered by mistake' }
+        });
+    }
+
+    it('cancels an unpaid order and puts the stock back', async () => {
+        const res = await cancel();
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(storedOrder().status, 'cancelled');
+        assert.equal(storedOrder().cancellationReason, 'Ordered by mistake');
+        assert.equal(storedOrder().statusHistory[0].actorType, 'customer');
+        assert.equal(stockOf('P1'), 5);
+    });
+
+    it('sends the customer to the shop for a paid order', async () => {
+        storedOrder().paymentStatus = 'paid';
+
+        const res = await cancel();
+
+        assert.equal(res.statusCode, 400);
+        assert.match(res.body.message, /contact the shop/);
+        assert.equal(storedOrder().status, 'accepted');
+        assert.equal(stockOf('P1'), 2);
+    });
+
+    it('never leaves a paid order cancelled without a refund flag when the payment arrives at the same time', async () => {
+        const notification = buildMockNotification({ orderId: 'ORD-1', paymentId: 'PAY-1', amount: 300 });
+
+        await Promise.all([
+            cancel(),
+            callController(handlePaymentWebhook, { params: { provider: 'mock' }, body: notification })
+        ]);
+
+        const order = storedOrder();
+        if (order.status === 'cancelled') {
+            assert.equal(order.paymentStatus, 'unpaid');
+            assert.equal(order.manualRefundRequired, true);
+        } else {
+            assert.equal(order.paymentStatus, 'paid');
+            assert.equal(stockOf('P1'), 2);
+        }
+    });
+
+    it('only lets the customer cancel their own order', async () => {
+        const res = await cancel({ userId: 'USR0002', type: 'customer' });
+
+        assert.equal(res.statusCode, 404);
+        assert.equal(storedOrder().status, 'accepted');
+    });
+
+    it('refuses once the cancellation window has passed', async () => {
+        settings.insert({ customerCancellationWindowMinutes: 30 });
+        storedOrder().date = new Date(Date.now() - 31 * 60 * 1000);
+
+        const res = await cancel();
+
+        assert.equal(res.statusCode, 400);
+        assert.match(res.body.message, /within 30 minutes/);
+    });
+
+    it('refuses an order that is being prepared', async () => {
+        storedOrder().status = 'preparing';
+
+        const res = await cancel();
+
+        assert.equal(res.statusCode, 400);
+    });
+});
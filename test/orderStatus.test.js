@@ -0,0 +1,130 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Product from '../models/product.js';
+import StockMovement from '../models/stockMovement.js';
+import Order from '../models/order.js';
+import User from '../models/user.js';
+import { assertTransition, getAllowedTransitions } from '../utils/orderStateMachine.js';
+import { updateOrderStatus } from '../controllers/orderController.js';
+import { useMemoryCollection, useFakeTransactions } from './helpers/memoryDb.js';
+import { callController } from './helpers/http.js';
+
+const ADMIN = { userId: 'ADM0001', type: 'admin', firstName: 'Admin' };
+
+describe('order state machine', () => {
+    it('moves an order forward one step at a time', () => {
+        assert.deepEqual(getAllowedTransitions('pending'), ['accepted', 'cancelled']);
+        assert.doesNotThrow(() => assertTransition('shipped', 'delivered'));
+        assert.throws(() => assertTransition('pending', 'shipped'), { status: 400, allowedStatuses: ['accepted', 'cancelled'] });
+    });
+
+    it('does not cancel an order that has left the shop', () => {
+        assert.throws(() => assertTransition('shipped', 'cancelled'), { status: 400 });
+    });
+
+    it('treats delivered and cancelled as final', () => {
+        assert.throws(() => assertTransition('delivered', 'shipped'), /delivered is a final status/);
+        assert.throws(() => assertTransition('cancelled', 'pending'), /cancelled is a final status/);
+    });
+
+    it('rejects an unknown status', () => {
+        assert.throws(() => assertTransition('pending', 'lost'), /Invalid status/);
+    });
+});
+
+describe('order status changes', () => {
+    let products;
+    let movements;
+    let orders;
+    let users;
+    let restoreTransactions;
+
+    const storedOrder = () => orders.docs[0];
+
+    before(() => {
+        restoreTransactions = useFakeTransactions();
+    });
+
+    after(() => {
+        restoreTransactions();
+    });
+
+    beforeEach(() => {
+        products = useMemoryCollection(Product);
+        movements = useMemoryCollection(StockMovement);
+        orders = useMemoryCollection(Order);
+        users = useMemoryCollection(User);
+        products.insert({ productId: 'P1', productName: 'Kavili', pricePerPiece: 100, stock: 2, totalOrdered: 3, availabilityStatus: 'available' });
+        orders.insert({
+            orderId: 'ORD-1',
+            userId: 'USR0001',
+            name: 'Nimal',
+            phone: '0771234567',
+            whatsappNumber: '0771234567',
+            address: 'Colombo',
+            deliveryOption: 'pickup',
+            preferredDay: 'Monday',
+            preferredTime: 'Morning',
+            orderedItems: [{ productId: 'P1', name: 'Kavili', price: 100, quantity: 3 }],
+            total: 300,
+            status: 'pending',
+            paymentStatus: 'unpaid',
+            refunds: [],
+            statusHistory: []
+        });
+    });
+
+    afterEach(() => {
+        products.restore();
+        movements.restore();
+        orders.restore();
+        users.restore();
+    });
+
+    function setStatus(status, note) {
+        return callController(updateOrderStatus, {
+            user: ADMIN,
+            params: { orderId: storedOrder()._id.toString() },
+            body: { status, note }
+        });
+    }
+
+    it('records who changed the status and from what', async () => {
+        const res = await setStatus('accepted', 'Confirmed by phone');
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(res.body.allowedStatuses, ['preparing', 'cancelled']);
+        const [entry] = storedOrder().statusHistory;
+        assert.equal(entry.from, 'pending');
+        assert.equal(entry.status, 'accepted');
+        assert.equal(entry.changedBy, 'ADM0001');
+        assert.equal(entry.actorType, 'admin');
+        assert.equal(entry.note, 'Confirmed by phone');
+    });
+
+    it('refuses to skip a step', async () => {
+        const res = await setStatus('delivered');
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(storedOrder().status, 'pending');
+        assert.equal(storedOrder().statusHistory.length, 0);
+    });
+
+    it('applies only one of two changes made at the same time', async () => {
+        const results = await Promise.all([setStatus('accepted'), setStatus('cancelled')]);
+
+        assert.deepEqual(results.map(res => res.statusCode).sort(), [200, 409]);
+        assert.equal(storedOrder().statusHistory.length, 1);
+        // Stock comes back only if the cancellation was the one applied
+        const expectedStock = storedOrder().status === 'cancelled' ? 5 : 2;
+        assert.equal(products.find({ productId: 'P1' })[0].stock, expectedStock);
+    });
+
+    it('puts the stock back when an order is cancelled', async () => {
+        await setStatus('cancelled');
+
+        assert.equal(products.find({ productId: 'P1' })[0].stock, 5);
+        assert.equal(products.find({ productId: 'P1' })[0].totalOrdered, 0);
+        assert.equal((await setStatus('accepted')).statusCode, 400);
+    });
+});
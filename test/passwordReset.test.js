@@ -0,0 +1,164 @@
+import { describe, it, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import bcrypt from 'bcrypt';
+import User from '../models/user.js';
+import PasswordReset from '../models/passwordReset.js';
+import RefreshToken from '../models/refreshToken.js';
+import { requestPasswordReset, resetPassword } from '../controllers/passwordResetController.js';
+import { issueRefreshToken, rotateRefreshToken } from '../utils/refreshTokenStore.js';
+import { isTokenRevoked } from '../utils/sessionRevocation.js';
+import { getSentMessages, clearSentMessages } from '../utils/smsProviders/consoleSms.js';
+import { useMemoryCollection } from './helpers/memoryDb.js';
+import { callController } from './helpers/http.js';
+
+const PHONE = '0771234567';
+const NEW_PASSWORD = 'N3w-Passw0rd!';
+
+function lastCode() {
+    const messages = getSentMessages(PHONE);
+    return /\b(\d{6})\b/.exec(messages[messages.length - 1].message)[1];
+}
+
+function wrongCode(code) {
+    return code === '000000' ? '111111' : '000000';
+}
+
+describe('password reset by SMS code', () => {
+    let users;
+    let resets;
+    let refreshTokens;
+
+    before(() => {
+        process.env.SECRET = process.env.SECRET || 'test-secret';
+    });
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['Date'], now: new Date('2026-01-01T08:00:00Z') });
+        users = useMemoryCollection(User, { unique: ['userId', 'phonenumber'] });
+        resets = useMemoryCollection(PasswordReset);
+        refreshTokens = useMemoryCollection(RefreshToken, { unique: ['tokenHash'] });
+        clearSentMessages();
+        users.insert({
+            userId: 'USR0001',
+            firstName: 'Nimal',
+            type: 'customer',
+            phonenumber: PHONE,
+            password: 'old-hash',
+            homeaddress: 'Colombo',
+            providerName: 'local',
+            sessionVersion: 0
+        });
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+        users.restore();
+        resets.restore();
+        refreshTokens.restore();
+    });
+
+    const requestCode = () => callController(requestPasswordReset, { body: { phonenumber: PHONE } });
+    const submitCode = (code) => callController(resetPassword, { body: { phonenumber: PHONE, code, newPassword: NEW_PASSWORD } });
+
+    it('sets the new password with the code and ends every session', async () => {
+        const refreshToken = await issueRefreshToken('USR0001');
+        await requestCode();
+
+        const res = await submitCode(lastCode());
+
+        assert.equal(res.statusCode, 200);
+        const user = users.find({ userId: 'USR0001' })[0];
+        assert.equal(await bcrypt.compare(NEW_PASSWORD, user.password), true);
+        assert.equal(user.sessionVersion, 1);
+        await assert.rejects(rotateRefreshToken(refreshToken), { code: 'REFRESH_TOKEN_REUSED' });
+    });
+
+    it('uses a code once', async () => {
+        await requestCode();
+        const code = lastCode();
+        await submitCode(code);
+
+        const res = await submitCode(code);
+        assert.equal(res.statusCode, 400);
+    });
+
+    it('drops the reset after 5 wrong codes', async () => {
+        await requestCode();
+        const code = lastCode();
+
+        for (let attempt = 1; attempt <= 5; attempt++) {
+            const res = await submitCode(wrongCode(code));
+            assert.equal(res.body.attemptsLeft, 5 - attempt);
+        }
+
+        const res = await submitCode(code);
+        assert.equal(res.statusCode, 400);
+        assert.equal(users.find({ userId: 'USR0001' })[0].password, 'old-hash');
+    });
+
+    it('counts parallel guesses against the same limit', async () => {
+        await requestCode();
+        const code = lastCode();
+
+        await Promise.all(Array.from({ length: 8 }, () => submitCode(wrongCode(code))));
+
+        assert.equal(resets.docs[0].attempts, 5);
+        assert.equal((await submitCode(code)).statusCode, 400);
+    });
+
+    it('refuses an expired code', async () => {
+        await requestCode();
+        mock.timers.tick(10 * 60 * 1000 + 1);
+
+        const res = await submitCode(lastCode());
+        assert.equal(res.statusCode, 400);
+    });
+
+    it('sends at most 3 codes an hour and answers the same either way', async () => {
+        for (let sent = 0; sent < 4; sent++) {
+            const res = await requestCode();
+            assert.equal(res.statusCode, 200);
+        }
+        assert.equal(getSentMessages(PHONE).length, 3);
+
+        const unknown = await callController(requestPasswordReset, { body: { phonenumber: '0700000000' } });
+        assert.equal(unknown.statusCode, 200);
+        assert.equal(unknown.body.message, (await requestCode()).body.message);
+    });
+
+    it('only accepts the newest code', async () => {
+        await requestCode();
+        const firstCode = lastCode();
+        await requestCode();
+
+        if (firstCode !== lastCode()) {
+            assert.equal((await submitCode(firstCode)).statusCode, 400);
+        }
+        assert.equal((await submitCode(lastCode())).statusCode, 200);
+    });
+});
+
+describe('access token revocation', () => {
+    const revokedAt = new Date('2026-01-01T08:00:00.500Z');
+    const revokedAtSeconds = Math.floor(revokedAt.getTime() / 1000);
+
+    it('rejects tokens of an older session version', () => {
+        const user = { sessionVersion: 2, sessionsRevokedAt: revokedAt };
+
+        assert.equal(isTokenRevoked({ sv: 1, iat: revokedAtSeconds + 10 }, user), true);
+        assert.equal(isTokenRevoked({ sv: 2, iat: revokedAtSeconds }, user), false);
+    });
+
+    it('treats tokens without a version from the second of the revocation as revoked', () => {
+        const user = { sessionVersion: 1, sessionsRevokedAt: revokedAt };
+
+        assert.equal(isTokenRevoked({ iat: revokedAtSeconds - 1 }, user), true);
+        assert.equal(isTokenRevoked({ iat: revokedAtSeconds }, user), true);
+        assert.equal(isTokenRevoked({ iat: revokedAtSeconds + 1 }, user), false);
+    });
+
+    it('accepts every token of a user who never revoked their sessions', () => {
+        assert.equal(isTokenRevoked({ iat: 1 }, { sessionsRevokedAt: null }), false);
+        assert.equal(isTokenRevoked({ sv: 0, iat: 1 }, { sessionVersion: 0 }), false);
+    });
+});
@@ -0,0 +1,156 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import Order from '../models/order.js';
+import User from '../models/user.js';
+import { useMemoryCollection } from './helpers/memoryDb.js';
+import { callController } from './helpers/http.js';
+
+const CUSTOMER = { userId: 'USR0001', type: 'customer', firstName: 'Nimal' };
+const ADMIN = { userId: 'ADM0001', type: 'admin', firstName: 'Admin' };
+// 1x1 transparent PNG
+const SLIP_BASE64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+const SLIP = `data:image/png;base64,${SLIP_BASE64}`;
+
+describe('bank deposit slips', () => {
+    let privateDir;
+    let controllers;
+    let orders;
+    let users;
+
+    const storedOrder = () => orders.docs[0];
+
+    before(async () => {
+        // Private storage reads its folder when it is first imported
+        privateDir = await fs.mkdtemp(path.join(os.tmpdir(), 'kavili-slips-'));
+        process.env.PRIVATE_UPLOAD_DIR = privateDir;
+        controllers = await import('../controllers/paymentController.js');
+        // Kept for the whole file: the paid email looks the customer up after a test ends
+        users = useMemoryCollection(User);
+    });
+
+    after(async () => {
+        users.restore();
+        delete process.env.PRIVATE_UPLOAD_DIR;
+        await fs.rm(privateDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        orders = useMemoryCollection(Order);
+        orders.insert({
+            orderId: 'ORD-1',
+            userId: 'USR0001',
+            name: 'Nimal',
+            phone: '0771234567',
+            status: 'accepted',
+            paymentStatus: 'unpaid',
+            total: 1500,
+            orderedItems: [],
+            paymentEvents: [],
+            refunds: [],
+            paymentProofs: []
+        });
+    });
+
+    afterEach(() => {
+        orders.restore();
+    });
+
+    function upload(body = {}) {
+        return callController(controllers.uploadPaymentProof, {
+            user: CUSTOMER,
+            params: { orderId: 'ORD-1' },
+            body: { image: SLIP, reference: 'BOC-1234', amount: 1500, ...body }
+        });
+    }
+
+    function review(action, proofId, body = {}) {
+        return callController(action, {
+            user: ADMIN,
+            params: { orderId: storedOrder()._id.toString(), proofId },
+            body
+        });
+    }
+
+    it('keeps the slip in private storage, not in the order', async () => {
+        const res = await upload();
+
+        assert.equal(res.statusCode, 201);
+        const [proof] = storedOrder().paymentProofs;
+        assert.equal(proof.image, undefined);
+        assert.match(proof.imageKey, /^payment-proofs\//);
+        await fs.access(path.join(privateDir, proof.imageKey));
+
+        const image = await review(controllers.getPaymentProofImage, proof.proofId);
+        assert.equal(image.headers['Content-Type'], 'image/png');
+        assert.equal(image.headers['Cache-Control'], 'private, no-store');
+        assert.ok(image.body.length > 0);
+    });
+
+    it('lists slips for review with a link instead of the image', async () => {
+        await upload();
+
+        const res = await callController(controllers.getPaymentProofQueue, { user: ADMIN, query: {} });
+
+        assert.equal(res.body.proofs.length, 1);
+        const { proof } = res.body.proofs[0];
+        assert.equal(proof.imageKey, undefined);
+        assert.match(proof.imageUrl, /\/payment-proofs\/.+\/image$/);
+    });
+
+    it('refuses a file that is not an image', async () => {
+        const res = await upload({ image: `data:image/png;base64,${Buffer.from('<script>alert(1)</script>').toString('base64')}` });
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(storedOrder().paymentProofs.length, 0);
+    });
+
+    it('keeps one slip waiting for review at a time', async () => {
+        const results = await Promise.all([upload(), upload()]);
+
+        assert.deepEqual(results.map(res => res.statusCode).sort(), [201, 409]);
+        assert.equal(storedOrder().paymentProofs.length, 1);
+    });
+
+    it('marks the order paid when a slip is approved, once', async () => {
+        const { body } = await upload();
+
+        const res = await review(controllers.approvePaymentProof, body.proof.proofId);
+        assert.equal(res.statusCode, 200);
+        const order = storedOrder();
+        assert.equal(order.paymentStatus, 'paid');
+        assert.equal(order.paymentProvider, 'bank_transfer');
+        assert.equal(order.paymentEvents.length, 1);
+
+        const again = await review(controllers.approvePaymentProof, body.proof.proofId);
+        assert.equal(again.statusCode, 404);
+        assert.equal(storedOrder().paymentEvents.length, 1);
+    });
+
+    it('lets the customer send a new slip after one was rejected', async () => {
+        const { body } = await upload();
+
+        assert.equal((await review(controllers.rejectPaymentProof, body.proof.proofId)).statusCode, 400);
+        const rejected = await review(controllers.rejectPaymentProof, body.proof.proofId, { reason: 'Amount is not readable' });
+        assert.equal(rejected.statusCode, 200);
+
+        assert.equal((await upload()).statusCode, 201);
+        assert.deepEqual(storedOrder().paymentProofs.map(proof => proof.status), ['rejected', 'pending']);
+    });
+
+    it('does not approve a slip of a cancelled order and flags it for a manual refund', async () => {
+        const { body } = await upload();
+        storedOrder().status = 'cancelled';
+
+        const res = await review(controllers.approvePaymentProof, body.proof.proofId);
+
+        assert.equal(res.statusCode, 409);
+        assert.equal(res.body.manualRefundRequired, true);
+        const order = storedOrder();
+        assert.equal(order.paymentStatus, 'unpaid');
+        assert.equal(order.manualRefundRequired, true);
+        assert.equal(order.paymentProofs[0].status, 'rejected');
+    });
+});
@@ -0,0 +1,125 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Order from '../models/order.js';
+import User from '../models/user.js';
+import { handlePaymentWebhook } from '../controllers/paymentController.js';
+import { buildMockNotification } from '../utils/paymentProviders/mockProvider.js';
+import { useMemoryCollection } from './helpers/memoryDb.js';
+import { callController } from './helpers/http.js';
+
+function postNotification(body, provider = 'mock') {
+    return callController(handlePaymentWebhook, { params: { provider }, body });
+}
+
+describe('payment webhook', () => {
+    let orders;
+    let users;
+
+    before(() => {
+        process.env.MOCK_PAYMENTS_ENABLED = 'true';
+        process.env.MOCK_PAYMENT_SECRET = 'test-mock-secret';
+        users = useMemoryCollection(User);
+    });
+
+    after(() => {
+        delete process.env.MOCK_PAYMENTS_ENABLED;
+        delete process.env.MOCK_PAYMENT_SECRET;
+        users.restore();
+    });
+
+    beforeEach(() => {
+        if (orders) orders.restore();
+        orders = useMemoryCollection(Order);
+        orders.insert({
+            orderId: 'ORD-1',
+            userId: 'USR0001',
+            status: 'accepted',
+            paymentStatus: 'unpaid',
+            total: 1500,
+            orderedItems: [],
+            paymentEvents: [],
+            refunds: [],
+            paymentProofs: []
+        });
+    });
+
+    const storedOrder = () => orders.find({ orderId: 'ORD-1' })[0];
+
+    it('marks the order paid for a signed notification of the amount due', async () => {
+        const res = await postNotification(buildMockNotification({ orderId: 'ORD-1', paymentId: 'PAY-1', amount: 1500 }));
+
+        assert.equal(res.statusCode, 200);
+        const order = storedOrder();
+        assert.equal(order.paymentStatus, 'paid');
+        assert.equal(order.paymentId, 'PAY-1');
+        assert.equal(order.paymentProvider, 'mock');
+        assert.equal(order.paymentEvents.length, 1);
+    });
+
+    it('rejects a notification with a wrong signature', async () => {
+        const notification = buildMockNotification({ orderId: 'ORD-1', paymentId: 'PAY-1', amount: 1500 });
+        const res = await postNotification({ ...notification, signature: 'f'.repeat(notification.signature.length) });
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(storedOrder().paymentStatus, 'unpaid');
+    });
+
+    it('rejects a notification whose fields were changed after signing', async () => {
+        const notification = buildMockNotification({ orderId: 'ORD-1', paymentId: 'PAY-1', amount: 1 });
+        const res = await postNotification({ ...notification, amount: '1500.00' });
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(storedOrder().paymentStatus, 'unpaid');
+    });
+
+    it('rejects a payment that does not match the amount due', async () => {
+        const res = await postNotification(buildMockNotification({ orderId: 'ORD-1', paymentId: 'PAY-1', amount: 1 }));
+
+        assert.equal(res.statusCode, 400);
+        const order = storedOrder();
+        assert.equal(order.paymentStatus, 'unpaid');
+        assert.match(order.paymentEvents[0].note, /^Rejected/);
+    });
+
+    it('rejects a payment in another currency', async () => {
+        const res = await postNotification(buildMockNotification({
+            orderId: 'ORD-1', paymentId: 'PAY-1', amount: 1500, currency: 'USD'
+        }));
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(storedOrder().paymentStatus, 'unpaid');
+    });
+
+    it('applies a repeated notification once', async () => {
+        const notification = buildMockNotification({ orderId: 'ORD-1', paymentId: 'PAY-1', amount: 1500 });
+        await postNotification(notification);
+        const res = await postNotification(notification);
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.message, 'Notification already processed');
+        assert.equal(storedOrder().paymentEvents.length, 1);
+    });
+
+    it('does not take payment for a cancelled order and flags it for a manual refund', async () => {
+        orders.docs[0].status = 'cancelled';
+        const res = await postNotification(buildMockNotification({ orderId: 'ORD-1', paymentId: 'PAY-1', amount: 1500 }));
+
+        assert.equal(res.statusCode, 200);
+        const order = storedOrder();
+        assert.equal(order.paymentStatus, 'unpaid');
+        assert.equal(order.manualRefundRequired, true);
+        assert.match(order.paymentEvents[0].note, /Refund manually/);
+    });
+
+    it('does not accept mock payments unless they are switched on', async () => {
+        const notification = buildMockNotification({ orderId: 'ORD-1', paymentId: 'PAY-1', amount: 1500 });
+        process.env.MOCK_PAYMENTS_ENABLED = 'false';
+        try {
+            const res = await postNotification(notification);
+            assert.equal(res.statusCode, 404);
+        } finally {
+            process.env.MOCK_PAYMENTS_ENABLED = 'true';
+        }
+        assert.equal(storedOrder().paymentStatus, 'unpaid');
+    });
+});
@@ -0,0 +1,187 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import PhoneOtp from '../models/phoneOtp.js';
+import User from '../models/user.js';
+import RefreshToken from '../models/refreshToken.js';
+import { issueOtp, verifyOtp, consumeVerification } from '../utils/phoneVerification.js';
+import { getSentMessages, clearSentMessages } from '../utils/smsProviders/consoleSms.js';
+import { loginUser } from '../controllers/userController.js';
+import { useMemoryCollection } from './helpers/memoryDb.js';
+import { callController } from './helpers/http.js';
+
+const PHONE = '0771234567';
+
+function lastCode() {
+    const messages = getSentMessages(PHONE);
+    return /\b(\d{6})\b/.exec(messages[messages.length - 1].message)[1];
+}
+
+function wrongCode(code) {
+    return code === '000000' ? '111111' : '000000';
+}
+
+describe('phone verification', () => {
+    let otps;
+    let users;
+
+    before(() => {
+        process.env.SECRET = process.env.SECRET || 'test-secret';
+    });
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['Date'], now: new Date('2026-01-01T08:00:00Z') });
+        otps = useMemoryCollection(PhoneOtp, { unique: ['phonenumber'] });
+        users = useMemoryCollection(User);
+        clearSentMessages();
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+        otps.restore();
+        users.restore();
+    });
+
+    after(() => {
+        clearSentMessages();
+    });
+
+    it('sends a code that turns into a single-use verification token', async () => {
+        await issueOtp(PHONE);
+        const { verificationToken } = await verifyOtp(PHONE, lastCode());
+
+        assert.equal(await consumeVerification(PHONE, verificationToken), true);
+        assert.equal(await consumeVerification(PHONE, verificationToken), false);
+    });
+
+    it('does not accept the token for another number', async () => {
+        await issueOtp(PHONE);
+        const { verificationToken } = await verifyOtp(PHONE, lastCode());
+
+        assert.equal(await consumeVerification('0770000000', verificationToken), false);
+        assert.equal(await consumeVerification(PHONE, 'not-the-token'), false);
+    });
+
+    it('marks an existing account with the number as verified', async () => {
+        users.insert({ userId: 'USR0001', phonenumber: PHONE, phoneVerified: false });
+        await issueOtp(PHONE);
+        await verifyOtp(PHONE, lastCode());
+
+        assert.equal(users.find({ userId: 'USR0001' })[0].phoneVerified, true);
+    });
+
+    it('waits a minute before sending another code', async () => {
+        await issueOtp(PHONE);
+
+        await assert.rejects(issueOtp(PHONE), (error) => {
+            assert.equal(error.status, 429);
+            assert.equal(error.retryAfter, 60);
+            return true;
+        });
+
+        mock.timers.tick(60 * 1000);
+        await issueOtp(PHONE);
+        assert.equal(getSentMessages(PHONE).length, 2);
+    });
+
+    it('sends at most 5 codes an hour', async () => {
+        for (let sent = 0; sent < 5; sent++) {
+            await issueOtp(PHONE);
+            mock.timers.tick(61 * 1000);
+        }
+
+        await assert.rejects(issueOtp(PHONE), { status: 429 });
+
+        mock.timers.tick(60 * 60 * 1000);
+        await issueOtp(PHONE);
+        assert.equal(getSentMessages(PHONE).length, 6);
+    });
+
+    it('allows 5 attempts per code', async () => {
+        await issueOtp(PHONE);
+        const code = lastCode();
+
+        for (let attempt = 1; attempt <= 5; attempt++) {
+            await assert.rejects(verifyOtp(PHONE, wrongCode(code)), { status: 400, attemptsLeft: 5 - attempt });
+        }
+
+        // Even the right code is refused once the attempts are used up
+        await assert.rejects(verifyOtp(PHONE, code), /entered wrong too many times/);
+    });
+
+    it('refuses an expired code', async () => {
+        await issueOtp(PHONE);
+        mock.timers.tick(5 * 60 * 1000 + 1);
+
+        await assert.rejects(verifyOtp(PHONE, lastCode()), /expired/);
+    });
+
+    it('refuses a verification token after 15 minutes', async () => {
+        await issueOtp(PHONE);
+        const { verificationToken } = await verifyOtp(PHONE, lastCode());
+        mock.timers.tick(15 * 60 * 1000 + 1);
+
+        assert.equal(await consumeVerification(PHONE, verificationToken), false);
+    });
+
+    it('uses a code once', async () => {
+        await issueOtp(PHONE);
+        const code = lastCode();
+        await verifyOtp(PHONE, code);
+
+        await assert.rejects(verifyOtp(PHONE, code), { status: 400 });
+    });
+});
+
+describe('phone login', () => {
+    let otps;
+    let users;
+    let refreshTokens;
+
+    before(() => {
+        process.env.SECRET = process.env.SECRET || 'test-secret';
+    });
+
+    beforeEach(() => {
+        otps = useMemoryCollection(PhoneOtp, { unique: ['phonenumber'] });
+        users = useMemoryCollection(User, { unique: ['userId', 'phonenumber'] });
+        refreshTokens = useMemoryCollection(RefreshToken);
+        clearSentMessages();
+        users.insert({
+            userId: 'USR0001',
+            firstName: 'Nimal',
+            type: 'customer',
+            phonenumber: PHONE,
+            password: 'hash',
+            homeaddress: 'Colombo',
+            identities: [{ provider: 'phone', providerId: PHONE }]
+        });
+    });
+
+    afterEach(() => {
+        otps.restore();
+        users.restore();
+        refreshTokens.restore();
+    });
+
+    it('needs a verified code, not just the name and number', async () => {
+        const res = await callController(loginUser, { body: { firstName: 'Nimal', phonenumber: PHONE } });
+        assert.equal(res.statusCode, 403);
+        assert.equal(res.body.phoneVerificationRequired, true);
+
+        const withNumberAsPassword = await callController(loginUser, { body: { firstName: 'Nimal', phonenumber: PHONE, password: PHONE } });
+        assert.equal(withNumberAsPassword.statusCode, 403);
+    });
+
+    it('logs in once with a verified code', async () => {
+        await issueOtp(PHONE);
+        const { verificationToken } = await verifyOtp(PHONE, lastCode());
+        const body = { firstName: 'Nimal', phonenumber: PHONE, phoneVerificationToken: verificationToken };
+
+        const res = await callController(loginUser, { body });
+        assert.equal(res.statusCode, 200);
+        assert.ok(res.body.token && res.body.refreshToken);
+
+        const replayed = await callController(loginUser, { body });
+        assert.equal(replayed.statusCode, 403);
+    });
+});
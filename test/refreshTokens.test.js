@@ -0,0 +1,97 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import RefreshToken from '../models/refreshToken.js';
+import {
+    REFRESH_TOKEN_TTL_MS,
+    issueRefreshToken,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeUserRefreshTokens
+} from '../utils/refreshTokenStore.js';
+import { useMemoryCollection } from './helpers/memoryDb.js';
+
+describe('refresh tokens', () => {
+    let tokens;
+
+    beforeEach(() => {
+        tokens = useMemoryCollection(RefreshToken, { unique: ['tokenHash'] });
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+        tokens.restore();
+    });
+
+    it('exchanges a refresh token for the next one of its family', async () => {
+        const first = await issueRefreshToken('USR0001');
+        const rotated = await rotateRefreshToken(first);
+
+        assert.equal(rotated.userId, 'USR0001');
+        assert.notEqual(rotated.refreshToken, first);
+        assert.equal(rotated.familyId, rotated.previous.familyId);
+
+        const next = await rotateRefreshToken(rotated.refreshToken);
+        assert.equal(next.familyId, rotated.familyId);
+    });
+
+    it('stores only a hash of the token', async () => {
+        const token = await issueRefreshToken('USR0001');
+
+        assert.equal(tokens.docs.length, 1);
+        assert.ok(!JSON.stringify(tokens.docs).includes(token));
+    });
+
+    it('revokes the whole family when a used token comes back', async () => {
+        const stolen = await issueRefreshToken('USR0001');
+        const { refreshToken: newest } = await rotateRefreshToken(stolen);
+
+        await assert.rejects(rotateRefreshToken(stolen), { status: 401, code: 'REFRESH_TOKEN_REUSED' });
+
+        // The device holding the newest token has to log in again too
+        await assert.rejects(rotateRefreshToken(newest), { code: 'REFRESH_TOKEN_REUSED' });
+        assert.ok(tokens.docs.every(doc => doc.revokedAt));
+        assert.ok(tokens.docs.some(doc => doc.revokedReason === 'reuse_detected'));
+    });
+
+    it('leaves other families alone when a token is reused', async () => {
+        const stolen = await issueRefreshToken('USR0001');
+        const otherDevice = await issueRefreshToken('USR0001');
+        await rotateRefreshToken(stolen);
+
+        await assert.rejects(rotateRefreshToken(stolen), { code: 'REFRESH_TOKEN_REUSED' });
+
+        const rotated = await rotateRefreshToken(otherDevice);
+        assert.equal(rotated.userId, 'USR0001');
+    });
+
+    it('refuses unknown and expired tokens', async () => {
+        await assert.rejects(rotateRefreshToken('unknown'), { code: 'REFRESH_TOKEN_INVALID' });
+        await assert.rejects(rotateRefreshToken(undefined), { status: 400, code: 'REFRESH_TOKEN_MISSING' });
+
+        mock.timers.enable({ apis: ['Date'], now: new Date('2026-01-01T08:00:00Z') });
+        const token = await issueRefreshToken('USR0001');
+        mock.timers.tick(REFRESH_TOKEN_TTL_MS + 1);
+
+        await assert.rejects(rotateRefreshToken(token), { code: 'REFRESH_TOKEN_EXPIRED' });
+    });
+
+    it('logs out one device by revoking its family', async () => {
+        const token = await issueRefreshToken('USR0001');
+        const otherDevice = await issueRefreshToken('USR0001');
+
+        assert.equal(await revokeRefreshToken(token), 'USR0001');
+        await assert.rejects(rotateRefreshToken(token), { code: 'REFRESH_TOKEN_REUSED' });
+        await rotateRefreshToken(otherDevice);
+    });
+
+    it('logs out every device of a user', async () => {
+        const first = await issueRefreshToken('USR0001');
+        const second = await issueRefreshToken('USR0001');
+        const otherUser = await issueRefreshToken('USR0002');
+
+        assert.equal(await revokeUserRefreshTokens('USR0001', 'password_reset'), 2);
+        await assert.rejects(rotateRefreshToken(first), { code: 'REFRESH_TOKEN_REUSED' });
+        await assert.rejects(rotateRefreshToken(second), { code: 'REFRESH_TOKEN_REUSED' });
+        await rotateRefreshToken(otherUser);
+    });
+});
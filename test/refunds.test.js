@@ -0,0 +1,189 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Product from '../models/product.js';
+import StockMovement from '../models/stockMovement.js';
+import Order from '../models/order.js';
+import User from '../models/user.js';
+import { reserveStock, getHeldItems } from '../utils/stockManager.js';
+import { refundOrder } from '../controllers/paymentController.js';
+import { updateOrderStatus } from '../controllers/orderController.js';
+import { useMemoryCollection, useFakeTransactions } from './helpers/memoryDb.js';
+import { callController } from './helpers/http.js';
+
+const ADMIN = { userId: 'ADM0001', type: 'admin', firstName: 'Admin' };
+
+describe('held items', () => {
+    it('are the order lines minus the units refunds already restocked', () => {
+        const order = {
+            orderedItems: [
+                { productId: 'P1', quantity: 3 },
+                { productId: 'P2', variantSku: 'P2-L', quantity: 2 }
+            ],
+            refunds: [
+                { restocked: true, items: [{ productId: 'P1', quantity: 1 }] },
+                { restocked: false, items: [{ productId: 'P2', variantSku: 'P2-L', quantity: 2 }] },
+                { restocked: true, items: [{ productId: 'P2', variantSku: 'P2-L', quantity: 2 }] }
+            ]
+        };
+
+        assert.deepEqual(getHeldItems(order), [{ productId: 'P1', quantity: 2 }]);
+    });
+});
+
+describe('refunds', () => {
+    let products;
+    let movements;
+    let orders;
+    let users;
+    let restoreTransactions;
+
+    const stockOf = (productId) => products.find({ productId })[0];
+    const storedOrder = () => orders.docs[0];
+
+    before(() => {
+        process.env.MOCK_PAYMENTS_ENABLED = 'true';
+        process.env.MOCK_PAYMENT_SECRET = 'test-mock-secret';
+        restoreTransactions = useFakeTransactions();
+    });
+
+    after(() => {
+        delete process.env.MOCK_PAYMENTS_ENABLED;
+        delete process.env.MOCK_PAYMENT_SECRET;
+        restoreTransactions();
+    });
+
+    beforeEach(async () => {
+        products = useMemoryCollection(Product);
+        movements = useMemoryCollection(StockMovement);
+        orders = useMemoryCollection(Order);
+        users = useMemoryCollection(User);
+        products.insert({ productId: 'P1', productName: 'Kavili', pricePerPiece: 100, stock: 5, totalOrdered: 0, availabilityStatus: 'available' });
+
+        // A paid order of 3 pieces, reserved like placeOrder does
+        await reserveStock([{ productId: 'P1', quantity: 3 }]);
+        orders.insert({
+            orderId: 'ORD-1',
+            userId: 'USR0001',
+            name: 'Nimal',
+            phone: '0771234567',
+            whatsappNumber: '0771234567',
+            address: 'Colombo',
+            deliveryOption: 'pickup',
+            preferredDay: 'Monday',
+            preferredTime: 'Morning',
+            orderedItems: [{ productId: 'P1', name: 'Kavili', price: 100, quantity: 3 }],
+            total: 300,
+            status: 'accepted',
+            paymentStatus: 'paid',
+            paymentProvider: 'mock',
+            paymentId: 'PAY-1',
+            refunds: [],
+            refundedAmount: 0,
+            statusHistory: []
+        });
+    });
+
+    afterEach(() => {
+        products.restore();
+        movements.restore();
+        orders.restore();
+        users.restore();
+    });
+
+    function refund(body) {
+        return callController(refundOrder, {
+            user: ADMIN,
+            params: { orderId: storedOrder()._id.toString() },
+            body: { reason: 'Damaged', ...body }
+        });
+    }
+
+    function setStatus(status) {
+        return callController(updateOrderStatus, {
+            user: ADMIN,
+            params: { orderId: storedOrder()._id.toString() },
+            body: { status }
+        });
+    }
+
+    it('refunds some of the items and then the rest', async () => {
+        const partial = await refund({ items: [{ productId: 'P1', quantity: 1 }] });
+        assert.equal(partial.statusCode, 200);
+        assert.equal(storedOrder().paymentStatus, 'partially_refunded');
+        assert.equal(storedOrder().refundedAmount, 100);
+
+        const rest = await refund({});
+        assert.equal(rest.statusCode, 200);
+        assert.equal(storedOrder().paymentStatus, 'refunded');
+        assert.equal(storedOrder().refundedAmount, 300);
+        assert.deepEqual(storedOrder().refunds.map(entry => entry.status), ['completed', 'completed']);
+
+        const again = await refund({});
+        assert.equal(again.statusCode, 400);
+    });
+
+    it('does not refund more units than were ordered', async () => {
+        await refund({ items: [{ productId: 'P1', quantity: 2 }] });
+
+        const res = await refund({ items: [{ productId: 'P1', quantity: 2 }] });
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(storedOrder().refunds.length, 1);
+        assert.equal(storedOrder().refundedAmount, 200);
+    });
+
+    it('lets only one of two refunds started at the same time go through', async () => {
+        const results = await Promise.all([refund({}), refund({})]);
+
+        assert.deepEqual(results.map(res => res.statusCode).sort(), [200, 409]);
+        assert.equal(storedOrder().refunds.length, 1);
+        assert.equal(storedOrder().refundedAmount, 300);
+    });
+
+    it('needs a transfer reference to record the refund of a bank deposit', async () => {
+        storedOrder().paymentProvider = 'bank_transfer';
+
+        const missing = await refund({});
+        assert.equal(missing.statusCode, 400);
+        assert.equal(storedOrder().refunds.length, 0);
+
+        const res = await refund({ manualReference: 'BOC-778812' });
+        assert.equal(res.statusCode, 200);
+        assert.equal(storedOrder().refunds[0].method, 'manual');
+        assert.equal(storedOrder().refunds[0].manualReference, 'BOC-778812');
+        assert.equal(storedOrder().paymentStatus, 'refunded');
+    });
+
+    it('puts refunded units back once when the order is cancelled afterwards', async () => {
+        const refunded = await refund({ items: [{ productId: 'P1', quantity: 1 }] });
+        assert.equal(refunded.statusCode, 200);
+        assert.equal(stockOf('P1').stock, 3);
+
+        const cancelled = await setStatus('cancelled');
+        assert.equal(cancelled.statusCode, 200);
+
+        assert.equal(stockOf('P1').stock, 5);
+        assert.equal(stockOf('P1').totalOrdered, 0);
+    });
+
+    it('does not restock a refund of an order that was already cancelled', async () => {
+        await setStatus('cancelled');
+        assert.equal(stockOf('P1').stock, 5);
+
+        const refunded = await refund({ items: [{ productId: 'P1', quantity: 1 }] });
+        assert.equal(refunded.statusCode, 200);
+
+        assert.equal(stockOf('P1').stock, 5);
+        assert.equal(storedOrder().refunds[0].restocked, false);
+    });
+
+    it('only takes the units still held off totalOrdered on delivery', async () => {
+        await refund({ items: [{ productId: 'P1', quantity: 1 }] });
+        await setStatus('preparing');
+        await setStatus('shipped');
+        await setStatus('delivered');
+
+        assert.equal(stockOf('P1').stock, 3);
+        assert.equal(stockOf('P1').totalOrdered, 0);
+    });
+});
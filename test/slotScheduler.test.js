@@ -0,0 +1,116 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import SlotCalendar from '../models/slotCalendar.js';
+import SlotBooking from '../models/slotBooking.js';
+import { bookSlot, releaseSlot, getOpenSlots, getSlotCalendar } from '../utils/slotScheduler.js';
+import { useMemoryCollection } from './helpers/memoryDb.js';
+
+// Monday 2026-01-05, 08:00 in Colombo
+const NOW = new Date('2026-01-05T02:30:00Z');
+const TODAY = '2026-01-05';
+const TOMORROW = '2026-01-06';
+
+describe('slot booking', () => {
+    let calendars;
+    let bookings;
+    let calendar;
+
+    beforeEach(async () => {
+        mock.timers.enable({ apis: ['Date'], now: NOW });
+        calendars = useMemoryCollection(SlotCalendar);
+        bookings = useMemoryCollection(SlotBooking, { unique: [['date', 'windowId']] });
+        calendars.insert({
+            weeklySchedule: [
+                {
+                    dayOfWeek: 1,
+                    windows: [
+                        { windowId: '07:00-08:00', startTime: '07:00', endTime: '08:00', capacity: 5 },
+                        { windowId: '09:00-12:00', startTime: '09:00', endTime: '12:00', capacity: 2 }
+                    ]
+                },
+                { dayOfWeek: 2, windows: [{ windowId: '09:00-12:00', startTime: '09:00', endTime: '12:00', capacity: 1 }] },
+                { dayOfWeek: 3, windows: [{ windowId: '09:00-12:00', startTime: '09:00', endTime: '12:00', capacity: 1 }] }
+            ],
+            holidays: [{ date: '2026-01-07', reason: 'Poya' }],
+            bookingHorizonDays: 7
+        });
+        calendar = await getSlotCalendar();
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+        calendars.restore();
+        bookings.restore();
+    });
+
+    const book = (date, windowId, leadTimeDays) => bookSlot(calendar, { date, windowId, leadTimeDays });
+
+    it('books a slot up to its capacity', async () => {
+        const slot = await book(TODAY, '09:00-12:00');
+        assert.deepEqual(slot, {
+            slotDate: TODAY,
+            slotWindow: '09:00-12:00',
+            preferredDay: `Monday ${TODAY}`,
+            preferredTime: '09:00 - 12:00'
+        });
+        await book(TODAY, '09:00-12:00');
+
+        await assert.rejects(book(TODAY, '09:00-12:00'), { status: 409 });
+        assert.equal(bookings.docs[0].booked, 2);
+    });
+
+    it('lets only one of several orders take the last place', async () => {
+        const results = await Promise.allSettled([
+            book(TOMORROW, '09:00-12:00'),
+            book(TOMORROW, '09:00-12:00'),
+            book(TOMORROW, '09:00-12:00')
+        ]);
+
+        assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+        assert.ok(results.filter(result => result.status === 'rejected').every(result => result.reason.status === 409));
+        assert.equal(bookings.docs.length, 1);
+        assert.equal(bookings.docs[0].booked, 1);
+    });
+
+    it('frees the place of a cancelled order', async () => {
+        const slot = await book(TOMORROW, '09:00-12:00');
+
+        await releaseSlot({ slotDate: slot.slotDate, slotWindow: slot.slotWindow });
+        await book(TOMORROW, '09:00-12:00');
+
+        assert.equal(bookings.docs[0].booked, 1);
+    });
+
+    it('does not go below zero when a place is released twice', async () => {
+        const slot = await book(TOMORROW, '09:00-12:00');
+        const order = { slotDate: slot.slotDate, slotWindow: slot.slotWindow };
+
+        await releaseSlot(order);
+        await releaseSlot(order);
+
+        assert.equal(bookings.docs[0].booked, 0);
+    });
+
+    it('refuses windows that started, holidays and dates out of range', async () => {
+        await assert.rejects(book(TODAY, '07:00-08:00'), { status: 400 });
+        await assert.rejects(book('2026-01-07', '09:00-12:00'), { status: 400 });
+        await assert.rejects(book('2026-01-13', '09:00-12:00'), /Please choose a date between/);
+        await assert.rejects(book('2026-01-06T09:00', '09:00-12:00'), /YYYY-MM-DD/);
+        assert.equal(bookings.docs.length, 0);
+    });
+
+    it('keeps the delivery lead time', async () => {
+        await assert.rejects(book(TOMORROW, '09:00-12:00', 2), { status: 400 });
+    });
+
+    it('offers only windows with places left', async () => {
+        await book(TOMORROW, '09:00-12:00');
+
+        const days = await getOpenSlots(calendar);
+
+        assert.deepEqual(days.map(day => [day.date, day.windows.map(window => `${window.windowId}:${window.remaining}`)]), [
+            [TODAY, ['09:00-12:00:2']],
+            ['2026-01-12', ['07:00-08:00:5', '09:00-12:00:2']]
+        ]);
+    });
+});
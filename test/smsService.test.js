@@ -0,0 +1,94 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import { checkSmsConfig, isSmsConfigured, sendSms } from '../utils/smsService.js';
+import { toNotifyLkNumber } from '../utils/smsProviders/notifyLkSms.js';
+
+const NOTIFYLK_ENV = {
+    SMS_PROVIDER: 'notifylk',
+    NOTIFYLK_USER_ID: '12345',
+    NOTIFYLK_API_KEY: 'test-api-key',
+    NOTIFYLK_SENDER_ID: 'KaviliShop'
+};
+
+describe('SMS', () => {
+    const originalNodeEnv = process.env.NODE_ENV;
+
+    afterEach(() => {
+        mock.restoreAll();
+        for (const name of Object.keys(NOTIFYLK_ENV)) delete process.env[name];
+        if (originalNodeEnv === undefined) delete process.env.NODE_ENV;
+        else process.env.NODE_ENV = originalNodeEnv;
+    });
+
+    describe('startup check', () => {
+        it('allows the console provider outside production', () => {
+            assert.doesNotThrow(() => checkSmsConfig());
+            assert.equal(isSmsConfigured(), true);
+        });
+
+        it('refuses to start in production without a real provider', () => {
+            process.env.NODE_ENV = 'production';
+
+            assert.throws(() => checkSmsConfig(), /cannot be used in production/);
+            assert.equal(isSmsConfigured(), false);
+        });
+
+        it('refuses a provider whose credentials are missing', () => {
+            process.env.NODE_ENV = 'production';
+            process.env.SMS_PROVIDER = 'notifylk';
+            process.env.NOTIFYLK_USER_ID = '12345';
+
+            assert.throws(() => checkSmsConfig(), /NOTIFYLK_API_KEY/);
+        });
+
+        it('refuses an unknown provider', () => {
+            process.env.SMS_PROVIDER = 'pigeon';
+
+            assert.throws(() => checkSmsConfig(), /SMS provider "pigeon" is not available/);
+        });
+
+        it('starts in production with Notify.lk configured', () => {
+            process.env.NODE_ENV = 'production';
+            Object.assign(process.env, NOTIFYLK_ENV);
+
+            assert.doesNotThrow(() => checkSmsConfig());
+        });
+    });
+
+    describe('Notify.lk', () => {
+        it('sends the message with the account credentials', async () => {
+            Object.assign(process.env, NOTIFYLK_ENV);
+            const post = mock.method(axios, 'post', async () => ({ data: { status: 'success', data: 'Sent' } }));
+
+            const { messageId } = await sendSms('077 123 4567', 'Your code is 123456');
+
+            assert.match(messageId, /^NOTIFYLK-/);
+            assert.equal(post.mock.callCount(), 1);
+            const [url, body] = post.mock.calls[0].arguments;
+            assert.equal(url, 'https://app.notify.lk/api/v1/send');
+            assert.deepEqual(Object.fromEntries(new URLSearchParams(body)), {
+                user_id: '12345',
+                api_key: 'test-api-key',
+                sender_id: 'KaviliShop',
+                to: '94771234567',
+                message: 'Your code is 123456'
+            });
+        });
+
+        it('throws when the gateway reports an error', async () => {
+            Object.assign(process.env, NOTIFYLK_ENV);
+            mock.method(axios, 'post', async () => ({ data: { status: 'error', message: 'Insufficient balance' } }));
+
+            await assert.rejects(sendSms('0771234567', 'Your code is 123456'), /Insufficient balance/);
+        });
+
+        it('formats Sri Lankan numbers and rejects others', () => {
+            for (const phone of ['0771234567', '771234567', '+94771234567', '94771234567']) {
+                assert.equal(toNotifyLkNumber(phone), '94771234567', phone);
+            }
+            assert.throws(() => toNotifyLkNumber('+4420712345678'), /not a Sri Lankan phone number/);
+            assert.throws(() => toNotifyLkNumber(''), /not a Sri Lankan phone number/);
+        });
+    });
+});
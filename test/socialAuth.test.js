@@ -0,0 +1,239 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/user.js';
+import RefreshToken from '../models/refreshToken.js';
+import PhoneOtp from '../models/phoneOtp.js';
+import { createGoogleVerifier } from '../utils/socialAuthProviders/googleVerifier.js';
+import { createFacebookVerifier } from '../utils/socialAuthProviders/facebookVerifier.js';
+import { setSocialVerifier, resetSocialVerifiers } from '../utils/socialAuth.js';
+import { issueOtp, verifyOtp } from '../utils/phoneVerification.js';
+import { getSentMessages, clearSentMessages } from '../utils/smsProviders/consoleSms.js';
+import { socialLogin, socialRegister } from '../controllers/userController.js';
+import { useMemoryCollection } from './helpers/memoryDb.js';
+import { callController } from './helpers/http.js';
+
+const CLIENT_ID = 'test-client.apps.googleusercontent.com';
+
+describe('Google ID token verification', () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const otherKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+    const verifier = createGoogleVerifier({
+        keys: { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1', alg: 'RS256', use: 'sig' }] },
+        clientIds: [CLIENT_ID]
+    });
+
+    function signIdToken(claims = {}, { key = privateKey, expiresIn = '1h', audience = CLIENT_ID } = {}) {
+        return jwt.sign(
+            { sub: 'google-123', email: 'nimal@example.com', email_verified: true, given_name: 'Nimal', ...claims },
+            key,
+            { algorithm: 'RS256', keyid: 'key-1', issuer: 'https://accounts.google.com', audience, expiresIn }
+        );
+    }
+
+    it('returns the verified claims of a valid token', async () => {
+        const claims = await verifier.verify(signIdToken());
+
+        assert.equal(claims.providerId, 'google-123');
+        assert.equal(claims.email, 'nimal@example.com');
+        assert.equal(claims.emailVerified, true);
+        assert.equal(claims.firstName, 'Nimal');
+    });
+
+    it('reports an unverified email address', async () => {
+        const claims = await verifier.verify(signIdToken({ email_verified: false }));
+        assert.equal(claims.emailVerified, false);
+    });
+
+    it('rejects a token signed with another key', async () => {
+        await assert.rejects(verifier.verify(signIdToken({}, { key: otherKey })), { status: 401 });
+    });
+
+    it('rejects a token issued for another app', async () => {
+        await assert.rejects(verifier.verify(signIdToken({}, { audience: 'someone-else' })), { status: 401 });
+    });
+
+    it('rejects an expired token', async () => {
+        await assert.rejects(verifier.verify(signIdToken({}, { expiresIn: -10 })), /expired/);
+    });
+
+    it('rejects a token that is not a JWT', async () => {
+        await assert.rejects(verifier.verify('not-a-token'), { status: 401 });
+    });
+});
+
+describe('Facebook access token verification', () => {
+    function createGraph({ debug = {}, profile = {}, fail } = {}) {
+        return async (path) => {
+            if (fail) throw fail;
+            if (path === '/debug_token') {
+                return { data: { is_valid: true, app_id: 'app-1', user_id: 'fb-42', expires_at: 0, ...debug } };
+            }
+            return { id: 'fb-42', email: 'kamala@example.com', first_name: 'Kamala', ...profile };
+        };
+    }
+
+    const verifierWith = (graph) => createFacebookVerifier({ graphGet: graph, appId: 'app-1', appSecret: 'app-secret' });
+
+    it('returns the claims of a valid token', async () => {
+        const claims = await verifierWith(createGraph()).verify('fb-token');
+
+        assert.equal(claims.providerId, 'fb-42');
+        assert.equal(claims.email, 'kamala@example.com');
+        assert.equal(claims.emailVerified, true);
+    });
+
+    it('rejects a token issued for another app', async () => {
+        await assert.rejects(verifierWith(createGraph({ debug: { app_id: 'other-app' } })).verify('fb-token'), { status: 401 });
+    });
+
+    it('rejects an invalid or expired token', async () => {
+        await assert.rejects(verifierWith(createGraph({ debug: { is_valid: false } })).verify('fb-token'), { status: 401 });
+        await assert.rejects(
+            verifierWith(createGraph({ debug: { expires_at: Math.floor(Date.now() / 1000) - 60 } })).verify('fb-token'),
+            /expired/
+        );
+    });
+
+    it('rejects a profile of another user', async () => {
+        await assert.rejects(verifierWith(createGraph({ profile: { id: 'fb-99' } })).verify('fb-token'), { status: 401 });
+    });
+
+    it('reports Facebook being unreachable as 503', async () => {
+        const outage = Object.assign(new Error('socket hang up'), { response: { status: 502 } });
+        await assert.rejects(verifierWith(createGraph({ fail: outage })).verify('fb-token'), { status: 503 });
+    });
+});
+
+describe('social login', () => {
+    const claimsByCredential = {
+        'token-verified': { providerId: 'google-1', email: 'nimal@example.com', emailVerified: true, firstName: 'Nimal', lastName: 'Perera' },
+        'token-unverified': { providerId: 'google-2', email: 'nimal@example.com', emailVerified: false, firstName: 'Nimal', lastName: '' },
+        'token-new': { providerId: 'google-3', email: 'sunil@example.com', emailVerified: true, firstName: 'Sunil', lastName: 'Silva' }
+    };
+    let users;
+    let refreshTokens;
+    let otps;
+
+    before(() => {
+        process.env.SECRET = process.env.SECRET || 'test-secret';
+        setSocialVerifier('google', {
+            name: 'google',
+            verify: async (credential) => {
+                const claims = claimsByCredential[credential];
+                if (!claims) throw Object.assign(new Error('Invalid Google ID token'), { status: 401 });
+                return claims;
+            }
+        });
+    });
+
+    after(() => {
+        resetSocialVerifiers();
+    });
+
+    beforeEach(() => {
+        users = useMemoryCollection(User, { unique: ['userId', 'phonenumber'] });
+        refreshTokens = useMemoryCollection(RefreshToken);
+        otps = useMemoryCollection(PhoneOtp, { unique: ['phonenumber'] });
+        clearSentMessages();
+    });
+
+    afterEach(() => {
+        users.restore();
+        refreshTokens.restore();
+        otps.restore();
+    });
+
+    function addCustomer(fields = {}) {
+        return users.insert({
+            userId: 'USR0001',
+            firstName: 'Nimal',
+            type: 'customer',
+            phonenumber: '0771234567',
+            password: 'hash',
+            homeaddress: 'Colombo',
+            email: 'nimal@example.com',
+            emailVerified: false,
+            providerName: 'local',
+            providerId: null,
+            identities: [],
+            ...fields
+        });
+    }
+
+    const storedUser = (userId = 'USR0001') => users.find({ userId })[0];
+
+    it('logs in the account the identity is linked to', async () => {
+        addCustomer({ identities: [{ provider: 'google', providerId: 'google-1' }, { provider: 'phone', providerId: '0771234567' }] });
+
+        const res = await callController(socialLogin, { body: { providerName: 'google', credential: 'token-verified' } });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.user.userId, 'USR0001');
+        assert.ok(res.body.token && res.body.refreshToken);
+    });
+
+    it('logs in an account created before identities were stored', async () => {
+        addCustomer({ providerName: 'google', providerId: 'google-1' });
+
+        const res = await callController(socialLogin, { body: { providerName: 'google', credential: 'token-verified' } });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.user.userId, 'USR0001');
+    });
+
+    it('rejects a credential the provider does not confirm', async () => {
+        addCustomer({ identities: [{ provider: 'google', providerId: 'google-1' }] });
+
+        const res = await callController(socialLogin, { body: { providerName: 'google', credential: 'forged' } });
+
+        assert.equal(res.statusCode, 401);
+    });
+
+    describe('social registration', () => {
+        const registration = {
+            providerName: 'google',
+            credential: 'token-new',
+            phonenumber: '0712223333',
+            homeaddress: 'Gampaha'
+        };
+
+        async function verifyPhone(phonenumber) {
+            await issueOtp(phonenumber);
+            const messages = getSentMessages(phonenumber);
+            const code = /\b(\d{6})\b/.exec(messages[messages.length - 1].message)[1];
+            return (await verifyOtp(phonenumber, code)).verificationToken;
+        }
+
+        it('needs the phone number verified with a code', async () => {
+            const res = await callController(socialRegister, { body: registration });
+
+            assert.equal(res.statusCode, 403);
+            assert.equal(res.body.phoneVerificationRequired, true);
+            assert.equal(users.docs.length, 0);
+        });
+
+        it('creates the account with a verified phone and email', async () => {
+            const phoneVerificationToken = await verifyPhone(registration.phonenumber);
+
+            const res = await callController(socialRegister, { body: { ...registration, phoneVerificationToken } });
+
+            assert.equal(res.statusCode, 201);
+            const user = storedUser(res.body.user.userId);
+            assert.equal(user.phoneVerified, true);
+            assert.equal(user.emailVerified, true);
+            const identities = user.identities.map(identity => `${identity.provider}:${identity.providerId}`);
+            assert.deepEqual(identities.sort(), ['google:google-3', 'phone:0712223333']);
+        });
+
+        it('does not accept a code verified for another number', async () => {
+            const phoneVerificationToken = await verifyPhone('0719998888');
+
+            const res = await callController(socialRegister, { body: { ...registration, phoneVerificationToken } });
+
+            assert.equal(res.statusCode, 403);
+            assert.equal(users.docs.length, 0);
+        });
+    });
+});
@@ -0,0 +1,88 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Product from '../models/product.js';
+import StockMovement from '../models/stockMovement.js';
+import { reserveStock, releaseStock } from '../utils/stockManager.js';
+import { useMemoryCollection } from './helpers/memoryDb.js';
+
+describe('stock reservation', () => {
+    let products;
+    let movements;
+
+    const stockOf = (productId) => products.find({ productId })[0];
+
+    beforeEach(() => {
+        products = useMemoryCollection(Product);
+        movements = useMemoryCollection(StockMovement);
+        products.insert({ productId: 'P1', productName: 'Kavili', pricePerPiece: 100, stock: 5, totalOrdered: 0, availabilityStatus: 'available' });
+        products.insert({
+            productId: 'P2',
+            productName: 'Kokis',
+            pricePerPiece: 50,
+            stock: 4,
+            totalOrdered: 0,
+            availabilityStatus: 'available',
+            variants: [{ sku: 'P2-S', name: 'Small', stock: 1 }, { sku: 'P2-L', name: 'Large', stock: 3 }]
+        });
+    });
+
+    afterEach(() => {
+        products.restore();
+        movements.restore();
+    });
+
+    describe('reserve and release', () => {
+        it('takes the ordered quantity and writes it to the ledger', async () => {
+            await reserveStock([{ productId: 'P1', quantity: 2 }], undefined, { orderId: 'ORD-1' });
+
+            assert.equal(stockOf('P1').stock, 3);
+            assert.equal(stockOf('P1').totalOrdered, 2);
+            assert.equal(movements.docs.length, 1);
+            assert.equal(movements.docs[0].delta, -2);
+            assert.equal(movements.docs[0].reason, 'order');
+        });
+
+        it('refuses more than is in stock and reports the shortage', async () => {
+            await assert.rejects(reserveStock([{ productId: 'P1', quantity: 6, name: 'Kavili' }]), (error) => {
+                assert.equal(error.status, 409);
+                assert.deepEqual(
+                    error.shortages.map(({ productId, requested, available, reason }) => ({ productId, requested, available, reason })),
+                    [{ productId: 'P1', requested: 6, available: 5, reason: 'Insufficient stock' }]
+                );
+                return true;
+            });
+            assert.equal(stockOf('P1').stock, 5);
+        });
+
+        it('lets only one of two orders take the last pieces', async () => {
+            const results = await Promise.allSettled([
+                reserveStock([{ productId: 'P1', quantity: 3 }]),
+                reserveStock([{ productId: 'P1', quantity: 3 }])
+            ]);
+
+            assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+            assert.equal(results.find(result => result.status === 'rejected').reason.status, 409);
+            assert.equal(stockOf('P1').stock, 2);
+        });
+
+        it('takes variant stock from the chosen variant', async () => {
+            await reserveStock([{ productId: 'P2', variantSku: 'P2-L', quantity: 2 }]);
+
+            const product = stockOf('P2');
+            assert.equal(product.stock, 2);
+            assert.deepEqual(product.variants.map(variant => variant.stock), [1, 1]);
+
+            await assert.rejects(reserveStock([{ productId: 'P2', variantSku: 'P2-S', quantity: 2 }]), { status: 409 });
+        });
+
+        it('marks a product unavailable when it runs out and available again when stock comes back', async () => {
+            await reserveStock([{ productId: 'P1', quantity: 5 }]);
+            assert.equal(stockOf('P1').availabilityStatus, 'not available');
+
+            await releaseStock([{ productId: 'P1', quantity: 2 }]);
+            assert.equal(stockOf('P1').stock, 2);
+            assert.equal(stockOf('P1').totalOrdered, 3);
+            assert.equal(stockOf('P1').availabilityStatus, 'available');
+        });
+    });
+});
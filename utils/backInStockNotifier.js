@@ -0,0 +1,106 @@
+// utils/backInStockNotifier.js
+/**
+ * Back-in-Stock Emails for Wishlists
+ *
+ * A background check runs every few minutes over the wishlisted products:
+ *   1. Items whose product is out of stock or "not available" are marked
+ *      waitingForStock.
+ *   2. Waiting items whose product is available with stock again are
+ *      cleared (with a conditional update, so a customer is emailed once)
+ *      and the customer gets one email listing all of them.
+ *
+ * Polling keeps the stock code paths (orders, refunds, admin edits) free of
+ * wishlist concerns; a product that sells out and comes back between two
+ * checks is not reported.
+ */
+
+import Wishlist from '../models/wishlist.js';
+import Product from '../models/product.js';
+import User from '../models/user.js';
+import { sendBackInStockEmail } from './emailService.js';
+
+const CHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+let checkTimer = null;
+let checkRunning = false;
+
+/**
+ * True when a customer can order the product
+ */
+export function isInStock(product) {
+    return Boolean(product) && product.availabilityStatus === 'available' && product.stock > 0;
+}
+
+/**
+ * Mark waiting items and email customers whose waiting items are back
+ */
+export async function checkBackInStock() {
+    if (checkRunning) return;
+    checkRunning = true;
+
+    try {
+        const productIds = await Wishlist.distinct('items.productId');
+        if (productIds.length === 0) return;
+
+        const products = await Product.find({ productId: { $in: productIds } })
+            .select('productId productName pricePerPiece images stock availabilityStatus');
+        const productsById = new Map(products.map(product => [product.productId, product]));
+
+        const inStockIds = products.filter(isInStock).map(product => product.productId);
+        const outOfStockIds = products.filter(product => !isInStock(product)).map(product => product.productId);
+
+        if (outOfStockIds.length > 0) {
+            await Wishlist.updateMany(
+                { items: { $elemMatch: { productId: { $in: outOfStockIds }, waitingForStock: { $ne: true } } } },
+                { $set: { 'items.$[item].waitingForStock': true } },
+                { arrayFilters: [{ 'item.productId': { $in: outOfStockIds } }] }
+            );
+        }
+
+        if (inStockIds.length === 0) return;
+
+        const wishlists = await Wishlist.find({
+            items: { $elemMatch: { productId: { $in: inStockIds }, waitingForStock: true } }
+        });
+
+        for (const wishlist of wishlists) {
+            const backIds = wishlist.items
+                .filter(item => item.waitingForStock && inStockIds.includes(item.productId))
+                .map(item => item.productId);
+
+            // Claim the items first so a second server can't email the same customer
+            const claim = await Wishlist.updateOne(
+                { _id: wishlist._id, items: { $elemMatch: { productId: { $in: backIds }, waitingForStock: true } } },
+                { $set: { 'items.$[item].waitingForStock': false, 'items.$[item].notifiedAt': new Date() } },
+                { arrayFilters: [{ 'item.productId': { $in: backIds }, 'item.waitingForStock': true }] }
+            );
+            if (claim.modifiedCount === 0) continue;
+
+            const user = await User.findOne({ userId: wishlist.userId }).select('firstName email');
+            if (!user || !user.email) continue;
+
+            await sendBackInStockEmail(user.email, user.firstName, backIds.map(id => productsById.get(id)));
+        }
+    } catch (error) {
+        console.error('Back-in-stock check error:', error.message);
+    } finally {
+        checkRunning = false;
+    }
+}
+
+/**
+ * Start the periodic check (called once the database is connected)
+ */
+export function startBackInStockNotifier(intervalMs = CHECK_INTERVAL_MS) {
+    if (checkTimer) return;
+
+    checkTimer = setInterval(checkBackInStock, intervalMs);
+    checkTimer.unref();
+    checkBackInStock();
+}
+
+export default {
+    isInStock,
+    checkBackInStock,
+    startBackInStockNotifier
+};
@@ -0,0 +1,179 @@
+// utils/cartManager.js
+/**
+ * Shopping Cart Helpers
+ *
+ * A cart only stores product ids and quantities. Every time it is read the
+ * lines are checked against the product's stock and availabilityStatus and
+ * re-priced through the pricing engine, so bulk offers and price changes
+ * always show up and nothing stale reaches checkout.
+ */
+
+import crypto from 'crypto';
+import Cart from '../models/cart.js';
+import Product from '../models/product.js';
+import { priceLine } from './pricingEngine.js';
+import { findVariant } from './productVariants.js';
+
+function roundAmount(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * New random id for a guest cart
+ */
+export function generateCartId() {
+    return `CART-${crypto.randomUUID()}`;
+}
+
+/**
+ * Find the cart line for a product variant
+ */
+export function findCartLine(cart, productId, variantSku) {
+    return cart.items.find(item =>
+        item.productId === productId && (item.variantSku || null) === (variantSku || null)
+    );
+}
+
+/**
+ * Find the cart for a request: the user's cart when logged in, otherwise the
+ * guest cart named by cartId (a guest id never opens a user's cart)
+ */
+export async function findCart({ userId, cartId }) {
+    if (userId) {
+        return Cart.findOne({ userId });
+    }
+    if (cartId) {
+        return Cart.findOne({ cartId: String(cartId), userId: { $exists: false } });
+    }
+    return null;
+}
+
+/**
+ * Re-price a cart and flag lines that can't be ordered as they are
+ *
+ * @returns {Promise<{cartId, items, itemCount, subtotal, discount, total, canCheckout}>}
+ */
+export async function buildCartView(cart) {
+    const cartItems = cart ? cart.items : [];
+
+    const productIds = [...new Set(cartItems.map(item => item.productId))];
+    const products = await Product.find({ productId: { $in: productIds } })
+        .select('productId productName images pricePerPiece stock availabilityStatus bulkOffers variants category');
+    const productMap = new Map(products.map(product => [product.productId, product]));
+
+    const items = cartItems.map(item => {
+        const product = productMap.get(item.productId);
+
+        let variant;
+        try {
+            variant = product && findVariant(product, item.variantSku);
+        } catch (error) {
+            variant = null;
+        }
+
+        if (!product || !variant) {
+            return {
+                productId: item.productId,
+                variantSku: item.variantSku,
+                quantity: item.quantity,
+                available: 0,
+                issue: product ? 'This pack size is no longer sold' : 'Product no longer exists'
+            };
+        }
+
+        const line = priceLine(product, item.quantity, item.variantSku);
+        let issue = null;
+        if (product.availabilityStatus !== 'available') {
+            issue = 'Product is not available';
+        } else if (variant.stock < item.quantity) {
+            issue = `Only ${Math.max(variant.stock, 0)} left in stock`;
+        }
+
+        return {
+            ...line,
+            available: product.availabilityStatus === 'available' ? Math.max(variant.stock, 0) : 0,
+            issue
+        };
+    });
+
+    // Totals only count lines that can actually be ordered
+    const orderable = items.filter(item => !item.issue);
+    const subtotal = roundAmount(orderable.reduce((sum, item) => sum + item.lineSubtotal, 0));
+    const total = roundAmount(orderable.reduce((sum, item) => sum + item.lineTotal, 0));
+
+    return {
+        cartId: cart ? cart.cartId : null,
+        items,
+        itemCount: cartItems.reduce((sum, item) => sum + item.quantity, 0),
+        subtotal,
+        discount: roundAmount(subtotal - total),
+        total,
+        canCheckout: items.length > 0 && orderable.length === items.length
+    };
+}
+
+/**
+ * Move a guest cart into the user's cart after login
+ * Quantities of products in both carts are added up (capped at the stock
+ * left). The guest cart is removed afterwards.
+ *
+ * @returns {Promise<object|null>} the user's cart, or null if there was nothing to merge
+ */
+export async function mergeGuestCart(guestCartId, userId) {
+    if (!guestCartId || !userId) return null;
+
+    const guestCart = await Cart.findOne({ cartId: String(guestCartId), userId: { $exists: false } });
+    if (!guestCart) return null;
+
+    const userCart = await Cart.findOne({ userId });
+
+    // No cart yet: the guest cart simply becomes the user's cart
+    if (!userCart) {
+        guestCart.userId = userId;
+        guestCart.lastUpdated = new Date();
+        return guestCart.save();
+    }
+
+    const products = await Product.find({ productId: { $in: guestCart.items.map(item => item.productId) } })
+        .select('productId productName pricePerPiece stock bulkOffers variants');
+    const productMap = new Map(products.map(product => [product.productId, product]));
+
+    const stockOf = (item) => {
+        try {
+            const product = productMap.get(item.productId);
+            return product ? findVariant(product, item.variantSku).stock : undefined;
+        } catch (error) {
+            return undefined;
+        }
+    };
+
+    for (const guestItem of guestCart.items) {
+        const existing = findCartLine(userCart, guestItem.productId, guestItem.variantSku);
+        if (!existing) {
+            userCart.items.push({
+                productId: guestItem.productId,
+                variantSku: guestItem.variantSku,
+                quantity: guestItem.quantity
+            });
+            continue;
+        }
+
+        const combined = existing.quantity + guestItem.quantity;
+        const stock = stockOf(guestItem);
+        existing.quantity = stock > 0 ? Math.min(combined, Math.max(stock, existing.quantity)) : combined;
+    }
+
+    userCart.lastUpdated = new Date();
+    await userCart.save();
+    await Cart.deleteOne({ _id: guestCart._id });
+
+    return userCart;
+}
+
+export default {
+    generateCartId,
+    findCartLine,
+    findCart,
+    buildCartView,
+    mergeGuestCart
+};
@@ -0,0 +1,63 @@
+// utils/categoryLookup.js
+/**
+ * Category Lookups
+ *
+ * Products store their category's id. Routes and admin forms may name a
+ * category either by id or by slug, so both are accepted here. Listing a
+ * category includes every subcategory below it.
+ */
+
+import mongoose from 'mongoose';
+import Category from '../models/category.js';
+
+/**
+ * Find a category by id or slug (null if there is none)
+ */
+export async function findCategory(idOrSlug) {
+    if (!idOrSlug) return null;
+
+    const value = String(idOrSlug).trim();
+    if (mongoose.Types.ObjectId.isValid(value) && /^[0-9a-fA-F]{24}$/.test(value)) {
+        const category = await Category.findById(value);
+        if (category) return category;
+    }
+
+    return Category.findOne({ slug: value.toLowerCase() });
+}
+
+/**
+ * Ids of a category and all of its subcategories
+ */
+export async function getCategoryTreeIds(categoryId) {
+    const ids = [categoryId];
+    let level = [categoryId];
+
+    while (level.length > 0) {
+        const children = await Category.find({ parent: { $in: level } }).select('_id');
+        level = children.map(child => child._id);
+        ids.push(...level);
+    }
+
+    return ids;
+}
+
+/**
+ * Check that making `parentId` the parent of `categoryId` would not create a loop
+ */
+export async function isDescendantOrSelf(categoryId, parentId) {
+    let current = parentId;
+
+    while (current) {
+        if (String(current) === String(categoryId)) return true;
+        const category = await Category.findById(current).select('parent');
+        current = category ? category.parent : null;
+    }
+
+    return false;
+}
+
+export default {
+    findCategory,
+    getCategoryTreeIds,
+    isDescendantOrSelf
+};
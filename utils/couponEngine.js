@@ -0,0 +1,173 @@
+// utils/couponEngine.js
+/**
+ * Coupon Validation and Redemption
+ *
+ * Coupons are applied after bulk-offer pricing: the discount is worked out
+ * from the line totals returned by utils/pricingEngine.js, and only covers
+ * the items (never the delivery fee). A coupon restricted to categories or
+ * products only discounts the matching lines.
+ *
+ * Usage limits are enforced when the order is saved: the global limit with a
+ * conditional increment of `timesUsed`, the per-customer limit by counting
+ * the customer's active redemptions inside the order's transaction.
+ */
+
+import Coupon from '../models/coupon.js';
+import CouponRedemption from '../models/couponRedemption.js';
+
+function couponError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function roundAmount(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Normalise a code typed by a customer or admin
+ */
+export function normalizeCouponCode(code) {
+    return String(code || '').trim().toUpperCase();
+}
+
+/**
+ * Lines of a priced order the coupon applies to
+ */
+function getEligibleItems(coupon, items) {
+    const categories = coupon.applicableCategories || [];
+    const products = coupon.applicableProducts || [];
+
+    if (categories.length === 0 && products.length === 0) {
+        return items;
+    }
+
+    return items.filter(item =>
+        products.includes(item.productId) || (item.category && categories.includes(String(item.category)))
+    );
+}
+
+/**
+ * Discount a coupon gives on priced items (0 if no line is eligible)
+ */
+export function calculateCouponDiscount(coupon, items) {
+    const eligibleTotal = getEligibleItems(coupon, items)
+        .reduce((sum, item) => sum + item.lineTotal, 0);
+
+    let discount = coupon.discountType === 'percentage'
+        ? eligibleTotal * Math.min(coupon.discountValue, 100) / 100
+        : coupon.discountValue;
+
+    if (coupon.discountType === 'percentage' && coupon.maxDiscount != null) {
+        discount = Math.min(discount, coupon.maxDiscount);
+    }
+
+    return roundAmount(Math.min(discount, eligibleTotal));
+}
+
+/**
+ * Check a code against a priced order
+ * Throws a status-carrying error explaining why the coupon can't be used.
+ *
+ * @param {string} code
+ * @param {{items: Array, total: number}} pricing - result of priceOrderItems
+ * @param {string} [userId] - checks the per-customer limit when given
+ * @returns {Promise<{coupon: object, discount: number}>}
+ */
+export async function validateCoupon(code, pricing, userId) {
+    const coupon = await Coupon.findOne({ code: normalizeCouponCode(code) });
+    if (!coupon || !coupon.isActive) {
+        throw couponError('Invalid coupon code', 404);
+    }
+
+    const now = new Date();
+    if (coupon.validFrom && coupon.validFrom > now) {
+        throw couponError(`Coupon ${coupon.code} is not valid yet`);
+    }
+    if (coupon.validUntil && coupon.validUntil < now) {
+        throw couponError(`Coupon ${coupon.code} has expired`);
+    }
+    if (coupon.usageLimit != null && coupon.timesUsed >= coupon.usageLimit) {
+        throw couponError(`Coupon ${coupon.code} has been fully redeemed`);
+    }
+    if (pricing.total < coupon.minimumSpend) {
+        throw couponError(`Coupon ${coupon.code} needs a minimum spend of Rs. ${coupon.minimumSpend.toFixed(2)}`);
+    }
+
+    if (userId && coupon.perUserLimit != null) {
+        const used = await CouponRedemption.countDocuments({ couponId: coupon._id, userId, status: 'active' });
+        if (used >= coupon.perUserLimit) {
+            throw couponError(`You have already used coupon ${coupon.code}`);
+        }
+    }
+
+    const discount = calculateCouponDiscount(coupon, pricing.items);
+    if (discount <= 0) {
+        throw couponError(`Coupon ${coupon.code} does not apply to any item in your order`);
+    }
+
+    return { coupon, discount };
+}
+
+/**
+ * Record a coupon use for an order, inside the order's transaction
+ * Throws 409 when the coupon ran out or the customer used it up meanwhile.
+ */
+export async function redeemCoupon(coupon, { userId, orderId, itemsTotal, discount }, session) {
+    if (coupon.perUserLimit != null) {
+        const used = await CouponRedemption.countDocuments({ couponId: coupon._id, userId, status: 'active' })
+            .session(session);
+        if (used >= coupon.perUserLimit) {
+            throw couponError(`You have already used coupon ${coupon.code}`, 409);
+        }
+    }
+
+    const filter = { _id: coupon._id, isActive: true };
+    if (coupon.usageLimit != null) {
+        filter.timesUsed = { $lt: coupon.usageLimit };
+    }
+
+    const result = await Coupon.updateOne(filter, { $inc: { timesUsed: 1 } }, { session });
+    if (result.modifiedCount !== 1) {
+        throw couponError(`Coupon ${coupon.code} is no longer available`, 409);
+    }
+
+    await CouponRedemption.create([{
+        couponId: coupon._id,
+        code: coupon.code,
+        userId,
+        orderId,
+        itemsTotal,
+        discount
+    }], { session });
+}
+
+/**
+ * Give an order's coupon use back (order cancelled or deleted)
+ */
+export async function releaseCoupon(order, session) {
+    if (!order.coupon || !order.coupon.couponId) return;
+
+    const redemption = await CouponRedemption.findOneAndUpdate(
+        { orderId: order.orderId, couponId: order.coupon.couponId, status: 'active' },
+        { $set: { status: 'released', releasedAt: new Date() } },
+        { session }
+    );
+
+    if (redemption) {
+        await Coupon.updateOne(
+            { _id: redemption.couponId, timesUsed: { $gt: 0 } },
+            { $inc: { timesUsed: -1 } },
+            { session }
+        );
+    }
+}
+
+export default {
+    normalizeCouponCode,
+    calculateCouponDiscount,
+    validateCoupon,
+    redeemCoupon,
+    releaseCoupon
+};
@@ -0,0 +1,73 @@
+// utils/deliveryFees.js
+/**
+ * Delivery Fee Calculation
+ *
+ * Looks up the delivery zone for Order.nearestTownOrCity and returns the fee
+ * to add to the order. Pickup orders never pay a delivery fee.
+ *
+ * Zones are optional: until the shop has created one, every town gets
+ * delivery without a fee (as before zones existed). Once zones exist, towns
+ * outside them are rejected.
+ */
+
+import DeliveryZone from '../models/deliveryZone.js';
+
+/**
+ * Normalise a town name for matching ("  Gampaha " -> "gampaha")
+ */
+export function normalizeTownKey(town) {
+    return String(town || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function deliveryError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+/**
+ * Work out the delivery charge for an order
+ *
+ * @param {string} deliveryOption - "pickup" or "delivery"
+ * @param {string} town - nearestTownOrCity
+ * @param {number} itemsTotal - order total after bulk offers, before delivery
+ * @returns {Promise<{deliveryFee: number, deliveryZone: string|null, leadTimeDays: number}>}
+ */
+export async function resolveDeliveryCharge(deliveryOption, town, itemsTotal) {
+    if (deliveryOption !== 'delivery') {
+        return { deliveryFee: 0, deliveryZone: null, leadTimeDays: 0 };
+    }
+
+    const key = normalizeTownKey(town);
+    if (!key) {
+        throw deliveryError('nearestTownOrCity is required for delivery orders');
+    }
+
+    const zone = await DeliveryZone.findOne({ 'towns.key': key });
+    const zoneTown = zone && zone.towns.find(entry => entry.key === key);
+
+    if (!zone && !(await DeliveryZone.exists({}))) {
+        return { deliveryFee: 0, deliveryZone: null, leadTimeDays: 0 };
+    }
+
+    if (!zone || !zoneTown || !zone.isServiceable || !zoneTown.isServiceable) {
+        throw deliveryError(`Sorry, we do not deliver to ${String(town).trim()} at the moment. Please choose pickup.`);
+    }
+
+    if (itemsTotal < zone.minimumOrderValue) {
+        throw deliveryError(
+            `The minimum order for delivery to ${zoneTown.name} is Rs. ${zone.minimumOrderValue.toFixed(2)}`
+        );
+    }
+
+    return {
+        deliveryFee: zone.fee,
+        deliveryZone: zone.name,
+        leadTimeDays: zone.leadTimeDays
+    };
+}
+
+export default {
+    normalizeTownKey,
+    resolveDeliveryCharge
+};
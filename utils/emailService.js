@@ -15,7 +15,8 @@ const transporter = nodemailer.createTransport({
 });
 
 // Function to send order status change email
-export async function sendOrderStatusEmail(userEmail, orderData, newStatus) {
+// attachments: optional nodemailer attachments (e.g. the PDF invoice on the "paid" email)
+export async function sendOrderStatusEmail(userEmail, orderData, newStatus, attachments = []) {
     // If no email provided, skip sending
     if (!userEmail) {
         console.log('No email provided for order notification');
@@ -51,6 +52,10 @@ export async function sendOrderStatusEmail(userEmail, orderData, newStatus) {
             cancelled: {
                 subject: `Order ${orderData.orderId} - Cancelled`,
                 message: 'Your order has been cancelled. If you have any questions, please contact us.'
+            },
+            paid: {
+                subject: `Order ${orderData.orderId} - Payment Received`,
+                message: 'Thank you! We have received your payment and your order will continue to be processed.'
             }
         };
 
@@ -142,7 +147,8 @@ export async function sendOrderStatusEmail(userEmail, orderData, newStatus) {
             from: `"Udari Online Shop" <${process.env.SMTP_USER}>`,
             to: userEmail,
             subject: content.subject,
-            html: htmlContent
+            html: htmlContent,
+            attachments: attachments
         });
 
         console.log('Email sent successfully:', info.messageId);
@@ -154,6 +160,396 @@ export async function sendOrderStatusEmail(userEmail, orderData, newStatus) {
     }
 }
 
+// Function to send refund confirmation email
+export async function sendRefundEmail(userEmail, orderData, refund) {
+    if (!userEmail) {
+        console.log('No email provided for refund notification');
+        return { success: false, message: 'No email address' };
+    }
+
+    try {
+        const isFullRefund = orderData.paymentStatus === 'refunded';
+
+        const itemRows = (refund.items || []).map(item => `
+            <tr>
+                <td style="padding: 6px 0;">${item.name || item.productId}</td>
+                <td style="padding: 6px 0; text-align: center;">${item.quantity}</td>
+                <td style="padding: 6px 0; text-align: right;">Rs. ${item.amount.toFixed(2)}</td>
+            </tr>
+        `).join('');
+
+        const htmlContent = `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <style>
+                    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+                    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+                    .header { background-color: #f97316; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+                    .content { background-color: #f9f9f9; padding: 30px; border-radius: 0 0 5px 5px; }
+                    .order-details { background-color: white; padding: 15px; margin: 20px 0; border-radius: 5px; border-left: 4px solid #f97316; }
+                    .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
+                </style>
+            </head>
+            <body>
+                <div class="container">
+                    <div class="header">
+                        <h1>Udari Online Shop</h1>
+                        <p>Refund Confirmation</p>
+                    </div>
+                    <div class="content">
+                        <h2>Hello ${orderData.name}!</h2>
+                        <p>We have issued a ${isFullRefund ? 'full' : 'partial'} refund of
+                           <strong>Rs. ${refund.amount.toFixed(2)}</strong> for your order.
+                           Depending on your bank it may take a few days to appear on your statement.</p>
+
+                        <div class="order-details">
+                            <h3>Refund Details</h3>
+                            <p><strong>Order ID:</strong> ${orderData.orderId}</p>
+                            <p><strong>Reason:</strong> ${refund.reason}</p>
+                            ${itemRows ? `
+                                <table style="width: 100%; border-collapse: collapse;">
+                                    <tr>
+                                        <th style="text-align: left;">Item</th>
+                                        <th>Qty</th>
+                                        <th style="text-align: right;">Amount</th>
+                                    </tr>
+                                    ${itemRows}
+                                </table>
+                            ` : ''}
+                        </div>
+
+                        <p>If you have any questions about this refund, please contact us via WhatsApp or phone.</p>
+                    </div>
+                    <div class="footer">
+                        <p>This is an automated email. Please do not reply to this message.</p>
+                        <p>&copy; ${new Date().getFullYear()} Udari Online Shop. All rights reserved.</p>
+                    </div>
+                </div>
+            </body>
+            </html>
+        `;
+
+        const info = await transporter.sendMail({
+            from: `"Udari Online Shop" <${process.env.SMTP_USER}>`,
+            to: userEmail,
+            subject: `Order ${orderData.orderId} - Refund Issued`,
+            html: htmlContent
+        });
+
+        console.log('Refund email sent successfully:', info.messageId);
+        return { success: true, messageId: info.messageId };
+
+    } catch (error) {
+        console.error('Error sending refund email:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// Function to tell the customer their bank deposit slip was rejected
+export async function sendPaymentProofRejectedEmail(userEmail, orderData, reason) {
+    if (!userEmail) {
+        console.log('No email provided for payment proof notification');
+        return { success: false, message: 'No email address' };
+    }
+
+    try {
+        const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+        const paymentLink = `${frontendUrl}/payment/${orderData.orderId}`;
+
+        const htmlContent = `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <style>
+                    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+                    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+                    .header { background-color: #f97316; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+                    .content { background-color: #f9f9f9; padding: 30px; border-radius: 0 0 5px 5px; }
+                    .payment-notice { background-color: #fff3cd; border: 2px solid #ffc107; padding: 15px; border-radius: 5px; margin: 20px 0; }
+                    .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
+                </style>
+            </head>
+            <body>
+                <div class="container">
+                    <div class="header">
+                        <h1>Udari Online Shop</h1>
+                        <p>Payment Verification</p>
+                    </div>
+                    <div class="content">
+                        <h2>Hello ${orderData.name}!</h2>
+                        <p>We could not verify the bank deposit slip you uploaded for order <strong>${orderData.orderId}</strong>.</p>
+
+                        <div class="payment-notice">
+                            <p style="margin: 0; color: #856404;"><strong>Reason:</strong> ${reason}</p>
+                        </div>
+
+                        <div style="text-align: center; margin: 30px 0;">
+                            <a href="${paymentLink}"
+                               style="display: inline-block; background-color: #10b981; color: white;
+                                      padding: 15px 40px; text-decoration: none; border-radius: 8px;
+                                      font-weight: bold; font-size: 16px;">
+                                Upload a New Slip
+                            </a>
+                        </div>
+
+                        <p>If you have any questions, please contact us via WhatsApp or phone.</p>
+                    </div>
+                    <div class="footer">
+                        <p>This is an automated email. Please do not reply to this message.</p>
+                        <p>&copy; ${new Date().getFullYear()} Udari Online Shop. All rights reserved.</p>
+                    </div>
+                </div>
+            </body>
+            </html>
+        `;
+
+        const info = await transporter.sendMail({
+            from: `"Udari Online Shop" <${process.env.SMTP_USER}>`,
+            to: userEmail,
+            subject: `Order ${orderData.orderId} - Payment Slip Not Accepted`,
+            html: htmlContent
+        });
+
+        console.log('Payment proof email sent successfully:', info.messageId);
+        return { success: true, messageId: info.messageId };
+
+    } catch (error) {
+        console.error('Error sending payment proof email:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// Function to warn the shop admin that an order took products below their low-stock threshold
+export async function sendLowStockAlertEmail(adminEmail, lines, orderId) {
+    if (!adminEmail) {
+        console.log('No admin email provided for low stock alert');
+        return { success: false, message: 'No email address' };
+    }
+
+    try {
+        const itemRows = lines.map(line => `
+            <tr>
+                <td style="padding: 6px 0;">${line.name}</td>
+                <td style="padding: 6px 0; text-align: center; color: ${line.stock === 0 ? '#dc2626' : '#333'};">
+                    ${line.stock === 0 ? 'Out of stock' : line.stock}
+                </td>
+                <td style="padding: 6px 0; text-align: center;">${line.threshold}</td>
+            </tr>
+        `).join('');
+
+        const htmlContent = `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <style>
+                    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+                    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+                    .header { background-color: #f97316; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+                    .content { background-color: #f9f9f9; padding: 30px; border-radius: 0 0 5px 5px; }
+                    .order-details { background-color: white; padding: 15px; margin: 20px 0; border-radius: 5px; border-left: 4px solid #f97316; }
+                    .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
+                </style>
+            </head>
+            <body>
+                <div class="container">
+                    <div class="header">
+                        <h1>Udari Online Shop</h1>
+                        <p>Low Stock Alert</p>
+                    </div>
+                    <div class="content">
+                        <p>Order <strong>${orderId}</strong> took the following items below their low-stock level.
+                           Items that reached zero have been marked as not available.</p>
+
+                        <div class="order-details">
+                            <table style="width: 100%; border-collapse: collapse;">
+                                <tr>
+                                    <th style="text-align: left;">Item</th>
+                                    <th>Stock Left</th>
+                                    <th>Alert Level</th>
+                                </tr>
+                                ${itemRows}
+                            </table>
+                        </div>
+
+                        <p>Please restock these items from the admin inventory page.</p>
+                    </div>
+                    <div class="footer">
+                        <p>This is an automated email. Please do not reply to this message.</p>
+                        <p>&copy; ${new Date().getFullYear()} Udari Online Shop. All rights reserved.</p>
+                    </div>
+                </div>
+            </body>
+            </html>
+        `;
+
+        const info = await transporter.sendMail({
+            from: `"Udari Online Shop" <${process.env.SMTP_USER}>`,
+            to: adminEmail,
+            subject: `Low Stock Alert - ${lines.length} item${lines.length === 1 ? '' : 's'} need restocking`,
+            html: htmlContent
+        });
+
+        console.log('Low stock alert sent successfully:', info.messageId);
+        return { success: true, messageId: info.messageId };
+
+    } catch (error) {
+        console.error('Error sending low stock alert:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// Function to tell a customer that products on their wishlist are back in stock
+export async function sendBackInStockEmail(userEmail, customerName, products) {
+    if (!userEmail) {
+        console.log('No email provided for back-in-stock notification');
+        return { success: false, message: 'No email address' };
+    }
+
+    try {
+        const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+        const productRows = products.map(product => `
+            <tr>
+                <td style="padding: 6px 0;">
+                    <a href="${frontendUrl}/product/${product.productId}" style="color: #f97316; text-decoration: none;">
+                        ${product.productName}
+                    </a>
+                </td>
+                <td style="padding: 6px 0; text-align: right;">Rs. ${product.pricePerPiece.toFixed(2)}</td>
+            </tr>
+        `).join('');
+
+        const htmlContent = `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <style>
+                    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+                    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+                    .header { background-color: #f97316; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+                    .content { background-color: #f9f9f9; padding: 30px; border-radius: 0 0 5px 5px; }
+                    .order-details { background-color: white; padding: 15px; margin: 20px 0; border-radius: 5px; border-left: 4px solid #f97316; }
+                    .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
+                </style>
+            </head>
+            <body>
+                <div class="container">
+                    <div class="header">
+                        <h1>Udari Online Shop</h1>
+                        <p>Back in Stock</p>
+                    </div>
+                    <div class="content">
+                        <h2>Hello ${customerName || 'there'}!</h2>
+                        <p>Good news! ${products.length === 1 ? 'An item' : 'Some items'} on your wishlist ${products.length === 1 ? 'is' : 'are'} available again:</p>
+
+                        <div class="order-details">
+                            <table style="width: 100%; border-collapse: collapse;">
+                                ${productRows}
+                            </table>
+                        </div>
+
+                        <p>Stock is limited, so order soon to avoid missing out.</p>
+                    </div>
+                    <div class="footer">
+                        <p>This is an automated email. Please do not reply to this message.</p>
+                        <p>&copy; ${new Date().getFullYear()} Udari Online Shop. All rights reserved.</p>
+                    </div>
+                </div>
+            </body>
+            </html>
+        `;
+
+        const info = await transporter.sendMail({
+            from: `"Udari Online Shop" <${process.env.SMTP_USER}>`,
+            to: userEmail,
+            subject: products.length === 1
+                ? `${products[0].productName} is back in stock`
+                : `${products.length} items on your wishlist are back in stock`,
+            html: htmlContent
+        });
+
+        console.log('Back-in-stock email sent successfully:', info.messageId);
+        return { success: true, messageId: info.messageId };
+
+    } catch (error) {
+        console.error('Error sending back-in-stock email:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// Function to send a password reset link
+export async function sendPasswordResetEmail(userEmail, customerName, resetLink, expiresInMinutes) {
+    if (!userEmail) {
+        console.log('No email provided for password reset');
+        return { success: false, message: 'No email address' };
+    }
+
+    try {
+        const htmlContent = `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <style>
+                    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+                    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+                    .header { background-color: #f97316; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+                    .content { background-color: #f9f9f9; padding: 30px; border-radius: 0 0 5px 5px; }
+                    .payment-notice { background-color: #fff3cd; border: 2px solid #ffc107; padding: 15px; border-radius: 5px; margin: 20px 0; }
+                    .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
+                </style>
+            </head>
+            <body>
+                <div class="container">
+                    <div class="header">
+                        <h1>Udari Online Shop</h1>
+                        <p>Password Reset</p>
+                    </div>
+                    <div class="content">
+                        <h2>Hello ${customerName || 'there'}!</h2>
+                        <p>We received a request to reset the password of your account. Click the button below to choose a new password.</p>
+
+                        <div style="text-align: center; margin: 30px 0;">
+                            <a href="${resetLink}"
+                               style="display: inline-block; background-color: #10b981; color: white;
+                                      padding: 15px 40px; text-decoration: none; border-radius: 8px;
+                                      font-weight: bold; font-size: 16px;">
+                                Reset Password
+                            </a>
+                        </div>
+
+                        <div class="payment-notice">
+                            <p style="margin: 0; color: #856404;">This link works once and expires in ${expiresInMinutes} minutes.
+                               Resetting your password logs you out on every device.</p>
+                        </div>
+
+                        <p>If you did not ask for a password reset, you can ignore this email; your password will not change.</p>
+                    </div>
+                    <div class="footer">
+                        <p>This is an automated email. Please do not reply to this message.</p>
+                        <p>&copy; ${new Date().getFullYear()} Udari Online Shop. All rights reserved.</p>
+                    </div>
+                </div>
+            </body>
+            </html>
+        `;
+
+        const info = await transporter.sendMail({
+            from: `"Udari Online Shop" <${process.env.SMTP_USER}>`,
+            to: userEmail,
+            subject: 'Reset your Udari Online Shop password',
+            html: htmlContent
+        });
+
+        console.log('Password reset email sent successfully:', info.messageId);
+        return { success: true, messageId: info.messageId };
+
+    } catch (error) {
+        console.error('Error sending password reset email:', error);
+        return { success: false, error: error.message };
+    }
+}
+
 // Test email configuration
 export async function testEmailConfiguration() {
     try {
@@ -0,0 +1,180 @@
+// utils/imageStorage.js
+/**
+ * Image Storage
+ *
+ * Images are stored as files and documents keep only their URLs. Every
+ * storage provider implements the same interface:
+ *   name                          - provider key (IMAGE_STORAGE value)
+ *   save({ key, buffer, mimeType }) - stores the file, returns its public URL
+ *   read(url)                     - returns the Buffer of a file it stored
+ *   remove(url)                   - deletes a file it stored (false if not its URL)
+ *   owns(url)                     - true if the URL is under its public base URL
+ *   savePrivate({ key, buffer, mimeType }) - stores a file that is not
+ *                                   publicly reachable, returns its key
+ *   readPrivate(key)              - returns the Buffer of a private file
+ *
+ * The provider comes from IMAGE_STORAGE ("local" by default, or "s3").
+ * Uploads are validated with the fileUploadSecurity helpers and have their
+ * EXIF metadata stripped before they are stored. Product and review images
+ * then get resized versions in the background (see utils/imageVariants.js).
+ *
+ * Private images (bank deposit slips) are kept out of the public URLs:
+ * documents store their key and admins read them through the API.
+ */
+
+import crypto from 'crypto';
+import { validateBase64Image, stripExifData } from '../middleware/fileUploadSecurity.js';
+import { queueImageVariants } from './imageVariants.js';
+import localStorage from './storageProviders/localStorage.js';
+import s3Storage from './storageProviders/s3Storage.js';
+
+const providers = {
+    [localStorage.name]: localStorage,
+    [s3Storage.name]: s3Storage
+};
+
+// Folders images may be stored in (one per kind of owner)
+export const IMAGE_FOLDERS = ['products', 'reviews', 'about', 'categories'];
+
+// Folders of images that are never publicly reachable
+export const PRIVATE_IMAGE_FOLDERS = ['payment-proofs'];
+
+const EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/jpg': 'jpg',
+    'image/png': 'png',
+    'image/gif': 'gif',
+    'image/webp': 'webp'
+};
+
+function storageError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Get the configured storage provider
+ */
+export function getImageStorage() {
+    const name = process.env.IMAGE_STORAGE || 'local';
+    const provider = providers[name];
+
+    if (!provider) {
+        throw new Error(`Image storage "${name}" is not available. Set IMAGE_STORAGE to one of: ${Object.keys(providers).join(', ')}`);
+    }
+
+    return provider;
+}
+
+/**
+ * Check that a string is the URL of an image in the shop's own storage (not
+ * a base64 blob or another site's URL). Every provider is checked so images
+ * stored before a switch of IMAGE_STORAGE stay valid.
+ */
+export function isImageUrl(value) {
+    return typeof value === 'string' && Object.values(providers).some(provider => provider.owns(value));
+}
+
+// Validate a data URI, strip its EXIF data and pick a new key for it
+function prepareImage(dataUri, folder) {
+    let validated;
+    try {
+        validated = validateBase64Image(dataUri);
+    } catch (error) {
+        throw storageError(error.message);
+    }
+
+    const buffer = stripExifData(validated.buffer);
+    const key = `${folder}/${Date.now()}_${crypto.randomBytes(16).toString('hex')}.${EXTENSIONS[validated.mimeType]}`;
+    return { key, buffer, validated };
+}
+
+/**
+ * Validate, clean and store a base64 data URI image
+ *
+ * @param {string} dataUri - "data:image/png;base64,..."
+ * @param {string} folder - one of IMAGE_FOLDERS
+ * @returns {Promise<{url: string, mimeType: string, size: number}>}
+ */
+export async function saveBase64Image(dataUri, folder) {
+    if (!IMAGE_FOLDERS.includes(folder)) {
+        throw storageError(`folder must be one of: ${IMAGE_FOLDERS.join(', ')}`);
+    }
+
+    const { key, buffer, validated } = prepareImage(dataUri, folder);
+    const url = await getImageStorage().save({ key, buffer, mimeType: validated.mimeType });
+    await queueImageVariants(url, folder);
+
+    return { url, mimeType: validated.mimeType, size: buffer.length };
+}
+
+/**
+ * Validate, clean and store a base64 data URI image in private storage
+ *
+ * @param {string} dataUri - "data:image/png;base64,..."
+ * @param {string} folder - one of PRIVATE_IMAGE_FOLDERS
+ * @returns {Promise<{key: string, mimeType: string, size: number}>}
+ */
+export async function saveBase64PrivateImage(dataUri, folder) {
+    if (!PRIVATE_IMAGE_FOLDERS.includes(folder)) {
+        throw storageError(`folder must be one of: ${PRIVATE_IMAGE_FOLDERS.join(', ')}`);
+    }
+
+    const { key, buffer, validated } = prepareImage(dataUri, folder);
+    await getImageStorage().savePrivate({ key, buffer, mimeType: validated.mimeType });
+
+    return { key, mimeType: validated.mimeType, size: buffer.length };
+}
+
+/**
+ * Read a private image saved by saveBase64PrivateImage
+ */
+export async function readPrivateImage(key) {
+    return getImageStorage().readPrivate(key);
+}
+
+/**
+ * Turn a list of image references into URLs: base64 data URIs (older
+ * clients) are stored, URLs of our own storage are kept. Anything else
+ * (including other sites' URLs) is rejected with 400.
+ */
+export async function resolveImageUrls(images, folder) {
+    if (images === undefined || images === null) return images;
+    if (!Array.isArray(images)) {
+        throw storageError('images must be an array of image URLs');
+    }
+
+    const urls = [];
+    for (const image of images) {
+        if (typeof image === 'string' && image.startsWith('data:image')) {
+            urls.push((await saveBase64Image(image, folder)).url);
+        } else if (isImageUrl(image)) {
+            urls.push(image);
+        } else {
+            throw storageError('Each image must be an uploaded image URL');
+        }
+    }
+    return urls;
+}
+
+/**
+ * Same as resolveImageUrls for a single optional image
+ */
+export async function resolveImageUrl(image, folder) {
+    if (image === undefined || image === null || image === '') return image;
+    const [url] = await resolveImageUrls([image], folder);
+    return url;
+}
+
+export default {
+    IMAGE_FOLDERS,
+    PRIVATE_IMAGE_FOLDERS,
+    getImageStorage,
+    isImageUrl,
+    saveBase64Image,
+    saveBase64PrivateImage,
+    readPrivateImage,
+    resolveImageUrls,
+    resolveImageUrl
+};
@@ -0,0 +1,226 @@
+// utils/imageVariants.js
+/**
+ * Responsive Image Variants (background job)
+ *
+ * Product and review uploads get resized versions (thumbnail, card, full),
+ * each in the original format and as WebP. The upload only queues an
+ * ImageAsset job; a worker started by index.js picks the jobs up, so the
+ * upload endpoint answers as soon as the original is stored. Jobs live in
+ * MongoDB, so queued work survives a restart, and a job whose worker died
+ * is picked up again once its lock is stale.
+ *
+ * API responses carry an "image set" per image: the URL of every size and
+ * srcset strings ready for <img srcset> / <source type="image/webp">.
+ */
+
+import sharp from 'sharp';
+import ImageAsset from '../models/imageAsset.js';
+import { getImageStorage } from './imageStorage.js';
+
+export const IMAGE_SIZES = [
+    { name: 'thumbnail', width: 150 },
+    { name: 'card', width: 400 },
+    { name: 'full', width: 1200 }
+];
+
+// Folders whose uploads get resized versions
+export const RESIZED_FOLDERS = ['products', 'reviews'];
+
+const MAX_ATTEMPTS = 3;
+const STALE_LOCK_MS = 5 * 60 * 1000;
+const POLL_INTERVAL_MS = 5000;
+
+const OUTPUT_FORMATS = {
+    jpeg: { extension: 'jpg', mimeType: 'image/jpeg', options: { quality: 80, mozjpeg: true } },
+    png: { extension: 'png', mimeType: 'image/png', options: { compressionLevel: 9 } },
+    webp: { extension: 'webp', mimeType: 'image/webp', options: { quality: 75 } }
+};
+
+let workerTimer = null;
+let workerRunning = false;
+
+/**
+ * Queue the resized versions of a stored image (no-op for other folders)
+ */
+export async function queueImageVariants(url, folder) {
+    if (!RESIZED_FOLDERS.includes(folder)) return;
+
+    await ImageAsset.updateOne(
+        { url },
+        { $setOnInsert: { url, folder, status: 'pending' } },
+        { upsert: true }
+    );
+
+    // Start right away instead of waiting for the next poll
+    if (workerTimer) {
+        setImmediate(processPendingImages);
+    }
+}
+
+/**
+ * Resize one image into every size, in its own format and WebP
+ */
+async function generateVariants(asset) {
+    const storage = getImageStorage();
+    const original = await storage.read(asset.url);
+    const metadata = await sharp(original).metadata();
+
+    // GIFs are resized to PNG (first frame); everything else keeps its format
+    const format = OUTPUT_FORMATS[metadata.format] ? metadata.format : 'png';
+    const baseKey = asset.url
+        .split('/').pop()
+        .replace(/\.[a-z0-9]+$/i, '');
+
+    const sizes = [];
+    for (const size of IMAGE_SIZES) {
+        const resized = sharp(original).resize({ width: size.width, withoutEnlargement: true });
+
+        const main = await resized.clone()
+            .toFormat(format, OUTPUT_FORMATS[format].options)
+            .toBuffer({ resolveWithObject: true });
+        const webp = await resized.clone()
+            .webp(OUTPUT_FORMATS.webp.options)
+            .toBuffer();
+
+        const key = `${asset.folder}/variants/${baseKey}_${size.name}`;
+        sizes.push({
+            name: size.name,
+            width: main.info.width,
+            height: main.info.height,
+            url: await storage.save({
+                key: `${key}.${OUTPUT_FORMATS[format].extension}`,
+                buffer: main.data,
+                mimeType: OUTPUT_FORMATS[format].mimeType
+            }),
+            webpUrl: await storage.save({
+                key: `${key}.webp`,
+                buffer: webp,
+                mimeType: OUTPUT_FORMATS.webp.mimeType
+            })
+        });
+    }
+
+    return sizes;
+}
+
+/**
+ * Take the oldest waiting job (or one whose worker stopped) and lock it
+ */
+function claimNextJob() {
+    return ImageAsset.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'pending' },
+                { status: 'processing', lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) } }
+            ]
+        },
+        { $set: { status: 'processing', lockedAt: new Date() }, $inc: { attempts: 1 } },
+        { sort: { createdAt: 1 }, new: true }
+    );
+}
+
+/**
+ * Work through every waiting job, one at a time
+ */
+export async function processPendingImages() {
+    if (workerRunning) return;
+    workerRunning = true;
+
+    try {
+        let job;
+        while ((job = await claimNextJob())) {
+            try {
+                const sizes = await generateVariants(job);
+                await ImageAsset.updateOne(
+                    { _id: job._id },
+                    { $set: { status: 'ready', sizes, processedAt: new Date() }, $unset: { lockedAt: 1, lastError: 1 } }
+                );
+            } catch (error) {
+                console.error(`Image variants failed for ${job.url}:`, error.message);
+                await ImageAsset.updateOne(
+                    { _id: job._id },
+                    {
+                        $set: { status: job.attempts >= MAX_ATTEMPTS ? 'failed' : 'pending', lastError: error.message },
+                        $unset: { lockedAt: 1 }
+                    }
+                );
+            }
+        }
+    } catch (error) {
+        console.error('Image worker error:', error.message);
+    } finally {
+        workerRunning = false;
+    }
+}
+
+/**
+ * Start polling for image jobs (called once the database is connected)
+ */
+export function startImageWorker(intervalMs = POLL_INTERVAL_MS) {
+    if (workerTimer) return;
+
+    workerTimer = setInterval(processPendingImages, intervalMs);
+    workerTimer.unref();
+    processPendingImages();
+}
+
+/**
+ * Image set for one image URL. Until the variants are ready (or for images
+ * without variants) every size falls back to the original.
+ */
+export function buildImageSet(url, asset) {
+    if (!asset || asset.status !== 'ready') {
+        return {
+            original: url,
+            status: asset ? asset.status : 'original',
+            sizes: {},
+            srcset: null,
+            webpSrcset: null
+        };
+    }
+
+    const sizes = {};
+    for (const size of asset.sizes) {
+        sizes[size.name] = { url: size.url, webp: size.webpUrl, width: size.width, height: size.height };
+    }
+
+    return {
+        original: url,
+        status: 'ready',
+        sizes,
+        srcset: asset.sizes.map(size => `${size.url} ${size.width}w`).join(', '),
+        webpSrcset: asset.sizes.map(size => `${size.webpUrl} ${size.width}w`).join(', ')
+    };
+}
+
+/**
+ * Add `imageSets` (one per entry of `images`) to products or reviews
+ * Accepts documents or plain objects and returns plain objects.
+ */
+export async function attachImageSets(items) {
+    const list = (Array.isArray(items) ? items : [items])
+        .map(item => (item && typeof item.toObject === 'function' ? item.toObject() : item));
+
+    // Base64 images not migrated yet have no variants
+    const urls = [...new Set(list.flatMap(item => (item && item.images) || []))]
+        .filter(url => typeof url === 'string' && !url.startsWith('data:'));
+    const assets = urls.length > 0 ? await ImageAsset.find({ url: { $in: urls } }).lean() : [];
+    const assetMap = new Map(assets.map(asset => [asset.url, asset]));
+
+    for (const item of list) {
+        if (!item) continue;
+        item.imageSets = (item.images || []).map(url => buildImageSet(url, assetMap.get(url)));
+    }
+
+    return Array.isArray(items) ? list : list[0];
+}
+
+export default {
+    IMAGE_SIZES,
+    RESIZED_FOLDERS,
+    queueImageVariants,
+    processPendingImages,
+    startImageWorker,
+    buildImageSet,
+    attachImageSets
+};
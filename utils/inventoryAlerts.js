@@ -0,0 +1,116 @@
+// utils/inventoryAlerts.js
+/**
+ * Low-Stock Alerts and Automatic Availability
+ *
+ * Each product has a lowStockThreshold. After an order is placed, every
+ * line whose stock went from at-or-above the threshold to below it is
+ * reported to the shop admin in one email. For products with variants the
+ * threshold is checked per variant.
+ *
+ * A product whose stock reaches zero is switched to "not available" and
+ * flagged autoUnavailable; when stock comes back (cancellation, return,
+ * restock) only those flagged products are switched back on, so a product
+ * the admin turned off by hand stays off.
+ */
+
+import Product from '../models/product.js';
+import Contact from '../models/contact.js';
+import { sendLowStockAlertEmail } from './emailService.js';
+import { hasVariants, getVariantDisplayName, DEFAULT_VARIANT_SKU } from './productVariants.js';
+
+/**
+ * Switch availability to match stock for the given products
+ *
+ * @param {string[]} productIds
+ * @param {mongoose.ClientSession} [session]
+ */
+export async function syncAvailability(productIds, session) {
+    const ids = [...new Set(productIds.filter(Boolean))];
+    if (ids.length === 0) return;
+
+    await Product.updateMany(
+        { productId: { $in: ids }, stock: { $lte: 0 }, availabilityStatus: 'available' },
+        { $set: { availabilityStatus: 'not available', autoUnavailable: true } },
+        { session }
+    );
+    await Product.updateMany(
+        { productId: { $in: ids }, stock: { $gt: 0 }, autoUnavailable: true },
+        { $set: { availabilityStatus: 'available', autoUnavailable: false } },
+        { session }
+    );
+}
+
+/**
+ * Where the shop's admin alerts go (ADMIN_EMAIL overrides the shop contact email)
+ */
+export async function getAdminEmail() {
+    if (process.env.ADMIN_EMAIL) {
+        return process.env.ADMIN_EMAIL;
+    }
+    const contact = await Contact.findOne().select('email');
+    return contact ? contact.email : null;
+}
+
+/**
+ * Find the order lines that took their stock below the low-stock threshold
+ *
+ * @param {Array<{productId: string, variantSku?: string, quantity: number}>} items - lines just reserved
+ */
+export async function findLowStockCrossings(items) {
+    const products = await Product.find({ productId: { $in: items.map(item => item.productId) } })
+        .select('productId productName stock lowStockThreshold variants');
+    const productsById = new Map(products.map(product => [product.productId, product]));
+
+    const crossings = [];
+    for (const item of items) {
+        const product = productsById.get(item.productId);
+        if (!product) continue;
+
+        const variant = hasVariants(product) && item.variantSku && item.variantSku !== DEFAULT_VARIANT_SKU
+            ? product.variants.find(entry => entry.sku === item.variantSku)
+            : null;
+        const stock = variant ? variant.stock : product.stock;
+        const threshold = product.lowStockThreshold != null ? product.lowStockThreshold : 0;
+
+        // Stock before this order was the current stock plus what the line took
+        if (stock < threshold && stock + item.quantity >= threshold) {
+            crossings.push({
+                productId: product.productId,
+                variantSku: variant ? variant.sku : undefined,
+                name: variant ? getVariantDisplayName(product, variant) : product.productName,
+                stock: Math.max(stock, 0),
+                threshold: threshold
+            });
+        }
+    }
+
+    return crossings;
+}
+
+/**
+ * Email the admin about lines an order took below their threshold
+ * Never throws; alerting must not fail the order.
+ */
+export async function notifyLowStock(items, orderId) {
+    try {
+        const crossings = await findLowStockCrossings(items);
+        if (crossings.length === 0) return;
+
+        const adminEmail = await getAdminEmail();
+        if (!adminEmail) {
+            console.log('Low stock detected but no admin email is configured');
+            return;
+        }
+
+        await sendLowStockAlertEmail(adminEmail, crossings, orderId);
+    } catch (error) {
+        console.error('Failed to send low stock alert:', error);
+    }
+}
+
+export default {
+    syncAvailability,
+    getAdminEmail,
+    findLowStockCrossings,
+    notifyLowStock
+};
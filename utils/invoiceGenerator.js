@@ -0,0 +1,208 @@
+// utils/invoiceGenerator.js
+/**
+ * PDF Invoice Generation
+ *
+ * Invoice numbers come from the "invoice" counter, so they are sequential
+ * (INV-000001, INV-000002, ...) and are stored on the order the first time
+ * an invoice is issued. Re-downloading an invoice reuses the same number.
+ * The counter and the order are updated in one transaction, so a number is
+ * never used up without ending on an order (no gaps).
+ */
+
+import PDFDocument from 'pdfkit';
+import Order from '../models/order.js';
+import Counter from '../models/counter.js';
+import Contact from '../models/contact.js';
+import { runInTransaction } from './stockManager.js';
+
+// Used when the shop has not saved its contact details yet (same as contactController)
+const DEFAULT_SHOP = {
+    shopName: 'Udari Online Shop',
+    address: '369/1/1, Kendaliyadda paluwa , Ganemulla.',
+    phoneNumbers: [],
+    email: ''
+};
+
+const PAYMENT_STATUS_LABELS = {
+    unpaid: 'UNPAID',
+    paid: 'PAID',
+    partially_refunded: 'PARTIALLY REFUNDED',
+    refunded: 'REFUNDED'
+};
+
+function formatAmount(amount) {
+    return `Rs. ${(amount || 0).toFixed(2)}`;
+}
+
+/**
+ * Give the order an invoice number if it does not have one yet
+ * Returns the (possibly updated) order.
+ */
+export async function assignInvoiceNumber(order) {
+    if (order.invoiceNumber) {
+        return order;
+    }
+
+    return runInTransaction(async (session) => {
+        // Another request may have numbered this order in the meantime
+        const current = await Order.findById(order._id).session(session);
+        if (!current || current.invoiceNumber) {
+            return current;
+        }
+
+        const counter = await Counter.findOneAndUpdate(
+            { name: 'invoice' },
+            { $inc: { seq: 1 } },
+            { new: true, upsert: true, session }
+        );
+        const invoiceNumber = `INV-${String(counter.seq).padStart(6, '0')}`;
+
+        // If a parallel request numbers the order first, the transaction
+        // conflicts and is retried (and the counter increment is undone)
+        return Order.findOneAndUpdate(
+            { _id: order._id, invoiceNumber: { $exists: false } },
+            { $set: { invoiceNumber, invoiceIssuedAt: new Date() } },
+            { new: true, session }
+        );
+    });
+}
+
+/**
+ * Load the shop details printed in the invoice header
+ */
+export async function getShopDetails() {
+    const contact = await Contact.findOne();
+    return contact || DEFAULT_SHOP;
+}
+
+/**
+ * Render the invoice PDF for an order
+ *
+ * @param {object} order - order with an invoiceNumber
+ * @param {object} shop - Contact document (or defaults)
+ * @returns {Promise<Buffer>}
+ */
+export function generateInvoicePdf(order, shop) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 50 });
+        const chunks = [];
+
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        // Shop header
+        doc.fontSize(20).fillColor('#f97316').text(shop.shopName, 50, 50);
+        doc.fontSize(9).fillColor('#333333').text(shop.address, 50, 78, { width: 280 });
+        const phones = (shop.phoneNumbers || []).map(phone => phone.number).join(' / ');
+        if (phones) doc.text(`Tel: ${phones}`, { width: 280 });
+        if (shop.email) doc.text(`Email: ${shop.email}`, { width: 280 });
+
+        // Invoice meta
+        doc.fontSize(18).fillColor('#333333').text('INVOICE', 350, 50, { width: 195, align: 'right' });
+        doc.fontSize(9)
+            .text(`Invoice No: ${order.invoiceNumber}`, 350, 78, { width: 195, align: 'right' })
+            .text(`Order ID: ${order.orderId}`, { width: 195, align: 'right' })
+            .text(`Order Date: ${new Date(order.date).toLocaleDateString()}`, { width: 195, align: 'right' })
+            .text(`Issued: ${new Date(order.invoiceIssuedAt || Date.now()).toLocaleDateString()}`, { width: 195, align: 'right' });
+
+        // Customer and delivery details
+        let y = 160;
+        doc.fontSize(11).fillColor('#f97316').text('Bill To', 50, y);
+        doc.fontSize(9).fillColor('#333333')
+            .text(order.name, 50, y + 16)
+            .text(order.address, { width: 250 })
+            .text(`Phone: ${order.phone}`);
+
+        doc.fontSize(11).fillColor('#f97316').text('Delivery', 350, y);
+        doc.fontSize(9).fillColor('#333333')
+            .text(order.deliveryOption === 'delivery' ? 'Home Delivery' : 'Pick Up', 350, y + 16)
+            .text(order.deliveryOption === 'delivery' && order.nearestTownOrCity ? `Town: ${order.nearestTownOrCity}` : ' ')
+            .text(`Preferred: ${order.preferredDay} ${order.preferredTime}`);
+
+        // Line items
+        y = 250;
+        const columns = { item: 50, qty: 270, unit: 310, discount: 390, total: 470 };
+
+        doc.rect(50, y, 495, 20).fill('#f97316');
+        doc.fillColor('#ffffff').fontSize(9)
+            .text('Item', columns.item + 5, y + 6)
+            .text('Qty', columns.qty, y + 6, { width: 35, align: 'right' })
+            .text('Unit Price', columns.unit, y + 6, { width: 75, align: 'right' })
+            .text('Bulk Discount', columns.discount, y + 6, { width: 75, align: 'right' })
+            .text('Amount', columns.total, y + 6, { width: 70, align: 'right' });
+
+        y += 26;
+        doc.fillColor('#333333');
+
+        for (const item of order.orderedItems) {
+            const unitPrice = item.unitPrice != null ? item.unitPrice : item.price;
+            const lineTotal = item.lineTotal != null ? item.lineTotal : item.price * item.quantity;
+
+            if (y > 720) {
+                doc.addPage();
+                y = 50;
+            }
+
+            doc.text(item.name, columns.item + 5, y, { width: 210 })
+                .text(String(item.quantity), columns.qty, y, { width: 35, align: 'right' })
+                .text(formatAmount(unitPrice), columns.unit, y, { width: 75, align: 'right' })
+                .text(item.discount ? `- ${formatAmount(item.discount)}` : '-', columns.discount, y, { width: 75, align: 'right' })
+                .text(formatAmount(lineTotal), columns.total, y, { width: 70, align: 'right' });
+
+            y += 20;
+        }
+
+        doc.moveTo(50, y).lineTo(545, y).strokeColor('#dddddd').stroke();
+        y += 10;
+
+        // Totals
+        const subtotal = order.subtotal || order.orderedItems.reduce(
+            (sum, item) => sum + (item.unitPrice != null ? item.unitPrice : item.price) * item.quantity, 0
+        );
+        const totals = [
+            ['Subtotal', formatAmount(subtotal)],
+            ['Bulk Offer Discounts', `- ${formatAmount(order.discountTotal)}`]
+        ];
+        if (order.couponDiscount > 0) {
+            totals.push([`Coupon${order.coupon && order.coupon.code ? ` (${order.coupon.code})` : ''}`, `- ${formatAmount(order.couponDiscount)}`]);
+        }
+        if (order.deliveryFee > 0) {
+            totals.push([`Delivery${order.deliveryZone ? ` (${order.deliveryZone})` : ''}`, formatAmount(order.deliveryFee)]);
+        }
+        totals.push(['Total', formatAmount(order.total || subtotal - (order.discountTotal || 0))]);
+        if (order.refundedAmount > 0) {
+            totals.push(['Refunded', `- ${formatAmount(order.refundedAmount)}`]);
+        }
+
+        for (const [label, value] of totals) {
+            const isTotal = label === 'Total';
+            doc.fontSize(isTotal ? 11 : 9)
+                .text(label, 330, y, { width: 130, align: 'right' })
+                .text(value, columns.total, y, { width: 70, align: 'right' });
+            y += isTotal ? 20 : 16;
+        }
+
+        // Payment status
+        y += 10;
+        const paymentLabel = PAYMENT_STATUS_LABELS[order.paymentStatus] || order.paymentStatus.toUpperCase();
+        doc.fontSize(12)
+            .fillColor(order.paymentStatus === 'unpaid' ? '#dc2626' : '#10b981')
+            .text(`Payment Status: ${paymentLabel}`, 50, y);
+        if (order.paidAt) {
+            doc.fontSize(9).fillColor('#333333')
+                .text(`Paid on ${new Date(order.paidAt).toLocaleDateString()}${order.paymentId ? ` (Ref: ${order.paymentId})` : ''}`);
+        }
+
+        doc.fontSize(8).fillColor('#666666')
+            .text(`Thank you for choosing ${shop.shopName}!`, 50, 780, { width: 495, align: 'center' });
+
+        doc.end();
+    });
+}
+
+export default {
+    assignInvoiceNumber,
+    getShopDetails,
+    generateInvoicePdf
+};
@@ -0,0 +1,87 @@
+// utils/orderStateMachine.js
+/**
+ * Order Status State Machine
+ *
+ * Declares which status changes are allowed for an order:
+ *   pending -> accepted -> preparing -> shipped -> delivered
+ * An order can only be cancelled before it leaves the shop
+ * (pending, accepted or preparing). Delivered and cancelled are final.
+ */
+
+export const ORDER_STATUSES = ["pending", "accepted", "preparing", "shipped", "delivered", "cancelled"];
+
+const ORDER_TRANSITIONS = {
+    pending: ["accepted", "cancelled"],
+    accepted: ["preparing", "cancelled"],
+    preparing: ["shipped", "cancelled"],
+    shipped: ["delivered"],
+    delivered: [],
+    cancelled: []
+};
+
+// Customers may only cancel their own order before it is being prepared
+export const CUSTOMER_CANCELLABLE_STATUSES = ["pending", "accepted"];
+
+/**
+ * List the statuses an order can move to from its current status
+ */
+export function getAllowedTransitions(status) {
+    return [...(ORDER_TRANSITIONS[status] || [])];
+}
+
+/**
+ * Check whether an order may move from one status to another
+ */
+export function canTransition(fromStatus, toStatus) {
+    return getAllowedTransitions(fromStatus).includes(toStatus);
+}
+
+/**
+ * Throw an error (with HTTP status) if the transition is not allowed
+ */
+export function assertTransition(fromStatus, toStatus) {
+    if (!ORDER_STATUSES.includes(toStatus)) {
+        const error = new Error("Invalid status. Must be one of: " + ORDER_STATUSES.join(", "));
+        error.status = 400;
+        throw error;
+    }
+
+    if (!canTransition(fromStatus, toStatus)) {
+        const allowed = getAllowedTransitions(fromStatus);
+        const error = new Error(
+            `Cannot change order status from ${fromStatus} to ${toStatus}. ` +
+            (allowed.length > 0 ? `Allowed: ${allowed.join(", ")}` : `${fromStatus} is a final status`)
+        );
+        error.status = 400;
+        error.allowedStatuses = allowed;
+        throw error;
+    }
+}
+
+/**
+ * Build a statusHistory entry
+ *
+ * @param {string} fromStatus - previous status (null for a new order)
+ * @param {string} toStatus - new status
+ * @param {object} actor - req.user of whoever made the change (null for system changes)
+ * @param {string} note - optional free-text note
+ */
+export function buildStatusHistoryEntry(fromStatus, toStatus, actor, note = "") {
+    return {
+        from: fromStatus,
+        status: toStatus,
+        changedBy: actor ? actor.userId : null,
+        actorType: actor ? (actor.type === "admin" ? "admin" : "customer") : "system",
+        note: note || "",
+        changedAt: new Date()
+    };
+}
+
+export default {
+    ORDER_STATUSES,
+    CUSTOMER_CANCELLABLE_STATUSES,
+    getAllowedTransitions,
+    canTransition,
+    assertTransition,
+    buildStatusHistoryEntry
+};
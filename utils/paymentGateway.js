@@ -0,0 +1,100 @@
+// utils/paymentGateway.js
+/**
+ * Payment Provider Registry
+ *
+ * Every provider implements the same interface:
+ *   name                          - provider key used in webhook URLs
+ *   createCheckout(request)       - { provider, method, actionUrl, fields }
+ *   verifyNotification(payload)   - { orderId, paymentId, amount, currency, status }
+ *                                   (throws if the signature is invalid)
+ *   refund(request)               - { refundId } for { paymentId, amount, currency, reason }
+ *
+ * The active provider for new checkouts comes from PAYMENT_PROVIDER
+ * (defaults to "payhere").
+ *
+ * The mock provider marks orders paid without any money moving, so it must
+ * be switched on explicitly with MOCK_PAYMENTS_ENABLED=true (development and
+ * tests only; never in production) and needs MOCK_PAYMENT_SECRET.
+ */
+
+import payhereProvider from './paymentProviders/payhereProvider.js';
+import mockProvider from './paymentProviders/mockProvider.js';
+
+export const PAYMENT_CURRENCY = 'LKR';
+
+const providers = {
+    [payhereProvider.name]: payhereProvider,
+    [mockProvider.name]: mockProvider
+};
+
+/**
+ * True if the mock provider was switched on
+ */
+export function isMockPaymentEnabled() {
+    return process.env.MOCK_PAYMENTS_ENABLED === 'true' && process.env.NODE_ENV !== 'production';
+}
+
+/**
+ * Check the payment settings at startup (throws if they are unsafe)
+ */
+export function checkPaymentConfig() {
+    if (isMockPaymentEnabled() && !process.env.MOCK_PAYMENT_SECRET) {
+        throw new Error('MOCK_PAYMENTS_ENABLED is set but MOCK_PAYMENT_SECRET is missing');
+    }
+}
+
+/**
+ * Get a provider by name (undefined if unknown)
+ * The mock provider is only available when switched on.
+ */
+export function getPaymentProvider(name) {
+    if (name === mockProvider.name && !isMockPaymentEnabled()) {
+        return undefined;
+    }
+    return providers[name];
+}
+
+/**
+ * Get the provider used for new checkouts
+ */
+export function getActivePaymentProvider() {
+    const name = process.env.PAYMENT_PROVIDER || payhereProvider.name;
+    const provider = getPaymentProvider(name);
+
+    if (!provider) {
+        throw new Error(`Payment provider "${name}" is not available. Set PAYMENT_PROVIDER to one of: ${Object.keys(providers).join(', ')} (mock needs MOCK_PAYMENTS_ENABLED=true)`);
+    }
+
+    return provider;
+}
+
+/**
+ * Server-computed amount due for an order
+ * Orders placed before server-side pricing have no stored total, so fall back
+ * to the sum of their lines.
+ */
+export function getOrderAmountDue(order) {
+    if (order.total && order.total > 0) {
+        return order.total;
+    }
+
+    const total = order.orderedItems.reduce((sum, item) => sum + item.price * item.quantity, 0);
+    return Math.round(total * 100) / 100;
+}
+
+/**
+ * Compare two currency amounts to the cent
+ */
+export function amountsMatch(expected, received) {
+    return Math.round(expected * 100) === Math.round(received * 100);
+}
+
+export default {
+    PAYMENT_CURRENCY,
+    isMockPaymentEnabled,
+    checkPaymentConfig,
+    getPaymentProvider,
+    getActivePaymentProvider,
+    getOrderAmountDue,
+    amountsMatch
+};
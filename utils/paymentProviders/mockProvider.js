@@ -0,0 +1,95 @@
+// utils/paymentProviders/mockProvider.js
+/**
+ * Local Mock Payment Provider (development and tests)
+ *
+ * No money moves. The checkout fields are already a signed "paid"
+ * notification, so submitting the checkout form to its actionUrl (our own
+ * webhook) completes the payment. Notifications are signed with
+ * HMAC-SHA256 using MOCK_PAYMENT_SECRET.
+ *
+ * Only available with MOCK_PAYMENTS_ENABLED=true (see utils/paymentGateway.js).
+ */
+
+import crypto from 'crypto';
+
+function getSecret() {
+    const secret = process.env.MOCK_PAYMENT_SECRET;
+    if (!secret) {
+        throw new Error('Mock payments are not configured (MOCK_PAYMENT_SECRET missing)');
+    }
+    return secret;
+}
+
+function sign({ order_id, payment_id, amount, currency, status }) {
+    return crypto
+        .createHmac('sha256', getSecret())
+        .update([order_id, payment_id, amount, currency, status].join('|'))
+        .digest('hex');
+}
+
+/**
+ * Build a signed notification (used by the checkout and by tests)
+ */
+export function buildMockNotification({ orderId, paymentId, amount, currency = 'LKR', status = 'paid' }) {
+    const fields = {
+        order_id: orderId,
+        payment_id: paymentId || `MOCK-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+        amount: Number(amount).toFixed(2),
+        currency,
+        status
+    };
+
+    return { ...fields, signature: sign(fields) };
+}
+
+function createCheckout({ orderId, amount, currency }) {
+    const backendUrl = process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+    return {
+        provider: 'mock',
+        method: 'POST',
+        actionUrl: `${backendUrl}/api/orders/payment/webhook/mock`,
+        fields: buildMockNotification({ orderId, amount, currency })
+    };
+}
+
+function verifyNotification(payload) {
+    const { order_id, payment_id, amount, currency, status, signature } = payload || {};
+
+    if (!order_id || !payment_id || !amount || !currency || !status || !signature) {
+        throw new Error('Incomplete mock payment notification');
+    }
+
+    const expected = sign({ order_id, payment_id, amount, currency, status });
+    const valid = expected.length === String(signature).length &&
+        crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(signature)));
+
+    if (!valid) {
+        throw new Error('Invalid mock payment notification signature');
+    }
+
+    return {
+        orderId: order_id,
+        paymentId: payment_id,
+        amount: Number(amount),
+        currency,
+        status
+    };
+}
+
+async function refund({ paymentId }) {
+    if (!paymentId) {
+        throw new Error('Payment ID is required for a refund');
+    }
+
+    return {
+        refundId: `MOCK-REFUND-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`
+    };
+}
+
+export default {
+    name: 'mock',
+    createCheckout,
+    verifyNotification,
+    refund
+};
@@ -0,0 +1,181 @@
+// utils/paymentProviders/payhereProvider.js
+/**
+ * PayHere Hosted Checkout Adapter
+ *
+ * Checkout: the customer's browser POSTs the returned fields to PayHere.
+ * Notification: PayHere POSTs (form encoded) to notify_url with an md5sig:
+ *   UPPER(md5(merchant_id + order_id + payhere_amount + payhere_currency +
+ *             status_code + UPPER(md5(merchant_secret))))
+ *
+ * Refund: uses the PayHere Merchant API (OAuth client credentials).
+ *
+ * Required env: PAYHERE_MERCHANT_ID, PAYHERE_MERCHANT_SECRET
+ * Required for refunds: PAYHERE_APP_ID, PAYHERE_APP_SECRET
+ * Optional env: PAYHERE_SANDBOX ("true" to use the sandbox), BACKEND_URL, FRONTEND_URL
+ */
+
+import crypto from 'crypto';
+import axios from 'axios';
+
+// PayHere status_code -> our notification status
+const STATUS_CODES = {
+    '2': 'paid',
+    '0': 'pending',
+    '-1': 'cancelled',
+    '-2': 'failed',
+    '-3': 'chargedback'
+};
+
+function md5Upper(value) {
+    return crypto.createHash('md5').update(value).digest('hex').toUpperCase();
+}
+
+function getConfig() {
+    const merchantId = process.env.PAYHERE_MERCHANT_ID;
+    const merchantSecret = process.env.PAYHERE_MERCHANT_SECRET;
+
+    if (!merchantId || !merchantSecret) {
+        throw new Error('PayHere is not configured (PAYHERE_MERCHANT_ID / PAYHERE_MERCHANT_SECRET missing)');
+    }
+
+    const sandbox = process.env.PAYHERE_SANDBOX === 'true';
+
+    return {
+        merchantId,
+        merchantSecret,
+        baseUrl: sandbox ? 'https://sandbox.payhere.lk' : 'https://www.payhere.lk',
+        backendUrl: process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 3000}`,
+        frontendUrl: process.env.FRONTEND_URL || 'http://localhost:5173'
+    };
+}
+
+/**
+ * Build the hosted checkout form for an order
+ */
+function createCheckout({ orderId, amount, currency, customer, description }) {
+    const config = getConfig();
+    const formattedAmount = amount.toFixed(2);
+
+    const hash = md5Upper(
+        config.merchantId + orderId + formattedAmount + currency + md5Upper(config.merchantSecret)
+    );
+
+    return {
+        provider: 'payhere',
+        method: 'POST',
+        actionUrl: `${config.baseUrl}/pay/checkout`,
+        fields: {
+            merchant_id: config.merchantId,
+            return_url: `${config.frontendUrl}/payment/${orderId}?result=success`,
+            cancel_url: `${config.frontendUrl}/payment/${orderId}?result=cancelled`,
+            notify_url: `${config.backendUrl}/api/orders/payment/webhook/payhere`,
+            order_id: orderId,
+            items: description,
+            currency: currency,
+            amount: formattedAmount,
+            first_name: customer.firstName,
+            last_name: customer.lastName,
+            email: customer.email,
+            phone: customer.phone,
+            address: customer.address,
+            city: customer.city,
+            country: 'Sri Lanka',
+            hash: hash
+        }
+    };
+}
+
+/**
+ * Verify a PayHere notification and normalise it
+ * Throws if the signature does not match.
+ */
+function verifyNotification(payload) {
+    const config = getConfig();
+    const {
+        merchant_id,
+        order_id,
+        payment_id,
+        payhere_amount,
+        payhere_currency,
+        status_code,
+        md5sig
+    } = payload || {};
+
+    if (!merchant_id || !order_id || !payhere_amount || !payhere_currency || status_code == null || !md5sig) {
+        throw new Error('Incomplete PayHere notification');
+    }
+
+    const expected = md5Upper(
+        merchant_id + order_id + payhere_amount + payhere_currency + status_code + md5Upper(config.merchantSecret)
+    );
+
+    const valid = merchant_id === config.merchantId &&
+        expected.length === String(md5sig).length &&
+        crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(md5sig)));
+
+    if (!valid) {
+        throw new Error('Invalid PayHere notification signature');
+    }
+
+    return {
+        orderId: order_id,
+        paymentId: payment_id,
+        amount: Number(payhere_amount),
+        currency: payhere_currency,
+        status: STATUS_CODES[String(status_code)] || 'unknown'
+    };
+}
+
+/**
+ * Refund a payment (full or partial) through the Merchant API
+ */
+async function refund({ paymentId, amount, reason }) {
+    const config = getConfig();
+    const appId = process.env.PAYHERE_APP_ID;
+    const appSecret = process.env.PAYHERE_APP_SECRET;
+
+    if (!appId || !appSecret) {
+        throw new Error('PayHere refunds are not configured (PAYHERE_APP_ID / PAYHERE_APP_SECRET missing)');
+    }
+
+    const tokenResponse = await axios.post(
+        `${config.baseUrl}/merchant/v1/oauth/token`,
+        'grant_type=client_credentials',
+        {
+            headers: {
+                'Authorization': `Basic ${Buffer.from(`${appId}:${appSecret}`).toString('base64')}`,
+                'Content-Type': 'application/x-www-form-urlencoded'
+            }
+        }
+    );
+
+    const refundResponse = await axios.post(
+        `${config.baseUrl}/merchant/v1/payment/refund`,
+        {
+            payment_id: paymentId,
+            description: reason,
+            amount: amount.toFixed(2)
+        },
+        {
+            headers: {
+                'Authorization': `Bearer ${tokenResponse.data.access_token}`,
+                'Content-Type': 'application/json'
+            }
+        }
+    );
+
+    if (refundResponse.data.status !== 1) {
+        throw new Error(`PayHere refund failed: ${refundResponse.data.msg || 'unknown error'}`);
+    }
+
+    return {
+        refundId: String(refundResponse.data.data || paymentId)
+    };
+}
+
+export default {
+    name: 'payhere',
+    createCheckout,
+    verifyNotification,
+    refund
+};
@@ -0,0 +1,213 @@
+// utils/phoneVerification.js
+/**
+ * Phone Number Verification by One-Time Code
+ *
+ *   1. issueOtp sends a 6-digit code by SMS (see utils/smsService.js). A new
+ *      code can be sent once a minute and at most 5 times an hour.
+ *   2. verifyOtp checks the code (5 tries, valid 5 minutes) and returns a
+ *      verification token, valid 15 minutes. Existing accounts with the
+ *      number are marked phoneVerified.
+ *   3. consumeVerification spends the token once, when the account is
+ *      created or logged in (userController createUser / loginOrRegister).
+ *
+ * Errors carry an HTTP status (and retryAfter in seconds for 429s).
+ */
+
+import crypto from 'crypto';
+import PhoneOtp from '../models/phoneOtp.js';
+import User from '../models/user.js';
+import { sendSms } from './smsService.js';
+
+const CODE_TTL_MS = 5 * 60 * 1000;
+const RESEND_COOLDOWN_MS = 60 * 1000;
+const SEND_WINDOW_MS = 60 * 60 * 1000;
+const MAX_SENDS_PER_WINDOW = 5;
+const MAX_ATTEMPTS = 5;
+const VERIFICATION_TTL_MS = 15 * 60 * 1000;
+
+function otpError(message, status = 400, extra = {}) {
+    const error = new Error(message);
+    error.status = status;
+    Object.assign(error, extra);
+    return error;
+}
+
+// Keyed hash of a code or token (only the hash is stored)
+function hashSecret(kind, phonenumber, value) {
+    return crypto
+        .createHmac('sha256', process.env.SECRET)
+        .update(`${kind}:${phonenumber}:${value}`)
+        .digest('hex');
+}
+
+function hashesMatch(expected, received) {
+    return Boolean(expected) && expected.length === received.length &&
+        crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+}
+
+/**
+ * Check a phone number (10 digits, as used for accounts)
+ */
+export function isValidPhoneNumber(phonenumber) {
+    return typeof phonenumber === 'string' && /^\d{10}$/.test(phonenumber.trim());
+}
+
+/**
+ * Send a new code to a phone number
+ *
+ * @returns {Promise<{expiresInSeconds: number, resendAfterSeconds: number}>}
+ */
+export async function issueOtp(phonenumber) {
+    const now = Date.now();
+    const existing = await PhoneOtp.findOne({ phonenumber });
+
+    if (existing && now - existing.sentAt.getTime() < RESEND_COOLDOWN_MS) {
+        const retryAfter = Math.ceil((RESEND_COOLDOWN_MS - (now - existing.sentAt.getTime())) / 1000);
+        throw otpError(`Please wait ${retryAfter} seconds before asking for a new code`, 429, { retryAfter });
+    }
+
+    const windowOpen = existing && existing.sendWindowStartedAt &&
+        now - existing.sendWindowStartedAt.getTime() < SEND_WINDOW_MS;
+    if (windowOpen && existing.sendCount >= MAX_SENDS_PER_WINDOW) {
+        const retryAfter = Math.ceil((SEND_WINDOW_MS - (now - existing.sendWindowStartedAt.getTime())) / 1000);
+        throw otpError('Too many codes requested for this number. Please try again later.', 429, { retryAfter });
+    }
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+    try {
+        // The sentAt condition makes the cooldown hold for parallel requests
+        // too; for a new number the upsert creates the document
+        await PhoneOtp.findOneAndUpdate(
+            {
+                phonenumber,
+                ...(existing && { sentAt: existing.sentAt })
+            },
+            {
+                $set: {
+                    codeHash: hashSecret('code', phonenumber, code),
+                    expiresAt: new Date(now + CODE_TTL_MS),
+                    attempts: 0,
+                    sentAt: new Date(now),
+                    sendCount: windowOpen ? existing.sendCount + 1 : 1,
+                    sendWindowStartedAt: windowOpen ? existing.sendWindowStartedAt : new Date(now),
+                    verifiedAt: null,
+                    verificationTokenHash: null,
+                    verificationExpiresAt: null,
+                    consumedAt: null
+                }
+            },
+            { upsert: true }
+        );
+    } catch (error) {
+        if (error.code === 11000) {
+            throw otpError('A code was just sent to this number. Please wait before asking again.', 429, {
+                retryAfter: Math.ceil(RESEND_COOLDOWN_MS / 1000)
+            });
+        }
+        throw error;
+    }
+
+    try {
+        await sendSms(
+            phonenumber,
+            `Your Udari Online Shop verification code is ${code}. It expires in ${CODE_TTL_MS / 60000} minutes.`
+        );
+    } catch (error) {
+        console.error('Failed to send verification code:', error.message);
+        // Nothing reached the customer, so don't hold them to the resend cooldown
+        await PhoneOtp.updateOne({ phonenumber }, { $set: { expiresAt: new Date(now), sentAt: new Date(0) } });
+        throw otpError('Could not send the verification code. Please try again later.', 502);
+    }
+
+    return {
+        expiresInSeconds: CODE_TTL_MS / 1000,
+        resendAfterSeconds: RESEND_COOLDOWN_MS / 1000
+    };
+}
+
+/**
+ * Check a code and turn it into a verification token
+ *
+ * @returns {Promise<{verificationToken: string, expiresInSeconds: number}>}
+ */
+export async function verifyOtp(phonenumber, code) {
+    const now = new Date();
+
+    // Count the attempt before checking the code, so parallel guesses are limited too
+    const otp = await PhoneOtp.findOneAndUpdate(
+        {
+            phonenumber,
+            verifiedAt: null,
+            expiresAt: { $gt: now },
+            attempts: { $lt: MAX_ATTEMPTS }
+        },
+        { $inc: { attempts: 1 } },
+        { new: true }
+    );
+    if (!otp) {
+        throw otpError('This code has expired or was entered wrong too many times. Please request a new code.');
+    }
+
+    if (!hashesMatch(otp.codeHash, hashSecret('code', phonenumber, String(code).trim()))) {
+        const attemptsLeft = MAX_ATTEMPTS - otp.attempts;
+        throw otpError(
+            attemptsLeft > 0
+                ? `Incorrect code. ${attemptsLeft} attempt${attemptsLeft === 1 ? '' : 's'} left.`
+                : 'Incorrect code. Please request a new code.',
+            400,
+            { attemptsLeft }
+        );
+    }
+
+    const verificationToken = crypto.randomBytes(32).toString('hex');
+    const verified = await PhoneOtp.findOneAndUpdate(
+        { _id: otp._id, verifiedAt: null },
+        {
+            $set: {
+                verifiedAt: now,
+                verificationTokenHash: hashSecret('verification', phonenumber, verificationToken),
+                verificationExpiresAt: new Date(now.getTime() + VERIFICATION_TTL_MS),
+                consumedAt: null
+            }
+        }
+    );
+    if (!verified) {
+        throw otpError('This code has already been used. Please request a new code.');
+    }
+
+    await User.updateOne({ phonenumber, phoneVerified: { $ne: true } }, { $set: { phoneVerified: true } });
+
+    return {
+        verificationToken,
+        expiresInSeconds: VERIFICATION_TTL_MS / 1000
+    };
+}
+
+/**
+ * Spend a verification token for a phone number (false if it is wrong,
+ * expired or already used)
+ */
+export async function consumeVerification(phonenumber, verificationToken) {
+    if (!phonenumber || typeof verificationToken !== 'string' || !verificationToken) {
+        return false;
+    }
+
+    const consumed = await PhoneOtp.findOneAndUpdate(
+        {
+            phonenumber,
+            verificationTokenHash: hashSecret('verification', phonenumber, verificationToken),
+            verificationExpiresAt: { $gt: new Date() },
+            consumedAt: null
+        },
+        { $set: { consumedAt: new Date() } }
+    );
+    return Boolean(consumed);
+}
+
+export default {
+    isValidPhoneNumber,
+    issueOtp,
+    verifyOtp,
+    consumeVerification
+};
@@ -0,0 +1,148 @@
+// utils/pricingEngine.js
+/**
+ * Server-side Pricing Engine
+ *
+ * Single place where order lines are priced. Both the quote endpoint and
+ * order creation use it, so the prices stored on an order are always the
+ * ones computed here and never the ones sent by the client.
+ *
+ * Bulk offers: a variant's `bulkOffers` entry `{ pieces, offerPrice }` means
+ * "when at least `pieces` are ordered, each piece costs `offerPrice`".
+ * The cheapest tier the quantity qualifies for is applied. Products without
+ * variants are priced as their default variant (see utils/productVariants.js).
+ */
+
+import Product from '../models/product.js';
+import { findVariant, getVariantDisplayName, hasVariants } from './productVariants.js';
+
+/**
+ * Build an error carrying an HTTP status for the controllers to return
+ */
+function pricingError(message, status = 400, details = {}) {
+    const error = new Error(message);
+    error.status = status;
+    Object.assign(error, details);
+    return error;
+}
+
+/**
+ * Round a currency amount to 2 decimal places
+ */
+function roundAmount(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Pick the best bulk offer of a variant for a quantity (or null if none applies)
+ */
+export function resolveBulkOffer(variant, quantity) {
+    const offers = variant.bulkOffers || [];
+    let best = null;
+
+    for (const offer of offers) {
+        if (!offer || !offer.pieces || offer.offerPrice == null) continue;
+        if (quantity < offer.pieces) continue;
+        // An "offer" that is more expensive than the normal price is ignored
+        if (offer.offerPrice >= variant.price) continue;
+
+        if (!best || offer.offerPrice < best.offerPrice) {
+            best = { pieces: offer.pieces, offerPrice: offer.offerPrice };
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Price a single line for an already loaded product
+ * Throws 400 if the variant does not exist (or is needed and missing).
+ */
+export function priceLine(product, quantity, variantSku) {
+    const variant = findVariant(product, variantSku);
+    const unitPrice = variant.price;
+    const bulkOffer = resolveBulkOffer(variant, quantity);
+    const price = bulkOffer ? bulkOffer.offerPrice : unitPrice;
+
+    const lineSubtotal = roundAmount(unitPrice * quantity);
+    const lineTotal = roundAmount(price * quantity);
+
+    return {
+        productId: product.productId,
+        variantSku: hasVariants(product) ? variant.sku : undefined,
+        variantLabel: variant.label || undefined,
+        name: getVariantDisplayName(product, variant),
+        category: product.category,
+        image: product.images && product.images.length > 0 ? product.images[0] : undefined,
+        quantity,
+        unitPrice,
+        price,
+        lineSubtotal,
+        discount: roundAmount(lineSubtotal - lineTotal),
+        lineTotal,
+        bulkOffer
+    };
+}
+
+/**
+ * Read the quantity of a requested line ("qty" is accepted for older clients)
+ */
+function readQuantity(item, index) {
+    const quantity = item.quantity ?? item.qty;
+
+    if (typeof quantity !== 'number' || !Number.isInteger(quantity) || quantity <= 0) {
+        throw pricingError(`orderedItems[${index}].quantity must be a positive whole number`);
+    }
+
+    return quantity;
+}
+
+/**
+ * Price a list of requested order items
+ *
+ * @param {Array<{productId: string, variantSku?: string, quantity?: number, qty?: number}>} orderedItems
+ * @returns {Promise<{items: Array, subtotal: number, discount: number, total: number}>}
+ */
+export async function priceOrderItems(orderedItems) {
+    if (!Array.isArray(orderedItems) || orderedItems.length === 0) {
+        throw pricingError('orderedItems is required and must be a non-empty array');
+    }
+
+    const requested = orderedItems.map((item, index) => {
+        if (!item || !item.productId) {
+            throw pricingError(`orderedItems[${index}].productId is required`);
+        }
+        return {
+            productId: String(item.productId),
+            variantSku: item.variantSku ? String(item.variantSku) : undefined,
+            quantity: readQuantity(item, index)
+        };
+    });
+
+    const productIds = [...new Set(requested.map(item => item.productId))];
+    const products = await Product.find({ productId: { $in: productIds } });
+    const productMap = new Map(products.map(product => [product.productId, product]));
+
+    const items = requested.map(({ productId, variantSku, quantity }) => {
+        const product = productMap.get(productId);
+        if (!product) {
+            throw pricingError(`Product with id ${productId} not found`, 404, { productId });
+        }
+        return priceLine(product, quantity, variantSku);
+    });
+
+    const subtotal = roundAmount(items.reduce((sum, item) => sum + item.lineSubtotal, 0));
+    const total = roundAmount(items.reduce((sum, item) => sum + item.lineTotal, 0));
+
+    return {
+        items,
+        subtotal,
+        discount: roundAmount(subtotal - total),
+        total
+    };
+}
+
+export default {
+    resolveBulkOffer,
+    priceLine,
+    priceOrderItems
+};
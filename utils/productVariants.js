@@ -0,0 +1,166 @@
+// utils/productVariants.js
+/**
+ * Product Variants (pack size / weight)
+ *
+ * A product may list variants, each with its own SKU, price, stock and bulk
+ * offers. Products without variants (every product created before variants
+ * existed) behave as one default variant built from the product's own
+ * pricePerPiece, stock and bulkOffers, using the SKU "default".
+ *
+ * For products with variants, the product-level `stock` is kept equal to the
+ * total of the variants and `pricePerPiece` to the lowest variant price, so
+ * listing, search and availability keep working on the product document.
+ */
+
+export const DEFAULT_VARIANT_SKU = 'default';
+
+function variantError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Variants of a product (a single default variant for products without any)
+ */
+export function getVariants(product) {
+    if (product.variants && product.variants.length > 0) {
+        return product.variants;
+    }
+
+    return [{
+        sku: DEFAULT_VARIANT_SKU,
+        label: '',
+        price: product.pricePerPiece,
+        stock: product.stock,
+        bulkOffers: product.bulkOffers || [],
+        isDefault: true
+    }];
+}
+
+/**
+ * True if the product stores real variants (not the implicit default one)
+ */
+export function hasVariants(product) {
+    return Boolean(product.variants && product.variants.length > 0);
+}
+
+/**
+ * Find the variant an item refers to
+ * No SKU is fine when the product has only one variant. Throws 400 otherwise.
+ */
+export function findVariant(product, sku) {
+    const variants = getVariants(product);
+
+    if (!sku || sku === DEFAULT_VARIANT_SKU) {
+        if (variants.length === 1) return variants[0];
+        throw variantError(`Please choose a variant of ${product.productName} (${variants.map(v => v.label || v.sku).join(', ')})`);
+    }
+
+    const variant = variants.find(entry => entry.sku === sku);
+    if (!variant) {
+        throw variantError(`Variant ${sku} not found for ${product.productName}`);
+    }
+    return variant;
+}
+
+/**
+ * Name shown on order lines, e.g. "Chili Powder (250g)"
+ */
+export function getVariantDisplayName(product, variant) {
+    return variant.label ? `${product.productName} (${variant.label})` : product.productName;
+}
+
+/**
+ * Filter and update that take `quantity` pieces of an item's variant atomically
+ * (the product-level stock total moves with the variant's stock)
+ *
+ * @param {{productId: string, variantSku?: string}} item
+ */
+export function buildStockUpdate(item, quantity, { requireAvailable = false } = {}) {
+    const filter = { productId: item.productId };
+    if (requireAvailable) {
+        filter.availabilityStatus = 'available';
+    }
+
+    if (item.variantSku && item.variantSku !== DEFAULT_VARIANT_SKU) {
+        filter.variants = quantity < 0
+            ? { $elemMatch: { sku: item.variantSku, stock: { $gte: -quantity } } }
+            : { $elemMatch: { sku: item.variantSku } };
+        return { filter, stockInc: { 'variants.$.stock': quantity, stock: quantity } };
+    }
+
+    if (quantity < 0) {
+        filter.stock = { $gte: -quantity };
+    }
+    return { filter, stockInc: { stock: quantity } };
+}
+
+/**
+ * Check and normalise the variants sent by an admin
+ *
+ * @returns {{variants: Array, pricePerPiece: number, stock: number, errors: string[]}}
+ */
+export function normalizeVariants(variants) {
+    const errors = [];
+    const normalized = [];
+
+    if (!Array.isArray(variants)) {
+        return { variants: [], errors: ['variants must be an array'] };
+    }
+
+    variants.forEach((variant, index) => {
+        const label = `variants[${index}]`;
+        const sku = String(variant.sku || '').trim().toUpperCase();
+
+        if (!sku || sku === DEFAULT_VARIANT_SKU.toUpperCase()) {
+            errors.push(`${label}.sku is required`);
+            return;
+        }
+        if (normalized.some(entry => entry.sku === sku)) {
+            errors.push(`${label}.sku ${sku} is used more than once`);
+            return;
+        }
+        if (!variant.label || !String(variant.label).trim()) {
+            errors.push(`${label}.label is required (e.g. "250g")`);
+            return;
+        }
+        if (typeof variant.price !== 'number' || variant.price <= 0) {
+            errors.push(`${label}.price must be a positive number`);
+            return;
+        }
+        if (!Number.isInteger(variant.stock) || variant.stock < 0) {
+            errors.push(`${label}.stock must be a whole number`);
+            return;
+        }
+
+        const bulkOffers = (variant.bulkOffers || []).filter(offer =>
+            offer && offer.pieces > 0 && typeof offer.offerPrice === 'number'
+        );
+
+        normalized.push({
+            sku,
+            label: String(variant.label).trim(),
+            price: variant.price,
+            stock: variant.stock,
+            bulkOffers: bulkOffers.map(offer => ({ pieces: offer.pieces, offerPrice: offer.offerPrice }))
+        });
+    });
+
+    return {
+        variants: normalized,
+        pricePerPiece: normalized.length > 0 ? Math.min(...normalized.map(variant => variant.price)) : undefined,
+        stock: normalized.reduce((sum, variant) => sum + variant.stock, 0),
+        errors
+    };
+}
+
+export default {
+    DEFAULT_VARIANT_SKU,
+    getVariants,
+    hasVariants,
+    findVariant,
+    getVariantDisplayName,
+    buildStockUpdate,
+    normalizeVariants
+};
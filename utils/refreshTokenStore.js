@@ -0,0 +1,145 @@
+// utils/refreshTokenStore.js
+/**
+ * Rotating Refresh Tokens
+ *
+ * Refresh tokens are random strings; only their SHA-256 hash is stored, in
+ * MongoDB, so sessions survive a server restart. Each login starts a token
+ * family. A refresh uses the presented token up (conditional update, so it
+ * works once) and issues the next token of the family.
+ *
+ * Reuse detection: a token that was already used or revoked can only be
+ * presented again if it was copied, so the whole family is revoked and the
+ * device holding the newest token has to log in again too.
+ *
+ * Errors carry an HTTP status and a code for the client.
+ */
+
+import crypto from 'crypto';
+import RefreshToken from '../models/refreshToken.js';
+
+export const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+function refreshError(message, code, status = 401) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Issue a refresh token (a new family unless familyId is given)
+ *
+ * @param {string} userId
+ * @param {{deviceFingerprint?: string, userAgent?: string, ipAddress?: string}} device
+ * @returns {Promise<string>} the raw token (only the client keeps it)
+ */
+export async function issueRefreshToken(userId, device = {}, familyId = crypto.randomUUID()) {
+    const token = crypto.randomBytes(48).toString('base64url');
+
+    await new RefreshToken({
+        tokenHash: hashToken(token),
+        userId,
+        familyId,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+        deviceFingerprint: device.deviceFingerprint,
+        userAgent: device.userAgent,
+        ipAddress: device.ipAddress
+    }).save();
+
+    return token;
+}
+
+/**
+ * Revoke every token of a family
+ */
+export async function revokeFamily(familyId, reason) {
+    await RefreshToken.updateMany(
+        { familyId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+}
+
+/**
+ * Revoke every refresh token of a user (log out all devices)
+ */
+export async function revokeUserRefreshTokens(userId, reason = 'logout_all', session) {
+    const result = await RefreshToken.updateMany(
+        { userId, revokedAt: null, expiresAt: { $gt: new Date() } },
+        { $set: { revokedAt: new Date(), revokedReason: reason } },
+        { session }
+    );
+    return result.modifiedCount;
+}
+
+/**
+ * Exchange a refresh token for the next one of its family
+ * Throws 401 REFRESH_TOKEN_INVALID, REFRESH_TOKEN_EXPIRED or REFRESH_TOKEN_REUSED.
+ *
+ * @returns {Promise<{userId: string, familyId: string, refreshToken: string, previous: object}>}
+ */
+export async function rotateRefreshToken(token, device = {}) {
+    if (!token || typeof token !== 'string') {
+        throw refreshError('Refresh token required', 'REFRESH_TOKEN_MISSING', 400);
+    }
+
+    const tokenHash = hashToken(token);
+    const now = new Date();
+
+    const current = await RefreshToken.findOneAndUpdate(
+        { tokenHash, usedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+        { $set: { usedAt: now } }
+    );
+
+    if (!current) {
+        const known = await RefreshToken.findOne({ tokenHash });
+        if (!known) {
+            throw refreshError('Invalid refresh token', 'REFRESH_TOKEN_INVALID');
+        }
+        if (known.usedAt || known.revokedAt) {
+            console.error(`[SECURITY] Refresh token reuse for user ${known.userId} (family ${known.familyId}); revoking the family`);
+            await revokeFamily(known.familyId, 'reuse_detected');
+            throw refreshError('This session is no longer valid. Please login again.', 'REFRESH_TOKEN_REUSED');
+        }
+        throw refreshError('Refresh token expired. Please login again.', 'REFRESH_TOKEN_EXPIRED');
+    }
+
+    if (device.deviceFingerprint && current.deviceFingerprint && device.deviceFingerprint !== current.deviceFingerprint) {
+        console.warn(`[SECURITY] Device fingerprint changed on refresh for user ${current.userId}`);
+    }
+
+    const refreshToken = await issueRefreshToken(current.userId, device, current.familyId);
+
+    return {
+        userId: current.userId,
+        familyId: current.familyId,
+        refreshToken,
+        previous: current
+    };
+}
+
+/**
+ * Revoke the family of a refresh token (log out one device)
+ * Returns the revoked token's userId, or null for an unknown token.
+ */
+export async function revokeRefreshToken(token, reason = 'logout') {
+    if (!token || typeof token !== 'string') return null;
+
+    const stored = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+    if (!stored) return null;
+
+    await revokeFamily(stored.familyId, reason);
+    return stored.userId;
+}
+
+export default {
+    REFRESH_TOKEN_TTL_MS,
+    issueRefreshToken,
+    revokeFamily,
+    revokeUserRefreshTokens,
+    rotateRefreshToken,
+    revokeRefreshToken
+};
@@ -0,0 +1,66 @@
+// utils/sessionRevocation.js
+/**
+ * Session Revocation
+ *
+ * Login tokens are stateless JWTs, so "log out everywhere" is done by
+ * raising the user's sessionVersion: access tokens carry the version they
+ * were issued with (the "sv" claim) and any other version is rejected by the
+ * auth middleware. A token's iat is in whole seconds, so a time stamp alone
+ * can't tell a token issued just before the revocation from one issued just
+ * after it in the same second.
+ *
+ * sessionsRevokedAt is still stamped: tokens issued before the version claim
+ * existed are checked against it, counting the whole second as revoked.
+ * The user's refresh tokens are revoked as well, so no new access token can
+ * be obtained.
+ */
+
+import User from '../models/user.js';
+import { revokeUserRefreshTokens } from './refreshTokenStore.js';
+
+/**
+ * Reject every token the user holds right now
+ *
+ * @param {string} reason - 'logout_all' or 'password_reset' (stored on the refresh tokens)
+ */
+export async function revokeUserSessions(userId, reason = 'logout_all', session) {
+    const revokedAt = new Date();
+    await User.updateOne(
+        { userId },
+        { $set: { sessionsRevokedAt: revokedAt }, $inc: { sessionVersion: 1 } },
+        { session }
+    );
+    await revokeUserRefreshTokens(userId, reason, session);
+    return revokedAt;
+}
+
+/**
+ * Session version to put in a new access token
+ */
+export function getSessionVersion(user) {
+    return (user && user.sessionVersion) || 0;
+}
+
+/**
+ * True if a decoded token was issued before the user's sessions were revoked
+ *
+ * @param {{iat?: number, sv?: number}} decoded - verified JWT payload
+ * @param {{sessionVersion?: number, sessionsRevokedAt?: Date}} user
+ */
+export function isTokenRevoked(decoded, user) {
+    if (!user) return false;
+    if (typeof decoded.sv === 'number') {
+        return decoded.sv !== getSessionVersion(user);
+    }
+
+    // Older tokens without a version: the second of the revocation counts as revoked
+    if (!user.sessionsRevokedAt) return false;
+    const revokedAtSeconds = Math.floor(user.sessionsRevokedAt.getTime() / 1000);
+    return !decoded.iat || decoded.iat <= revokedAtSeconds;
+}
+
+export default {
+    revokeUserSessions,
+    getSessionVersion,
+    isTokenRevoked
+};
@@ -0,0 +1,207 @@
+// utils/slotScheduler.js
+/**
+ * Pickup / Delivery Slot Scheduling
+ *
+ * The admin-configured SlotCalendar lists time windows per weekday with an
+ * order capacity, plus holidays. Each booked slot has a SlotBooking counter
+ * that is incremented with a conditional update (`booked < capacity`), so a
+ * full slot can never be overbooked. Dates are "YYYY-MM-DD" strings in the
+ * shop's timezone.
+ */
+
+import SlotCalendar from '../models/slotCalendar.js';
+import SlotBooking from '../models/slotBooking.js';
+
+export const SHOP_TIMEZONE = 'Asia/Colombo';
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+function slotError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Check a "YYYY-MM-DD" date string
+ */
+export function isValidDateString(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Check a "HH:mm" time string
+ */
+export function isValidTimeString(value) {
+    return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
+/**
+ * Current date and time in the shop's timezone
+ */
+export function nowInShopTimezone() {
+    const parts = new Intl.DateTimeFormat('en-CA', {
+        timeZone: SHOP_TIMEZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(new Date());
+
+    const get = (type) => parts.find(part => part.type === type).value;
+    return {
+        date: `${get('year')}-${get('month')}-${get('day')}`,
+        time: `${get('hour')}:${get('minute')}`
+    };
+}
+
+export function addDays(dateString, days) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+export function getDayName(dateString) {
+    return DAY_NAMES[new Date(`${dateString}T00:00:00Z`).getUTCDay()];
+}
+
+/**
+ * Load the slot calendar (null if the shop has not configured one)
+ */
+export async function getSlotCalendar() {
+    return SlotCalendar.findOne();
+}
+
+/**
+ * Time windows offered on a date (empty on holidays and closed weekdays)
+ */
+export function getWindowsForDate(calendar, dateString) {
+    if (calendar.holidays.some(holiday => holiday.date === dateString)) {
+        return [];
+    }
+
+    const dayOfWeek = new Date(`${dateString}T00:00:00Z`).getUTCDay();
+    const day = calendar.weeklySchedule.find(entry => entry.dayOfWeek === dayOfWeek);
+    return day ? day.windows : [];
+}
+
+/**
+ * Open slots from a date for a number of days, with remaining capacity
+ *
+ * @param {object} calendar - SlotCalendar document
+ * @param {number} leadTimeDays - skip this many days from today (delivery lead time)
+ */
+export async function getOpenSlots(calendar, leadTimeDays = 0) {
+    const now = nowInShopTimezone();
+    const firstDate = addDays(now.date, Math.max(0, leadTimeDays));
+    const lastDate = addDays(now.date, calendar.bookingHorizonDays);
+
+    const dates = [];
+    for (let date = firstDate; date <= lastDate; date = addDays(date, 1)) {
+        dates.push(date);
+    }
+
+    const bookings = await SlotBooking.find({ date: { $in: dates } });
+    const bookedCount = new Map(bookings.map(booking => [`${booking.date}|${booking.windowId}`, booking.booked]));
+
+    const days = [];
+    for (const date of dates) {
+        const windows = getWindowsForDate(calendar, date)
+            // Windows that already started today can't be booked
+            .filter(window => date !== now.date || window.startTime > now.time)
+            .map(window => {
+                const booked = bookedCount.get(`${date}|${window.windowId}`) || 0;
+                return {
+                    windowId: window.windowId,
+                    startTime: window.startTime,
+                    endTime: window.endTime,
+                    capacity: window.capacity,
+                    booked: booked,
+                    remaining: Math.max(window.capacity - booked, 0)
+                };
+            })
+            .filter(window => window.remaining > 0);
+
+        if (windows.length > 0) {
+            days.push({ date, day: getDayName(date), windows });
+        }
+    }
+
+    return days;
+}
+
+/**
+ * Book one order into a slot, atomically
+ * Throws 400 for a slot that doesn't exist and 409 for a full slot.
+ *
+ * @returns {Promise<{slotDate: string, slotWindow: string, preferredDay: string, preferredTime: string}>}
+ */
+export async function bookSlot(calendar, { date, windowId, leadTimeDays = 0 }, session) {
+    if (!isValidDateString(date)) {
+        throw slotError('slotDate must be a date in YYYY-MM-DD format');
+    }
+
+    const now = nowInShopTimezone();
+    const earliestDate = addDays(now.date, Math.max(0, leadTimeDays));
+    if (date < earliestDate || date > addDays(now.date, calendar.bookingHorizonDays)) {
+        throw slotError(`Please choose a date between ${earliestDate} and ${addDays(now.date, calendar.bookingHorizonDays)}`);
+    }
+
+    const window = getWindowsForDate(calendar, date).find(entry => entry.windowId === windowId);
+    if (!window || (date === now.date && window.startTime <= now.time)) {
+        throw slotError('The selected time slot is not available on that day');
+    }
+
+    try {
+        // Upsert creates the counter for the first booking; when the slot is
+        // full the filter doesn't match and the insert hits the unique index
+        await SlotBooking.findOneAndUpdate(
+            { date, windowId, booked: { $lt: window.capacity } },
+            { $inc: { booked: 1 } },
+            { upsert: true, new: true, session }
+        );
+    } catch (error) {
+        if (error.code === 11000) {
+            throw slotError('The selected time slot is fully booked. Please choose another slot.', 409);
+        }
+        throw error;
+    }
+
+    return {
+        slotDate: date,
+        slotWindow: window.windowId,
+        preferredDay: `${getDayName(date)} ${date}`,
+        preferredTime: `${window.startTime} - ${window.endTime}`
+    };
+}
+
+/**
+ * Give an order's slot back (order cancelled or deleted)
+ */
+export async function releaseSlot(order, session) {
+    if (!order.slotDate || !order.slotWindow) return;
+
+    await SlotBooking.updateOne(
+        { date: order.slotDate, windowId: order.slotWindow, booked: { $gt: 0 } },
+        { $inc: { booked: -1 } },
+        { session }
+    );
+}
+
+export default {
+    SHOP_TIMEZONE,
+    isValidDateString,
+    isValidTimeString,
+    nowInShopTimezone,
+    addDays,
+    getDayName,
+    getSlotCalendar,
+    getWindowsForDate,
+    getOpenSlots,
+    bookSlot,
+    releaseSlot
+};
@@ -0,0 +1,51 @@
+// utils/smsProviders/consoleSms.js
+/**
+ * Console SMS Stand-in (development and tests)
+ *
+ * Nothing is sent; the message is written to the server log so one-time
+ * codes can be read from there while testing. The last messages are also
+ * kept in memory for tests (getSentMessages). Not available in production.
+ */
+
+import crypto from 'crypto';
+
+const MAX_KEPT_MESSAGES = 50;
+const sentMessages = [];
+
+/**
+ * Throw in production, where messages must really be sent
+ */
+function checkConfig() {
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('The console SMS provider only logs messages and cannot be used in production');
+    }
+}
+
+async function send({ to, message }) {
+    const messageId = `CONSOLE-SMS-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    console.log(`[SMS] To ${to}: ${message} (${messageId})`);
+
+    sentMessages.push({ messageId, to, message, sentAt: new Date() });
+    if (sentMessages.length > MAX_KEPT_MESSAGES) {
+        sentMessages.shift();
+    }
+
+    return { messageId };
+}
+
+/**
+ * Messages "sent" so far, oldest first (optionally only those to one number)
+ */
+export function getSentMessages(to) {
+    return sentMessages.filter(entry => !to || entry.to === to);
+}
+
+export function clearSentMessages() {
+    sentMessages.length = 0;
+}
+
+export default {
+    name: 'console',
+    checkConfig,
+    send
+};
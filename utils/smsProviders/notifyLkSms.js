@@ -0,0 +1,78 @@
+// utils/smsProviders/notifyLkSms.js
+/**
+ * Notify.lk SMS Gateway Adapter
+ *
+ * Messages are sent with the Notify.lk HTTP API
+ * (POST https://app.notify.lk/api/v1/send). Numbers are sent in the
+ * international format without "+", e.g. 0771234567 -> 94771234567.
+ * Notify.lk does not return a message id, so one is made up for the logs.
+ *
+ * Required env: NOTIFYLK_USER_ID, NOTIFYLK_API_KEY, NOTIFYLK_SENDER_ID
+ * (the approved sender name, or "NotifyDEMO" while testing)
+ */
+
+import crypto from 'crypto';
+import axios from 'axios';
+
+const SEND_URL = 'https://app.notify.lk/api/v1/send';
+const COUNTRY_CODE = '94';
+
+function getConfig() {
+    const userId = process.env.NOTIFYLK_USER_ID;
+    const apiKey = process.env.NOTIFYLK_API_KEY;
+    const senderId = process.env.NOTIFYLK_SENDER_ID;
+
+    if (!userId || !apiKey || !senderId) {
+        throw new Error('Notify.lk is not configured (NOTIFYLK_USER_ID / NOTIFYLK_API_KEY / NOTIFYLK_SENDER_ID missing)');
+    }
+
+    return { userId, apiKey, senderId };
+}
+
+// 0771234567, 771234567, +94771234567 and 94771234567 -> 94771234567
+export function toNotifyLkNumber(phone) {
+    const digits = String(phone || '').replace(/[\s\-()+]/g, '');
+    const local = digits.startsWith(COUNTRY_CODE) && digits.length === 11
+        ? digits.slice(COUNTRY_CODE.length)
+        : digits.replace(/^0/, '');
+
+    if (!/^\d{9}$/.test(local)) {
+        throw new Error(`Cannot send an SMS to "${phone}": not a Sri Lankan phone number`);
+    }
+
+    return COUNTRY_CODE + local;
+}
+
+/**
+ * Throw if the Notify.lk credentials are missing
+ */
+function checkConfig() {
+    getConfig();
+}
+
+async function send({ to, message }) {
+    const config = getConfig();
+
+    const response = await axios.post(SEND_URL, new URLSearchParams({
+        user_id: config.userId,
+        api_key: config.apiKey,
+        sender_id: config.senderId,
+        to: toNotifyLkNumber(to),
+        message
+    }).toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: 10000
+    });
+
+    if (response.data?.status !== 'success') {
+        throw new Error(`Notify.lk did not send the SMS: ${response.data?.message || 'unknown error'}`);
+    }
+
+    return { messageId: `NOTIFYLK-${Date.now()}-${crypto.randomBytes(4).toString('hex')}` };
+}
+
+export default {
+    name: 'notifylk',
+    checkConfig,
+    send
+};
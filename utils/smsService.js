@@ -0,0 +1,74 @@
+// utils/smsService.js
+/**
+ * SMS Provider Registry
+ *
+ * Every provider implements the same interface:
+ *   name                  - provider key (SMS_PROVIDER value)
+ *   checkConfig()         - throws if the provider's settings are missing
+ *   send({ to, message }) - sends one text message, returns { messageId }
+ *                           (throws if the message could not be sent)
+ *
+ * The provider comes from SMS_PROVIDER: "notifylk" (Notify.lk gateway) or
+ * "console" (the default, which only logs the message and is refused in
+ * production). Phone registration and login need SMS, so the server does
+ * not start without a usable provider (see checkSmsConfig).
+ */
+
+import consoleSms from './smsProviders/consoleSms.js';
+import notifyLkSms from './smsProviders/notifyLkSms.js';
+
+const providers = {
+    [consoleSms.name]: consoleSms,
+    [notifyLkSms.name]: notifyLkSms
+};
+
+/**
+ * Get the configured SMS provider
+ */
+export function getSmsProvider() {
+    const name = process.env.SMS_PROVIDER || 'console';
+    const provider = providers[name];
+
+    if (!provider) {
+        throw new Error(`SMS provider "${name}" is not available. Set SMS_PROVIDER to one of: ${Object.keys(providers).join(', ')}`);
+    }
+
+    provider.checkConfig();
+    return provider;
+}
+
+/**
+ * Check the SMS settings at startup (throws if one-time codes could not be sent)
+ */
+export function checkSmsConfig() {
+    getSmsProvider();
+}
+
+/**
+ * Check that text messages can be sent (without sending one)
+ */
+export function isSmsConfigured() {
+    try {
+        getSmsProvider();
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Send a text message through the configured provider
+ *
+ * @param {string} to - phone number as stored on the user (e.g. 0771234567)
+ * @param {string} message
+ */
+export async function sendSms(to, message) {
+    return getSmsProvider().send({ to, message });
+}
+
+export default {
+    getSmsProvider,
+    checkSmsConfig,
+    isSmsConfigured,
+    sendSms
+};
@@ -0,0 +1,77 @@
+// utils/socialAuth.js
+/**
+ * Social Login Verifier Registry
+ *
+ * Every verifier implements the same interface:
+ *   name                - provider key (providerName sent by the client)
+ *   verify(credential)  - { providerId, email, emailVerified, firstName,
+ *                           lastName, displayName } from the provider's
+ *                         verified claims (throws if the credential is invalid)
+ *
+ * The client sends what it got from the provider (a Google ID token or a
+ * Facebook access token) and only the verified claims are used to find or
+ * create the user. Tests can swap a verifier with setSocialVerifier, e.g.
+ * createGoogleVerifier({ keys }) with their own signing key.
+ *
+ * Errors carry an HTTP status (401 invalid credential, 503 provider not
+ * configured or unreachable).
+ */
+
+import googleVerifier from './socialAuthProviders/googleVerifier.js';
+import facebookVerifier from './socialAuthProviders/facebookVerifier.js';
+
+const defaultVerifiers = {
+    [googleVerifier.name]: googleVerifier,
+    [facebookVerifier.name]: facebookVerifier
+};
+
+let verifiers = { ...defaultVerifiers };
+
+export const SOCIAL_PROVIDERS = Object.keys(defaultVerifiers);
+
+/**
+ * Get the verifier of a provider (undefined if unknown)
+ */
+export function getSocialVerifier(providerName) {
+    return verifiers[providerName];
+}
+
+/**
+ * Replace the verifier of a provider (tests), returns the previous one
+ */
+export function setSocialVerifier(providerName, verifier) {
+    if (!SOCIAL_PROVIDERS.includes(providerName)) {
+        throw new Error(`Unknown social login provider "${providerName}"`);
+    }
+    const previous = verifiers[providerName];
+    verifiers[providerName] = verifier;
+    return previous;
+}
+
+/**
+ * Go back to the real verifiers
+ */
+export function resetSocialVerifiers() {
+    verifiers = { ...defaultVerifiers };
+}
+
+/**
+ * Verify a provider credential and return its claims
+ */
+export async function verifySocialCredential(providerName, credential) {
+    const verifier = getSocialVerifier(providerName);
+    if (!verifier) {
+        const error = new Error(`Invalid provider name. Must be one of: ${SOCIAL_PROVIDERS.join(', ')}`);
+        error.status = 400;
+        throw error;
+    }
+    return verifier.verify(credential);
+}
+
+export default {
+    SOCIAL_PROVIDERS,
+    getSocialVerifier,
+    setSocialVerifier,
+    resetSocialVerifiers,
+    verifySocialCredential
+};
@@ -0,0 +1,100 @@
+// utils/socialAuthProviders/facebookVerifier.js
+/**
+ * Facebook Access Token Verifier
+ *
+ * The access token from Facebook Login is checked with the Graph API
+ * debug_token endpoint (valid, issued for our app, not expired). The profile
+ * is then read with the token itself and must belong to the same user.
+ * Facebook only returns an email address the person has confirmed.
+ *
+ * Required env: FACEBOOK_APP_ID, FACEBOOK_APP_SECRET
+ *
+ * createFacebookVerifier({ graphGet, appId, appSecret }) lets tests answer
+ * the Graph API calls locally.
+ */
+
+import crypto from 'crypto';
+import axios from 'axios';
+
+const GRAPH_API_URL = 'https://graph.facebook.com/v19.0';
+
+function verifyError(message, status = 401) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+async function axiosGraphGet(path, params) {
+    const response = await axios.get(`${GRAPH_API_URL}${path}`, { params, timeout: 10000 });
+    return response.data;
+}
+
+/**
+ * Build a Facebook verifier
+ *
+ * @param {{graphGet?: Function, appId?: string, appSecret?: string}} options
+ *   graphGet - (path, params) => response body (default: Graph API over HTTPS)
+ */
+export function createFacebookVerifier({ graphGet = axiosGraphGet, appId, appSecret } = {}) {
+    async function callGraph(path, params) {
+        try {
+            return await graphGet(path, params);
+        } catch (error) {
+            if (error.response && error.response.status < 500) {
+                throw verifyError('Invalid Facebook access token');
+            }
+            console.error('Facebook Graph API error:', error.message);
+            throw verifyError('Could not verify the Facebook login right now. Please try again.', 503);
+        }
+    }
+
+    async function verify(credential) {
+        const id = appId || process.env.FACEBOOK_APP_ID;
+        const secret = appSecret || process.env.FACEBOOK_APP_SECRET;
+        if (!id || !secret) {
+            throw verifyError('Facebook login is not configured (FACEBOOK_APP_ID / FACEBOOK_APP_SECRET missing)', 503);
+        }
+        if (typeof credential !== 'string' || !credential) {
+            throw verifyError('Facebook access token is required', 400);
+        }
+
+        const debug = await callGraph('/debug_token', {
+            input_token: credential,
+            access_token: `${id}|${secret}`
+        });
+        const token = debug && debug.data;
+
+        if (!token || !token.is_valid || String(token.app_id) !== String(id) || !token.user_id) {
+            throw verifyError('Invalid Facebook access token');
+        }
+        // expires_at 0 means the token does not expire
+        if (token.expires_at && token.expires_at * 1000 <= Date.now()) {
+            throw verifyError('Facebook access token has expired. Please sign in again.');
+        }
+
+        const profile = await callGraph('/me', {
+            fields: 'id,email,first_name,last_name,name',
+            access_token: credential,
+            appsecret_proof: crypto.createHmac('sha256', secret).update(credential).digest('hex')
+        });
+        if (!profile || String(profile.id) !== String(token.user_id)) {
+            throw verifyError('Invalid Facebook access token');
+        }
+
+        return {
+            providerId: String(token.user_id),
+            email: profile.email || null,
+            emailVerified: Boolean(profile.email),
+            firstName: profile.first_name || '',
+            lastName: profile.last_name || '',
+            displayName: profile.name || ''
+        };
+    }
+
+    return {
+        name: 'facebook',
+        verify
+    };
+}
+
+export default createFacebookVerifier();
@@ -0,0 +1,148 @@
+// utils/socialAuthProviders/googleVerifier.js
+/**
+ * Google ID Token Verifier
+ *
+ * Checks the ID token from Google Sign-In: RS256 signature against Google's
+ * published keys (JWKS), issuer, audience (our client ID) and expiry.
+ * The keys are cached as long as Google's Cache-Control allows; a token
+ * signed with a key we don't know yet triggers a refetch (at most once a
+ * minute).
+ *
+ * Required env: GOOGLE_CLIENT_ID (comma separated if web and app clients differ)
+ *
+ * createGoogleVerifier({ keys, clientIds }) builds a verifier that uses a
+ * static JWKS instead of Google's, so tests can sign tokens with their own key.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import axios from 'axios';
+
+const GOOGLE_JWKS_URL = 'https://www.googleapis.com/oauth2/v3/certs';
+const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+const DEFAULT_KEYS_TTL_MS = 60 * 60 * 1000;
+const MIN_REFETCH_INTERVAL_MS = 60 * 1000;
+
+function verifyError(message, status = 401) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function getClientIds() {
+    return (process.env.GOOGLE_CLIENT_ID || '')
+        .split(',')
+        .map(id => id.trim())
+        .filter(Boolean);
+}
+
+// kid -> public key
+function toKeyMap(jwks) {
+    const keys = new Map();
+    for (const jwk of jwks.keys || []) {
+        if (jwk.kid && jwk.kty === 'RSA') {
+            keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+        }
+    }
+    return keys;
+}
+
+function getMaxAgeMs(cacheControl) {
+    const match = /max-age=(\d+)/.exec(cacheControl || '');
+    return match ? Number(match[1]) * 1000 : DEFAULT_KEYS_TTL_MS;
+}
+
+// Google's signing keys, fetched when needed
+function createJwksKeySource(url) {
+    let keys = new Map();
+    let expiresAt = 0;
+    let fetchedAt = 0;
+
+    async function fetchKeys() {
+        fetchedAt = Date.now();
+        let response;
+        try {
+            response = await axios.get(url, { timeout: 10000 });
+        } catch (error) {
+            console.error('Failed to fetch Google signing keys:', error.message);
+            throw verifyError('Could not verify the Google login right now. Please try again.', 503);
+        }
+        keys = toKeyMap(response.data);
+        expiresAt = Date.now() + getMaxAgeMs(response.headers['cache-control']);
+    }
+
+    return async function getKey(kid) {
+        const now = Date.now();
+        const unknownKid = !keys.has(kid) && now - fetchedAt >= MIN_REFETCH_INTERVAL_MS;
+        if (now >= expiresAt || unknownKid) {
+            await fetchKeys();
+        }
+        return keys.get(kid);
+    };
+}
+
+/**
+ * Build a Google verifier
+ *
+ * @param {{keys?: {keys: object[]}, clientIds?: string[]}} options
+ *   keys      - static JWKS to use instead of Google's (tests)
+ *   clientIds - accepted audiences (default: GOOGLE_CLIENT_ID)
+ */
+export function createGoogleVerifier({ keys, clientIds } = {}) {
+    let getKey;
+    if (keys) {
+        const staticKeys = toKeyMap(keys);
+        getKey = async (kid) => staticKeys.get(kid);
+    } else {
+        getKey = createJwksKeySource(GOOGLE_JWKS_URL);
+    }
+
+    async function verify(credential) {
+        const audience = clientIds || getClientIds();
+        if (audience.length === 0) {
+            throw verifyError('Google login is not configured (GOOGLE_CLIENT_ID missing)', 503);
+        }
+        if (typeof credential !== 'string' || !credential) {
+            throw verifyError('Google ID token is required', 400);
+        }
+
+        const decoded = jwt.decode(credential, { complete: true });
+        const key = decoded && decoded.header.kid && await getKey(decoded.header.kid);
+        if (!key) {
+            throw verifyError('Invalid Google ID token');
+        }
+
+        let claims;
+        try {
+            claims = jwt.verify(credential, key, {
+                algorithms: ['RS256'],
+                audience,
+                issuer: GOOGLE_ISSUERS
+            });
+        } catch (error) {
+            throw verifyError(error.name === 'TokenExpiredError'
+                ? 'Google ID token has expired. Please sign in again.'
+                : 'Invalid Google ID token');
+        }
+
+        if (!claims.sub) {
+            throw verifyError('Invalid Google ID token');
+        }
+
+        return {
+            providerId: claims.sub,
+            email: claims.email || null,
+            emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+            firstName: claims.given_name || '',
+            lastName: claims.family_name || '',
+            displayName: claims.name || ''
+        };
+    }
+
+    return {
+        name: 'google',
+        verify
+    };
+}
+
+export default createGoogleVerifier();
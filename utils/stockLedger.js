@@ -0,0 +1,94 @@
+// utils/stockLedger.js
+/**
+ * Stock Movement Ledger Rules
+ *
+ * Every change to stock is written to the StockMovement collection as a
+ * signed delta per variant ("default" for products without variants), so
+ * a variant's current stock always equals the sum of its movements. The
+ * movements are recorded by utils/stockManager.js in the same transaction
+ * as the stock change.
+ *
+ *   initial           - stock a product was created with (or the opening balance)
+ *   restock           - goods received
+ *   order             - taken by a new order
+ *   cancellation      - put back by a cancelled, deleted or refunded order
+ *   return            - goods sent back after delivery
+ *   wastage           - damaged, expired or lost goods
+ *   manual_correction - stock count fixed by an admin
+ */
+
+import { getVariants, DEFAULT_VARIANT_SKU } from './productVariants.js';
+
+export const STOCK_MOVEMENT_REASONS = [
+    'initial',
+    'restock',
+    'order',
+    'cancellation',
+    'return',
+    'wastage',
+    'manual_correction'
+];
+
+// Reasons an admin may pick on the adjust-stock endpoint
+export const ADJUSTMENT_REASONS = ['restock', 'wastage', 'manual_correction'];
+
+/**
+ * Build a StockMovement document
+ *
+ * @param {{productId: string, variantSku?: string}} item
+ * @param {number} delta
+ * @param {number} stockAfter - stock of the variant after the change
+ * @param {{reason: string, orderId?: string, actor?: object, note?: string}} context
+ *        actor is the req.user of whoever made the change (null for system changes)
+ */
+export function buildMovement(item, delta, stockAfter, { reason, orderId, actor, note } = {}) {
+    return {
+        productId: item.productId,
+        variantSku: item.variantSku || DEFAULT_VARIANT_SKU,
+        delta: delta,
+        reason: reason,
+        stockAfter: stockAfter,
+        orderId: orderId,
+        changedBy: actor ? actor.userId : null,
+        actorType: actor ? (actor.type === 'admin' ? 'admin' : 'customer') : 'system',
+        note: note || '',
+        createdAt: new Date()
+    };
+}
+
+/**
+ * Stock of one variant of a product document
+ */
+export function getVariantStock(product, variantSku) {
+    const variant = getVariants(product).find(entry => entry.sku === (variantSku || DEFAULT_VARIANT_SKU));
+    return variant ? variant.stock : undefined;
+}
+
+/**
+ * Per-variant stock changes between two versions of a product
+ * (an admin edit). Removed variants count as going to zero.
+ *
+ * @returns {Array<{variantSku: string, delta: number, stockAfter: number}>}
+ */
+export function diffVariantStock(before, after) {
+    const beforeStock = new Map(getVariants(before).map(variant => [variant.sku, variant.stock]));
+    const afterStock = new Map(getVariants(after).map(variant => [variant.sku, variant.stock]));
+
+    const changes = [];
+    for (const sku of new Set([...beforeStock.keys(), ...afterStock.keys()])) {
+        const stockAfter = afterStock.get(sku) || 0;
+        const delta = stockAfter - (beforeStock.get(sku) || 0);
+        if (delta !== 0) {
+            changes.push({ variantSku: sku, delta, stockAfter });
+        }
+    }
+    return changes;
+}
+
+export default {
+    STOCK_MOVEMENT_REASONS,
+    ADJUSTMENT_REASONS,
+    buildMovement,
+    getVariantStock,
+    diffVariantStock
+};
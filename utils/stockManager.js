@@ -0,0 +1,371 @@
+// utils/stockManager.js
+/**
+ * Stock Reservation Helpers
+ *
+ * Stock is taken with a conditional, atomic decrement per line
+ * (`stock >= quantity` is part of the update filter), so two orders can
+ * never both take the last pieces. Callers pass a MongoDB session so every
+ * line of an order is reserved, or released, inside one transaction.
+ * Lines with a variantSku move that variant's stock (see utils/productVariants.js).
+ * Availability follows stock in the same transaction (see utils/inventoryAlerts.js),
+ * and every change is written to the stock ledger (see utils/stockLedger.js).
+ *
+ * NOTE: transactions need MongoDB running as a replica set (Atlas always is).
+ */
+
+import mongoose from 'mongoose';
+import Product from '../models/product.js';
+import StockMovement from '../models/stockMovement.js';
+import { buildStockUpdate, getVariants, DEFAULT_VARIANT_SKU } from './productVariants.js';
+import { syncAvailability } from './inventoryAlerts.js';
+import { buildMovement, getVariantStock } from './stockLedger.js';
+
+/**
+ * Build an error carrying an HTTP status and the per-item shortage report
+ */
+function shortageError(shortages) {
+    const error = new Error('Some items are not available in the requested quantity');
+    error.status = 409;
+    error.shortages = shortages;
+    return error;
+}
+
+function stockError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Apply a stock change and return the updated product (null if the filter did not match)
+ */
+function applyStockUpdate(filter, inc, session) {
+    return Product.findOneAndUpdate(
+        filter,
+        { $inc: inc },
+        { new: true, session, projection: { productId: 1, stock: 1, variants: 1 } }
+    );
+}
+
+/**
+ * Write stock movements to the ledger
+ */
+async function recordMovements(movements, session) {
+    if (movements.length === 0) return;
+    await StockMovement.insertMany(movements, { session });
+}
+
+/**
+ * Reserve stock for every order line
+ * Throws a 409 error listing every short line; the caller's transaction
+ * then rolls back the lines that were already reserved.
+ *
+ * @param {Array<{productId: string, variantSku?: string, quantity: number, name?: string}>} items
+ * @param {mongoose.ClientSession} session
+ * @param {{orderId?: string, actor?: object, note?: string}} [context] - recorded on the ledger
+ */
+export async function reserveStock(items, session, context = {}) {
+    const shortages = [];
+    const movements = [];
+
+    for (const item of items) {
+        const { filter, stockInc } = buildStockUpdate(item, -item.quantity, { requireAvailable: true });
+        const reserved = await applyStockUpdate(
+            filter,
+            {
+                ...stockInc,
+                totalOrdered: item.quantity
+            },
+            session
+        );
+
+        if (reserved) {
+            movements.push(buildMovement(item, -item.quantity, getVariantStock(reserved, item.variantSku), {
+                ...context,
+                reason: 'order'
+            }));
+            continue;
+        }
+
+        // Work out why the line could not be reserved
+        const product = await Product.findOne({ productId: item.productId })
+            .select('productId productName stock availabilityStatus variants')
+            .session(session);
+        const variant = product && item.variantSku && item.variantSku !== DEFAULT_VARIANT_SKU
+            ? product.variants.find(entry => entry.sku === item.variantSku)
+            : null;
+
+        if (!product) {
+            shortages.push({
+                productId: item.productId,
+                name: item.name,
+                requested: item.quantity,
+                available: 0,
+                reason: 'Product not found'
+            });
+        } else if (product.availabilityStatus !== 'available') {
+            shortages.push({
+                productId: item.productId,
+                variantSku: item.variantSku,
+                name: item.name || product.productName,
+                requested: item.quantity,
+                available: 0,
+                reason: 'Product is not available'
+            });
+        } else {
+            const available = variant ? variant.stock : product.stock;
+            shortages.push({
+                productId: item.productId,
+                variantSku: item.variantSku,
+                name: item.name || product.productName,
+                requested: item.quantity,
+                available: Math.max(available, 0),
+                reason: item.variantSku && item.variantSku !== DEFAULT_VARIANT_SKU && !variant
+                    ? 'Variant not found'
+                    : 'Insufficient stock'
+            });
+        }
+    }
+
+    if (shortages.length > 0) {
+        throw shortageError(shortages);
+    }
+
+    await recordMovements(movements, session);
+    await syncAvailability(items.map(item => item.productId), session);
+}
+
+/**
+ * Put the stock of every order line back (order cancelled or removed)
+ *
+ * @param {Array<{productId: string, variantSku?: string, quantity: number}>} items
+ * @param {mongoose.ClientSession} session
+ * @param {{orderId?: string, actor?: object, note?: string}} [context] - recorded on the ledger
+ */
+export async function releaseStock(items, session, context = {}) {
+    const movements = [];
+
+    for (const item of items) {
+        if (!item.productId) continue;
+
+        const { filter, stockInc } = buildStockUpdate(item, item.quantity);
+        const product = await applyStockUpdate(
+            filter,
+            {
+                ...stockInc,
+                totalOrdered: -item.quantity
+            },
+            session
+        );
+
+        if (product) {
+            movements.push(buildMovement(item, item.quantity, getVariantStock(product, item.variantSku), {
+                ...context,
+                reason: 'cancellation'
+            }));
+        }
+    }
+
+    await recordMovements(movements, session);
+    await syncAvailability(items.map(item => item.productId), session);
+}
+
+/**
+ * Order lines minus the quantities refunds already put back (releaseStock
+ * with restock before delivery). What a cancellation or deletion still has
+ * to release, and what delivery still has to take off totalOrdered.
+ *
+ * @param {{orderedItems: Array, refunds?: Array}} order
+ * @returns {Array<{productId: string, variantSku?: string, quantity: number}>}
+ */
+export function getHeldItems(order) {
+    const lineKey = (item) => `${item.productId}|${item.variantSku || ''}`;
+
+    const restocked = new Map();
+    for (const refund of order.refunds || []) {
+        if (!refund.restocked) continue;
+        for (const item of refund.items) {
+            restocked.set(lineKey(item), (restocked.get(lineKey(item)) || 0) + item.quantity);
+        }
+    }
+
+    const held = [];
+    for (const line of order.orderedItems) {
+        const item = typeof line.toObject === 'function' ? line.toObject() : line;
+        const alreadyBack = Math.min(restocked.get(lineKey(item)) || 0, item.quantity);
+        restocked.set(lineKey(item), (restocked.get(lineKey(item)) || 0) - alreadyBack);
+
+        if (item.quantity - alreadyBack > 0) {
+            held.push({ ...item, quantity: item.quantity - alreadyBack });
+        }
+    }
+    return held;
+}
+
+/**
+ * Put returned goods back on the shelf (order already delivered, so
+ * totalOrdered was already reduced and only stock changes)
+ *
+ * @param {Array<{productId: string, variantSku?: string, quantity: number}>} items
+ * @param {mongoose.ClientSession} session
+ * @param {{orderId?: string, actor?: object, note?: string}} [context] - recorded on the ledger
+ */
+export async function returnStock(items, session, context = {}) {
+    const movements = [];
+
+    for (const item of items) {
+        if (!item.productId) continue;
+
+        const { filter, stockInc } = buildStockUpdate(item, item.quantity);
+        const product = await applyStockUpdate(filter, stockInc, session);
+
+        if (product) {
+            movements.push(buildMovement(item, item.quantity, getVariantStock(product, item.variantSku), {
+                ...context,
+                reason: 'return'
+            }));
+        }
+    }
+
+    await recordMovements(movements, session);
+    await syncAvailability(items.map(item => item.productId), session);
+}
+
+/**
+ * Add or take stock by hand (restock, wastage, manual correction)
+ * Throws 404 for an unknown product or variant and 409 when taking more than is in stock.
+ *
+ * @param {{productId: string, variantSku?: string}} item
+ * @param {number} delta - whole number, positive adds stock
+ * @param {{reason: string, actor?: object, note?: string}} context
+ * @param {mongoose.ClientSession} session
+ * @returns {Promise<object>} the StockMovement written
+ */
+export async function adjustStock(item, delta, context, session) {
+    const product = await Product.findOne({ productId: item.productId })
+        .select('productId stock variants')
+        .session(session);
+    if (!product) {
+        throw stockError('Product not found', 404);
+    }
+
+    const variantSku = item.variantSku || DEFAULT_VARIANT_SKU;
+    const current = getVariantStock(product, variantSku);
+    if (current === undefined) {
+        throw stockError(`Variant ${variantSku} not found. Use one of: ${getVariants(product).map(variant => variant.sku).join(', ')}`, 404);
+    }
+
+    const { filter, stockInc } = buildStockUpdate({ ...item, variantSku }, delta);
+    const updated = await applyStockUpdate(filter, stockInc, session);
+    if (!updated) {
+        throw stockError(`Only ${Math.max(current, 0)} in stock; can't take ${-delta}`, 409);
+    }
+
+    const [movement] = await StockMovement.insertMany([
+        buildMovement({ ...item, variantSku }, delta, getVariantStock(updated, variantSku), context)
+    ], { session });
+
+    await syncAvailability([item.productId], session);
+    return movement;
+}
+
+/**
+ * Record an admin's edit of a product's stock (product form) on the ledger
+ *
+ * @param {Array<{variantSku: string, delta: number, stockAfter: number}>} changes - see diffVariantStock
+ */
+export async function recordStockEdit(productId, changes, context, session) {
+    await recordMovements(
+        changes.map(change => buildMovement(
+            { productId, variantSku: change.variantSku },
+            change.delta,
+            change.stockAfter,
+            context
+        )),
+        session
+    );
+}
+
+/**
+ * Compare products' stock with the sum of their ledger movements
+ *
+ * @param {object} [productFilter] - Product query (all products by default)
+ * @returns {Promise<Array<{productId, productName, balanced, variants: Array}>>}
+ */
+export async function reconcileStock(productFilter = {}) {
+    const products = await Product.find(productFilter)
+        .select('productId productName stock variants')
+        .sort({ productName: 1 });
+
+    const totals = await StockMovement.aggregate([
+        { $match: { productId: { $in: products.map(product => product.productId) } } },
+        {
+            $group: {
+                _id: { productId: '$productId', variantSku: '$variantSku' },
+                ledgerStock: { $sum: '$delta' },
+                movements: { $sum: 1 },
+                lastMovementAt: { $max: '$createdAt' }
+            }
+        }
+    ]);
+    const totalsMap = new Map(totals.map(entry => [`${entry._id.productId}|${entry._id.variantSku}`, entry]));
+
+    return products.map(product => {
+        const variantSkus = new Set(getVariants(product).map(variant => variant.sku));
+        // Removed variants keep their movements; they should add up to zero
+        for (const entry of totals) {
+            if (entry._id.productId === product.productId) variantSkus.add(entry._id.variantSku);
+        }
+
+        const variants = [...variantSkus].map(sku => {
+            const ledger = totalsMap.get(`${product.productId}|${sku}`);
+            const stock = getVariantStock(product, sku) || 0;
+            const ledgerStock = ledger ? ledger.ledgerStock : 0;
+            return {
+                variantSku: sku,
+                stock: stock,
+                ledgerStock: ledgerStock,
+                difference: stock - ledgerStock,
+                movements: ledger ? ledger.movements : 0,
+                lastMovementAt: ledger ? ledger.lastMovementAt : null
+            };
+        });
+
+        return {
+            productId: product.productId,
+            productName: product.productName,
+            stock: product.stock,
+            ledgerStock: variants.reduce((sum, variant) => sum + variant.ledgerStock, 0),
+            balanced: variants.every(variant => variant.difference === 0),
+            variants: variants
+        };
+    });
+}
+
+/**
+ * Run a function inside a MongoDB transaction and return its result
+ */
+export async function runInTransaction(work) {
+    const session = await mongoose.startSession();
+
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await work(session);
+        });
+        return result;
+    } finally {
+        await session.endSession();
+    }
+}
+
+export default {
+    reserveStock,
+    releaseStock,
+    getHeldItems,
+    returnStock,
+    adjustStock,
+    recordStockEdit,
+    reconcileStock,
+    runInTransaction
+};
@@ -0,0 +1,109 @@
+// utils/storageProviders/localStorage.js
+/**
+ * Local Disk Image Storage (default)
+ *
+ * Files are written under UPLOAD_DIR (default ./uploads) and served by
+ * index.js at /uploads. URLs are built from UPLOAD_PUBLIC_URL, e.g.
+ * "https://api.example.lk/uploads"; without it they are relative
+ * ("/uploads/products/....jpg").
+ *
+ * Private files (e.g. bank deposit slips) go to PRIVATE_UPLOAD_DIR (default
+ * ./private_uploads), which is not served; they are read back by key only.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export const LOCAL_UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || 'uploads');
+export const LOCAL_PRIVATE_UPLOAD_DIR = path.resolve(process.env.PRIVATE_UPLOAD_DIR || 'private_uploads');
+
+function getPublicBaseUrl() {
+    return (process.env.UPLOAD_PUBLIC_URL || '/uploads').replace(/\/+$/, '');
+}
+
+// Keys come from imageStorage.js, but never let one escape the upload directory
+function resolveKeyPath(key, baseDir = LOCAL_UPLOAD_DIR) {
+    const filePath = path.resolve(baseDir, key);
+    if (!filePath.startsWith(baseDir + path.sep)) {
+        throw new Error('Invalid storage key');
+    }
+    return filePath;
+}
+
+/**
+ * Save a file and return its public URL
+ */
+async function save({ key, buffer }) {
+    const filePath = resolveKeyPath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return `${getPublicBaseUrl()}/${key}`;
+}
+
+/**
+ * Read back a file saved by this provider
+ */
+async function read(url) {
+    const baseUrl = `${getPublicBaseUrl()}/`;
+    if (!url || !url.startsWith(baseUrl)) {
+        throw new Error(`Not a local storage URL: ${url}`);
+    }
+    return fs.readFile(resolveKeyPath(url.slice(baseUrl.length)));
+}
+
+/**
+ * Remove a file saved by this provider (ignores URLs it does not own)
+ */
+async function remove(url) {
+    const baseUrl = `${getPublicBaseUrl()}/`;
+    if (!url || !url.startsWith(baseUrl)) return false;
+
+    try {
+        await fs.unlink(resolveKeyPath(url.slice(baseUrl.length)));
+        return true;
+    } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+    }
+}
+
+/**
+ * Check that a URL points at a file under this provider's public URL
+ */
+function owns(url) {
+    const baseUrl = `${getPublicBaseUrl()}/`;
+    if (typeof url !== 'string' || !url.startsWith(baseUrl)) return false;
+    try {
+        resolveKeyPath(url.slice(baseUrl.length));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Save a file that must not be publicly reachable
+ */
+async function savePrivate({ key, buffer }) {
+    const filePath = resolveKeyPath(key, LOCAL_PRIVATE_UPLOAD_DIR);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return key;
+}
+
+/**
+ * Read back a private file by its key
+ */
+async function readPrivate(key) {
+    return fs.readFile(resolveKeyPath(key, LOCAL_PRIVATE_UPLOAD_DIR));
+}
+
+export default {
+    name: 'local',
+    save,
+    read,
+    remove,
+    owns,
+    savePrivate,
+    readPrivate
+};
@@ -0,0 +1,195 @@
+// utils/storageProviders/s3Storage.js
+/**
+ * S3-Compatible Image Storage (AWS S3, Cloudflare R2, DigitalOcean Spaces, MinIO)
+ *
+ * Objects are uploaded with a signed PUT (AWS Signature Version 4) using
+ * path-style URLs: {S3_ENDPOINT}/{S3_BUCKET}/{key}. The bucket (or a CDN in
+ * front of it) must allow public reads; S3_PUBLIC_URL is the base of the
+ * URLs stored in the database.
+ *
+ * Private files (e.g. bank deposit slips) are stored under the "private/"
+ * prefix and only read back with a signed GET. The bucket policy or CDN must
+ * not allow public reads of private/*.
+ *
+ * Required env: S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY
+ * Optional env: S3_REGION (default us-east-1), S3_PUBLIC_URL (default {S3_ENDPOINT}/{S3_BUCKET})
+ */
+
+import crypto from 'crypto';
+import axios from 'axios';
+
+function getConfig() {
+    const endpoint = process.env.S3_ENDPOINT;
+    const bucket = process.env.S3_BUCKET;
+    const accessKeyId = process.env.S3_ACCESS_KEY_ID;
+    const secretAccessKey = process.env.S3_SECRET_ACCESS_KEY;
+
+    if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+        throw new Error('S3 storage is not configured (S3_ENDPOINT / S3_BUCKET / S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY missing)');
+    }
+
+    const baseEndpoint = endpoint.replace(/\/+$/, '');
+    return {
+        endpoint: baseEndpoint,
+        bucket,
+        accessKeyId,
+        secretAccessKey,
+        region: process.env.S3_REGION || 'us-east-1',
+        publicUrl: (process.env.S3_PUBLIC_URL || `${baseEndpoint}/${bucket}`).replace(/\/+$/, '')
+    };
+}
+
+function sha256Hex(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function hmac(key, value) {
+    return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+function encodeKey(key) {
+    return key.split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * Signed headers for one request (AWS Signature Version 4)
+ */
+function signRequest(config, method, key, headers, payloadHash) {
+    const url = new URL(`${config.endpoint}/${config.bucket}/${encodeKey(key)}`);
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+
+    const allHeaders = {
+        ...headers,
+        host: url.host,
+        'x-amz-content-sha256': payloadHash,
+        'x-amz-date': amzDate
+    };
+    const headerNames = Object.keys(allHeaders).map(name => name.toLowerCase()).sort();
+    const lowerHeaders = Object.fromEntries(Object.entries(allHeaders).map(([name, value]) => [name.toLowerCase(), String(value).trim()]));
+
+    const canonicalRequest = [
+        method,
+        url.pathname,
+        '',
+        headerNames.map(name => `${name}:${lowerHeaders[name]}\n`).join(''),
+        headerNames.join(';'),
+        payloadHash
+    ].join('\n');
+
+    const scope = `${dateStamp}/${config.region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${config.secretAccessKey}`, dateStamp), config.region), 's3'), 'aws4_request');
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    delete allHeaders.host;
+    return {
+        url: url.toString(),
+        headers: {
+            ...allHeaders,
+            Authorization: `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${scope}, SignedHeaders=${headerNames.join(';')}, Signature=${signature}`
+        }
+    };
+}
+
+/**
+ * Upload a file and return its public URL
+ */
+async function save({ key, buffer, mimeType }) {
+    const config = getConfig();
+    const request = signRequest(config, 'PUT', key, {
+        'content-type': mimeType,
+        'cache-control': 'public, max-age=31536000, immutable'
+    }, sha256Hex(buffer));
+
+    await axios.put(request.url, buffer, {
+        headers: request.headers,
+        maxBodyLength: Infinity
+    });
+
+    return `${config.publicUrl}/${encodeKey(key)}`;
+}
+
+/**
+ * Download an object through its public URL
+ */
+async function read(url) {
+    const response = await axios.get(url, { responseType: 'arraybuffer' });
+    return Buffer.from(response.data);
+}
+
+/**
+ * Delete an object uploaded by this provider (ignores URLs it does not own)
+ */
+async function remove(url) {
+    const config = getConfig();
+    const baseUrl = `${config.publicUrl}/`;
+    if (!url || !url.startsWith(baseUrl)) return false;
+
+    const key = decodeURIComponent(url.slice(baseUrl.length));
+    const request = signRequest(config, 'DELETE', key, {}, sha256Hex(''));
+    await axios.delete(request.url, { headers: request.headers });
+    return true;
+}
+
+/**
+ * Check that a URL points at an object under the bucket's public URL
+ * (false when S3 is not configured)
+ */
+function owns(url) {
+    try {
+        const baseUrl = `${getConfig().publicUrl}/`;
+        return typeof url === 'string' && url.startsWith(baseUrl) &&
+            !decodeURIComponent(url.slice(baseUrl.length)).split('/').includes('..');
+    } catch {
+        return false;
+    }
+}
+
+// Private objects live under their own prefix
+function privateKey(key) {
+    return `private/${key}`;
+}
+
+/**
+ * Upload a file that must not be publicly readable, returns its key
+ */
+async function savePrivate({ key, buffer, mimeType }) {
+    const config = getConfig();
+    const request = signRequest(config, 'PUT', privateKey(key), {
+        'content-type': mimeType,
+        'cache-control': 'private, no-store',
+        'x-amz-acl': 'private'
+    }, sha256Hex(buffer));
+
+    await axios.put(request.url, buffer, {
+        headers: request.headers,
+        maxBodyLength: Infinity
+    });
+
+    return key;
+}
+
+/**
+ * Download a private object with a signed GET
+ */
+async function readPrivate(key) {
+    const config = getConfig();
+    const request = signRequest(config, 'GET', privateKey(key), {}, sha256Hex(''));
+    const response = await axios.get(request.url, {
+        headers: request.headers,
+        responseType: 'arraybuffer'
+    });
+    return Buffer.from(response.data);
+}
+
+export default {
+    name: 's3',
+    save,
+    read,
+    remove,
+    owns,
+    savePrivate,
+    readPrivate
+};
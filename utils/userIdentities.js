@@ -0,0 +1,166 @@
+// utils/userIdentities.js
+/**
+ * Linked Login Identities
+ *
+ * A customer can sign in to the same account in several ways, each stored as
+ * an identity on User.identities:
+ *   { provider: 'phone',    providerId: <phone number> }   phone login
+ *   { provider: 'google',   providerId: <Google sub> }
+ *   { provider: 'facebook', providerId: <Facebook user id> }
+ * One identity per provider, and an identity belongs to one account only.
+ *
+ * Accounts created before identities existed have an empty list; they act as
+ * if they had the phone identity plus their providerName/providerId (like the
+ * implicit default variant of a product). The list is written out the first
+ * time an identity is linked or unlinked.
+ *
+ * Errors carry an HTTP status.
+ */
+
+import User from '../models/user.js';
+
+export const IDENTITY_PROVIDERS = ['phone', 'google', 'facebook'];
+
+function identityError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Identities of a user (derived from the legacy fields if none are stored)
+ */
+export function getIdentities(user) {
+    if (user.identities && user.identities.length > 0) {
+        return user.identities;
+    }
+
+    const identities = [{ provider: 'phone', providerId: user.phonenumber, linkedAt: null }];
+    if (user.providerId && ['google', 'facebook'].includes(user.providerName)) {
+        identities.push({ provider: user.providerName, providerId: user.providerId, email: user.email, linkedAt: null });
+    }
+    return identities;
+}
+
+/**
+ * True if the user can sign in with the provider
+ */
+export function hasIdentity(user, provider) {
+    return getIdentities(user).some(identity => identity.provider === provider);
+}
+
+/**
+ * True if the identity is linked to the user
+ */
+export function ownsIdentity(user, provider, providerId) {
+    return getIdentities(user).some(identity =>
+        identity.provider === provider && identity.providerId === providerId);
+}
+
+/**
+ * Filter that finds the user who owns an identity
+ */
+export function identityFilter(provider, providerId) {
+    return {
+        $or: [
+            { identities: { $elemMatch: { provider, providerId } } },
+            // Accounts without a stored list still use providerName/providerId
+            { 'identities.0': { $exists: false }, providerName: provider, providerId }
+        ]
+    };
+}
+
+// Store the derived list of a legacy account, so it can be changed
+async function materializeIdentities(user) {
+    if (user.identities && user.identities.length > 0) return;
+
+    await User.updateOne(
+        { userId: user.userId, 'identities.0': { $exists: false } },
+        { $set: { identities: getIdentities(user) } }
+    );
+}
+
+/**
+ * Add an identity to a user (the caller checked the proof of it)
+ * Throws 409 if the identity belongs to another account or the user already
+ * has one for this provider.
+ *
+ * @param {object} user - User document
+ * @param {{provider: string, providerId: string, email?: string}} identity
+ */
+export async function linkIdentity(user, { provider, providerId, email }) {
+    const owner = await User.findOne(identityFilter(provider, providerId)).select('userId');
+    if (owner && owner.userId !== user.userId) {
+        throw identityError('This login is already connected to another account', 409);
+    }
+    if (owner) {
+        throw identityError('This login is already connected to your account', 409);
+    }
+
+    await materializeIdentities(user);
+
+    let result;
+    try {
+        result = await User.updateOne(
+            { userId: user.userId, 'identities.provider': { $ne: provider } },
+            { $push: { identities: { provider, providerId, email: email || null, linkedAt: new Date() } } }
+        );
+    } catch (error) {
+        // Linked to another account at the same moment (unique index)
+        if (error.code === 11000) {
+            throw identityError('This login is already connected to another account', 409);
+        }
+        throw error;
+    }
+
+    if (result.modifiedCount === 0) {
+        throw identityError(`Your account is already connected to a ${provider} login. Remove it first.`, 409);
+    }
+
+    return User.findOne({ userId: user.userId });
+}
+
+/**
+ * Remove a provider's identity from a user
+ * Throws 404 if it is not linked and 400 if it is the last login method.
+ */
+export async function unlinkIdentity(user, provider) {
+    if (!hasIdentity(user, provider)) {
+        throw identityError(`Your account has no ${provider} login`, 404);
+    }
+
+    await materializeIdentities(user);
+
+    // The condition on identities.1 keeps at least one way to sign in,
+    // even with two removals in parallel
+    const result = await User.updateOne(
+        { userId: user.userId, 'identities.provider': provider, 'identities.1': { $exists: true } },
+        {
+            $pull: { identities: { provider } },
+            // The legacy single identity must not keep working either
+            ...(user.providerName === provider && {
+                $set: { providerName: 'local', providerId: null }
+            })
+        }
+    );
+
+    if (result.modifiedCount === 0) {
+        const current = await User.findOne({ userId: user.userId });
+        if (!current || !hasIdentity(current, provider)) {
+            throw identityError(`Your account has no ${provider} login`, 404);
+        }
+        throw identityError('You cannot remove your only way to sign in. Connect another login first.', 400);
+    }
+
+    return User.findOne({ userId: user.userId });
+}
+
+export default {
+    IDENTITY_PROVIDERS,
+    getIdentities,
+    hasIdentity,
+    ownsIdentity,
+    identityFilter,
+    linkIdentity,
+    unlinkIdentity
+};